@@ -0,0 +1,59 @@
+// -----------------------------------------------
+// Admin roles + API keys
+// -----------------------------------------------
+//
+// Roles, lowest to highest. Each role can do everything the ones before
+// it can:
+//   viewer   read-only search over orders, donations, identities
+//   support  + manual order status corrections
+//   admin    + catalog, campaigns, refunds, identity disable/merge/roles,
+//              audit log
+//
+// Keys come from ADMIN_API_KEYS as comma-separated "name:role:key"
+// entries, e.g. "ops-dashboard:viewer:k1,alice:admin:k2". The older
+// single ADMIN_API_KEY still works and is an "admin" key named "default".
+// Identities can also be given a role (identity.admin_role) and use their
+// session token instead of a key.
+
+export const ADMIN_ROLES = ["viewer", "support", "admin"];
+
+export function isAdminRole(role) {
+  return ADMIN_ROLES.includes(role);
+}
+
+// Does `role` include everything `required` may do?
+export function roleAllows(role, required) {
+  return (
+    isAdminRole(role) &&
+    ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required)
+  );
+}
+
+/**
+ * Parse ADMIN_API_KEYS (+ the legacy ADMIN_API_KEY) into
+ * [{ name, role, key }]. Malformed entries are skipped with a warning.
+ */
+export function parseAdminKeys(spec = "", legacyKey = "") {
+  const keys = [];
+  const entries = spec
+    .split(",")
+    .map(e => e.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [name, role, ...rest] = entry.split(":");
+    const key = rest.join(":");
+    if (!name || !isAdminRole(role) || !key) {
+      console.warn(
+        `⚠️ Ignoring ADMIN_API_KEYS entry "${name || "?"}": expected name:role:key with role ${ADMIN_ROLES.join("/")}.`
+      );
+      continue;
+    }
+    keys.push({ name, role, key });
+  }
+
+  if (legacyKey) {
+    keys.push({ name: "default", role: "admin", key: legacyKey });
+  }
+  return keys;
+}
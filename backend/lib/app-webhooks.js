@@ -0,0 +1,241 @@
+// -----------------------------------------------
+// App webhooks — order events POSTed to each app's webhook_url
+// -----------------------------------------------
+//
+// Works like the notification outbox (lib/notifications.js): events are
+// written to `app_webhooks` in the transaction that records the change,
+// then delivered by a background worker with retries.
+//
+//   enqueueAppWebhook(tx, {
+//     app: order.app,
+//     key: `order.paid:${order.order_id}`,
+//     type: "order.paid",
+//     data: { order }
+//   });
+//
+// The key is the delivery's id and the event's id, so redelivered Stripe
+// events don't notify the app twice. Apps without a webhook_url get
+// nothing. The body is
+//
+//   { "id", "type", "app", "created", "data" }
+//
+// signed like Stripe signs its own webhooks, with the app's
+// webhook_secret:
+//
+//   FundTracker-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+//
+// Any 2xx response counts as delivered. Redirects aren't followed, and a
+// URL that resolves to a private, loopback or link-local address is
+// refused when sent (lib/private-address.js); that delivery fails at once,
+// without retries.
+
+import crypto from "crypto";
+import { PrivateAddressError, assertPublicHost } from "./private-address.js";
+
+const MINUTE_MS = 60 * 1000;
+const BACKOFF_BASE_MS = MINUTE_MS;
+const BACKOFF_MAX_MS = 6 * 60 * MINUTE_MS;
+const SEND_LOCK_MS = 5 * MINUTE_MS;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export const APP_WEBHOOK_STATUSES = [
+  "pending",
+  "sending",
+  "delivered",
+  "failed"
+];
+
+export function signAppWebhook(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Queue an event for `app` inside a storage transaction. Returns the
+ * delivery, the existing one if `key` was already queued, or null when
+ * the app has no webhook_url.
+ */
+export function enqueueAppWebhook(tx, { app, key, type, data }) {
+  const existing = tx.app_webhooks.get(key);
+  if (existing) return existing;
+
+  const record = tx.apps.get(app);
+  if (!record?.active || !record.webhook_url) return null;
+
+  const now = new Date().toISOString();
+  return tx.app_webhooks.insert({
+    delivery_id: key,
+    app,
+    type,
+    url: record.webhook_url,
+    payload: { id: key, type, app, created: now, data },
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: now,
+    last_error: null,
+    last_status_code: null,
+    created_at: now,
+    delivered_at: null
+  });
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+function isDue(delivery, now) {
+  if (delivery.status === "pending") {
+    return Date.parse(delivery.next_attempt_at) <= now;
+  }
+  return (
+    delivery.status === "sending" && Date.parse(delivery.locked_until) <= now
+  );
+}
+
+/**
+ * createAppWebhookSender({ storage, maxAttempts, pollMs, fetch, lookup })
+ *   → { start(), stop(), kick(), drain() }
+ *
+ * Same contract as createNotifier(): drain() delivers everything due and
+ * resolves to { delivered, failed }. `lookup` resolves webhook hosts
+ * (dns.promises.lookup by default).
+ */
+export function createAppWebhookSender({
+  storage,
+  maxAttempts = 8,
+  pollMs = 30 * 1000,
+  fetch = globalThis.fetch,
+  lookup
+}) {
+  let draining = null;
+  let again = false;
+  let timer = null;
+
+  function claim(id, now) {
+    return storage.transaction(tx => {
+      const current = tx.app_webhooks.get(id);
+      if (!current || !isDue(current, now)) return null;
+      return tx.app_webhooks.update(id, d => {
+        d.status = "sending";
+        d.attempts = (d.attempts || 0) + 1;
+        d.locked_until = new Date(now + SEND_LOCK_MS).toISOString();
+      });
+    });
+  }
+
+  // The secret is read at send time, so a rotated secret applies to
+  // deliveries still in the queue
+  async function post(delivery) {
+    const app = await storage.apps.get(delivery.app);
+    if (!app?.webhook_secret) {
+      throw new Error(`App ${delivery.app} has no webhook secret.`);
+    }
+    await assertPublicHost(new URL(delivery.url).hostname, { lookup });
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "fundtracker-signature": signAppWebhook(
+          app.webhook_secret,
+          body,
+          timestamp
+        ),
+        "fundtracker-event-id": delivery.delivery_id
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const err = new Error(`${delivery.url} answered ${response.status}`);
+      err.statusCode = response.status;
+      throw err;
+    }
+    return response.status;
+  }
+
+  async function sendOne(id, now) {
+    const delivery = await claim(id, now);
+    if (!delivery) return null;
+
+    try {
+      const status = await post(delivery);
+      await storage.app_webhooks.update(id, {
+        status: "delivered",
+        delivered_at: new Date().toISOString(),
+        locked_until: null,
+        last_error: null,
+        last_status_code: status
+      });
+      return "delivered";
+    } catch (err) {
+      const exhausted =
+        delivery.attempts >= maxAttempts || err instanceof PrivateAddressError;
+      await storage.app_webhooks.update(id, {
+        status: exhausted ? "failed" : "pending",
+        next_attempt_at: exhausted
+          ? null
+          : new Date(Date.now() + backoffMs(delivery.attempts)).toISOString(),
+        locked_until: null,
+        last_error: err.message,
+        last_status_code: err.statusCode ?? null
+      });
+      console.warn(
+        `⚠️ App webhook ${id} failed (attempt ${delivery.attempts}/${maxAttempts}): ${err.message}`
+      );
+      return "failed";
+    }
+  }
+
+  function drain() {
+    if (draining) {
+      again = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      const result = { delivered: 0, failed: 0 };
+      do {
+        again = false;
+        const now = Date.now();
+        const due = await storage.app_webhooks.list(d => isDue(d, now));
+        due.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+        for (const d of due) {
+          const outcome = await sendOne(d.delivery_id, now);
+          if (outcome) result[outcome] += 1;
+        }
+      } while (again);
+      return result;
+    })().finally(() => {
+      draining = null;
+    });
+
+    return draining;
+  }
+
+  function kick() {
+    drain().catch(err => console.error("APP WEBHOOK ERROR:", err));
+  }
+
+  return {
+    drain,
+    kick,
+    start() {
+      if (timer) return;
+      timer = setInterval(kick, pollMs);
+      timer.unref();
+      kick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,257 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStorage } from "./storage/index.js";
+import {
+  createAppWebhookSender,
+  enqueueAppWebhook,
+  signAppWebhook
+} from "./app-webhooks.js";
+
+let dir;
+let storage;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "app-webhooks-test-"));
+  storage = await openStorage({
+    backend: "file",
+    file: path.join(dir, "registry.json")
+  });
+  await storage.apps.insert({
+    app: "LawAidAI",
+    webhook_url: "https://hooks.lawaid.ai/fundtracker",
+    webhook_secret: "whsec_test",
+    active: true
+  });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const publicDns = async () => [{ address: "93.184.216.34", family: 4 }];
+
+function recordingFetch(status = 200) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    return { ok: status >= 200 && status < 300, status };
+  };
+  return { calls, fetch };
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Make a queued delivery due now, as if its backoff had passed
+function makeDue(id) {
+  return storage.app_webhooks.update(id, {
+    next_attempt_at: new Date(Date.now() - 1000).toISOString()
+  });
+}
+
+function enqueue(key = "order.paid:ord-1") {
+  return storage.transaction(tx =>
+    enqueueAppWebhook(tx, {
+      app: "LawAidAI",
+      key,
+      type: "order.paid",
+      data: { order: { order_id: "ord-1" } }
+    })
+  );
+}
+
+test("refuses a webhook host that resolves to a private address", async () => {
+  await enqueue();
+  const { calls, fetch } = recordingFetch();
+  const sender = createAppWebhookSender({
+    storage,
+    fetch,
+    lookup: async () => [{ address: "169.254.169.254", family: 4 }]
+  });
+
+  assert.deepEqual(await sender.drain(), { delivered: 0, failed: 1 });
+  assert.equal(calls.length, 0);
+
+  // Not retried: the address won't become safe by waiting
+  const delivery = await storage.app_webhooks.get("order.paid:ord-1");
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts, 1);
+  assert.match(delivery.last_error, /private address/);
+});
+
+test("doesn't follow redirects", async () => {
+  await enqueue();
+  const { calls, fetch } = recordingFetch(302);
+  const sender = createAppWebhookSender({ storage, fetch, lookup: publicDns });
+
+  assert.deepEqual(await sender.drain(), { delivered: 0, failed: 1 });
+  assert.equal(calls[0].redirect, "manual");
+});
+
+test("signs t.body with the app's secret, like Stripe", () => {
+  const body = JSON.stringify({ id: "evt", type: "order.paid" });
+  const expected = crypto
+    .createHmac("sha256", "whsec_test")
+    .update(`1700000000.${body}`)
+    .digest("hex");
+
+  assert.equal(
+    signAppWebhook("whsec_test", body, 1700000000),
+    `t=1700000000,v1=${expected}`
+  );
+});
+
+test("posts the event with a signature over the exact body", async () => {
+  await enqueue();
+  // Rotated after queueing: deliveries use the secret at send time
+  await storage.apps.update("LawAidAI", { webhook_secret: "whsec_rotated" });
+  const { calls, fetch } = recordingFetch();
+  const sender = createAppWebhookSender({ storage, fetch, lookup: publicDns });
+
+  assert.deepEqual(await sender.drain(), { delivered: 1, failed: 0 });
+  const [call] = calls;
+  assert.equal(call.url, "https://hooks.lawaid.ai/fundtracker");
+  assert.equal(call.headers["fundtracker-event-id"], "order.paid:ord-1");
+
+  const [, t] = call.headers["fundtracker-signature"].match(/^t=(\d+),v1=/);
+  assert.ok(Math.abs(Number(t) - Date.now() / 1000) < 60);
+  assert.equal(
+    call.headers["fundtracker-signature"],
+    signAppWebhook("whsec_rotated", call.body, t)
+  );
+
+  const event = JSON.parse(call.body);
+  assert.deepEqual(Object.keys(event), [
+    "id",
+    "type",
+    "app",
+    "created",
+    "data"
+  ]);
+  assert.equal(event.id, "order.paid:ord-1");
+  assert.deepEqual(event.data, { order: { order_id: "ord-1" } });
+
+  const delivery = await storage.app_webhooks.get("order.paid:ord-1");
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.last_status_code, 200);
+  assert.ok(delivery.delivered_at);
+});
+
+test("the key dedupes events, so a redelivered change is sent once", async () => {
+  const first = await enqueue();
+  const again = await enqueue();
+  assert.deepEqual(again, first);
+  assert.equal((await storage.app_webhooks.list()).length, 1);
+
+  const { calls, fetch } = recordingFetch();
+  const sender = createAppWebhookSender({ storage, fetch, lookup: publicDns });
+  await sender.drain();
+  await enqueue();
+  await sender.drain();
+  assert.equal(calls.length, 1);
+});
+
+test("queues nothing for inactive apps or apps without a webhook_url", async () => {
+  await storage.apps.insert({ app: "NoHook", webhook_url: null, active: true });
+  await storage.apps.update("LawAidAI", { active: false });
+
+  const queued = await storage.transaction(tx =>
+    ["LawAidAI", "NoHook", "Unknown"].map(app =>
+      enqueueAppWebhook(tx, { app, key: `k:${app}`, type: "order.paid" })
+    )
+  );
+  assert.deepEqual(queued, [null, null, null]);
+  assert.deepEqual(await storage.app_webhooks.list(), []);
+});
+
+test("retries with doubling backoff, then marks the delivery failed", async () => {
+  await enqueue();
+  const { calls, fetch } = recordingFetch(500);
+  const sender = createAppWebhookSender({
+    storage,
+    fetch,
+    lookup: publicDns,
+    maxAttempts: 3
+  });
+  const get = () => storage.app_webhooks.get("order.paid:ord-1");
+
+  for (const [attempt, backoff] of [
+    [1, MINUTE_MS],
+    [2, 2 * MINUTE_MS]
+  ]) {
+    const before = Date.now();
+    assert.deepEqual(await sender.drain(), { delivered: 0, failed: 1 });
+    const delivery = await get();
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts, attempt);
+    assert.equal(delivery.last_status_code, 500);
+    assert.match(delivery.last_error, /answered 500/);
+    const wait = Date.parse(delivery.next_attempt_at) - before;
+    assert.ok(wait >= backoff && wait < backoff + 5000, `waits ${wait}ms`);
+
+    // Not due again until the backoff has passed
+    assert.deepEqual(await sender.drain(), { delivered: 0, failed: 0 });
+    await makeDue("order.paid:ord-1");
+  }
+
+  await sender.drain();
+  const delivery = await get();
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.next_attempt_at, null);
+  assert.equal(calls.length, 3);
+
+  assert.deepEqual(await sender.drain(), { delivered: 0, failed: 0 });
+});
+
+test("network errors are retried, and a later success delivers", async () => {
+  await enqueue();
+  let fail = true;
+  const sender = createAppWebhookSender({
+    storage,
+    lookup: publicDns,
+    fetch: async () => {
+      if (fail) throw new Error("connect ECONNREFUSED");
+      return { ok: true, status: 204 };
+    }
+  });
+
+  await sender.drain();
+  let delivery = await storage.app_webhooks.get("order.paid:ord-1");
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.last_status_code, null);
+  assert.match(delivery.last_error, /ECONNREFUSED/);
+
+  fail = false;
+  await makeDue("order.paid:ord-1");
+  assert.deepEqual(await sender.drain(), { delivered: 1, failed: 0 });
+  delivery = await storage.app_webhooks.get("order.paid:ord-1");
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.last_error, null);
+  assert.equal(delivery.last_status_code, 204);
+});
+
+test("a send left locked by a crashed worker is picked up again", async () => {
+  await enqueue();
+  await storage.app_webhooks.update("order.paid:ord-1", {
+    status: "sending",
+    attempts: 1,
+    locked_until: new Date(Date.now() + MINUTE_MS).toISOString()
+  });
+  const { calls, fetch } = recordingFetch();
+  const sender = createAppWebhookSender({ storage, fetch, lookup: publicDns });
+
+  assert.deepEqual(await sender.drain(), { delivered: 0, failed: 0 });
+
+  await storage.app_webhooks.update("order.paid:ord-1", {
+    locked_until: new Date(Date.now() - 1000).toISOString()
+  });
+  assert.deepEqual(await sender.drain(), { delivered: 1, failed: 0 });
+  assert.equal(calls.length, 1);
+  assert.equal(
+    (await storage.app_webhooks.get("order.paid:ord-1")).attempts,
+    2
+  );
+});
@@ -0,0 +1,181 @@
+// -----------------------------------------------
+// App registry — tenants of the order engine
+// -----------------------------------------------
+//
+// {
+//   "app": "LawAidAI",                    // the key; orders + catalog use it
+//   "product_name": "LawAidAI by iAscendAI",  // Stripe product names
+//   "api_key_hash": "<sha256 hex>" | null,
+//   "api_key_prefix": "ftk_Ab3x",         // shown to admins
+//   "api_key_created_at": ISO | null,
+//   "allowed_origins": ["https://lawaid.ai"],
+//   "success_url": "https://lawaid.ai/thanks?session_id={CHECKOUT_SESSION_ID}",
+//   "cancel_url": "https://lawaid.ai/pricing",
+//   "webhook_url": "https://lawaid.ai/hooks/fundtracker" | null,
+//   "webhook_secret": "whsec_...",
+//   "active": true
+// }
+//
+// Apps call /create-order with their key in X-App-Key. Only the hash is
+// stored; the key itself is shown once, when it is issued. Browsers may
+// only send it from allowed_origins. The webhook secret signs order
+// events (lib/app-webhooks.js), so it is kept as is. The backend POSTs
+// to webhook_url itself, so it must be a public https URL
+// (lib/private-address.js).
+
+import crypto from "crypto";
+import { isPrivateHost } from "./private-address.js";
+
+const APP_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const API_KEY_PREFIX = "ftk_";
+
+// Stripe fills this in with the session ID on the success URL
+export const CHECKOUT_SESSION_PLACEHOLDER = "{CHECKOUT_SESSION_ID}";
+
+export class AppRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AppRegistryError";
+  }
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// A new API key: { key, hash, prefix }. Store hash + prefix only.
+export function createApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  return {
+    key,
+    hash: hashApiKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 4)
+  };
+}
+
+export function createWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+// https URLs only, except on localhost for development
+function parseUrl(value, name, { allowPath = true } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new AppRegistryError(`${name} must be an absolute URL.`);
+  }
+  const local = ["localhost", "127.0.0.1"].includes(url.hostname);
+  if (url.protocol !== "https:" && !(local && url.protocol === "http:")) {
+    throw new AppRegistryError(`${name} must use https.`);
+  }
+  if (!allowPath && url.pathname !== "/") {
+    throw new AppRegistryError(`${name} must be an origin without a path.`);
+  }
+  return url;
+}
+
+// "https://LawAid.ai/" → "https://lawaid.ai"
+export function normalizeOrigin(value, name = "origin") {
+  return parseUrl(String(value).trim(), name, { allowPath: false }).origin;
+}
+
+// Kept as given: URL serialisation would escape {CHECKOUT_SESSION_ID}
+function optionalUrl(value, name) {
+  if (value === null || value === undefined || value === "") return null;
+  const url = String(value).trim();
+  parseUrl(url, name);
+  return url;
+}
+
+// No localhost exception here: the backend itself sends to this URL
+function webhookUrl(value) {
+  const url = optionalUrl(value, "webhook_url");
+  if (url === null) return null;
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:") {
+    throw new AppRegistryError("webhook_url must use https.");
+  }
+  if (isPrivateHost(hostname)) {
+    throw new AppRegistryError(
+      "webhook_url must not point to a private, loopback or link-local address."
+    );
+  }
+  return url;
+}
+
+/**
+ * Validate admin input into a full app record. `existing` is the stored
+ * record when updating; omitted fields keep their values and the name
+ * can't change. Keys and secrets are issued separately.
+ */
+export function normalizeAppRecord(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+  if (existing) merged.app = existing.app;
+
+  const name = typeof merged.app === "string" ? merged.app.trim() : "";
+  if (!APP_PATTERN.test(name)) {
+    throw new AppRegistryError(
+      "app must be 1–64 letters, digits, _ . or -, starting with a letter or digit."
+    );
+  }
+
+  const origins = merged.allowed_origins ?? [];
+  if (!Array.isArray(origins) || origins.some(o => typeof o !== "string")) {
+    throw new AppRegistryError("allowed_origins must be a list of origins.");
+  }
+
+  const productName =
+    typeof merged.product_name === "string" ? merged.product_name.trim() : "";
+  if (productName.length > 80) {
+    throw new AppRegistryError("product_name can be at most 80 characters.");
+  }
+
+  const now = new Date().toISOString();
+
+  return {
+    app: name,
+    product_name: productName || name,
+    api_key_hash: existing?.api_key_hash || null,
+    api_key_prefix: existing?.api_key_prefix || null,
+    api_key_created_at: existing?.api_key_created_at || null,
+    allowed_origins: [
+      ...new Set(origins.map(o => normalizeOrigin(o, "allowed_origins")))
+    ],
+    success_url: optionalUrl(merged.success_url, "success_url"),
+    cancel_url: optionalUrl(merged.cancel_url, "cancel_url"),
+    webhook_url: webhookUrl(merged.webhook_url),
+    webhook_secret: existing?.webhook_secret || createWebhookSecret(),
+    active: merged.active === undefined ? true : !!merged.active,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+}
+
+// The record without its key hash and webhook secret
+export function publicApp(record) {
+  const { api_key_hash, webhook_secret, ...rest } = record;
+  return { ...rest, has_api_key: !!api_key_hash };
+}
+
+export function originAllowed(record, origin) {
+  return (record.allowed_origins || []).includes(origin);
+}
+
+/**
+ * Checkout return URLs for an app's orders, falling back to `defaults`
+ * ({ success_url, cancel_url }). The success URL always carries the
+ * session ID.
+ */
+export function checkoutUrls(record, defaults) {
+  let successUrl = record?.success_url || defaults.success_url;
+  if (!successUrl.includes(CHECKOUT_SESSION_PLACEHOLDER)) {
+    successUrl +=
+      (successUrl.includes("?") ? "&" : "?") +
+      `session_id=${CHECKOUT_SESSION_PLACEHOLDER}`;
+  }
+  return {
+    success_url: successUrl,
+    cancel_url: record?.cancel_url || defaults.cancel_url
+  };
+}
@@ -0,0 +1,82 @@
+// -----------------------------------------------
+// Auth helpers — signed session tokens + one-time codes
+// -----------------------------------------------
+//
+// Session tokens are compact HS256 JWTs signed with SESSION_SECRET:
+//
+//   { sub: identity_id, sid: session_id, iat, exp }
+//
+// The signature proves we issued the token; the session record (looked up
+// by `sid`) is what makes logout and revocation possible.
+
+import crypto from "crypto";
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function signToken(payload, secret) {
+  const body = `${base64url(JSON.stringify(HEADER))}.${base64url(
+    JSON.stringify(payload)
+  )}`;
+  return `${body}.${hmac(body, secret)}`;
+}
+
+/**
+ * Returns the payload of a valid, unexpired token, or null.
+ */
+export function verifyToken(token, secret) {
+  if (typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = hmac(`${header}.${payload}`, secret);
+  const given = Buffer.from(signature);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, "base64url"));
+    if (decodedHeader.alg !== HEADER.alg) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url"));
+    if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// 6-digit code for typing in, e.g. "042917"
+export function generateLoginCode() {
+  return String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+}
+
+// Long random secret for magic links
+export function generateLinkSecret() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// Codes and link secrets are only ever stored hashed
+export function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+}
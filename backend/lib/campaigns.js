@@ -0,0 +1,194 @@
+// -----------------------------------------------
+// Campaigns — fundraising goals + attribution
+// -----------------------------------------------
+//
+// {
+//   "campaign_id": "cmp-...",
+//   "slug": "jamaica-we-rise",
+//   "title": "Jamaica We Rise",
+//   "description": "...",
+//   "app": "FundTrackerAI",          // owning app
+//   "goal_cents": 5000000,
+//   "currency": "usd",
+//   "start_date": "2025-01-01T00:00:00.000Z",
+//   "end_date": "2025-12-31T23:59:59.999Z" | null,
+//   "status": "draft" | "active" | "paused" | "ended"
+// }
+//
+// Donations and orders carry campaign_id (via Stripe metadata) so progress
+// is computed from the donations themselves.
+
+import crypto from "crypto";
+import { isKnownCurrency, normalizeCurrency } from "./currency.js";
+
+export const CAMPAIGN_STATUSES = ["draft", "active", "paused", "ended"];
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export class CampaignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CampaignError";
+  }
+}
+
+function parseCampaignDate(value, name) {
+  if (value === null || value === undefined || value === "") return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new CampaignError(`${name} must be an ISO date.`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validate admin input into a full campaign record. `existing` is the
+ * stored record when updating; omitted fields keep their values.
+ */
+export function normalizeCampaign(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const title = typeof merged.title === "string" ? merged.title.trim() : "";
+  const app =
+    typeof merged.app === "string" && merged.app.trim()
+      ? merged.app.trim()
+      : "FundTrackerAI";
+  const status = merged.status || "draft";
+  const currency = normalizeCurrency(String(merged.currency || "usd"));
+  const slug = merged.slug ? String(merged.slug).trim().toLowerCase() : null;
+
+  if (!title) throw new CampaignError("title is required.");
+  if (slug !== null && !SLUG_PATTERN.test(slug)) {
+    throw new CampaignError(
+      "slug may only contain lowercase letters, digits and dashes."
+    );
+  }
+  if (!Number.isInteger(merged.goal_cents) || merged.goal_cents <= 0) {
+    throw new CampaignError("goal_cents must be a positive integer.");
+  }
+  if (!isKnownCurrency(currency)) {
+    throw new CampaignError("currency must be a supported ISO currency code.");
+  }
+  if (!CAMPAIGN_STATUSES.includes(status)) {
+    throw new CampaignError(
+      `status must be one of ${CAMPAIGN_STATUSES.join(", ")}.`
+    );
+  }
+
+  const startDate =
+    parseCampaignDate(merged.start_date, "start_date") ||
+    existing?.start_date ||
+    new Date().toISOString();
+  const endDate = parseCampaignDate(merged.end_date, "end_date");
+
+  if (endDate && Date.parse(endDate) <= Date.parse(startDate)) {
+    throw new CampaignError("end_date must be after start_date.");
+  }
+
+  const now = new Date().toISOString();
+
+  return {
+    campaign_id: existing?.campaign_id || "cmp-" + crypto.randomUUID(),
+    slug,
+    title,
+    description:
+      typeof merged.description === "string" ? merged.description.trim() : "",
+    app,
+    goal_cents: merged.goal_cents,
+    currency,
+    start_date: startDate,
+    end_date: endDate,
+    status,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+}
+
+/**
+ * Can a new donation/order be attributed to this campaign right now?
+ * Returns null if so, or the reason it can't.
+ */
+export function campaignClosedReason(campaign, now = Date.now()) {
+  if (!campaign) return "Campaign not found.";
+  if (campaign.status !== "active")
+    return "Campaign is not accepting donations.";
+  if (Date.parse(campaign.start_date) > now)
+    return "Campaign has not started yet.";
+  if (campaign.end_date && Date.parse(campaign.end_date) < now) {
+    return "Campaign has ended.";
+  }
+  return null;
+}
+
+// The fields any visitor may see
+export function publicCampaign(campaign) {
+  return {
+    campaign_id: campaign.campaign_id,
+    slug: campaign.slug,
+    title: campaign.title,
+    description: campaign.description,
+    app: campaign.app,
+    goal_cents: campaign.goal_cents,
+    currency: campaign.currency,
+    start_date: campaign.start_date,
+    end_date: campaign.end_date,
+    status: campaign.status
+  };
+}
+
+/**
+ * Progress from the campaign's donations. Refunded amounts are taken out;
+ * donors are counted once per email. `amountOf(donation)` is the amount
+ * to count, or null when it's hidden: hidden gifts are left out of
+ * raised_cents and counted in hidden_amount_count. Gifts in another
+ * currency are converted to the campaign's with
+ * `convert(amount, from, to)` (minor units, null without a rate); ones
+ * that can't be are left out of raised_cents and counted in
+ * unconverted_count.
+ */
+export function campaignProgress(
+  campaign,
+  donations,
+  { amountOf = d => d.amount || 0, convert = null, now = Date.now() } = {}
+) {
+  const counted = donations.filter(d => d.refund_status !== "refunded");
+  const goalCurrency = campaign.currency || "usd";
+
+  let raised = 0;
+  let hidden = 0;
+  let unconverted = 0;
+  for (const d of counted) {
+    const gross = amountOf(d);
+    if (gross === null) {
+      hidden += 1;
+      continue;
+    }
+    const net = gross - Math.min(d.amount_refunded || 0, gross);
+    const from = d.currency || "usd";
+    const amount =
+      from === goalCurrency ? net : (convert?.(net, from, goalCurrency) ?? null);
+    if (amount === null) unconverted += 1;
+    else raised += amount;
+  }
+  const donors = new Set(
+    counted.map(d => (d.email || d.id || "").toLowerCase())
+  );
+
+  const msLeft = campaign.end_date ? Date.parse(campaign.end_date) - now : null;
+
+  return {
+    campaign_id: campaign.campaign_id,
+    title: campaign.title,
+    status: campaign.status,
+    currency: campaign.currency,
+    goal_cents: campaign.goal_cents,
+    raised_cents: raised,
+    percent_of_goal: Math.round((raised / campaign.goal_cents) * 1000) / 10,
+    donor_count: donors.size,
+    donation_count: counted.length,
+    hidden_amount_count: hidden,
+    unconverted_count: unconverted,
+    days_left:
+      msLeft === null ? null : Math.max(0, Math.ceil(msLeft / 86400000))
+  };
+}
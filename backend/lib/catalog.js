@@ -0,0 +1,246 @@
+// -----------------------------------------------
+// Product catalog — server-side SKUs and prices
+// -----------------------------------------------
+//
+// Every purchasable thing is a catalog item keyed by (app, sku):
+//
+// {
+//   "catalog_id": "LawAidAI:lawaid_basic_monthly",
+//   "app": "LawAidAI",
+//   "sku": "lawaid_basic_monthly",
+//   "label": "LawAidAI Basic",
+//   "type": "subscription" | "one_time",
+//   "interval": "month" | "year" | "week" | "day" | null,
+//   "currency": "usd",                 // lib/currency.js
+//   "price_cents": 999,                // minor units (whole yen for JPY)
+//   "active": true,
+//   "stripe_product_id": "prod_..." | null,
+//   "stripe_price_id": "price_..." | null
+// }
+//
+// Orders only send { sku, quantity }; prices always come from here.
+
+import { MAX_AMOUNT_MINOR, normalizeCurrency } from "./currency.js";
+
+export const ITEM_TYPES = ["one_time", "subscription"];
+export const SUBSCRIPTION_INTERVALS = ["day", "week", "month", "year"];
+
+const SKU_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/i;
+export const MAX_QUANTITY = 100;
+
+export class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CatalogError";
+  }
+}
+
+export function catalogId(app, sku) {
+  return `${app}:${sku}`;
+}
+
+/**
+ * Validate admin input and return a complete catalog record. `existing`
+ * is the stored record when updating; omitted fields keep their values.
+ * `currencies` is the list prices may use.
+ */
+export function normalizeCatalogItem(
+  input,
+  existing = null,
+  { currencies = ["usd"] } = {}
+) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  // app + sku are the key; they can't change on update
+  if (existing) {
+    merged.app = existing.app;
+    merged.sku = existing.sku;
+  }
+
+  const app = typeof merged.app === "string" ? merged.app.trim() : "";
+  const sku = typeof merged.sku === "string" ? merged.sku.trim() : "";
+  const label = typeof merged.label === "string" ? merged.label.trim() : "";
+  const type = merged.type || "one_time";
+  const currency = normalizeCurrency(String(merged.currency || "usd"));
+
+  if (!app) throw new CatalogError("app is required.");
+  if (!SKU_PATTERN.test(sku)) {
+    throw new CatalogError(
+      "sku is required and may only contain letters, digits, _ . and -."
+    );
+  }
+  if (!label) throw new CatalogError("label is required.");
+  if (!ITEM_TYPES.includes(type)) {
+    throw new CatalogError(`type must be one of ${ITEM_TYPES.join(", ")}.`);
+  }
+
+  let interval = null;
+  if (type === "subscription") {
+    interval = merged.interval;
+    if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+      throw new CatalogError(
+        `Subscription items need an interval of ${SUBSCRIPTION_INTERVALS.join(", ")}.`
+      );
+    }
+  }
+
+  if (!currencies.includes(currency)) {
+    throw new CatalogError(`currency must be one of ${currencies.join(", ")}.`);
+  }
+  if (
+    !Number.isInteger(merged.price_cents) ||
+    merged.price_cents <= 0 ||
+    merged.price_cents > MAX_AMOUNT_MINOR
+  ) {
+    throw new CatalogError(
+      `price_cents must be a whole number of minor units from 1 to ${MAX_AMOUNT_MINOR}.`
+    );
+  }
+
+  const now = new Date().toISOString();
+
+  return {
+    catalog_id: catalogId(app, sku),
+    app,
+    sku,
+    label,
+    type,
+    interval,
+    currency,
+    price_cents: merged.price_cents,
+    active: merged.active === undefined ? true : !!merged.active,
+    stripe_product_id: existing?.stripe_product_id || null,
+    stripe_price_id: existing?.stripe_price_id || null,
+    stripe_price_fingerprint: existing?.stripe_price_fingerprint || null,
+    stripe_synced_at: existing?.stripe_synced_at || null,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+}
+
+/**
+ * Turn client-requested items ([{ sku, quantity }]) into priced order
+ * items using the catalog. `lookup(app, sku)` returns a catalog record.
+ *
+ * Returns { items, total_amount_cents, currency }.
+ */
+export function priceOrderItems(app, requested, billingMode, lookup) {
+  const unknown = [];
+  const items = [];
+
+  for (const entry of requested) {
+    const sku = typeof entry === "string" ? entry : entry?.sku;
+    const quantity = entry?.quantity === undefined ? 1 : entry.quantity;
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      throw new CatalogError(
+        `quantity for ${sku || "item"} must be an integer between 1 and ${MAX_QUANTITY}.`
+      );
+    }
+
+    const product = sku ? lookup(app, sku) : null;
+    if (!product || !product.active) {
+      unknown.push(sku || "(missing sku)");
+      continue;
+    }
+
+    items.push({
+      sku: product.sku,
+      label: product.label,
+      type: product.type,
+      interval: product.interval,
+      currency: product.currency,
+      quantity,
+      unit_amount_cents: product.price_cents,
+      amount_cents: product.price_cents * quantity,
+      // Only reuse the Stripe Price if it was created for the current price
+      stripe_price_id:
+        product.stripe_price_fingerprint === priceFingerprint(product)
+          ? product.stripe_price_id
+          : null
+    });
+  }
+
+  if (unknown.length > 0) {
+    throw new CatalogError(`Unknown SKU for ${app}: ${unknown.join(", ")}.`);
+  }
+
+  const currencies = new Set(items.map(i => i.currency));
+  if (currencies.size > 1) {
+    throw new CatalogError("All items in an order must use the same currency.");
+  }
+
+  const hasSubscription = items.some(i => i.type === "subscription");
+  if (billingMode === "subscription" && !hasSubscription) {
+    throw new CatalogError(
+      "Subscription orders need at least one subscription item."
+    );
+  }
+  if (billingMode !== "subscription" && hasSubscription) {
+    throw new CatalogError(
+      'Subscription items need billing_mode "subscription".'
+    );
+  }
+
+  return {
+    items,
+    total_amount_cents: items.reduce((sum, i) => sum + i.amount_cents, 0),
+    currency: items[0]?.currency || "usd"
+  };
+}
+
+// What the current Stripe Price was created from; a new Price is needed
+// whenever any of these change (Stripe prices are immutable).
+function priceFingerprint(item) {
+  return [item.currency, item.price_cents, item.type, item.interval || ""].join(
+    "|"
+  );
+}
+
+/**
+ * Create/update the Stripe Product and Price for a catalog item, named
+ * after `brand` (the app's product_name). Resolves to the fields to store
+ * back on the catalog record.
+ */
+export async function syncCatalogItemToStripe(
+  stripe,
+  item,
+  { brand = item.app } = {}
+) {
+  const productFields = {
+    name: `${brand} — ${item.label}`,
+    active: item.active,
+    metadata: { app: item.app, sku: item.sku, catalog_id: item.catalog_id }
+  };
+
+  const product = item.stripe_product_id
+    ? await stripe.products.update(item.stripe_product_id, productFields)
+    : await stripe.products.create(productFields);
+
+  let priceId = item.stripe_price_id;
+  const fingerprint = priceFingerprint(item);
+
+  if (!priceId || item.stripe_price_fingerprint !== fingerprint) {
+    const price = await stripe.prices.create({
+      product: product.id,
+      currency: item.currency,
+      unit_amount: item.price_cents,
+      ...(item.type === "subscription"
+        ? { recurring: { interval: item.interval } }
+        : {}),
+      metadata: { app: item.app, sku: item.sku }
+    });
+
+    if (priceId) {
+      await stripe.prices.update(priceId, { active: false });
+    }
+    priceId = price.id;
+  }
+
+  return {
+    stripe_product_id: product.id,
+    stripe_price_id: priceId,
+    stripe_price_fingerprint: fingerprint,
+    stripe_synced_at: new Date().toISOString()
+  };
+}
@@ -0,0 +1,153 @@
+// -----------------------------------------------
+// Currencies — supported list, minor units, formatting + conversion
+// -----------------------------------------------
+//
+// Amounts are stored as integers in the currency's minor unit, the way
+// Stripe takes them: cents for USD/EUR, whole yen for JPY. Fields keep
+// their historic names (amount, total_amount_cents, price_cents, …) and
+// sit next to a lowercase ISO `currency`.
+//
+// SUPPORTED_CURRENCIES narrows the built-in table below (default: all of
+// it). Conversion is only for reporting; nothing is charged in a
+// converted amount. Rates come from CURRENCY_RATES as units of each
+// currency per one unit of REPORTING_CURRENCY:
+//
+//   REPORTING_CURRENCY=usd
+//   CURRENCY_RATES=eur:0.92,gbp:0.79,jpy:151.4
+
+// minor_units: decimal places; min_charge: Stripe's minimum, minor units
+export const CURRENCIES = {
+  usd: { minor_units: 2, min_charge: 50 },
+  eur: { minor_units: 2, min_charge: 50 },
+  gbp: { minor_units: 2, min_charge: 30 },
+  cad: { minor_units: 2, min_charge: 50 },
+  aud: { minor_units: 2, min_charge: 50 },
+  nzd: { minor_units: 2, min_charge: 50 },
+  chf: { minor_units: 2, min_charge: 50 },
+  sek: { minor_units: 2, min_charge: 300 },
+  nok: { minor_units: 2, min_charge: 300 },
+  dkk: { minor_units: 2, min_charge: 250 },
+  sgd: { minor_units: 2, min_charge: 50 },
+  hkd: { minor_units: 2, min_charge: 400 },
+  mxn: { minor_units: 2, min_charge: 1000 },
+  brl: { minor_units: 2, min_charge: 50 },
+  jpy: { minor_units: 0, min_charge: 50 }
+};
+
+export const DEFAULT_CURRENCY = "usd";
+
+// Stripe's largest amount for a single charge, in minor units
+export const MAX_AMOUNT_MINOR = 99999999;
+
+export class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CurrencyError";
+  }
+}
+
+export function normalizeCurrency(code) {
+  return typeof code === "string" ? code.trim().toLowerCase() : code;
+}
+
+export function isKnownCurrency(code) {
+  return Object.hasOwn(CURRENCIES, normalizeCurrency(code));
+}
+
+// Decimal places for `code`; unknown codes are treated like USD
+export function minorUnits(code) {
+  return CURRENCIES[normalizeCurrency(code)]?.minor_units ?? 2;
+}
+
+/**
+ * The smallest and largest amount one payment may have, in major units
+ * (dollars, yen): at least one whole unit and Stripe's minimum charge.
+ */
+export function amountLimits(code) {
+  const scale = 10 ** minorUnits(code);
+  const minCharge = CURRENCIES[normalizeCurrency(code)]?.min_charge ?? 50;
+  return {
+    min: Math.max(scale, minCharge) / scale,
+    max: MAX_AMOUNT_MINOR / scale
+  };
+}
+
+/**
+ * "usd,eur,jpy" → ["usd", "eur", "jpy"]. Unset means every currency in
+ * the table; unknown codes throw.
+ */
+export function parseSupportedCurrencies(value) {
+  if (!value || !value.trim()) return Object.keys(CURRENCIES);
+
+  const codes = value
+    .split(",")
+    .map(normalizeCurrency)
+    .filter(Boolean);
+  const unknown = codes.filter(c => !isKnownCurrency(c));
+  if (unknown.length) {
+    throw new CurrencyError(
+      `SUPPORTED_CURRENCIES has unknown currencies: ${unknown.join(", ")}.`
+    );
+  }
+  return [...new Set(codes)];
+}
+
+/**
+ * "eur:0.92,jpy:151.4" → { eur: 0.92, jpy: 151.4 }: units per one unit
+ * of the reporting currency.
+ */
+export function parseCurrencyRates(value) {
+  const rates = {};
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [code, rate] = entry.split(":").map(s => s.trim());
+    const number = Number(rate);
+    if (!isKnownCurrency(code) || !(number > 0)) {
+      throw new CurrencyError(
+        `CURRENCY_RATES entry "${entry.trim()}" must be <currency>:<positive rate>.`
+      );
+    }
+    rates[normalizeCurrency(code)] = number;
+  }
+  return rates;
+}
+
+/**
+ * createCurrencyConverter({ base, rates }) →
+ *   { base, rates, convert(amount, from, to), canConvert(from, to) }
+ *
+ * convert() takes and returns minor units, rounded to the nearest one,
+ * or null when a rate is missing.
+ */
+export function createCurrencyConverter({ base = DEFAULT_CURRENCY, rates = {} }) {
+  const table = { ...rates, [base]: 1 };
+  const rateOf = code => table[normalizeCurrency(code || base)] ?? null;
+
+  return {
+    base,
+    rates: table,
+
+    canConvert(from, to) {
+      return rateOf(from) !== null && rateOf(to) !== null;
+    },
+
+    convert(amount, from, to) {
+      from = normalizeCurrency(from || base);
+      to = normalizeCurrency(to || base);
+      if (from === to) return amount;
+      if (rateOf(from) === null || rateOf(to) === null) return null;
+
+      const major = amount / 10 ** minorUnits(from);
+      const converted = (major / rateOf(from)) * rateOf(to);
+      return Math.round(converted * 10 ** minorUnits(to));
+    }
+  };
+}
+
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const code = normalizeCurrency(currency) || DEFAULT_CURRENCY;
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: code.toUpperCase()
+  }).format((amount || 0) / 10 ** minorUnits(code));
+}
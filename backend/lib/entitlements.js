@@ -0,0 +1,185 @@
+// -----------------------------------------------
+// Entitlements — what an identity currently has, per app
+// -----------------------------------------------
+//
+// Computed from orders, never stored. An order linked to an identity
+// (order.identity_id, see lib/identity-links.js) grants each of its items:
+//
+//   one_time items      while the order is paid or partially_refunded;
+//                       they don't expire
+//   subscription items  while the subscription is active, trialing or
+//                       past_due, until current_period_end. Canceled
+//                       subscriptions grant nothing; cancel_at_period_end
+//                       ones run to the end of the period.
+//
+// Refunded and disputed orders grant nothing. Two orders for the same
+// app + SKU give one entitlement, from the order that lasts longest.
+//
+//   {
+//     "app": "LawAidAI",
+//     "sku": "lawaid_basic_monthly",
+//     "label": "LawAidAI Basic",
+//     "type": "subscription",
+//     "order_id": "ord-...",
+//     "granted_at": ISO,                 // when the order was paid
+//     "expires_at": ISO | null,          // null = doesn't expire
+//     "subscription_status": "active" | null,
+//     "cancel_at_period_end": false,
+//     "soulmark": "SM-..." | null
+//   }
+//
+// recordEntitlementChanges is a storage commit hook: when a transaction
+// changes what an identity has in an app, it queues an
+// "entitlement.updated" app webhook (lib/app-webhooks.js) with the full,
+// new list, so apps can cache it until the earliest expires_at.
+
+import crypto from "crypto";
+import { enqueueAppWebhook } from "./app-webhooks.js";
+import { resolveIdentity } from "./identity-links.js";
+import { orderPaidAt } from "./stats.js";
+
+// Orders whose one-time items are still owned
+const ENTITLED_ORDER_STATUSES = ["paid", "partially_refunded"];
+
+// Subscriptions that still grant access
+const LIVE_SUBSCRIPTION_STATUSES = ["active", "trialing", "past_due"];
+
+// expires_at as a number; Infinity for entitlements that don't expire
+function expiresAtMs(entitlement) {
+  return entitlement.expires_at === null
+    ? Infinity
+    : Date.parse(entitlement.expires_at);
+}
+
+function orderEntitlements(order, now) {
+  if (!ENTITLED_ORDER_STATUSES.includes(order.status)) return [];
+
+  const subscription = order.billing_mode === "subscription";
+  const live =
+    subscription &&
+    LIVE_SUBSCRIPTION_STATUSES.includes(order.subscription_status) &&
+    (!order.current_period_end || Date.parse(order.current_period_end) > now);
+
+  return (order.items || [])
+    .filter(item => item.type !== "subscription" || live)
+    .map(item => ({
+      app: order.app,
+      sku: item.sku,
+      label: item.label || item.sku,
+      type: item.type || "one_time",
+      order_id: order.order_id,
+      granted_at: orderPaidAt(order),
+      expires_at:
+        item.type === "subscription" ? order.current_period_end || null : null,
+      subscription_status:
+        item.type === "subscription" ? order.subscription_status : null,
+      cancel_at_period_end:
+        item.type === "subscription" && !!order.cancel_at_period_end,
+      soulmark: order.soulmark || null
+    }));
+}
+
+/**
+ * Active entitlements granted by `orders` at `now`, sorted by app and
+ * SKU. Pass only the orders of one identity.
+ */
+export function computeEntitlements(orders, { now = Date.now() } = {}) {
+  const best = new Map();
+  for (const order of orders) {
+    for (const entitlement of orderEntitlements(order, now)) {
+      const key = `${entitlement.app}\u0000${entitlement.sku}`;
+      const current = best.get(key);
+      if (!current || expiresAtMs(entitlement) > expiresAtMs(current)) {
+        best.set(key, entitlement);
+      }
+    }
+  }
+
+  return [...best.values()].sort(
+    (a, b) => a.app.localeCompare(b.app) || a.sku.localeCompare(b.sku)
+  );
+}
+
+/**
+ * Orders that belong to `identity` (following merges). Runs inside a
+ * storage transaction.
+ */
+export function identityOrders(tx, identity) {
+  return tx.orders.list(
+    o =>
+      !!o.identity_id &&
+      resolveIdentity(tx, o.identity_id)?.identity_id === identity.identity_id
+  );
+}
+
+// The identity_id an order counts for now, following merges
+function ownerOf(tx, order) {
+  return order?.identity_id
+    ? resolveIdentity(tx, order.identity_id)?.identity_id || null
+    : null;
+}
+
+// …and before the transaction. Merges move orders to the identity they
+// merge into, so the stored identity_id is the one they counted for.
+function previousOwnerOf(order) {
+  return order?.identity_id || null;
+}
+
+function sameEntitlements(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Storage commit hook: queue an "entitlement.updated" app webhook for
+ * every identity + app whose entitlements the transaction changed.
+ *
+ * The webhook carries { identity_id, app, entitlements }, the whole
+ * current list for that app (empty when the last one was revoked).
+ */
+export function recordEntitlementChanges(tx, changes) {
+  const orderChanges = changes.filter(c => c.collection === "orders");
+  if (!orderChanges.length) return;
+
+  // Every identity + app a changed order counted for, before or after
+  const affected = new Map();
+  const note = (identityId, order) => {
+    if (!identityId || !order.app) return;
+    affected.set(`${identityId}\u0000${order.app}`, {
+      identityId,
+      app: order.app
+    });
+  };
+  for (const { before, after } of orderChanges) {
+    note(previousOwnerOf(before), before);
+    note(ownerOf(tx, after), after);
+  }
+  if (!affected.size) return;
+
+  const now = Date.now();
+  const previous = new Map(orderChanges.map(c => [c.id, c.before]));
+
+  for (const { identityId, app } of affected.values()) {
+    const current = tx.orders.list(
+      o => o.app === app && ownerOf(tx, o) === identityId
+    );
+    // The same orders as they were before this transaction
+    const earlier = [
+      ...current.filter(o => !previous.has(o.order_id)),
+      ...[...previous.values()].filter(
+        o => o && o.app === app && previousOwnerOf(o) === identityId
+      )
+    ];
+
+    const entitlements = computeEntitlements(current, { now });
+    if (sameEntitlements(computeEntitlements(earlier, { now }), entitlements)) {
+      continue;
+    }
+
+    enqueueAppWebhook(tx, {
+      app,
+      key: `entitlement.updated:${crypto.randomUUID()}`,
+      type: "entitlement.updated",
+      data: { identity_id: identityId, app, entitlements }
+    });
+  }
+}
@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStorage } from "./storage/index.js";
+import { recordEntitlementChanges } from "./entitlements.js";
+
+let dir;
+let storage;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "entitlements-test-"));
+  storage = await openStorage({
+    backend: "file",
+    file: path.join(dir, "registry.json"),
+    commitHooks: [recordEntitlementChanges]
+  });
+  await storage.apps.insert({
+    app: "LawAidAI",
+    webhook_url: "https://hooks.lawaid.ai/fundtracker",
+    webhook_secret: "whsec_test",
+    active: true
+  });
+  await storage.identities.insert({
+    identity_id: "id-1",
+    email: "donor@example.com"
+  });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function order(fields) {
+  return {
+    order_id: "ord-1",
+    app: "LawAidAI",
+    identity_id: "id-1",
+    billing_mode: "one_time",
+    status: "pending_payment",
+    items: [{ sku: "guide", label: "Guide", type: "one_time" }],
+    created_at: "2025-01-01T00:00:00.000Z",
+    ...fields
+  };
+}
+
+const queued = () =>
+  storage.app_webhooks.list(d => d.type === "entitlement.updated");
+
+test("paying a linked order queues the new entitlement list", async () => {
+  await storage.orders.insert(order());
+  assert.deepEqual(await queued(), []);
+
+  await storage.orders.update("ord-1", { status: "paid" });
+
+  const [delivery, ...rest] = await queued();
+  assert.equal(rest.length, 0);
+  assert.match(delivery.delivery_id, /^entitlement\.updated:/);
+  assert.equal(delivery.app, "LawAidAI");
+  assert.equal(delivery.url, "https://hooks.lawaid.ai/fundtracker");
+  const { identity_id, app, entitlements } = delivery.payload.data;
+  assert.deepEqual(
+    [identity_id, app, entitlements.map(e => [e.sku, e.expires_at])],
+    ["id-1", "LawAidAI", [["guide", null]]]
+  );
+});
+
+test("changes that don't alter entitlements queue nothing", async () => {
+  await storage.orders.insert(order({ status: "paid" }));
+  const before = (await queued()).length;
+
+  await storage.orders.update("ord-1", { note: "support ticket 42" });
+  await storage.orders.update("ord-1", { status: "partially_refunded" });
+
+  assert.equal((await queued()).length, before);
+});
+
+test("a refund queues an empty list", async () => {
+  await storage.orders.insert(order({ status: "paid" }));
+  await storage.orders.update("ord-1", { status: "refunded" });
+
+  const latest = (await queued()).at(-1);
+  assert.deepEqual(latest.payload.data.entitlements, []);
+});
+
+test("orders without an identity notify nobody", async () => {
+  await storage.orders.insert(order({ identity_id: null, status: "paid" }));
+  assert.deepEqual(await queued(), []);
+});
+
+test("moving an order between identities notifies both", async () => {
+  await storage.identities.insert({
+    identity_id: "id-2",
+    email: "other@example.com"
+  });
+  await storage.orders.insert(order({ status: "paid" }));
+  const before = (await queued()).length;
+
+  await storage.orders.update("ord-1", { identity_id: "id-2" });
+
+  const updates = (await queued()).slice(before).map(d => d.payload.data);
+  assert.deepEqual(
+    updates
+      .map(u => [u.identity_id, u.entitlements.length])
+      .sort((a, b) => a[0].localeCompare(b[0])),
+    [
+      ["id-1", 0],
+      ["id-2", 1]
+    ]
+  );
+});
+
+test("subscriptions grant until the period ends, then lapse", async () => {
+  const periodEnd = new Date(Date.now() + 30 * 86400000).toISOString();
+  await storage.orders.insert(
+    order({
+      billing_mode: "subscription",
+      status: "paid",
+      subscription_status: "active",
+      current_period_end: periodEnd,
+      items: [{ sku: "basic", type: "subscription", interval: "month" }]
+    })
+  );
+  const [granted] = (await queued()).at(-1).payload.data.entitlements;
+  assert.equal(granted.expires_at, periodEnd);
+
+  await storage.orders.update("ord-1", { subscription_status: "canceled" });
+  assert.deepEqual((await queued()).at(-1).payload.data.entitlements, []);
+});
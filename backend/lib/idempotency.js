@@ -0,0 +1,150 @@
+// -----------------------------------------------
+// Idempotency-Key support for POST routes
+// -----------------------------------------------
+//
+//   app.post("/create-order", idempotency("create-order"), handler);
+//
+// A client that sends "Idempotency-Key: <unique string>" can retry the
+// request safely: the first response (status + JSON body) is stored in
+// the idempotency_keys collection and replayed, with an
+// "Idempotent-Replayed: true" header, for every retry with the same key.
+// Requests without the header are handled as before.
+//
+//   - reusing a key with a different body → 422
+//   - retrying while the first request is still running → 409
+//   - 5xx responses aren't stored, so the client can retry them
+//
+// Keys are scoped per route (and per app, where the scope is a function
+// of the request) and expire after `ttlMs`.
+
+import crypto from "crypto";
+
+const MAX_KEY_LENGTH = 255;
+// An in-progress claim older than this is from a crashed request
+const IN_PROGRESS_MS = 60 * 1000;
+
+function requestHash(body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body ?? null))
+    .digest("hex");
+}
+
+/**
+ * createIdempotency({ storage, ttlMs }) → { middleware(scope), sweep() }
+ *
+ * `scope` is a string or (req) => string.
+ */
+export function createIdempotency({ storage, ttlMs }) {
+  function claim(id, hash, now) {
+    return storage.transaction(tx => {
+      const existing = tx.idempotency_keys.get(id);
+      const expired =
+        existing &&
+        (Date.parse(existing.expires_at) <= now ||
+          (existing.status === "in_progress" &&
+            Date.parse(existing.started_at) + IN_PROGRESS_MS <= now));
+
+      if (existing && !expired) return existing;
+
+      tx.idempotency_keys.upsert({
+        idempotency_id: id,
+        request_hash: hash,
+        status: "in_progress",
+        started_at: new Date(now).toISOString(),
+        expires_at: new Date(now + ttlMs).toISOString()
+      });
+      return null;
+    });
+  }
+
+  function finish(id, status, body) {
+    const write =
+      status >= 500
+        ? storage.idempotency_keys.remove(id)
+        : storage.idempotency_keys.update(id, {
+            status: "completed",
+            response_status: status,
+            response_body: body,
+            completed_at: new Date().toISOString()
+          });
+    return write.catch(err => console.error("IDEMPOTENCY WRITE ERROR:", err));
+  }
+
+  function middleware(scope) {
+    return async (req, res, next) => {
+      const key = req.get("Idempotency-Key");
+      if (key === undefined) return next();
+
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters.`
+        });
+      }
+
+      const id = `${typeof scope === "function" ? scope(req) : scope}:${key}`;
+      const hash = requestHash(req.body);
+
+      let existing;
+      try {
+        existing = await claim(id, hash, Date.now());
+      } catch (err) {
+        console.error("IDEMPOTENCY ERROR:", err);
+        return res
+          .status(500)
+          .json({ success: false, message: "Request failed." });
+      }
+
+      if (existing) {
+        if (existing.request_hash !== hash) {
+          return res.status(422).json({
+            success: false,
+            message:
+              "This Idempotency-Key was already used with a different request."
+          });
+        }
+        if (existing.status === "in_progress") {
+          return res.status(409).json({
+            success: false,
+            message:
+              "A request with this Idempotency-Key is still being processed."
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // Capture the JSON response so retries can replay it
+      const json = res.json.bind(res);
+      let recorded = false;
+      res.json = body => {
+        if (!recorded) {
+          recorded = true;
+          finish(id, res.statusCode, body);
+        }
+        return json(body);
+      };
+      // A handler that never answers with JSON releases the key
+      res.on("finish", () => {
+        if (!recorded) finish(id, 500, null);
+      });
+      next();
+    };
+  }
+
+  // Drop expired keys; called periodically by the server
+  async function sweep() {
+    const now = Date.now();
+    const expired = await storage.idempotency_keys.list(
+      k => Date.parse(k.expires_at) <= now
+    );
+    if (!expired.length) return 0;
+    await storage.transaction(tx => {
+      for (const k of expired) tx.idempotency_keys.remove(k.idempotency_id);
+    });
+    return expired.length;
+  }
+
+  return { middleware, sweep };
+}
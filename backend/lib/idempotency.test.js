@@ -0,0 +1,106 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { openStorage } from "./storage/index.js";
+import { createIdempotency } from "./idempotency.js";
+
+let dir;
+let server;
+let url;
+let storage;
+let calls = 0;
+let release = null;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "idempotency-test-"));
+  storage = await openStorage({
+    backend: "file",
+    file: path.join(dir, "registry.json")
+  });
+  const idempotency = createIdempotency({ storage, ttlMs: 60 * 1000 });
+
+  const app = express();
+  app.use(express.json());
+  app.post("/charge", idempotency.middleware("charge"), async (req, res) => {
+    calls += 1;
+    if (req.body.wait) await new Promise(resolve => (release = resolve));
+    if (req.body.fail) return res.status(502).json({ success: false });
+    res.status(201).json({ success: true, call: calls });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}/charge`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function charge(body, key) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(key !== undefined && { "idempotency-key": key })
+    },
+    body: JSON.stringify(body)
+  });
+  return {
+    status: res.status,
+    replayed: res.headers.get("idempotent-replayed"),
+    body: await res.json()
+  };
+}
+
+test("replays the first response for a retried key", async () => {
+  const first = await charge({ amount: 5 }, "key-1");
+  const retry = await charge({ amount: 5 }, "key-1");
+
+  assert.equal(first.status, 201);
+  assert.deepEqual(retry, { ...first, replayed: "true" });
+  assert.equal(calls, 1);
+});
+
+test("rejects a reused key with a different body", async () => {
+  const res = await charge({ amount: 6 }, "key-1");
+  assert.equal(res.status, 422);
+});
+
+test("answers 409 while the first request is still running", async () => {
+  const first = charge({ amount: 1, wait: true }, "key-slow");
+  while (!release) await new Promise(resolve => setTimeout(resolve, 10));
+
+  const during = await charge({ amount: 1, wait: true }, "key-slow");
+  release();
+  assert.equal(during.status, 409);
+  assert.equal((await first).status, 201);
+});
+
+test("doesn't store 5xx responses, so they can be retried", async () => {
+  const before = calls;
+  await charge({ fail: true }, "key-fail");
+  await charge({ fail: true }, "key-fail");
+
+  assert.equal(calls, before + 2);
+  // Queued behind the write finish() started before responding
+  const stored = await storage.transaction(tx =>
+    tx.idempotency_keys.get("charge:key-fail")
+  );
+  assert.equal(stored, null);
+});
+
+test("requests without the header are handled every time", async () => {
+  const before = calls;
+  await charge({ amount: 5 });
+  await charge({ amount: 5 });
+  assert.equal(calls, before + 2);
+
+  const empty = await charge({ amount: 5 }, "");
+  assert.equal(empty.status, 400);
+});
@@ -0,0 +1,106 @@
+// -----------------------------------------------
+// Identity links — which iAscendAi identity a donation belongs to
+// -----------------------------------------------
+//
+// A linked donation has donation.identity_id set and its SoulMarkⓈ listed
+// in identity.soulmarks (migration 001 backfilled both). New donations are
+// linked when they are paid:
+//
+//   1. to the identity that was signed in at checkout
+//      (session metadata.identity_id, or the order's identity_id)
+//   2. otherwise to the identity with a verified email matching the
+//      donor's email
+//
+// An identity's email counts as verified once a sign-in code or link sent
+// to it has been used (identity.email_verified_at). alternate_emails are
+// added by an admin merge or a verified SoulMarkⓈ claim, so they count
+// too. Links follow merged identities to the one they were merged into.
+//
+// Everything here runs inside a storage transaction.
+
+// The identity `identityId` ended up as, following merges
+export function resolveIdentity(tx, identityId) {
+  let identity = identityId ? tx.identities.get(identityId) : null;
+  const seen = new Set();
+  while (identity?.merged_into && !seen.has(identity.identity_id)) {
+    seen.add(identity.identity_id);
+    identity = tx.identities.get(identity.merged_into);
+  }
+  return identity || null;
+}
+
+export function verifiedEmails(identity) {
+  return [
+    identity.email_verified_at ? identity.email : null,
+    ...(identity.alternate_emails || [])
+  ]
+    .filter(Boolean)
+    .map(e => e.toLowerCase());
+}
+
+export function findIdentityByVerifiedEmail(tx, email) {
+  if (!email) return null;
+  const canonical = email.toLowerCase();
+  return (
+    tx.identities.find(
+      i =>
+        !i.merged_into && !i.disabled && verifiedEmails(i).includes(canonical)
+    ) || null
+  );
+}
+
+/**
+ * The identity a payment should be linked to, or null: the signed-in
+ * identity (if it is still active), else a verified email match.
+ */
+export function identityForPayment(tx, { identityId = null, email }) {
+  const signedIn = resolveIdentity(tx, identityId);
+  if (signedIn && !signedIn.disabled) return signedIn;
+  return findIdentityByVerifiedEmail(tx, email);
+}
+
+/**
+ * Link donation `donationId` to `identity` and list its SoulMarkⓈ on the
+ * identity (and the identity on its order). Safe to repeat. Returns the
+ * updated donation.
+ */
+export function linkDonation(tx, donationId, identity) {
+  const donation = tx.donations.update(donationId, {
+    identity_id: identity.identity_id,
+    username_created: true,
+    identity_username: identity.username || null
+  });
+  if (!donation) return null;
+
+  if (donation.soulmark) {
+    tx.identities.update(identity.identity_id, i => {
+      if (!(i.soulmarks || []).includes(donation.soulmark)) {
+        i.soulmarks = [...(i.soulmarks || []), donation.soulmark];
+      }
+    });
+  }
+  if (donation.order_id) {
+    tx.orders.update(donation.order_id, o => {
+      o.identity_id = o.identity_id || identity.identity_id;
+    });
+  }
+  return donation;
+}
+
+/**
+ * Link every donation made with `email` that isn't linked to an identity
+ * yet. Used when an identity verifies an email. Returns the linked
+ * donations.
+ */
+export function linkDonationsByEmail(tx, identity, email) {
+  const canonical = (email || "").toLowerCase();
+  if (!canonical) return [];
+
+  return tx.donations
+    .list(
+      d =>
+        (d.email || "").toLowerCase() === canonical &&
+        !resolveIdentity(tx, d.identity_id)
+    )
+    .map(d => linkDonation(tx, d.id, identity));
+}
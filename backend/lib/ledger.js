@@ -0,0 +1,497 @@
+// -----------------------------------------------
+// SoulRegistry ledger — hash-chained log of registry changes
+// -----------------------------------------------
+//
+// Every write to donations, orders and identities appends an entry to the
+// `ledger` collection, in the same transaction (recordLedgerChanges is a
+// storage commit hook, see lib/storage/index.js):
+//
+//   { seq, at, type, collection, record_id, record_hash, data,
+//     prev_hash, hash }
+//
+//   record_hash = sha256(canonical JSON of the record after the change)
+//   hash        = sha256(canonical JSON of the entry without `hash`)
+//
+// prev_hash is the previous entry's hash (GENESIS_HASH for the first), so
+// editing or dropping any entry breaks every link after it. Because each
+// entry also fingerprints the record it describes, a record edited
+// outside the backend (straight in registry.json) no longer matches its
+// latest entry.
+//
+// Checkpoints sign the head of the chain with the SoulMarkⓈ key
+// (lib/soulmark.js), so even a rewritten chain can't match them without
+// the private key:
+//
+//   { checkpoint_id, seq, hash, at, key_id, signature }
+//
+// The latest checkpoint is also exported to a file outside the registry
+// (exportHead, LEDGER_HEAD_FILE). Checkpoints stored in the registry can
+// be deleted along with the entries they cover; the exported copy is out
+// of reach of anyone who can only edit the registry.
+//
+// verifyLedger() checks all of it: links, checkpoints, the exported head
+// and records.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { canonicalJson } from "./soulmark.js";
+import { COLLECTIONS } from "./storage/index.js";
+
+export const LEDGER_COLLECTIONS = ["donations", "orders", "identities"];
+export const GENESIS_HASH = "0".repeat(64);
+
+const HEAD_COUNTER = "ledger_head";
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Records are hashed as stored: undefined fields dropped, like JSON does
+function stored(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+export function recordHash(record) {
+  return record ? sha256(canonicalJson(stored(record))) : null;
+}
+
+export function entryHash(entry) {
+  const { hash, ...body } = entry;
+  return sha256(canonicalJson(stored(body)));
+}
+
+// Top-level fields that differ between two versions of a record
+function changedFields(before, after) {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {})
+  ]);
+  return [...keys]
+    .filter(
+      k =>
+        canonicalJson(stored(before?.[k])) !== canonicalJson(stored(after?.[k]))
+    )
+    .sort();
+}
+
+function describeDonation(before, after) {
+  if (!before) {
+    return {
+      type: "donation.recorded",
+      data: {
+        soulmark: after.soulmark || null,
+        amount: after.amount,
+        currency: after.currency || "usd"
+      }
+    };
+  }
+  if (!after) return { type: "donation.removed", data: {} };
+  return {
+    type: "donation.updated",
+    data: { fields: changedFields(before, after) }
+  };
+}
+
+function describeOrder(before, after) {
+  if (!before) {
+    return {
+      type: "order.created",
+      data: { app: after.app, status: after.status }
+    };
+  }
+  if (!after) return { type: "order.removed", data: {} };
+  if (before.status !== after.status) {
+    const last = (after.status_history || []).at(-1);
+    return {
+      type: "order.status_changed",
+      data: {
+        from: before.status,
+        to: after.status,
+        reason: last?.to === after.status ? last.reason || null : null
+      }
+    };
+  }
+  return {
+    type: "order.updated",
+    data: { fields: changedFields(before, after) }
+  };
+}
+
+function describeIdentity(before, after) {
+  if (!before) {
+    return { type: "identity.created", data: { username: after.username } };
+  }
+  if (!after) return { type: "identity.removed", data: {} };
+  if (after.merged_into && !before.merged_into) {
+    return { type: "identity.merged", data: { into: after.merged_into } };
+  }
+  if (!!after.disabled !== !!before.disabled) {
+    return {
+      type: after.disabled ? "identity.disabled" : "identity.enabled",
+      data: {}
+    };
+  }
+  if ((after.admin_role || null) !== (before.admin_role || null)) {
+    return {
+      type: "identity.role_changed",
+      data: { from: before.admin_role || null, to: after.admin_role || null }
+    };
+  }
+  if (after.email_verified_at && !before.email_verified_at) {
+    return { type: "identity.email_verified", data: {} };
+  }
+  const added = (after.soulmarks || []).filter(
+    s => !(before.soulmarks || []).includes(s)
+  );
+  if (added.length) {
+    return { type: "identity.soulmarks_linked", data: { soulmarks: added } };
+  }
+  return {
+    type: "identity.updated",
+    data: { fields: changedFields(before, after) }
+  };
+}
+
+const DESCRIBE = {
+  donations: describeDonation,
+  orders: describeOrder,
+  identities: describeIdentity
+};
+
+/**
+ * Append one entry (inside a transaction) and move the head. Returns the
+ * entry.
+ */
+export function appendLedgerEntry(
+  tx,
+  { type, collection = null, recordId = null, record = null, data = {} }
+) {
+  const head = tx.counters.get(HEAD_COUNTER);
+  const at = new Date().toISOString();
+
+  const entry = stored({
+    seq: (head?.value || 0) + 1,
+    at,
+    type,
+    collection,
+    record_id: recordId,
+    record_hash: recordHash(record),
+    data,
+    prev_hash: head?.hash || GENESIS_HASH
+  });
+  entry.hash = entryHash(entry);
+
+  tx.ledger.insert(entry);
+  tx.counters.upsert({
+    counter_id: HEAD_COUNTER,
+    value: entry.seq,
+    hash: entry.hash,
+    updated_at: at
+  });
+  return entry;
+}
+
+/**
+ * Storage commit hook: one ledger entry per donation, order or identity
+ * the transaction actually changed.
+ */
+export function recordLedgerChanges(tx, changes) {
+  for (const { collection, id, before, after } of changes) {
+    const describe = DESCRIBE[collection];
+    if (!describe) continue;
+    if (recordHash(before) === recordHash(after)) continue;
+
+    const { type, data } = describe(before, after);
+    appendLedgerEntry(tx, {
+      type,
+      collection,
+      recordId: id,
+      record: after,
+      data
+    });
+  }
+}
+
+export function ledgerHead(tx) {
+  const head = tx.counters.get(HEAD_COUNTER);
+  return { seq: head?.value || 0, hash: head?.hash || GENESIS_HASH };
+}
+
+function checkpointMessage(checkpoint) {
+  const { seq, hash, at, key_id } = checkpoint;
+  return Buffer.from(canonicalJson({ seq, hash, at, key_id }));
+}
+
+/**
+ * Sign the current head (inside a transaction). Returns the new
+ * checkpoint, or null if the head hasn't moved since the last one.
+ */
+export function createCheckpoint(tx, keys) {
+  const { seq, hash } = ledgerHead(tx);
+  if (!seq || tx.ledger_checkpoints.get(`ckp-${seq}`)) return null;
+
+  const checkpoint = {
+    checkpoint_id: `ckp-${seq}`,
+    seq,
+    hash,
+    at: new Date().toISOString(),
+    key_id: keys.keyId
+  };
+  checkpoint.signature = crypto
+    .sign(null, checkpointMessage(checkpoint), keys.privateKey)
+    .toString("base64url");
+
+  return tx.ledger_checkpoints.insert(checkpoint);
+}
+
+// The checkpoint for the current head, if it has been signed
+export function headCheckpoint(tx) {
+  const { seq } = ledgerHead(tx);
+  return seq ? tx.ledger_checkpoints.get(`ckp-${seq}`) : null;
+}
+
+/**
+ * Write `checkpoint` to `file` (temp file + rename, so a reader never sees
+ * half of it).
+ */
+export function exportHead(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * The checkpoint exportHead() wrote to `file`; null if there is none yet,
+ * { unreadable: true } if it isn't valid JSON.
+ */
+export function readExportedHead(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return { unreadable: true };
+  }
+}
+
+function checkpointSignatureOk(checkpoint, publicKey) {
+  try {
+    return crypto.verify(
+      null,
+      checkpointMessage(checkpoint),
+      publicKey,
+      Buffer.from(checkpoint.signature || "", "base64url")
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Recompute the chain and compare it with the checkpoints and the current
+ * records.
+ *
+ *   entries      every ledger entry
+ *   checkpoints  every checkpoint
+ *   records      { donations: [...], orders: [...], identities: [...] }
+ *   keyFields    collection → primary key field (default: storage COLLECTIONS)
+ *   head         the stored head counter ({ seq, hash }), if any
+ *   exportedHead the checkpoint read from LEDGER_HEAD_FILE, if any
+ *   publicKey    SoulMarkⓈ public key (KeyObject or PEM), with its keyId;
+ *                without it checkpoint signatures aren't checked
+ *
+ * Returns { valid, entries, head, first_broken, checkpoints,
+ * exported_head, records }. first_broken is the first bad link:
+ * { seq, reason, expected, actual } with reason missing_entry |
+ * entry_modified | broken_link | head_mismatch. exported_head is null
+ * without a file, else { seq, hash, at, issue }.
+ */
+export function verifyLedger({
+  entries,
+  checkpoints = [],
+  records = {},
+  keyFields = COLLECTIONS,
+  head = null,
+  exportedHead = null,
+  publicKey = null,
+  keyId = null
+}) {
+  const chain = [...entries].sort((a, b) => a.seq - b.seq);
+  let firstBroken = null;
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < chain.length && !firstBroken; i++) {
+    const entry = chain[i];
+    const recomputed = entryHash(entry);
+    if (entry.seq !== i + 1) {
+      firstBroken = {
+        seq: i + 1,
+        reason: "missing_entry",
+        expected: i + 1,
+        actual: entry.seq
+      };
+    } else if (recomputed !== entry.hash) {
+      firstBroken = {
+        seq: entry.seq,
+        reason: "entry_modified",
+        expected: recomputed,
+        actual: entry.hash
+      };
+    } else if (entry.prev_hash !== prevHash) {
+      firstBroken = {
+        seq: entry.seq,
+        reason: "broken_link",
+        expected: prevHash,
+        actual: entry.prev_hash
+      };
+    }
+    prevHash = entry.hash;
+  }
+
+  const last = chain.at(-1);
+  const chainHead = { seq: last?.seq || 0, hash: last?.hash || GENESIS_HASH };
+  if (
+    !firstBroken &&
+    head &&
+    (head.seq !== chainHead.seq || head.hash !== chainHead.hash)
+  ) {
+    firstBroken = {
+      seq: Math.min(head.seq, chainHead.seq) + 1,
+      reason: "head_mismatch",
+      expected: head,
+      actual: chainHead
+    };
+  }
+
+  // Checkpoints: signed by our key, and still matching the chain
+  const bySeq = new Map(chain.map(e => [e.seq, e]));
+  const checkpointIssue = checkpoint => {
+    if (publicKey && checkpoint.key_id !== keyId) return "unknown_key";
+    if (publicKey && !checkpointSignatureOk(checkpoint, publicKey)) {
+      return "bad_signature";
+    }
+    if (!bySeq.has(checkpoint.seq)) return "missing_entry";
+    if (bySeq.get(checkpoint.seq).hash !== checkpoint.hash) {
+      return "hash_mismatch";
+    }
+    return null;
+  };
+
+  const checkpointIssues = [];
+  for (const checkpoint of checkpoints) {
+    const reason = checkpointIssue(checkpoint);
+    if (reason) {
+      checkpointIssues.push({
+        checkpoint_id: checkpoint.checkpoint_id,
+        seq: checkpoint.seq,
+        reason
+      });
+    }
+  }
+
+  // Records: each must match the fingerprint in its latest entry
+  const latest = new Map();
+  for (const entry of chain) {
+    if (entry.collection) {
+      latest.set(`${entry.collection}:${entry.record_id}`, entry);
+    }
+  }
+
+  const recordIssues = [];
+  let recordsChecked = 0;
+  const present = new Set();
+  for (const collection of LEDGER_COLLECTIONS) {
+    const key = keyFields[collection];
+    for (const record of records[collection] || []) {
+      recordsChecked += 1;
+      const id = String(record[key]);
+      present.add(`${collection}:${id}`);
+      const entry = latest.get(`${collection}:${id}`);
+      if (!entry) {
+        recordIssues.push({ collection, id, reason: "not_in_ledger" });
+      } else if (entry.record_hash !== recordHash(record)) {
+        recordIssues.push({
+          collection,
+          id,
+          reason: "modified",
+          seq: entry.seq
+        });
+      }
+    }
+  }
+  for (const [ref, entry] of latest) {
+    if (entry.record_hash && !present.has(ref)) {
+      recordIssues.push({
+        collection: entry.collection,
+        id: entry.record_id,
+        reason: "missing",
+        seq: entry.seq
+      });
+    }
+  }
+
+  // The exported head: a chain rolled back or rewritten since it was
+  // written has lost (or changed) its entry
+  const exported = exportedHead && {
+    seq: exportedHead.seq ?? null,
+    hash: exportedHead.hash ?? null,
+    at: exportedHead.at ?? null,
+    issue: exportedHead.unreadable
+      ? "unreadable"
+      : checkpointIssue(exportedHead)
+  };
+
+  const latestCheckpoint = [...checkpoints].sort((a, b) => b.seq - a.seq)[0];
+  return {
+    valid:
+      !firstBroken &&
+      !checkpointIssues.length &&
+      !exported?.issue &&
+      !recordIssues.length,
+    entries: chain.length,
+    head: chainHead,
+    first_broken: firstBroken,
+    checkpoints: {
+      count: checkpoints.length,
+      signatures_checked: !!publicKey,
+      latest: latestCheckpoint
+        ? {
+            seq: latestCheckpoint.seq,
+            hash: latestCheckpoint.hash,
+            at: latestCheckpoint.at
+          }
+        : null,
+      issues: checkpointIssues
+    },
+    exported_head: exported || null,
+    records: { checked: recordsChecked, issues: recordIssues }
+  };
+}
+
+/**
+ * verifyLedger() over a raw storage snapshot (storage.snapshot()), as the
+ * server route and scripts/verify-ledger.js use it. `keys` is
+ * { publicKey, keyId } or null; `exportedHead` is readExportedHead()'s
+ * result.
+ */
+export function verifySnapshot(doc, keys = null, exportedHead = null) {
+  const head = (doc.counters || []).find(c => c.counter_id === HEAD_COUNTER);
+  return verifyLedger({
+    entries: doc.ledger || [],
+    checkpoints: doc.ledger_checkpoints || [],
+    records: Object.fromEntries(
+      LEDGER_COLLECTIONS.map(name => [name, doc[name] || []])
+    ),
+    head: head ? { seq: head.value, hash: head.hash } : null,
+    exportedHead,
+    publicKey: keys?.publicKey || null,
+    keyId: keys?.keyId || null
+  });
+}
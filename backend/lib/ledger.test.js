@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStorage } from "./storage/index.js";
+import { loadSigningKey } from "./soulmark.js";
+import {
+  createCheckpoint,
+  exportHead,
+  headCheckpoint,
+  readExportedHead,
+  recordLedgerChanges,
+  verifySnapshot
+} from "./ledger.js";
+
+let dir;
+let storage;
+let keys;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+  storage = await openStorage({
+    backend: "file",
+    file: path.join(dir, "registry.json"),
+    commitHooks: [recordLedgerChanges]
+  });
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  keys = loadSigningKey({
+    pem: privateKey.export({ format: "pem", type: "pkcs8" })
+  });
+
+  await storage.donations.insert({ id: "d1", amount: 100 });
+  await storage.orders.insert({ order_id: "o1", status: "pending_payment" });
+  await storage.orders.update("o1", { status: "paid" });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const verify = (doc = storage.snapshot(), exported = null) =>
+  verifySnapshot(doc, keys, exported);
+
+test("a chain written through storage verifies", async () => {
+  await storage.transaction(tx => createCheckpoint(tx, keys));
+  const report = verify();
+
+  assert.equal(report.valid, true);
+  assert.equal(report.entries, 3);
+  assert.deepEqual(
+    storage.snapshot().ledger.map(e => e.type),
+    ["donation.recorded", "order.created", "order.status_changed"]
+  );
+  assert.equal(report.checkpoints.latest.seq, 3);
+});
+
+test("reports the first broken link", () => {
+  const edited = storage.snapshot();
+  edited.ledger[1].data.status = "paid";
+  assert.equal(verify(edited).first_broken.reason, "entry_modified");
+  assert.equal(verify(edited).first_broken.seq, 2);
+
+  const dropped = storage.snapshot();
+  dropped.ledger.splice(1, 1);
+  assert.equal(verify(dropped).first_broken.reason, "missing_entry");
+});
+
+test("catches records edited outside the backend", () => {
+  const doc = storage.snapshot();
+  doc.donations[0].amount = 1;
+
+  const report = verify(doc);
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.records.issues, [
+    { collection: "donations", id: "d1", reason: "modified", seq: 1 }
+  ]);
+});
+
+test("rejects checkpoints not signed with our key", async () => {
+  const other = loadSigningKey({
+    pem: crypto
+      .generateKeyPairSync("ed25519")
+      .privateKey.export({ format: "pem", type: "pkcs8" })
+  });
+  await storage.transaction(tx => createCheckpoint(tx, other));
+
+  assert.equal(verify().checkpoints.issues[0].reason, "unknown_key");
+});
+
+test("the exported head catches a rolled-back registry", async () => {
+  const file = path.join(dir, "ledger-head.json");
+  assert.equal(readExportedHead(file), null);
+
+  await storage.transaction(tx => createCheckpoint(tx, keys));
+  exportHead(file, await storage.transaction(tx => headCheckpoint(tx)));
+  assert.equal(verify(storage.snapshot(), readExportedHead(file)).valid, true);
+
+  // The last entry and its checkpoint removed, the head moved back: the
+  // registry alone looks consistent again
+  const rolledBack = storage.snapshot();
+  rolledBack.ledger.pop();
+  rolledBack.ledger_checkpoints = [];
+  rolledBack.orders[0].status = "pending_payment";
+  const head = rolledBack.counters.find(c => c.counter_id === "ledger_head");
+  Object.assign(head, { value: 2, hash: rolledBack.ledger[1].hash });
+  assert.equal(verify(rolledBack).valid, true);
+
+  const report = verify(rolledBack, readExportedHead(file));
+  assert.equal(report.valid, false);
+  assert.equal(report.exported_head.issue, "missing_entry");
+
+  fs.writeFileSync(file, "{ not json");
+  assert.equal(verify(storage.snapshot(), readExportedHead(file)).valid, false);
+});
@@ -0,0 +1,99 @@
+// -----------------------------------------------
+// Mailer — pluggable outbound email
+// -----------------------------------------------
+//
+//   const mailer = createMailer();
+//   await mailer.send({ to, subject, text, html });
+//
+// MAILER_TRANSPORT picks where messages go:
+//   console        (default) print to stdout — local dev
+//   file           write each message as JSON into MAIL_OUTBOX_DIR
+//   emailassistai  POST to ${EMAILASSISTAI_URL}/api/send-email
+//
+// Messages from the notification outbox carry an idempotency_key, which
+// emailassistai receives as an Idempotency-Key header so a retried send
+// is not delivered twice.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "mail-outbox");
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(
+        `📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text || ""}`
+      );
+    }
+  };
+}
+
+function fileTransport(dir) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+      );
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ ...message, queued_at: new Date().toISOString() }, null, 2),
+        "utf8"
+      );
+    }
+  };
+}
+
+function emailAssistTransport(baseUrl) {
+  if (!baseUrl) {
+    throw new Error("MAILER_TRANSPORT=emailassistai needs EMAILASSISTAI_URL.");
+  }
+
+  return {
+    name: "emailassistai",
+    async send(message) {
+      const res = await fetch(`${baseUrl.replace(/\/$/, "")}/api/send-email`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(message.idempotency_key
+            ? { "Idempotency-Key": message.idempotency_key }
+            : {})
+        },
+        body: JSON.stringify(message)
+      });
+      if (!res.ok) {
+        throw new Error(`EmailAssistAI responded ${res.status}`);
+      }
+    }
+  };
+}
+
+export function createMailer(options = {}) {
+  const transport =
+    options.transport || process.env.MAILER_TRANSPORT || "console";
+
+  switch (transport) {
+    case "console":
+      return consoleTransport();
+    case "file":
+      return fileTransport(
+        options.dir || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR
+      );
+    case "emailassistai":
+      return emailAssistTransport(
+        options.baseUrl || process.env.EMAILASSISTAI_URL
+      );
+    default:
+      throw new Error(
+        `Unknown MAILER_TRANSPORT "${transport}" (expected console, file or emailassistai).`
+      );
+  }
+}
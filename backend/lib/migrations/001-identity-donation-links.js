@@ -0,0 +1,71 @@
+// Link donations to the identity registered with their email.
+//
+// Donations made before the donor registered (or before identity_id was
+// stored) have no identity_id, and identity.soulmarks only lists the
+// SoulMarkⓈ the donor signed up with. Alternate emails count, and
+// donations of merged identities go to the identity they were merged into.
+
+function emailIndex(identities) {
+  const byId = new Map(identities.map(i => [i.identity_id, i]));
+  const resolve = identity => {
+    const seen = new Set();
+    while (identity?.merged_into && !seen.has(identity.identity_id)) {
+      seen.add(identity.identity_id);
+      identity = byId.get(identity.merged_into) || identity;
+    }
+    return identity;
+  };
+
+  const byEmail = new Map();
+  for (const identity of identities) {
+    if (identity.merged_into) continue;
+    for (const email of [
+      identity.email,
+      ...(identity.alternate_emails || [])
+    ]) {
+      if (email) byEmail.set(email.toLowerCase(), identity);
+    }
+  }
+  return { byId, byEmail, resolve };
+}
+
+export default {
+  version: 1,
+  name: "identity-donation-links",
+  description:
+    "Set donation.identity_id from the donor's email and list every linked SoulMarkⓈ on the identity.",
+  collections: ["donations", "identities"],
+
+  up(tx) {
+    const { byId, byEmail, resolve } = emailIndex(tx.identities.list());
+    const soulmarks = new Map();
+
+    for (const donation of tx.donations.list()) {
+      const current = byId.get(donation.identity_id);
+      const identity = current
+        ? resolve(current)
+        : byEmail.get((donation.email || "").toLowerCase());
+      if (!identity) continue;
+
+      if (donation.identity_id !== identity.identity_id) {
+        tx.donations.update(donation.id, { identity_id: identity.identity_id });
+      }
+      if (donation.soulmark) {
+        const list = soulmarks.get(identity.identity_id) || [];
+        soulmarks.set(identity.identity_id, [...list, donation.soulmark]);
+      }
+    }
+
+    for (const [identityId, linked] of soulmarks) {
+      const identity = byId.get(identityId);
+      const missing = linked.filter(
+        s => !(identity.soulmarks || []).includes(s)
+      );
+      if (missing.length) {
+        tx.identities.update(identityId, {
+          soulmarks: [...(identity.soulmarks || []), ...missing]
+        });
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// Backfill identity_username / username_created on donations.
+//
+// POST /register only marks donations when the donor signs up with a
+// SoulMarkⓈ, so gifts made by registered donors before (or after) that
+// never show their username. Usernames are only copied from a linked
+// identity; nothing is derived from email addresses.
+
+export default {
+  version: 2,
+  name: "username-backfill",
+  description:
+    "Copy the linked identity's username onto donations that are missing it.",
+  collections: ["donations"],
+
+  up(tx) {
+    const identities = new Map(
+      tx.identities.list().map(i => [i.identity_id, i])
+    );
+
+    for (const donation of tx.donations.list()) {
+      const identity = identities.get(donation.identity_id);
+      if (!identity?.username) continue;
+      if (
+        donation.identity_username === identity.username &&
+        donation.username_created === true
+      ) {
+        continue;
+      }
+
+      tx.donations.update(donation.id, {
+        identity_username: identity.username,
+        username_created: true
+      });
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// Give every donation a complete visibility object.
+//
+// Replaces fix-donations.js. Legacy donations with no visibility get the
+// linked identity's default (its /register display preferences), or
+// everything shown, which is how the feed already displayed them. Stored
+// objects get missing flags filled in and the anonymous rule applied.
+
+import {
+  DEFAULT_VISIBILITY,
+  identityDefaultVisibility,
+  normalizeVisibility
+} from "../visibility.js";
+
+function sameVisibility(a, b) {
+  return (
+    !!a &&
+    a.showName === b.showName &&
+    a.showUsername === b.showUsername &&
+    a.showAmount === b.showAmount &&
+    Object.keys(a).length === 3
+  );
+}
+
+export default {
+  version: 3,
+  name: "donation-visibility",
+  description:
+    "Fill in missing or partial donation visibility (showName, showUsername, showAmount).",
+  collections: ["donations"],
+
+  up(tx) {
+    const identities = new Map(
+      tx.identities.list().map(i => [i.identity_id, i])
+    );
+
+    for (const donation of tx.donations.list()) {
+      const identity = identities.get(donation.identity_id);
+      const visibility = donation.visibility
+        ? normalizeVisibility(donation.visibility)
+        : identity
+          ? identityDefaultVisibility(identity)
+          : { ...DEFAULT_VISIBILITY };
+
+      if (!sameVisibility(donation.visibility, visibility)) {
+        tx.donations.update(donation.id, { visibility });
+      }
+    }
+  }
+};
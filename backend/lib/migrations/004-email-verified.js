@@ -0,0 +1,38 @@
+// Mark identity emails as verified from past sign-ins.
+//
+// Paid donations are now linked to identities by verified email only
+// (lib/identity-links.js), and an email counts as verified once a sign-in
+// code or link sent to it has been used. Identities that signed in before
+// email_verified_at existed get it from their oldest used login challenge.
+
+export default {
+  version: 4,
+  name: "email-verified",
+  description:
+    "Set identity.email_verified_at from the identity's earliest completed sign-in.",
+  collections: ["identities"],
+
+  up(tx) {
+    for (const identity of tx.identities.list()) {
+      if (identity.email_verified_at || !identity.email) continue;
+
+      // Only codes sent to the address the identity still has count
+      const email = identity.email.toLowerCase();
+      const used = tx.login_challenges
+        .list(
+          c =>
+            c.identity_id === identity.identity_id &&
+            c.used_at &&
+            (c.email || "").toLowerCase() === email
+        )
+        .map(c => c.used_at)
+        .sort();
+
+      if (used.length) {
+        tx.identities.update(identity.identity_id, {
+          email_verified_at: used[0]
+        });
+      }
+    }
+  }
+};
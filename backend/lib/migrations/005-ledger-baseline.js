@@ -0,0 +1,38 @@
+// Start the SoulRegistry ledger from the records that already exist.
+//
+// lib/ledger.js only logs changes, so records written before it would
+// show up as "not_in_ledger" on every verify. This appends one
+// record.baseline entry per donation, order and identity that has no
+// entry yet, fingerprinting it as it is now.
+
+import { COLLECTIONS } from "../storage/index.js";
+import { LEDGER_COLLECTIONS, appendLedgerEntry } from "../ledger.js";
+
+export default {
+  version: 5,
+  name: "ledger-baseline",
+  description:
+    "Add a baseline ledger entry for every donation, order and identity recorded before the ledger.",
+  collections: ["ledger"],
+
+  up(tx) {
+    const logged = new Set(
+      tx.ledger.list().map(e => `${e.collection}:${e.record_id}`)
+    );
+
+    for (const collection of LEDGER_COLLECTIONS) {
+      const key = COLLECTIONS[collection];
+      for (const record of tx[collection].list()) {
+        const id = String(record[key]);
+        if (logged.has(`${collection}:${id}`)) continue;
+
+        appendLedgerEntry(tx, {
+          type: "record.baseline",
+          collection,
+          recordId: id,
+          record
+        });
+      }
+    }
+  }
+};
@@ -0,0 +1,51 @@
+// Give every amount a currency.
+//
+// Donations, orders, catalog items and campaigns recorded before
+// multi-currency support were all USD, but not all of them say so. Records
+// with no currency get "usd", order items their order's currency, and
+// stored codes are lowercased, the way Stripe and lib/currency.js write
+// them.
+
+const COLLECTIONS = {
+  donations: "id",
+  orders: "order_id",
+  catalog: "catalog_id",
+  campaigns: "campaign_id",
+  recurring_donations: "recurring_id"
+};
+
+function currencyFor(value) {
+  return typeof value === "string" && value.trim()
+    ? value.trim().toLowerCase()
+    : "usd";
+}
+
+export default {
+  version: 6,
+  name: "currency",
+  description:
+    "Set currency (default usd, lowercase) on donations, orders and their items, catalog items, campaigns and recurring donations.",
+  collections: Object.keys(COLLECTIONS),
+
+  up(tx) {
+    for (const [collection, key] of Object.entries(COLLECTIONS)) {
+      for (const record of tx[collection].list()) {
+        const currency = currencyFor(record.currency);
+        const patch = record.currency === currency ? {} : { currency };
+
+        // Order items are priced in the order's currency
+        if (
+          collection === "orders" &&
+          Array.isArray(record.items) &&
+          record.items.some(item => item && !item.currency)
+        ) {
+          patch.items = record.items.map(item =>
+            item && !item.currency ? { ...item, currency } : item
+          );
+        }
+
+        if (Object.keys(patch).length) tx[collection].update(record[key], patch);
+      }
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Register the apps that already have catalog items or orders.
+//
+// Orders used to take any free-text app name. Now an app must be in the
+// registry (lib/apps.js) and send its API key, so every name the catalog
+// or past orders use gets a record, with no key yet: /create-order stays
+// closed to it until an admin issues one. Names the registry can't hold
+// (spaces, symbols) are left out; their orders keep the name as is.
+
+import { AppRegistryError, normalizeAppRecord } from "../apps.js";
+
+export default {
+  version: 7,
+  name: "app-registry",
+  description:
+    "Add an app registry record (no API key) for every app named by catalog items or orders.",
+  collections: ["apps"],
+
+  up(tx) {
+    const names = new Set(
+      [...tx.catalog.list(), ...tx.orders.list()]
+        .map(record => record.app)
+        .filter(name => typeof name === "string" && name.trim())
+    );
+
+    for (const name of names) {
+      if (tx.apps.get(name)) continue;
+      try {
+        tx.apps.insert(normalizeAppRecord({ app: name }));
+      } catch (err) {
+        if (!(err instanceof AppRegistryError)) throw err;
+      }
+    }
+  }
+};
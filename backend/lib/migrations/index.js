@@ -0,0 +1,238 @@
+// -----------------------------------------------
+// Schema migrations — versioned changes to registry data
+// -----------------------------------------------
+//
+//   const result = await runMigrations(storage, { backupDir });
+//   const preview = await runMigrations(storage, { dryRun: true });
+//
+// The registry's schema version is the `schema_version` record in the
+// counters collection, with the history of applied migrations. Each
+// migration is a module in this directory exporting
+//
+//   { version, name, description, collections, up(tx) }
+//
+// where up() changes records through a storage transaction (so it works
+// on both backends) and `collections` lists what it touches, for the
+// diff. Migrations run in version order, each in its own transaction
+// together with the version bump. A dry run applies all of them in one
+// transaction and rolls it back.
+//
+// Used by the server at startup (MIGRATE_ON_START) and scripts/migrate.js.
+
+import fs from "fs";
+import path from "path";
+import { COLLECTIONS } from "../storage/index.js";
+import identityDonationLinks from "./001-identity-donation-links.js";
+import usernameBackfill from "./002-username-backfill.js";
+import donationVisibility from "./003-donation-visibility.js";
+import emailVerified from "./004-email-verified.js";
+import ledgerBaseline from "./005-ledger-baseline.js";
+import currency from "./006-currency.js";
+import appRegistry from "./007-app-registry.js";
+
+export const MIGRATIONS = [
+  identityDonationLinks,
+  usernameBackfill,
+  donationVisibility,
+  emailVerified,
+  ledgerBaseline,
+  currency,
+  appRegistry
+].sort((a, b) => a.version - b.version);
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const VERSION_COUNTER = "schema_version";
+
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MigrationError";
+  }
+}
+
+// Thrown to roll back a dry run; never escapes runMigrations()
+class DryRunRollback extends Error {}
+
+function versionOf(tx) {
+  return tx.counters.get(VERSION_COUNTER)?.value || 0;
+}
+
+export async function schemaVersion(storage) {
+  return (await storage.counters.get(VERSION_COUNTER))?.value || 0;
+}
+
+export async function pendingMigrations(storage, to = LATEST_SCHEMA_VERSION) {
+  const current = await schemaVersion(storage);
+  return MIGRATIONS.filter(m => m.version > current && m.version <= to);
+}
+
+/**
+ * Record-level diff between two copies of a collection:
+ * [{ collection, id, op: "insert" | "update" | "remove", fields }]
+ * where fields maps each changed top-level field to { from, to }.
+ */
+function diffCollection(name, key, before, after) {
+  const changes = [];
+  const old = new Map(before.map(r => [String(r[key]), r]));
+  const seen = new Set();
+
+  for (const record of after) {
+    const id = String(record[key]);
+    seen.add(id);
+    const previous = old.get(id);
+
+    const fields = {};
+    for (const field of new Set([
+      ...Object.keys(previous || {}),
+      ...Object.keys(record)
+    ])) {
+      const from = previous?.[field];
+      const to = record[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        fields[field] = { from, to };
+      }
+    }
+
+    if (!previous) {
+      changes.push({ collection: name, id, op: "insert", fields });
+    } else if (Object.keys(fields).length) {
+      changes.push({ collection: name, id, op: "update", fields });
+    }
+  }
+
+  for (const [id] of old) {
+    if (!seen.has(id)) changes.push({ collection: name, id, op: "remove" });
+  }
+  return changes;
+}
+
+// Apply one migration inside `tx` and bump the version; returns its diff
+function applyMigration(tx, migration) {
+  const before = migration.collections.map(name =>
+    structuredClone(tx[name].list())
+  );
+
+  migration.up(tx);
+
+  const diff = migration.collections.flatMap((name, i) =>
+    diffCollection(name, COLLECTIONS[name], before[i], tx[name].list())
+  );
+
+  const now = new Date().toISOString();
+  const counter = tx.counters.get(VERSION_COUNTER);
+  tx.counters.upsert({
+    counter_id: VERSION_COUNTER,
+    value: migration.version,
+    updated_at: now,
+    migrations: [
+      ...(counter?.migrations || []),
+      {
+        version: migration.version,
+        name: migration.name,
+        applied_at: now,
+        changes: diff.length
+      }
+    ]
+  });
+
+  return diff;
+}
+
+function writeBackup(storage, backupDir, version) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = path.join(backupDir, `registry-v${version}-${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(storage.snapshot(), null, 2));
+  return file;
+}
+
+/**
+ * Bring the registry up to `to` (default: the latest version).
+ *
+ * options: { dryRun = false, to, backupDir }
+ *   backupDir  write a full JSON snapshot there before changing anything
+ *
+ * Resolves to { from, to, dry_run, backup, applied } where applied is
+ * [{ version, name, description, changes: diff[] }].
+ */
+export async function runMigrations(storage, options = {}) {
+  const { dryRun = false, to = LATEST_SCHEMA_VERSION, backupDir } = options;
+
+  if (!Number.isInteger(to) || to < 0 || to > LATEST_SCHEMA_VERSION) {
+    throw new MigrationError(
+      `Target version must be between 0 and ${LATEST_SCHEMA_VERSION}.`
+    );
+  }
+
+  const from = await schemaVersion(storage);
+  if (to < from) {
+    throw new MigrationError(
+      `Registry is at schema version ${from}; migrations can't go back to ${to}. Restore a backup instead.`
+    );
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > from && m.version <= to);
+  const result = { from, to: from, dry_run: dryRun, backup: null, applied: [] };
+  if (!pending.length) return result;
+
+  if (dryRun) {
+    try {
+      await storage.transaction(tx => {
+        for (const migration of pending) {
+          result.applied.push(
+            describe(migration, applyMigration(tx, migration))
+          );
+        }
+        throw new DryRunRollback();
+      });
+    } catch (err) {
+      if (!(err instanceof DryRunRollback)) throw err;
+    }
+    result.to = pending[pending.length - 1].version;
+    return result;
+  }
+
+  if (backupDir) result.backup = writeBackup(storage, backupDir, from);
+
+  for (const migration of pending) {
+    const diff = await storage.transaction(tx => {
+      // Another process may have migrated in the meantime
+      if (versionOf(tx) >= migration.version) return null;
+      return applyMigration(tx, migration);
+    });
+    if (diff) result.applied.push(describe(migration, diff));
+    result.to = migration.version;
+  }
+  return result;
+}
+
+function describe(migration, changes) {
+  return {
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    changes
+  };
+}
+
+function show(value) {
+  return value === undefined ? "(unset)" : JSON.stringify(value);
+}
+
+/**
+ * Human-readable diff for the CLI:
+ *   ~ donations cs_123
+ *       visibility: (unset) → {"showName":true,…}
+ */
+export function formatDiff(changes) {
+  const lines = [];
+  for (const change of changes) {
+    const sign = { insert: "+", update: "~", remove: "-" }[change.op];
+    lines.push(`  ${sign} ${change.collection} ${change.id}`);
+    for (const [field, { from, to }] of Object.entries(change.fields || {})) {
+      lines.push(`      ${field}: ${show(from)} → ${show(to)}`);
+    }
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,328 @@
+// -----------------------------------------------
+// Notification outbox — durable outbound email
+// -----------------------------------------------
+//
+// Emails are written to the `notifications` collection inside the same
+// transaction as the change they describe, then sent by a background
+// worker through lib/mailer.js:
+//
+//   enqueueNotification(tx, {
+//     key: `donation_thank_you:${donation.id}`,
+//     template: "donation_thank_you",
+//     to: donation.email,
+//     data: { name, amount, currency, soulmark }
+//   });
+//
+// The key is the notification's id, so enqueueing the same key twice
+// (a webhook redelivery, verify-donation after the webhook, …) only ever
+// sends one email. It is also passed to the transport as the message's
+// idempotency_key.
+//
+// Status: pending → sending → sent, or back to pending with
+// next_attempt_at pushed out (exponential backoff) when a send fails.
+// After maxAttempts the notification is left as "failed".
+
+import { formatMoney } from "./currency.js";
+
+const MINUTE_MS = 60 * 1000;
+const BACKOFF_BASE_MS = MINUTE_MS;
+const BACKOFF_MAX_MS = 6 * 60 * MINUTE_MS;
+// A "sending" claim older than this is treated as a crashed send
+const SEND_LOCK_MS = 5 * MINUTE_MS;
+
+export const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed"];
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    ch =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        ch
+      ]
+  );
+}
+
+function link(base, pathname) {
+  return base ? `${base.replace(/\/$/, "")}/${pathname}` : null;
+}
+
+// Plain-text paragraphs → { text, html }
+function body(paragraphs) {
+  const lines = paragraphs.filter(Boolean);
+  return {
+    text: lines.join("\n\n"),
+    html: lines.map(p => `<p>${escapeHtml(p)}</p>`).join("\n")
+  };
+}
+
+// template name → (data, { frontendUrl }) → { subject, text, html }
+export const TEMPLATES = {
+  // frequency: one_time | monthly | yearly; sequence: which recurring gift
+  donation_thank_you(data, { frontendUrl }) {
+    const amount = formatMoney(data.amount, data.currency);
+    const recurring =
+      data.frequency && data.frequency !== "one_time" ? data.frequency : null;
+    return {
+      subject: "Thank you for your donation",
+      ...body([
+        `Hi ${data.name || "there"},`,
+        recurring
+          ? `Thank you for your ${recurring} donation of ${amount} to FundTrackerAI.`
+          : `Thank you for your donation of ${amount} to FundTrackerAI.`,
+        recurring &&
+          data.sequence > 1 &&
+          `This is gift number ${data.sequence} in your recurring donation.`,
+        `Your SoulMarkⓈ: ${data.soulmark}`,
+        data.receipt_number && `Receipt number: ${data.receipt_number}`,
+        !data.has_identity &&
+          link(frontendUrl, "register.html") &&
+          `Claim your iAscendAi identity: ${link(frontendUrl, "register.html")}`,
+        recurring &&
+          link(frontendUrl, "iascendai-user-receipts.html") &&
+          `Skip a gift or cancel any time: ${link(frontendUrl, "iascendai-user-receipts.html")}`
+      ])
+    };
+  },
+
+  recurring_donation_canceled(data) {
+    const amount = formatMoney(data.amount, data.currency);
+    return {
+      subject: "Your recurring donation was canceled",
+      ...body([
+        `Your ${data.frequency || "recurring"} donation of ${amount} to FundTrackerAI has been canceled. No further gifts will be charged.`,
+        data.gift_count &&
+          `Thank you for the ${data.gift_count} gift(s) you made.`
+      ])
+    };
+  },
+
+  order_paid(data) {
+    const amount = formatMoney(data.amount, data.currency);
+    const items = (data.items || [])
+      .map(i => `  • ${i.label || i.sku} × ${i.quantity || 1}`)
+      .join("\n");
+    return {
+      subject: `Your ${data.app} order is confirmed`,
+      ...body([
+        `We received your payment of ${amount} for ${data.app} order ${data.order_id}.`,
+        items && `Items:\n${items}`,
+        data.soulmark && `SoulMarkⓈ: ${data.soulmark}`
+      ])
+    };
+  },
+
+  registration_welcome(data, { frontendUrl }) {
+    return {
+      subject: "Welcome to iAscendAi",
+      ...body([
+        `Welcome, ${data.username}!`,
+        "Your iAscendAi identity is ready.",
+        data.donor &&
+          "Your SoulMarkⓈ donations are now linked to this identity.",
+        link(frontendUrl, "iascendai-login.html") &&
+          `Sign in: ${link(frontendUrl, "iascendai-login.html")}`
+      ])
+    };
+  },
+
+  subscription_renewed(data) {
+    const plan = data.tier ? `${data.app} (${data.tier})` : data.app;
+    return {
+      subject: `Your ${data.app} subscription has renewed`,
+      ...body([
+        `Your ${plan} subscription renewed` +
+          (data.amount ? ` for ${formatMoney(data.amount, data.currency)}.` : "."),
+        data.current_period_end &&
+          `It is paid through ${data.current_period_end.slice(0, 10)}.`,
+        `Order: ${data.order_id}`
+      ])
+    };
+  },
+
+  // amount: this refund; total_refunded: everything refunded so far
+  refund_issued(data) {
+    const amount = formatMoney(data.amount, data.currency);
+    const total = formatMoney(data.total_refunded, data.currency);
+    return {
+      subject: data.fully ? "Your payment was refunded" : "Partial refund issued",
+      ...body([
+        `${amount} of your payment has been refunded.`,
+        data.fully
+          ? `Your payment is now refunded in full (${total}).`
+          : `Refunded so far: ${total}.`,
+        data.order_id && `Order: ${data.order_id}`,
+        data.fully &&
+          data.soulmark &&
+          `The SoulMarkⓈ ${data.soulmark} is no longer backed by a payment and now verifies as refunded.`,
+        "Refunds usually reach your card within 5–10 business days."
+      ])
+    };
+  }
+};
+
+/**
+ * Queue an email inside a storage transaction. Returns the existing
+ * notification if `key` was already queued.
+ */
+export function enqueueNotification(tx, { key, template, to, data = {} }) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown notification template "${template}".`);
+  }
+
+  const existing = tx.notifications.get(key);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  return tx.notifications.insert({
+    notification_id: key,
+    template,
+    to,
+    data,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: now,
+    last_error: null,
+    created_at: now,
+    sent_at: null
+  });
+}
+
+export function renderNotification(notification, context = {}) {
+  const template = TEMPLATES[notification.template];
+  if (!template) {
+    throw new Error(`Unknown notification template "${notification.template}".`);
+  }
+  return template(notification.data || {}, context);
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+function isDue(notification, now) {
+  if (notification.status === "pending") {
+    return Date.parse(notification.next_attempt_at) <= now;
+  }
+  return (
+    notification.status === "sending" &&
+    Date.parse(notification.locked_until) <= now
+  );
+}
+
+/**
+ * createNotifier({ storage, mailer, frontendUrl, maxAttempts, pollMs })
+ *   → { start(), stop(), kick(), drain() }
+ *
+ * drain() sends everything that is due and resolves to
+ * { sent, failed }. kick() runs a drain soon without waiting for it;
+ * start() also drains every pollMs.
+ */
+export function createNotifier({
+  storage,
+  mailer,
+  frontendUrl = null,
+  maxAttempts = 8,
+  pollMs = 30 * 1000
+}) {
+  let draining = null;
+  let again = false;
+  let timer = null;
+
+  // Take a notification for sending; null if another drain got it
+  function claim(id, now) {
+    return storage.transaction(tx => {
+      const current = tx.notifications.get(id);
+      if (!current || !isDue(current, now)) return null;
+      return tx.notifications.update(id, n => {
+        n.status = "sending";
+        n.attempts = (n.attempts || 0) + 1;
+        n.locked_until = new Date(now + SEND_LOCK_MS).toISOString();
+      });
+    });
+  }
+
+  async function deliver(notification) {
+    const message = renderNotification(notification, { frontendUrl });
+    await mailer.send({
+      to: notification.to,
+      ...message,
+      idempotency_key: notification.notification_id
+    });
+  }
+
+  async function sendOne(id, now) {
+    const notification = await claim(id, now);
+    if (!notification) return null;
+
+    try {
+      await deliver(notification);
+      await storage.notifications.update(id, {
+        status: "sent",
+        sent_at: new Date().toISOString(),
+        locked_until: null,
+        last_error: null
+      });
+      return "sent";
+    } catch (err) {
+      const exhausted = notification.attempts >= maxAttempts;
+      await storage.notifications.update(id, {
+        status: exhausted ? "failed" : "pending",
+        next_attempt_at: exhausted
+          ? null
+          : new Date(Date.now() + backoffMs(notification.attempts)).toISOString(),
+        locked_until: null,
+        last_error: err.message
+      });
+      console.warn(
+        `⚠️ Notification ${id} failed (attempt ${notification.attempts}/${maxAttempts}): ${err.message}`
+      );
+      return "failed";
+    }
+  }
+
+  function drain() {
+    if (draining) {
+      again = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      const result = { sent: 0, failed: 0 };
+      do {
+        again = false;
+        const now = Date.now();
+        const due = await storage.notifications.list(n => isDue(n, now));
+        due.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+        for (const n of due) {
+          const outcome = await sendOne(n.notification_id, now);
+          if (outcome) result[outcome] += 1;
+        }
+      } while (again);
+      return result;
+    })().finally(() => {
+      draining = null;
+    });
+
+    return draining;
+  }
+
+  function kick() {
+    drain().catch(err => console.error("NOTIFIER ERROR:", err));
+  }
+
+  return {
+    drain,
+    kick,
+    start() {
+      if (timer) return;
+      timer = setInterval(kick, pollMs);
+      timer.unref();
+      kick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// -----------------------------------------------
+// Order state machine
+// -----------------------------------------------
+//
+//   pending_payment → paid | payment_failed | canceled | expired
+//   payment_failed  → paid | canceled | expired
+//   paid            → partially_refunded | refunded | disputed
+//   partially_refunded → partially_refunded | refunded | disputed
+//   disputed        → back to paid / partially_refunded (won) or refunded (lost)
+//   refunded, canceled, expired are final.
+//
+// Every status change goes through transitionOrder(), which rejects moves
+// the table below doesn't allow and appends to order.status_history.
+
+export const ORDER_STATUSES = [
+  "pending_payment",
+  "payment_failed",
+  "paid",
+  "partially_refunded",
+  "refunded",
+  "disputed",
+  "canceled",
+  "expired"
+];
+
+const TRANSITIONS = {
+  pending_payment: ["paid", "payment_failed", "canceled", "expired"],
+  payment_failed: ["paid", "canceled", "expired"],
+  paid: ["partially_refunded", "refunded", "disputed"],
+  // Repeats are allowed: each partial refund is its own history entry
+  partially_refunded: ["partially_refunded", "refunded", "disputed"],
+  // Won disputes go back to where they were; lost ones are charged back
+  disputed: ["paid", "partially_refunded", "refunded"],
+  refunded: [],
+  canceled: [],
+  expired: []
+};
+
+// Orders that may still be sent to Stripe Checkout
+export const PAYABLE_STATUSES = ["pending_payment", "payment_failed"];
+
+// Orders that have taken money and may be refunded
+export const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+
+export class OrderStateError extends Error {
+  constructor(from, to) {
+    super(`Order cannot move from ${from} to ${to}.`);
+    this.name = "OrderStateError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move `order` (mutated in place) to status `to`, recording who/why in
+ * order.status_history. Throws OrderStateError for a disallowed move.
+ * Moving to the current status is a no-op unless the table allows it.
+ *
+ * `force` (admin corrections only) skips the table for any known status;
+ * the history entry is marked forced.
+ */
+export function transitionOrder(
+  order,
+  to,
+  { reason = null, actor = "system", force = false } = {}
+) {
+  const from = order.status || "pending_payment";
+
+  if (!ORDER_STATUSES.includes(to)) throw new OrderStateError(from, to);
+  if (from === to && !canTransition(from, to)) return order;
+  if (!force && !canTransition(from, to)) {
+    throw new OrderStateError(from, to);
+  }
+
+  const at = new Date().toISOString();
+  const entry = { from, to, at, reason, actor };
+  if (force && !canTransition(from, to)) entry.forced = true;
+
+  order.status = to;
+  order.updated_at = at;
+  order.status_history = [...(order.status_history || []), entry];
+  return order;
+}
+
+/**
+ * Like transitionOrder, but quietly skips moves the table doesn't allow.
+ * For Stripe events, which can arrive late or out of order.
+ */
+export function tryTransitionOrder(order, to, meta) {
+  const from = order.status || "pending_payment";
+  if (from !== to && !canTransition(from, to)) {
+    console.warn(`Ignoring order ${order.order_id} transition ${from} → ${to}`);
+    return order;
+  }
+  return transitionOrder(order, to, meta);
+}
@@ -0,0 +1,151 @@
+// -----------------------------------------------
+// Minimal PDF writer — text documents, no dependencies
+// -----------------------------------------------
+//
+//   const buffer = renderPdf([
+//     { text: "Donation Receipt", size: 18, font: "bold" },
+//     { text: "Amount: $25.00" },
+//     { text: "2025-01-02   FTA-000001   $25.00", font: "mono" },
+//     { gap: 12 }
+//   ]);
+//
+// Lines wrap at the page margin and flow onto new pages. Fonts are the
+// PDF standard fonts (Helvetica, Helvetica-Bold, Courier), so nothing is
+// embedded; text outside Latin-1 is transliterated or replaced with "?".
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+
+const FONTS = {
+  regular: { key: "F1", base: "Helvetica", width: 0.5 },
+  bold: { key: "F2", base: "Helvetica-Bold", width: 0.55 },
+  mono: { key: "F3", base: "Courier", width: 0.6 }
+};
+
+const TRANSLITERATIONS = {
+  "Ⓢ": "(S)",
+  "—": "-",
+  "–": "-",
+  "…": "...",
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "→": "->"
+};
+
+function pdfString(text) {
+  const latin1 = Array.from(String(text))
+    .map(ch => TRANSLITERATIONS[ch] ?? (ch.charCodeAt(0) <= 0xff ? ch : "?"))
+    .join("");
+  return "(" + latin1.replace(/[\\()]/g, m => "\\" + m) + ")";
+}
+
+// Greedy word wrap using the font's average glyph width
+function wrap(text, size, font) {
+  const maxChars = Math.max(
+    10,
+    Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * font.width))
+  );
+  const lines = [];
+
+  for (const paragraph of String(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxChars && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function layout(blocks) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    if (block.gap) {
+      y -= block.gap;
+      continue;
+    }
+
+    const size = block.size || 11;
+    const font = FONTS[block.font] || FONTS.regular;
+    const leading = size * 1.4;
+
+    for (const line of wrap(block.text ?? "", size, font)) {
+      if (y - leading < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      pages[pages.length - 1].push(
+        `BT /${font.key} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`
+      );
+    }
+  }
+  return pages;
+}
+
+/**
+ * Render text blocks ({ text, size, font: "regular" | "bold" | "mono" }
+ * or { gap }) to a PDF. Returns a Buffer.
+ */
+export function renderPdf(blocks, { title = "" } = {}) {
+  const pages = layout(blocks);
+  const fontKeys = Object.values(FONTS);
+
+  // Object numbers: 1 catalog, 2 pages, 3 info, then fonts, then
+  // a page + content stream pair per page.
+  const firstFont = 4;
+  const firstPage = firstFont + fontKeys.length;
+  const objects = [];
+
+  const pageRefs = pages.map((_, i) => `${firstPage + i * 2} 0 R`);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Title ${pdfString(title)} /Producer (FundTrackerAI) >>`;
+
+  const fontResources = fontKeys
+    .map((font, i) => `/${font.key} ${firstFont + i} 0 R`)
+    .join(" ");
+  fontKeys.forEach((font, i) => {
+    objects[firstFont + i] =
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+  });
+
+  pages.forEach((lines, i) => {
+    const pageNum = firstPage + i * 2;
+    const stream = Buffer.from(lines.join("\n"), "latin1");
+    objects[pageNum] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${pageNum + 1} 0 R >>`;
+    objects[pageNum + 1] =
+      `<< /Length ${stream.length} >>\nstream\n${stream.toString("latin1")}\nendstream`;
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets[n] = Buffer.byteLength(body, "latin1");
+    body += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objects.length; n++) {
+    body += `${String(offsets[n]).padStart(10, "0")} 00000 n \n`;
+  }
+  body +=
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+}
@@ -0,0 +1,83 @@
+// -----------------------------------------------
+// Private addresses — keeps server-side requests off internal networks
+// -----------------------------------------------
+//
+// App webhook URLs are chosen by whoever registers the app, and the
+// backend POSTs to them. Loopback, private, link-local and unspecified
+// addresses (and the cloud metadata service at 169.254.169.254) are
+// refused, both when the URL is saved (isPrivateHost) and when the
+// request is sent (assertPublicHost, after resolving the name).
+
+import dns from "dns";
+import net from "net";
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this network", 0.0.0.0
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], // unspecified
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10] // link-local
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+export class PrivateAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrivateAddressError";
+  }
+}
+
+// True for an IP address we must not send requests to. IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1) count as their IPv4 address.
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// URL.hostname → true for localhost names and private IP literals.
+// Other names are only known once resolved; see assertPublicHost.
+export function isPrivateHost(hostname) {
+  const host = hostname
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "")
+    .toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  return isPrivateAddress(host);
+}
+
+/**
+ * Resolve `hostname` and throw a PrivateAddressError if it is, or any of
+ * its addresses are, private. `lookup` is dns.promises.lookup's shape
+ * (injected by tests).
+ */
+export async function assertPublicHost(
+  hostname,
+  { lookup = dns.promises.lookup } = {}
+) {
+  if (isPrivateHost(hostname)) {
+    throw new PrivateAddressError(`${hostname} is a private address.`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return;
+
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) {
+    throw new PrivateAddressError(
+      `${hostname} resolves to a private address (${blocked.address}).`
+    );
+  }
+}
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PrivateAddressError,
+  assertPublicHost,
+  isPrivateAddress,
+  isPrivateHost
+} from "./private-address.js";
+
+const resolvesTo =
+  (...addresses) =>
+  async () =>
+    addresses.map(address => ({
+      address,
+      family: address.includes(":") ? 6 : 4
+    }));
+
+test("flags loopback, private, link-local and unspecified addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "127.8.0.1",
+    "10.0.0.5",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.0.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::",
+    "::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "::ffff:10.0.0.1"
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "172.32.0.1", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("flags localhost names and private literals in URL hostnames", () => {
+  for (const url of [
+    "https://localhost/",
+    "https://LOCALHOST./",
+    "https://app.localhost/",
+    "https://[::1]/",
+    "https://0x7f000001/",
+    "https://127.1/"
+  ]) {
+    assert.equal(isPrivateHost(new URL(url).hostname), true, url);
+  }
+  assert.equal(isPrivateHost("hooks.example.com"), false);
+});
+
+test("assertPublicHost checks every address a name resolves to", async () => {
+  await assertPublicHost("hooks.example.com", {
+    lookup: resolvesTo("93.184.216.34")
+  });
+
+  await assert.rejects(
+    assertPublicHost("rebind.example.com", {
+      lookup: resolvesTo("93.184.216.34", "10.0.0.7")
+    }),
+    err => err instanceof PrivateAddressError && /10\.0\.0\.7/.test(err.message)
+  );
+
+  let looked = false;
+  await assert.rejects(
+    assertPublicHost("127.0.0.1", {
+      lookup: async () => {
+        looked = true;
+        return [];
+      }
+    }),
+    PrivateAddressError
+  );
+  assert.equal(looked, false);
+});
@@ -0,0 +1,317 @@
+// -----------------------------------------------
+// Promotions — promo codes for the order engine
+// -----------------------------------------------
+//
+// {
+//   "code": "LAUNCH50",                  // uppercase, the key
+//   "description": "Launch week",
+//   "type": "percent" | "fixed",
+//   "percent_off": 50 | null,            // percent: 1–100
+//   "amount_off_cents": 500 | null,      // fixed: minor units, per order
+//   "currency": "usd" | null,            // fixed: orders must match
+//   "apps": ["LawAidAI"],                // [] = every app
+//   "skus": ["lawaid_basic_monthly"],    // [] = every SKU
+//   "first_period_only": true,           // subscriptions: only the first invoice
+//   "starts_at": ISO | null,
+//   "expires_at": ISO | null,
+//   "max_redemptions": 100 | null,       // across all orders
+//   "max_per_email": 1 | null,
+//   "active": true
+// }
+//
+// /create-order applies the code to the SKUs in scope. The order keeps the
+// breakdown (subtotal_cents, discount_cents, total_amount_cents) and each
+// item its discount_cents, plus recurring_discount_cents for the part that
+// repeats on every renewal. Canceled and expired orders don't count as
+// redemptions, so abandoned checkouts give their use back.
+
+import {
+  MAX_AMOUNT_MINOR,
+  isKnownCurrency,
+  normalizeCurrency
+} from "./currency.js";
+
+export const PROMOTION_TYPES = ["percent", "fixed"];
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+
+// Orders in these statuses gave their redemption back
+const RELEASED_STATUSES = ["canceled", "expired"];
+
+export class PromotionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromotionError";
+  }
+}
+
+export function normalizePromoCode(code) {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+function parsePromotionDate(value, name) {
+  if (value === null || value === undefined || value === "") return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new PromotionError(`${name} must be an ISO date.`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseLimit(value, name) {
+  if (value === null || value === undefined || value === "") return null;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new PromotionError(`${name} must be a positive integer or null.`);
+  }
+  return value;
+}
+
+function parseList(value, name) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== "string")) {
+    throw new PromotionError(`${name} must be a list of strings.`);
+  }
+  return [...new Set(value.map(v => v.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate admin input into a full promotion record. `existing` is the
+ * stored record when updating; omitted fields keep their values and the
+ * code can't change. `currencies` is the list fixed amounts may use.
+ */
+export function normalizePromotion(
+  input,
+  existing = null,
+  { currencies = ["usd"] } = {}
+) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+  if (existing) merged.code = existing.code;
+
+  const code = normalizePromoCode(merged.code);
+  const type = merged.type || "percent";
+
+  if (!CODE_PATTERN.test(code)) {
+    throw new PromotionError(
+      "code must be 3–32 letters, digits, _ or -, starting with a letter or digit."
+    );
+  }
+  if (!PROMOTION_TYPES.includes(type)) {
+    throw new PromotionError(
+      `type must be one of ${PROMOTION_TYPES.join(", ")}.`
+    );
+  }
+
+  let percentOff = null;
+  let amountOff = null;
+  let currency = null;
+
+  if (type === "percent") {
+    percentOff = merged.percent_off;
+    if (
+      typeof percentOff !== "number" ||
+      !(percentOff >= 1 && percentOff <= 100)
+    ) {
+      throw new PromotionError("percent_off must be a number from 1 to 100.");
+    }
+  } else {
+    amountOff = merged.amount_off_cents;
+    currency = normalizeCurrency(String(merged.currency || "usd"));
+    if (
+      !Number.isInteger(amountOff) ||
+      amountOff <= 0 ||
+      amountOff > MAX_AMOUNT_MINOR
+    ) {
+      throw new PromotionError(
+        `amount_off_cents must be a whole number of minor units from 1 to ${MAX_AMOUNT_MINOR}.`
+      );
+    }
+    if (!isKnownCurrency(currency) || !currencies.includes(currency)) {
+      throw new PromotionError(
+        `currency must be one of ${currencies.join(", ")}.`
+      );
+    }
+  }
+
+  const startsAt = parsePromotionDate(merged.starts_at, "starts_at");
+  const expiresAt = parsePromotionDate(merged.expires_at, "expires_at");
+  if (startsAt && expiresAt && Date.parse(expiresAt) <= Date.parse(startsAt)) {
+    throw new PromotionError("expires_at must be after starts_at.");
+  }
+
+  const now = new Date().toISOString();
+
+  return {
+    code,
+    description:
+      typeof merged.description === "string" ? merged.description.trim() : "",
+    type,
+    percent_off: percentOff,
+    amount_off_cents: amountOff,
+    currency,
+    apps: parseList(merged.apps, "apps"),
+    skus: parseList(merged.skus, "skus"),
+    first_period_only: !!merged.first_period_only,
+    starts_at: startsAt,
+    expires_at: expiresAt,
+    max_redemptions: parseLimit(merged.max_redemptions, "max_redemptions"),
+    max_per_email: parseLimit(merged.max_per_email, "max_per_email"),
+    active: merged.active === undefined ? true : !!merged.active,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+}
+
+/**
+ * Redemptions of `code` among `orders`: { total, by_email } where
+ * by_email counts the ones placed with `email`.
+ */
+export function promotionUsage(orders, code, email = null) {
+  const redeemed = orders.filter(
+    o => o.promotion?.code === code && !RELEASED_STATUSES.includes(o.status)
+  );
+  const address = email?.toLowerCase();
+  return {
+    total: redeemed.length,
+    by_email: address
+      ? redeemed.filter(o => o.email?.toLowerCase() === address).length
+      : 0
+  };
+}
+
+/**
+ * Throw PromotionError unless `promotion` can be used for an order of
+ * `app` right now. `usage` is promotionUsage() for the buyer.
+ */
+export function checkPromotion(promotion, { app, usage, now = Date.now() }) {
+  const code = promotion?.code;
+  if (!promotion || !promotion.active) {
+    throw new PromotionError("Promo code is not valid.");
+  }
+  if (promotion.starts_at && Date.parse(promotion.starts_at) > now) {
+    throw new PromotionError(`Promo code ${code} is not active yet.`);
+  }
+  if (promotion.expires_at && Date.parse(promotion.expires_at) <= now) {
+    throw new PromotionError(`Promo code ${code} has expired.`);
+  }
+  if (promotion.apps.length && !promotion.apps.includes(app)) {
+    throw new PromotionError(`Promo code ${code} can't be used for ${app}.`);
+  }
+  if (
+    promotion.max_redemptions !== null &&
+    usage.total >= promotion.max_redemptions
+  ) {
+    throw new PromotionError(`Promo code ${code} has been fully redeemed.`);
+  }
+  if (
+    promotion.max_per_email !== null &&
+    usage.by_email >= promotion.max_per_email
+  ) {
+    throw new PromotionError(
+      `Promo code ${code} has already been used with this email.`
+    );
+  }
+}
+
+// Split `total` over `amounts` in proportion, in whole minor units; the
+// remainder goes to the largest amounts first.
+function allocate(total, amounts) {
+  const sum = amounts.reduce((s, a) => s + a, 0);
+  const shares = amounts.map(a => Math.floor((total * a) / sum));
+  let left = total - shares.reduce((s, a) => s + a, 0);
+
+  const order = amounts
+    .map((a, i) => i)
+    .sort((a, b) => amounts[b] - amounts[a]);
+  for (const i of order) {
+    if (left <= 0) break;
+    shares[i] += 1;
+    left -= 1;
+  }
+  return shares;
+}
+
+/**
+ * Apply `promotion` (or null) to priced order items (priceOrderItems()).
+ * Returns { items, subtotal_cents, discount_cents, total_amount_cents,
+ * promotion } with discount_cents on every item and
+ * recurring_discount_cents on subscription items. `promotion` in the
+ * result is the summary the order keeps. Throws PromotionError if the
+ * code doesn't cover any item, is for another currency, or would make a
+ * one-time order free (Stripe can't charge zero).
+ */
+export function applyPromotion(priced, promotion, { billingMode }) {
+  const subtotal = priced.total_amount_cents;
+  const items = priced.items.map(item => ({
+    ...item,
+    discount_cents: 0,
+    ...(item.type === "subscription" && { recurring_discount_cents: 0 })
+  }));
+
+  if (!promotion) {
+    return {
+      items,
+      subtotal_cents: subtotal,
+      discount_cents: 0,
+      total_amount_cents: subtotal,
+      promotion: null
+    };
+  }
+
+  const code = promotion.code;
+  const eligible = items.filter(
+    i => !promotion.skus.length || promotion.skus.includes(i.sku)
+  );
+  if (!eligible.length) {
+    throw new PromotionError(
+      `Promo code ${code} doesn't apply to the items in this order.`
+    );
+  }
+
+  let shares;
+  if (promotion.type === "percent") {
+    shares = eligible.map(i =>
+      Math.round((i.amount_cents * promotion.percent_off) / 100)
+    );
+  } else {
+    if (promotion.currency !== priced.currency) {
+      throw new PromotionError(
+        `Promo code ${code} is for ${promotion.currency.toUpperCase()} orders.`
+      );
+    }
+    const eligibleTotal = eligible.reduce((s, i) => s + i.amount_cents, 0);
+    shares = allocate(
+      Math.min(promotion.amount_off_cents, eligibleTotal),
+      eligible.map(i => i.amount_cents)
+    );
+  }
+
+  eligible.forEach((item, index) => {
+    item.discount_cents = Math.min(shares[index], item.amount_cents);
+    if (item.type === "subscription") {
+      item.recurring_discount_cents = promotion.first_period_only
+        ? 0
+        : item.discount_cents;
+    }
+  });
+
+  const discount = items.reduce((s, i) => s + i.discount_cents, 0);
+  if (billingMode !== "subscription" && discount >= subtotal) {
+    throw new PromotionError(
+      `Promo code ${code} can't make a one-time order free.`
+    );
+  }
+
+  return {
+    items,
+    subtotal_cents: subtotal,
+    discount_cents: discount,
+    total_amount_cents: subtotal - discount,
+    promotion: {
+      code,
+      type: promotion.type,
+      percent_off: promotion.percent_off,
+      amount_off_cents: promotion.amount_off_cents,
+      first_period_only: promotion.first_period_only
+    }
+  };
+}
@@ -0,0 +1,275 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PromotionError,
+  applyPromotion,
+  checkPromotion,
+  normalizePromotion,
+  promotionUsage
+} from "./promotions.js";
+
+const NOW = Date.parse("2025-06-01T00:00:00.000Z");
+
+const promo = fields =>
+  normalizePromotion(
+    { code: "launch50", type: "percent", percent_off: 50, ...fields },
+    null,
+    { currencies: ["usd", "eur"] }
+  );
+
+function priced(items, currency = "usd") {
+  return {
+    currency,
+    items: items.map(([sku, amount, type = "one_time"]) => ({
+      sku,
+      type,
+      currency,
+      quantity: 1,
+      unit_amount_cents: amount,
+      amount_cents: amount
+    })),
+    total_amount_cents: items.reduce((s, [, amount]) => s + amount, 0)
+  };
+}
+
+const noUsage = { total: 0, by_email: 0 };
+
+test("normalizePromotion uppercases codes and validates amounts", () => {
+  const record = promo({ apps: ["LawAidAI", "LawAidAI", " "] });
+  assert.equal(record.code, "LAUNCH50");
+  assert.deepEqual(record.apps, ["LawAidAI"]);
+  assert.equal(record.amount_off_cents, null);
+
+  const fixed = promo({
+    type: "fixed",
+    amount_off_cents: 500,
+    currency: "EUR"
+  });
+  assert.deepEqual(
+    [fixed.percent_off, fixed.amount_off_cents, fixed.currency],
+    [null, 500, "eur"]
+  );
+
+  for (const bad of [
+    { code: "x" },
+    { code: "no spaces" },
+    { type: "bogo" },
+    { percent_off: 0 },
+    { percent_off: 101 },
+    { type: "fixed", amount_off_cents: 4.5 },
+    { type: "fixed", amount_off_cents: 500, currency: "gbp" },
+    { starts_at: "2025-02-01", expires_at: "2025-01-01" },
+    { expires_at: "next week" },
+    { max_redemptions: 0 },
+    { skus: "pro" }
+  ]) {
+    assert.throws(() => promo(bad), PromotionError, JSON.stringify(bad));
+  }
+});
+
+test("updates keep the code and omitted fields", () => {
+  const existing = promo({ max_per_email: 1 });
+  const updated = normalizePromotion(
+    { code: "OTHER", percent_off: 20 },
+    existing
+  );
+  assert.deepEqual(
+    [updated.code, updated.percent_off, updated.max_per_email],
+    ["LAUNCH50", 20, 1]
+  );
+  assert.equal(updated.created_at, existing.created_at);
+});
+
+test("checkPromotion enforces active, dates, app scope and limits", () => {
+  const check = (fields, options = {}) =>
+    checkPromotion(promo(fields), {
+      app: "LawAidAI",
+      usage: noUsage,
+      now: NOW,
+      ...options
+    });
+
+  check({});
+  check({
+    apps: ["LawAidAI"],
+    starts_at: "2025-05-01",
+    expires_at: "2025-07-01"
+  });
+
+  const refused = [
+    [{ active: false }, {}, /not valid/],
+    [{ starts_at: "2025-07-01" }, {}, /not active yet/],
+    [{ expires_at: "2025-06-01T00:00:00.000Z" }, {}, /expired/],
+    [{ apps: ["TravelFlowAI"] }, {}, /can't be used for LawAidAI/],
+    [
+      { max_redemptions: 2 },
+      { usage: { total: 2, by_email: 0 } },
+      /fully redeemed/
+    ],
+    [
+      { max_per_email: 1 },
+      { usage: { total: 1, by_email: 1 } },
+      /already been used/
+    ]
+  ];
+  for (const [fields, options, message] of refused) {
+    assert.throws(() => check(fields, options), message);
+  }
+
+  assert.throws(
+    () => checkPromotion(null, { app: "LawAidAI", usage: noUsage }),
+    /not valid/
+  );
+});
+
+test("canceled and expired orders give their redemption back", () => {
+  const orders = [
+    { promotion: { code: "LAUNCH50" }, email: "A@example.com", status: "paid" },
+    {
+      promotion: { code: "LAUNCH50" },
+      email: "a@example.com",
+      status: "pending_payment"
+    },
+    {
+      promotion: { code: "LAUNCH50" },
+      email: "a@example.com",
+      status: "canceled"
+    },
+    {
+      promotion: { code: "LAUNCH50" },
+      email: "b@example.com",
+      status: "expired"
+    },
+    { promotion: { code: "OTHER" }, email: "a@example.com", status: "paid" },
+    { promotion: null, email: "a@example.com", status: "paid" }
+  ];
+  assert.deepEqual(promotionUsage(orders, "LAUNCH50", "a@EXAMPLE.com"), {
+    total: 2,
+    by_email: 2
+  });
+  assert.deepEqual(promotionUsage(orders, "LAUNCH50"), {
+    total: 2,
+    by_email: 0
+  });
+});
+
+test("percent codes discount only the SKUs in scope", () => {
+  const result = applyPromotion(
+    priced([
+      ["guide", 999],
+      ["pro", 2000]
+    ]),
+    promo({ percent_off: 25, skus: ["guide"] }),
+    { billingMode: "one_time" }
+  );
+
+  assert.deepEqual(
+    result.items.map(i => [i.sku, i.discount_cents]),
+    [
+      ["guide", 250],
+      ["pro", 0]
+    ]
+  );
+  assert.deepEqual(
+    [result.subtotal_cents, result.discount_cents, result.total_amount_cents],
+    [2999, 250, 2749]
+  );
+  assert.deepEqual(result.promotion, {
+    code: "LAUNCH50",
+    type: "percent",
+    percent_off: 25,
+    amount_off_cents: null,
+    first_period_only: false
+  });
+});
+
+test("fixed codes split the amount in proportion, to the cent", () => {
+  const result = applyPromotion(
+    priced([
+      ["a", 1000],
+      ["b", 1000],
+      ["c", 1000]
+    ]),
+    promo({ type: "fixed", amount_off_cents: 1000 }),
+    { billingMode: "one_time" }
+  );
+  assert.deepEqual(
+    result.items.map(i => i.discount_cents),
+    [334, 333, 333]
+  );
+  assert.equal(result.discount_cents, 1000);
+
+  assert.throws(
+    () =>
+      applyPromotion(
+        priced([["a", 1000]], "eur"),
+        promo({ type: "fixed", amount_off_cents: 100 }),
+        { billingMode: "one_time" }
+      ),
+    /is for USD orders/
+  );
+});
+
+test("refuses codes that don't apply or would make a one-time order free", () => {
+  assert.throws(
+    () =>
+      applyPromotion(priced([["pro", 2000]]), promo({ skus: ["guide"] }), {
+        billingMode: "one_time"
+      }),
+    /doesn't apply/
+  );
+  assert.throws(
+    () =>
+      applyPromotion(priced([["pro", 2000]]), promo({ percent_off: 100 }), {
+        billingMode: "one_time"
+      }),
+    /can't make a one-time order free/
+  );
+  assert.throws(
+    () =>
+      applyPromotion(
+        priced([["pro", 2000]]),
+        promo({ type: "fixed", amount_off_cents: 5000 }),
+        { billingMode: "one_time" }
+      ),
+    /free/
+  );
+});
+
+test("subscriptions may be free for the first period only", () => {
+  const order = priced([["basic", 900, "subscription"]]);
+
+  const firstOnly = applyPromotion(
+    order,
+    promo({ percent_off: 100, first_period_only: true }),
+    { billingMode: "subscription" }
+  );
+  assert.equal(firstOnly.total_amount_cents, 0);
+  assert.deepEqual(
+    [
+      firstOnly.items[0].discount_cents,
+      firstOnly.items[0].recurring_discount_cents
+    ],
+    [900, 0]
+  );
+
+  const forever = applyPromotion(order, promo({ percent_off: 10 }), {
+    billingMode: "subscription"
+  });
+  assert.equal(forever.items[0].recurring_discount_cents, 90);
+});
+
+test("no code leaves the order as priced", () => {
+  const result = applyPromotion(
+    priced([["basic", 900, "subscription"]]),
+    null,
+    {
+      billingMode: "subscription"
+    }
+  );
+  assert.deepEqual(
+    [result.discount_cents, result.total_amount_cents, result.promotion],
+    [0, 900, null]
+  );
+  assert.equal(result.items[0].recurring_discount_cents, 0);
+});
@@ -0,0 +1,66 @@
+// -----------------------------------------------
+// In-memory rate limiting
+// -----------------------------------------------
+//
+// Fixed-window counters per key (an email, an IP, ...). State lives in
+// this process only, which is fine for a single backend instance; a
+// restart resets every window.
+
+/**
+ * createRateLimiter({ windowMs, max }) → { hit(key), reset(key), retryAfter(key) }
+ *
+ * hit(key) counts one request and returns true while the key is
+ * within `max` requests for the current window, false once over.
+ * retryAfter(key) is the number of seconds until its window resets.
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      if (windows.size > 10000) sweep(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return entry.count <= max;
+    },
+
+    reset(key) {
+      windows.delete(key);
+    },
+
+    retryAfter(key) {
+      const entry = windows.get(key);
+      return entry ? Math.max(0, Math.ceil((entry.resetAt - Date.now()) / 1000)) : 0;
+    }
+  };
+}
+
+/**
+ * Parse a "<max>/<seconds>" limit from config (e.g. RATE_LIMIT_PAYMENTS=
+ * "20/60": 20 requests a minute) into { max, windowMs }. Empty values
+ * use `fallback`; "off" disables the limit (returns null).
+ */
+export function parseRateLimit(spec, fallback, name = "rate limit") {
+  const value = (spec || fallback).trim();
+  if (value === "off") return null;
+
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(
+      `Invalid ${name} "${value}": expected <requests>/<seconds>, e.g. 20/60, or "off".`
+    );
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
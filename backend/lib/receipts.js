@@ -0,0 +1,317 @@
+// -----------------------------------------------
+// Receipts + year-end giving statements
+// -----------------------------------------------
+//
+// Every recorded donation gets a sequential receipt number (FTA-000001,
+// FTA-000002, …) from the `counters` collection. Receipts and annual
+// statements are built as plain models and rendered to HTML or PDF
+// (lib/pdf.js) here, with no external service.
+//
+// Organisation details printed on every document come from env:
+//   RECEIPT_ORG_NAME, RECEIPT_ORG_ADDRESS, RECEIPT_ORG_TAX_ID,
+//   RECEIPT_ORG_EMAIL
+
+import { formatMoney } from "./currency.js";
+import { renderPdf } from "./pdf.js";
+
+const RECEIPT_COUNTER = "receipt_number";
+const RECEIPT_PREFIX = "FTA-";
+
+const GIFT_NOTE =
+  "No goods or services were provided in exchange for this contribution.";
+
+export function receiptOrg() {
+  return {
+    name: process.env.RECEIPT_ORG_NAME || "FundTrackerAI",
+    address: process.env.RECEIPT_ORG_ADDRESS || "",
+    tax_id: process.env.RECEIPT_ORG_TAX_ID || "",
+    email: process.env.RECEIPT_ORG_EMAIL || ""
+  };
+}
+
+/**
+ * Give `donation` (mutated in place) the next receipt number unless it
+ * already has one. Must run inside storage.transaction so numbers are
+ * never reused.
+ */
+export function assignReceiptNumber(tx, donation) {
+  if (donation.receipt_number) return donation;
+
+  const counter = tx.counters.get(RECEIPT_COUNTER);
+  const next = (counter?.value || 0) + 1;
+  tx.counters.upsert({ counter_id: RECEIPT_COUNTER, value: next });
+
+  donation.receipt_number = RECEIPT_PREFIX + String(next).padStart(6, "0");
+  return donation;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    ch =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        ch
+      ]
+  );
+}
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : "";
+}
+
+// Gifts are plain donations; payments for app orders are purchases
+function isGift(donation) {
+  return !donation.order_id;
+}
+
+/**
+ * The receipt for one donation. `app` is the order's app for purchases.
+ */
+export function donationReceipt(
+  donation,
+  { app = null, org = receiptOrg() } = {}
+) {
+  const amount = donation.amount || 0;
+  const refunded = donation.amount_refunded || 0;
+
+  return {
+    receipt_number: donation.receipt_number,
+    kind: isGift(donation) ? "gift" : "purchase",
+    org,
+    donor: { name: donation.name || "Donor", email: donation.email },
+    date: isoDate(donation.timestamp),
+    app: app || "FundTrackerAI",
+    currency: donation.currency || "usd",
+    amount_cents: amount,
+    refunded_cents: refunded,
+    net_cents: amount - refunded,
+    soulmark: donation.soulmark,
+    order_id: donation.order_id || null,
+    issued_at: new Date().toISOString()
+  };
+}
+
+/**
+ * A year-end giving statement: the identity's gifts (not purchases)
+ * dated in `year` (UTC), with net totals per currency.
+ */
+export function givingStatement(
+  identity,
+  donations,
+  year,
+  { org = receiptOrg() } = {}
+) {
+  const rows = donations
+    .filter(d => isGift(d) && new Date(d.timestamp).getUTCFullYear() === year)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .map(d => donationReceipt(d, { org }));
+
+  const totals = {};
+  for (const row of rows) {
+    totals[row.currency] = (totals[row.currency] || 0) + row.net_cents;
+  }
+
+  return {
+    year,
+    org,
+    donor: {
+      // Identities don't store a name; use the one given at checkout
+      name:
+        identity.name ||
+        rows.map(r => r.donor.name).find(n => n !== "Donor") ||
+        identity.username,
+      username: identity.username,
+      email: identity.email
+    },
+    rows,
+    totals: Object.entries(totals).map(([currency, net_cents]) => ({
+      currency,
+      net_cents
+    })),
+    issued_at: new Date().toISOString()
+  };
+}
+
+function orgLines(org) {
+  return [org.address, org.tax_id && `Tax ID: ${org.tax_id}`, org.email].filter(
+    Boolean
+  );
+}
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .muted { color: #555; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; font-size: 14px; }
+    td.num, th.num { text-align: right; }
+    .soulmark { font-family: Courier, monospace; font-size: 12px; word-break: break-all; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export function renderReceiptHtml(receipt) {
+  const title =
+    receipt.kind === "gift" ? "Donation Receipt" : "Payment Receipt";
+  const money = cents => escapeHtml(formatMoney(cents, receipt.currency));
+
+  const rows = [
+    ["Receipt number", escapeHtml(receipt.receipt_number)],
+    ["Date", escapeHtml(receipt.date)],
+    [
+      "Received from",
+      `${escapeHtml(receipt.donor.name)} &lt;${escapeHtml(receipt.donor.email)}&gt;`
+    ],
+    receipt.kind === "purchase" && [
+      "For",
+      `${escapeHtml(receipt.app)} order ${escapeHtml(receipt.order_id)}`
+    ],
+    ["Amount", money(receipt.amount_cents)],
+    receipt.refunded_cents > 0 && ["Refunded", money(receipt.refunded_cents)],
+    receipt.refunded_cents > 0 && ["Net amount", money(receipt.net_cents)],
+    [
+      "SoulMarkⓈ",
+      `<span class="soulmark">${escapeHtml(receipt.soulmark)}</span>`
+    ]
+  ].filter(Boolean);
+
+  return htmlPage(
+    `${title} ${receipt.receipt_number}`,
+    `  <h1>${escapeHtml(receipt.org.name)}</h1>
+  ${orgLines(receipt.org)
+    .map(l => `<div class="muted">${escapeHtml(l)}</div>`)
+    .join("\n  ")}
+  <h2>${title}</h2>
+  <table>
+    ${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join("\n    ")}
+  </table>
+  ${receipt.kind === "gift" ? `<p>${GIFT_NOTE}</p>` : ""}
+  <p class="muted">Issued ${escapeHtml(receipt.issued_at)}</p>`
+  );
+}
+
+export function renderReceiptPdf(receipt) {
+  const title =
+    receipt.kind === "gift" ? "Donation Receipt" : "Payment Receipt";
+  const money = cents => formatMoney(cents, receipt.currency);
+
+  return renderPdf(
+    [
+      { text: receipt.org.name, size: 18, font: "bold" },
+      ...orgLines(receipt.org).map(text => ({ text, size: 10 })),
+      { gap: 16 },
+      { text: title, size: 14, font: "bold" },
+      { gap: 6 },
+      { text: `Receipt number: ${receipt.receipt_number}` },
+      { text: `Date: ${receipt.date}` },
+      { text: `Received from: ${receipt.donor.name} <${receipt.donor.email}>` },
+      receipt.kind === "purchase" && {
+        text: `For: ${receipt.app} order ${receipt.order_id}`
+      },
+      { text: `Amount: ${money(receipt.amount_cents)}` },
+      receipt.refunded_cents > 0 && {
+        text: `Refunded: ${money(receipt.refunded_cents)}`
+      },
+      receipt.refunded_cents > 0 && {
+        text: `Net amount: ${money(receipt.net_cents)}`
+      },
+      { text: "SoulMarkⓈ:" },
+      { text: receipt.soulmark || "", font: "mono", size: 9 },
+      { gap: 12 },
+      receipt.kind === "gift" && { text: GIFT_NOTE, size: 10 },
+      { text: `Issued ${receipt.issued_at}`, size: 9 }
+    ].filter(Boolean),
+    { title: `${title} ${receipt.receipt_number}` }
+  );
+}
+
+export function renderStatementHtml(statement) {
+  const title = `${statement.year} Giving Statement`;
+
+  const rows = statement.rows
+    .map(
+      r =>
+        `<tr><td>${escapeHtml(r.date)}</td><td>${escapeHtml(r.receipt_number)}</td>` +
+        `<td class="num">${escapeHtml(formatMoney(r.net_cents, r.currency))}</td></tr>`
+    )
+    .join("\n    ");
+  const totals = statement.totals
+    .map(
+      t =>
+        `<tr><th colspan="2">Total (${escapeHtml(t.currency.toUpperCase())})</th>` +
+        `<th class="num">${escapeHtml(formatMoney(t.net_cents, t.currency))}</th></tr>`
+    )
+    .join("\n    ");
+
+  return htmlPage(
+    title,
+    `  <h1>${escapeHtml(statement.org.name)}</h1>
+  ${orgLines(statement.org)
+    .map(l => `<div class="muted">${escapeHtml(l)}</div>`)
+    .join("\n  ")}
+  <h2>${title}</h2>
+  <p>${escapeHtml(statement.donor.name)} (${escapeHtml(statement.donor.username)})<br />${escapeHtml(statement.donor.email)}</p>
+  <table>
+    <tr><th>Date</th><th>Receipt</th><th class="num">Amount</th></tr>
+    ${rows || '<tr><td colspan="3">No gifts recorded for this year.</td></tr>'}
+    ${totals}
+  </table>
+  <p>Amounts are net of refunds. ${GIFT_NOTE}</p>
+  <p class="muted">Issued ${escapeHtml(statement.issued_at)}</p>`
+  );
+}
+
+export function renderStatementPdf(statement) {
+  const title = `${statement.year} Giving Statement`;
+  const row = (date, receipt, amount) =>
+    `${date.padEnd(12)}${receipt.padEnd(14)}${amount.padStart(16)}`;
+
+  return renderPdf(
+    [
+      { text: statement.org.name, size: 18, font: "bold" },
+      ...orgLines(statement.org).map(text => ({ text, size: 10 })),
+      { gap: 16 },
+      { text: title, size: 14, font: "bold" },
+      { text: `${statement.donor.name} (${statement.donor.username})` },
+      { text: statement.donor.email },
+      { gap: 12 },
+      { text: row("Date", "Receipt", "Amount"), font: "mono", size: 10 },
+      ...(statement.rows.length
+        ? statement.rows.map(r => ({
+            text: row(
+              r.date,
+              r.receipt_number,
+              formatMoney(r.net_cents, r.currency)
+            ),
+            font: "mono",
+            size: 10
+          }))
+        : [{ text: "No gifts recorded for this year.", size: 10 }]),
+      { gap: 6 },
+      ...statement.totals.map(t => ({
+        text: row(
+          "Total",
+          t.currency.toUpperCase(),
+          formatMoney(t.net_cents, t.currency)
+        ),
+        font: "mono",
+        size: 10
+      })),
+      { gap: 12 },
+      { text: `Amounts are net of refunds. ${GIFT_NOTE}`, size: 10 },
+      { text: `Issued ${statement.issued_at}`, size: 9 }
+    ],
+    { title }
+  );
+}
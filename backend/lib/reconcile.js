@@ -0,0 +1,205 @@
+// -----------------------------------------------
+// Stripe reconciliation — registry vs Stripe
+// -----------------------------------------------
+//
+// Two passes:
+//   1. Unpaid orders (pending_payment / payment_failed). Orders whose
+//      Checkout session was paid are recorded; orders whose session
+//      expired, or that have sat unpaid for longer than `staleHours`, are
+//      expired (an open session is expired in Stripe first).
+//   2. Checkout sessions created in the last `lookbackHours`. Paid
+//      sessions with no donation are recorded; donations whose amount
+//      differs from Stripe's are reported.
+//
+// Recording goes through the server's recordPaidSession(), the same path
+// as GET /verify-donation/:id and the webhook. The result is a report:
+//   { started_at, finished_at, dry_run, checked, repaired, discrepancies }
+
+import { PAYABLE_STATUSES, tryTransitionOrder } from "./orders.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function isPaid(session) {
+  return (
+    session.status === "complete" &&
+    (session.payment_status === "paid" ||
+      session.payment_status === "no_payment_required")
+  );
+}
+
+/**
+ * deps: { storage, stripe, recordPaidSession, applySubscriptionState }
+ * options: { lookbackHours = 72, staleHours = 24, dryRun = false }
+ */
+export async function reconcileStripe(deps, options = {}) {
+  const { storage, stripe, recordPaidSession, applySubscriptionState } = deps;
+  const { lookbackHours = 72, staleHours = 24, dryRun = false } = options;
+
+  const startedAt = Date.now();
+  const report = {
+    started_at: new Date(startedAt).toISOString(),
+    finished_at: null,
+    dry_run: dryRun,
+    options: { lookback_hours: lookbackHours, stale_hours: staleHours },
+    checked: { orders: 0, sessions: 0 },
+    repaired: 0,
+    discrepancies: []
+  };
+
+  function note(entry, repaired) {
+    report.discrepancies.push({
+      ...entry,
+      action: dryRun && repaired ? `would ${entry.action}` : entry.action
+    });
+    if (repaired && !dryRun) report.repaired += 1;
+  }
+
+  async function recordSession(session) {
+    if (dryRun) return;
+
+    // Subscription state comes from the expanded subscription
+    const full =
+      session.mode === "subscription" &&
+      typeof session.subscription === "string"
+        ? await stripe.checkout.sessions.retrieve(session.id, {
+            expand: ["subscription"]
+          })
+        : session;
+
+    await recordPaidSession(full);
+    if (full.mode === "subscription" && full.subscription?.id) {
+      await applySubscriptionState(full.subscription);
+    }
+  }
+
+  async function expireOrder(orderId, reason) {
+    if (dryRun) return;
+    await storage.orders.update(orderId, order => {
+      tryTransitionOrder(order, "expired", { reason, actor: "reconcile" });
+    });
+  }
+
+  // ---- Pass 1: unpaid orders ----
+  const seenSessions = new Set();
+  const unpaid = await storage.orders.list(o =>
+    PAYABLE_STATUSES.includes(o.status)
+  );
+
+  for (const order of unpaid) {
+    report.checked.orders += 1;
+    const stale =
+      startedAt - Date.parse(order.created_at) > staleHours * HOUR_MS;
+    const base = {
+      order_id: order.order_id,
+      session_id: order.stripe_session_id || null,
+      order_status: order.status
+    };
+
+    try {
+      if (!order.stripe_session_id) {
+        if (stale) {
+          await expireOrder(order.order_id, "stale_no_checkout");
+          note({ ...base, type: "stale_order", action: "expire order" }, true);
+        }
+        continue;
+      }
+
+      seenSessions.add(order.stripe_session_id);
+
+      let session;
+      try {
+        session = await stripe.checkout.sessions.retrieve(
+          order.stripe_session_id
+        );
+      } catch (err) {
+        if (err.statusCode === 404) {
+          note({ ...base, type: "session_missing", action: "none" }, false);
+          continue;
+        }
+        throw err;
+      }
+
+      if (isPaid(session)) {
+        await recordSession(session);
+        note(
+          { ...base, type: "paid_order_unrecorded", action: "record payment" },
+          true
+        );
+      } else if (session.status === "expired") {
+        await expireOrder(order.order_id, "checkout_expired");
+        note(
+          { ...base, type: "session_expired", action: "expire order" },
+          true
+        );
+      } else if (stale && session.status === "open") {
+        if (!dryRun) await stripe.checkout.sessions.expire(session.id);
+        await expireOrder(order.order_id, "stale_checkout");
+        note(
+          { ...base, type: "stale_order", action: "expire session and order" },
+          true
+        );
+      }
+    } catch (err) {
+      note(
+        { ...base, type: "error", action: "none", detail: err.message },
+        false
+      );
+    }
+  }
+
+  // ---- Pass 2: recent Checkout sessions ----
+  const since = Math.floor((startedAt - lookbackHours * HOUR_MS) / 1000);
+
+  try {
+    for await (const session of stripe.checkout.sessions.list({
+      created: { gte: since },
+      limit: 100
+    })) {
+      report.checked.sessions += 1;
+      if (seenSessions.has(session.id) || !isPaid(session)) continue;
+
+      const base = {
+        session_id: session.id,
+        order_id: session.metadata?.order_id || null
+      };
+
+      try {
+        const donation = await storage.donations.get(session.id);
+        if (!donation) {
+          await recordSession(session);
+          note(
+            { ...base, type: "donation_missing", action: "record payment" },
+            true
+          );
+        } else if ((donation.amount || 0) !== (session.amount_total || 0)) {
+          note(
+            {
+              ...base,
+              type: "amount_mismatch",
+              action: "none",
+              detail: `registry ${donation.amount}, stripe ${session.amount_total}`
+            },
+            false
+          );
+        }
+      } catch (err) {
+        note(
+          { ...base, type: "error", action: "none", detail: err.message },
+          false
+        );
+      }
+    }
+  } catch (err) {
+    note(
+      {
+        type: "error",
+        action: "none",
+        detail: `listing sessions: ${err.message}`
+      },
+      false
+    );
+  }
+
+  report.finished_at = new Date().toISOString();
+  return report;
+}
@@ -0,0 +1,126 @@
+// -----------------------------------------------
+// Recurring donations — monthly / yearly gifts through Stripe subscriptions
+// -----------------------------------------------
+//
+// {
+//   "recurring_id": "rcd-...",
+//   "email": "donor@example.com",
+//   "name": "Donor",
+//   "identity_id": "idn-..." | null,
+//   "amount": 2500,                      // minor units per gift
+//   "currency": "usd",
+//   "interval": "month" | "year",
+//   "campaign_id": "cmp-..." | null,
+//   "status": "pending" | "active" | "past_due" | "canceled" | "expired",
+//   "stripe_checkout_session_id": "cs_...",
+//   "stripe_subscription_id": "sub_..." | null,
+//   "gift_count": 3,
+//   "root_soulmark": "...",              // first gift
+//   "last_soulmark": "...",              // latest gift
+//   "current_period_end": ISO | null,    // next gift is due
+//   "skip_until": ISO | null,            // next gift skipped, resumes then
+//   "created_at", "updated_at", "canceled_at"
+// }
+//
+// Every paid invoice becomes its own donation record (the first one is the
+// Checkout session, renewals are keyed by invoice id), each with its own
+// SoulMarkⓈ. The gifts form one lineage: donation.lineage is
+//
+//   { recurring_id, sequence, previous_soulmark }
+//
+// and is part of the signed certificate payload, so each SoulMarkⓈ vouches
+// for its place in the chain back to the first gift.
+
+import crypto from "crypto";
+
+export const DONATION_FREQUENCIES = ["one_time", "monthly", "yearly"];
+
+// Stripe recurring interval for each frequency
+export const FREQUENCY_INTERVALS = { monthly: "month", yearly: "year" };
+
+// Plans the donor can still cancel or skip
+export const LIVE_RECURRING_STATUSES = ["active", "past_due"];
+
+export function createRecurringId() {
+  return "rcd-" + crypto.randomUUID();
+}
+
+export function frequencyOf(interval) {
+  return interval === "year" ? "yearly" : "monthly";
+}
+
+/**
+ * Lineage for the next gift of `plan`. Set it on the donation before
+ * the SoulMarkⓈ is minted.
+ */
+export function nextLineage(plan) {
+  return {
+    recurring_id: plan.recurring_id,
+    sequence: (plan.gift_count || 0) + 1,
+    previous_soulmark: plan.last_soulmark || null
+  };
+}
+
+/**
+ * Note a minted gift on its plan (inside a transaction). Gifts already
+ * counted are ignored, so webhook redeliveries are harmless. Returns the
+ * updated plan.
+ */
+export function recordRecurringGift(tx, donation, { subscriptionId, periodEnd }) {
+  const now = new Date().toISOString();
+  return tx.recurring_donations.update(donation.lineage.recurring_id, plan => {
+    if (donation.lineage.sequence > (plan.gift_count || 0)) {
+      plan.gift_count = donation.lineage.sequence;
+      plan.last_soulmark = donation.soulmark;
+      plan.root_soulmark = plan.root_soulmark || donation.soulmark;
+      plan.last_gift_at = donation.timestamp;
+    }
+    if (plan.status === "pending" || plan.status === "past_due") {
+      plan.status = "active";
+    }
+    plan.stripe_subscription_id = plan.stripe_subscription_id || subscriptionId;
+    plan.identity_id = plan.identity_id || donation.identity_id || null;
+    if (periodEnd) plan.current_period_end = periodEnd;
+    // A skipped period has passed once the next gift arrives
+    if (plan.skip_until && Date.parse(plan.skip_until) <= Date.now()) {
+      plan.skip_until = null;
+    }
+    plan.updated_at = now;
+  });
+}
+
+// Stripe subscription status → plan status
+export function recurringStatus(subscriptionStatus) {
+  switch (subscriptionStatus) {
+    case "active":
+    case "trialing":
+      return "active";
+    case "past_due":
+    case "unpaid":
+      return "past_due";
+    case "canceled":
+    case "incomplete_expired":
+      return "canceled";
+    default:
+      return null;
+  }
+}
+
+// What GET /me/recurring-donations returns for a plan
+export function recurringView(plan) {
+  return {
+    recurring_id: plan.recurring_id,
+    frequency: frequencyOf(plan.interval),
+    amount: plan.amount,
+    currency: plan.currency,
+    campaign_id: plan.campaign_id || null,
+    status: plan.status,
+    gift_count: plan.gift_count || 0,
+    root_soulmark: plan.root_soulmark || null,
+    last_soulmark: plan.last_soulmark || null,
+    current_period_end: plan.current_period_end || null,
+    skip_until: plan.skip_until || null,
+    created_at: plan.created_at,
+    canceled_at: plan.canceled_at || null
+  };
+}
@@ -0,0 +1,103 @@
+// -----------------------------------------------
+// Retention — pruning for the log-style collections
+// -----------------------------------------------
+//
+// These collections only grow, so the server prunes them hourly
+// (pruneExpired, in one transaction). Days are counted from:
+//
+//   sessions          expiry or revocation           default 30
+//   soulmark_claims   code expiry                    default 30
+//   notifications     sending, once sent or failed   default 90
+//   app_webhooks      delivery, once delivered or
+//                     failed                         default 90
+//   processed_events  processing (Stripe stops
+//                     retrying after 3 days)         default 90
+//   audit_log         the admin action               default 365
+//
+// RETENTION_DAYS overrides them as `<collection>:<days>` entries, e.g.
+// "audit_log:730,notifications:30"; 0 keeps a collection forever.
+// Pending deliveries and live sessions are never pruned.
+//
+// The ledger is not pruned: each entry is chained to the one before it,
+// so dropping old entries would break verification (lib/ledger.js).
+
+import { COLLECTIONS } from "./storage/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RETENTION_DAYS = {
+  sessions: 30,
+  soulmark_claims: 30,
+  notifications: 90,
+  app_webhooks: 90,
+  processed_events: 90,
+  audit_log: 365
+};
+
+// collection → (record) → the time its retention counts from, or null
+// while it must be kept
+const RETENTION_CLOCKS = {
+  sessions: s => s.revoked_at || s.expires_at,
+  soulmark_claims: c => c.expires_at,
+  notifications: n =>
+    ["sent", "failed"].includes(n.status) ? n.sent_at || n.created_at : null,
+  app_webhooks: d =>
+    ["delivered", "failed"].includes(d.status)
+      ? d.delivered_at || d.created_at
+      : null,
+  processed_events: e => e.processed_at,
+  audit_log: a => a.at
+};
+
+export class RetentionError extends Error {}
+
+/**
+ * "audit_log:730,notifications:30" → DEFAULT_RETENTION_DAYS with those
+ * two replaced. Throws RetentionError for unknown collections or bad
+ * numbers.
+ */
+export function parseRetentionDays(value) {
+  const days = { ...DEFAULT_RETENTION_DAYS };
+  for (const entry of String(value || "")
+    .split(",")
+    .map(e => e.trim())
+    .filter(Boolean)) {
+    const [name, count] = entry.split(":").map(p => p.trim());
+    const parsed = Number(count);
+    if (!(name in DEFAULT_RETENTION_DAYS)) {
+      throw new RetentionError(
+        `RETENTION_DAYS: unknown collection "${name}" (one of ${Object.keys(DEFAULT_RETENTION_DAYS).join(", ")}).`
+      );
+    }
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new RetentionError(
+        `RETENTION_DAYS: days for ${name} must be a whole number.`
+      );
+    }
+    days[name] = parsed;
+  }
+  return days;
+}
+
+/**
+ * Remove records past their retention. Runs inside a storage
+ * transaction; returns { collection: removed } for the ones it pruned.
+ */
+export function pruneExpired(
+  tx,
+  { days = DEFAULT_RETENTION_DAYS, now = Date.now() } = {}
+) {
+  const removed = {};
+  for (const [name, clock] of Object.entries(RETENTION_CLOCKS)) {
+    if (!days[name]) continue;
+
+    const cutoff = now - days[name] * DAY_MS;
+    const expired = tx[name].list(record => {
+      const since = clock(record);
+      return !!since && Date.parse(since) < cutoff;
+    });
+    for (const record of expired) tx[name].remove(record[COLLECTIONS[name]]);
+    if (expired.length) removed[name] = expired.length;
+  }
+  return removed;
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStorage } from "./storage/index.js";
+import {
+  DEFAULT_RETENTION_DAYS,
+  RetentionError,
+  parseRetentionDays,
+  pruneExpired
+} from "./retention.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2025-06-01T00:00:00Z");
+const ago = days => new Date(NOW - days * DAY_MS).toISOString();
+
+test("parseRetentionDays overrides the defaults", () => {
+  assert.deepEqual(parseRetentionDays(""), DEFAULT_RETENTION_DAYS);
+  assert.deepEqual(parseRetentionDays("audit_log:730, notifications:0"), {
+    ...DEFAULT_RETENTION_DAYS,
+    audit_log: 730,
+    notifications: 0
+  });
+  assert.throws(() => parseRetentionDays("ledger:30"), RetentionError);
+  assert.throws(() => parseRetentionDays("audit_log:-1"), RetentionError);
+});
+
+test("prunes only finished records past their retention", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retention-test-"));
+  const storage = await openStorage({
+    backend: "file",
+    file: path.join(dir, "registry.json")
+  });
+
+  await storage.transaction(tx => {
+    tx.sessions.insert({ session_id: "old", expires_at: ago(40) });
+    tx.sessions.insert({ session_id: "live", expires_at: ago(-10) });
+    tx.sessions.insert({
+      session_id: "revoked",
+      expires_at: ago(-10),
+      revoked_at: ago(31)
+    });
+    tx.notifications.insert({
+      notification_id: "sent",
+      status: "sent",
+      created_at: ago(100),
+      sent_at: ago(95)
+    });
+    tx.notifications.insert({
+      notification_id: "stuck",
+      status: "pending",
+      created_at: ago(200)
+    });
+    tx.app_webhooks.insert({
+      delivery_id: "recent",
+      status: "delivered",
+      created_at: ago(10),
+      delivered_at: ago(10)
+    });
+    tx.audit_log.insert({ audit_id: "a1", at: ago(400) });
+    tx.audit_log.insert({ audit_id: "a2", at: ago(100) });
+    tx.ledger.insert({ seq: 1, at: ago(1000) });
+  });
+
+  const removed = await storage.transaction(tx =>
+    pruneExpired(tx, { now: NOW })
+  );
+
+  assert.deepEqual(removed, { sessions: 2, notifications: 1, audit_log: 1 });
+  assert.deepEqual(
+    (await storage.sessions.list()).map(s => s.session_id),
+    ["live"]
+  );
+  assert.deepEqual(
+    (await storage.notifications.list()).map(n => n.notification_id),
+    ["stuck"]
+  );
+  assert.equal((await storage.app_webhooks.list()).length, 1);
+  assert.equal((await storage.ledger.list()).length, 1);
+
+  const kept = await storage.transaction(tx =>
+    pruneExpired(tx, {
+      now: NOW,
+      days: { ...DEFAULT_RETENTION_DAYS, audit_log: 0 }
+    })
+  );
+  assert.deepEqual(kept, {});
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,177 @@
+// -----------------------------------------------
+// SoulMarkⓈ certificates — Ed25519-signed donation records
+// -----------------------------------------------
+//
+// A SoulMarkⓈ is issued as a certificate:
+//
+//   payload = {
+//     v: 2,
+//     issuer: "FundTrackerAI",
+//     donation_id, amount, currency, issued_at,
+//     identity_hash,        // HMAC-SHA256(identity key,
+//                           //   "email:" + lowercase email)
+//     key_id,
+//     lineage               // recurring gifts only: { recurring_id,
+//                           //   sequence, previous_soulmark }
+//   }
+//   soulmark  = sha256(canonical JSON of payload), hex
+//   signature = Ed25519(canonical JSON of payload), base64url
+//
+// Anyone with the published public key can check both offline: the
+// SoulMarkⓈ must equal the payload hash and the signature must verify.
+// Canonical JSON = keys sorted, no whitespace.
+//
+// The identity key is derived from the signing key and never leaves the
+// server, so identity_hash can't be matched against guessed emails. v1
+// certificates (plain sha256 of the email, plus identity_id) stay valid;
+// GET /soulmark/:id/verify only shows any certificate to its donor or an
+// admin.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const ISSUER = "FundTrackerAI";
+export const CERTIFICATE_VERSION = 2;
+
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function identityHash(identityKey, email) {
+  return crypto
+    .createHmac("sha256", identityKey)
+    .update("email:" + String(email || "").trim().toLowerCase())
+    .digest("hex");
+}
+
+// HMAC key for identity_hash, derived from the signing key
+function deriveIdentityKey(privateKey) {
+  const raw = privateKey.export({ format: "der", type: "pkcs8" });
+  return Buffer.from(
+    crypto.hkdfSync("sha256", raw, "", "soulmark identity_hash", 32)
+  );
+}
+
+export function keyIdFor(publicKey) {
+  const raw = publicKey.export({ format: "der", type: "spki" });
+  return crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16);
+}
+
+/**
+ * Load the Ed25519 signing key from SOULMARK_SIGNING_KEY (PKCS#8 PEM), or
+ * from `keyFile`, generating one there on first run (local dev).
+ */
+export function loadSigningKey({ pem, keyFile }) {
+  let privateKey;
+
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, "\n"));
+  } else if (fs.existsSync(keyFile)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile, "utf8"));
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync("ed25519"));
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(
+      keyFile,
+      privateKey.export({ format: "pem", type: "pkcs8" }),
+      { encoding: "utf8", mode: 0o600 }
+    );
+    console.warn(
+      `⚠️ Generated a new SoulMarkⓈ signing key at ${keyFile}. Set SOULMARK_SIGNING_KEY in production.`
+    );
+  }
+
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("SoulMarkⓈ signing key must be an Ed25519 private key.");
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    privateKey,
+    publicKey,
+    keyId: keyIdFor(publicKey),
+    identityKey: deriveIdentityKey(privateKey)
+  };
+}
+
+// What GET /.well-known/soulmark-public-key publishes
+export function publicKeyInfo(keys) {
+  return {
+    issuer: ISSUER,
+    alg: "Ed25519",
+    key_id: keys.keyId,
+    pem: keys.publicKey.export({ format: "pem", type: "spki" }),
+    jwk: { ...keys.publicKey.export({ format: "jwk" }), kid: keys.keyId }
+  };
+}
+
+/**
+ * Issue a certificate for a donation.
+ * Returns { soulmark, certificate: { payload, signature, alg, key_id } }.
+ */
+export function issueCertificate(keys, donation) {
+  const payload = {
+    v: CERTIFICATE_VERSION,
+    issuer: ISSUER,
+    donation_id: donation.id,
+    amount: donation.amount,
+    currency: donation.currency || "usd",
+    issued_at: donation.timestamp,
+    identity_hash: identityHash(keys.identityKey, donation.email),
+    key_id: keys.keyId,
+    ...(donation.lineage && { lineage: donation.lineage })
+  };
+
+  const message = Buffer.from(canonicalJson(payload));
+  const soulmark = crypto.createHash("sha256").update(message).digest("hex");
+  const signature = crypto
+    .sign(null, message, keys.privateKey)
+    .toString("base64url");
+
+  return {
+    soulmark,
+    certificate: { payload, signature, alg: "Ed25519", key_id: keys.keyId }
+  };
+}
+
+/**
+ * Check a SoulMarkⓈ against its certificate with a public key (a KeyObject
+ * or PEM string). Returns { valid, reason }.
+ */
+export function verifyCertificate(publicKey, soulmark, certificate) {
+  if (!certificate?.payload || !certificate.signature) {
+    return { valid: false, reason: "missing_certificate" };
+  }
+
+  const message = Buffer.from(canonicalJson(certificate.payload));
+  const hash = crypto.createHash("sha256").update(message).digest("hex");
+  if (hash !== soulmark) {
+    return { valid: false, reason: "soulmark_mismatch" };
+  }
+
+  let signatureOk = false;
+  try {
+    signatureOk = crypto.verify(
+      null,
+      message,
+      publicKey,
+      Buffer.from(certificate.signature, "base64url")
+    );
+  } catch {
+    signatureOk = false;
+  }
+
+  return signatureOk
+    ? { valid: true, reason: null }
+    : { valid: false, reason: "bad_signature" };
+}
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  identityHash,
+  issueCertificate,
+  loadSigningKey,
+  verifyCertificate
+} from "./soulmark.js";
+
+function freshKeys() {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  return loadSigningKey({
+    pem: privateKey.export({ format: "pem", type: "pkcs8" })
+  });
+}
+
+const donation = {
+  id: "cs_1",
+  amount: 2500,
+  currency: "usd",
+  timestamp: "2025-06-01T00:00:00.000Z",
+  email: "Donor@Example.com",
+  identity_id: "ias-1"
+};
+
+test("certificates verify, and tampering is caught", () => {
+  const keys = freshKeys();
+  const { soulmark, certificate } = issueCertificate(keys, donation);
+
+  assert.deepEqual(verifyCertificate(keys.publicKey, soulmark, certificate), {
+    valid: true,
+    reason: null
+  });
+
+  const tampered = {
+    ...certificate,
+    payload: { ...certificate.payload, amount: 1 }
+  };
+  assert.equal(
+    verifyCertificate(keys.publicKey, soulmark, tampered).reason,
+    "soulmark_mismatch"
+  );
+  assert.equal(
+    verifyCertificate(freshKeys().publicKey, soulmark, certificate).reason,
+    "bad_signature"
+  );
+});
+
+test("the identity hash is keyed and the identity id is left out", () => {
+  const keys = freshKeys();
+  const { payload } = issueCertificate(keys, donation).certificate;
+
+  assert.equal(payload.v, 2);
+  assert.ok(!("identity_id" in payload));
+  assert.equal(
+    payload.identity_hash,
+    identityHash(keys.identityKey, "donor@example.com")
+  );
+
+  const unkeyed = crypto
+    .createHash("sha256")
+    .update("email:donor@example.com")
+    .digest("hex");
+  assert.notEqual(payload.identity_hash, unkeyed);
+  // Another server (another key) can't reproduce it either
+  assert.notEqual(
+    issueCertificate(freshKeys(), donation).certificate.payload.identity_hash,
+    payload.identity_hash
+  );
+});
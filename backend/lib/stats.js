@@ -0,0 +1,387 @@
+// -----------------------------------------------
+// Fundraising analytics — aggregates for GET /stats/*
+// -----------------------------------------------
+//
+// Pure functions over donation and order records; server.js loads the
+// records, applies filters and caches the results. Amounts are cents.
+//
+// Callers pass `amountOf(donation)`: the public routes count only the
+// amounts donors chose to show (as GET /donations does), admin callers
+// count everything. Refunds are subtracted when the amount is counted.
+//
+// Totals only add up amounts in one currency: run donations through
+// donationsInCurrency() first, or group them by currency.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STATS_INTERVALS = ["day", "week", "month"];
+
+// Subscription amounts → one month's worth
+const MONTHLY_FACTOR = { day: 365 / 12, week: 52 / 12, month: 1, year: 1 / 12 };
+
+// Orders that took money and haven't been refunded in full
+const REVENUE_STATUSES = ["paid", "partially_refunded", "disputed"];
+
+// Subscriptions still billing
+const LIVE_SUBSCRIPTION_STATUSES = ["active", "trialing", "past_due"];
+
+export class StatsError extends Error {}
+
+export function currencyOf(record) {
+  return record.currency || "usd";
+}
+
+// A convert() for when there is no rate table
+function sameCurrencyOnly(amount, from, to) {
+  return from === to ? amount : null;
+}
+
+/**
+ * Donations with amount and amount_refunded converted to `currency` with
+ * `convert(amount, from, to)` (lib/currency.js). Returns
+ * { donations, unconverted: [{ currency, donation_count }] }; donations
+ * with no rate are left out and listed in unconverted.
+ */
+export function donationsInCurrency(donations, currency, convert) {
+  const converted = [];
+  const missing = new Map();
+
+  for (const d of donations) {
+    const from = currencyOf(d);
+    const amount = convert(d.amount || 0, from, currency);
+    if (amount === null) {
+      missing.set(from, (missing.get(from) || 0) + 1);
+      continue;
+    }
+    converted.push({
+      ...d,
+      amount,
+      amount_refunded: d.amount_refunded
+        ? convert(d.amount_refunded, from, currency)
+        : d.amount_refunded,
+      currency
+    });
+  }
+
+  return {
+    donations: converted,
+    unconverted: [...missing.entries()].map(([c, count]) => ({
+      currency: c,
+      donation_count: count
+    }))
+  };
+}
+
+/**
+ * Bucket label for a timestamp (UTC): "2025-03-14" for days, the Monday
+ * of the ISO week for weeks, "2025-03" for months.
+ */
+export function bucketKey(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === "month") return date.toISOString().slice(0, 7);
+  if (interval === "week") {
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - sinceMonday * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function nextBucket(key, interval) {
+  if (interval === "month") {
+    const [year, month] = key.split("-").map(Number);
+    return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+  }
+  const step = interval === "week" ? 7 : 1;
+  return new Date(Date.parse(`${key}T00:00:00Z`) + step * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Donors are counted once: by identity when known, otherwise by email
+export function donorKey(donation) {
+  return donation.identity_id || (donation.email || donation.id).toLowerCase();
+}
+
+function emptyTotals() {
+  return {
+    donation_count: 0,
+    donor_count: 0,
+    amount_cents: 0,
+    refunded_cents: 0,
+    net_cents: 0,
+    average_gift_cents: 0,
+    hidden_amount_count: 0
+  };
+}
+
+function addDonation(totals, donors, donation, amountOf) {
+  totals.donation_count += 1;
+  donors.add(donorKey(donation));
+
+  const amount = amountOf(donation);
+  if (amount === null) {
+    totals.hidden_amount_count += 1;
+    return;
+  }
+  totals.amount_cents += amount;
+  totals.refunded_cents += Math.min(donation.amount_refunded || 0, amount);
+}
+
+function finishTotals(totals, donors) {
+  totals.donor_count = donors.size;
+  totals.net_cents = totals.amount_cents - totals.refunded_cents;
+  const counted = totals.donation_count - totals.hidden_amount_count;
+  totals.average_gift_cents = counted
+    ? Math.round(totals.amount_cents / counted)
+    : 0;
+  return totals;
+}
+
+/**
+ * { donation_count, donor_count, amount_cents, refunded_cents, net_cents,
+ *   average_gift_cents, hidden_amount_count }
+ */
+export function summarizeDonations(donations, amountOf) {
+  const totals = emptyTotals();
+  const donors = new Set();
+  for (const d of donations) addDonation(totals, donors, d, amountOf);
+  return finishTotals(totals, donors);
+}
+
+/**
+ * Totals per bucket, oldest first. Buckets with no donations between
+ * `from` and `to` (or the first and last donation) are included as zeros.
+ */
+export function donationTimeSeries(
+  donations,
+  { interval, from = null, to = null, amountOf, maxBuckets = 1000 }
+) {
+  const groups = new Map();
+  for (const d of donations) {
+    const key = bucketKey(d.timestamp, interval);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(d);
+  }
+
+  const keys = [...groups.keys()].sort();
+  const first = from !== null ? bucketKey(from, interval) : keys[0];
+  const last = to !== null ? bucketKey(to, interval) : keys[keys.length - 1];
+  if (!first || !last) return [];
+
+  const series = [];
+  for (let key = first; key <= last; key = nextBucket(key, interval)) {
+    if (series.length >= maxBuckets) {
+      throw new StatsError(
+        `That range has more than ${maxBuckets} ${interval} buckets; narrow it or use a longer interval.`
+      );
+    }
+    series.push({
+      bucket: key,
+      ...summarizeDonations(groups.get(key) || [], amountOf)
+    });
+  }
+  return series;
+}
+
+/**
+ * Totals per `keyOf(donation)` value, largest net amount first.
+ * Returns [{ key, ...totals }].
+ */
+export function groupDonations(donations, keyOf, amountOf) {
+  const groups = new Map();
+  for (const d of donations) {
+    const key = keyOf(d);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(d);
+  }
+
+  return [...groups.entries()]
+    .map(([key, list]) => ({ key, ...summarizeDonations(list, amountOf) }))
+    .sort((a, b) => b.net_cents - a.net_cents || b.donation_count - a.donation_count);
+}
+
+/**
+ * New vs returning donors among `inRange`: a donor is new if their first
+ * donation in `all` is at or after `from` (null: every donor is new).
+ */
+export function donorRetention(all, inRange, from = null) {
+  const firstGift = new Map();
+  for (const d of all) {
+    const key = donorKey(d);
+    const time = Date.parse(d.timestamp);
+    if (!firstGift.has(key) || time < firstGift.get(key)) {
+      firstGift.set(key, time);
+    }
+  }
+
+  const rangeStart = from ?? -Infinity;
+  const donors = new Set(inRange.map(donorKey));
+  let fresh = 0;
+  for (const key of donors) {
+    if (firstGift.get(key) >= rangeStart) fresh += 1;
+  }
+
+  return {
+    donors: donors.size,
+    new_donors: fresh,
+    returning_donors: donors.size - fresh
+  };
+}
+
+function itemAmountCents(item) {
+  if (typeof item?.amount_cents === "number") return item.amount_cents;
+  if (typeof item?.amount === "number") return Math.round(item.amount * 100);
+  return 0;
+}
+
+// When an order was paid: its status history, else when it was created
+export function orderPaidAt(order) {
+  const paid = (order.status_history || []).find(h => h.to === "paid");
+  return paid?.at || order.created_at;
+}
+
+/**
+ * Monthly recurring revenue and churn for subscription orders.
+ *   mrr_cents            live subscriptions, normalised to one month, in
+ *                        `currency` (items converted with `convert`)
+ *   active_subscriptions live subscriptions now
+ *   new_subscriptions    started within [from, to]
+ *   churned              canceled within [from, to]
+ *   churn_rate           churned / subscriptions live at `from`
+ *   unconverted_items    live items left out of mrr_cents (no rate)
+ */
+export function subscriptionMetrics(
+  orders,
+  { from, to, currency = "usd", convert = sameCurrencyOnly }
+) {
+  const subscriptions = orders.filter(
+    o => o.billing_mode === "subscription" && o.stripe_subscription_id
+  );
+
+  let mrr = 0;
+  let active = 0;
+  let liveAtStart = 0;
+  let started = 0;
+  let churned = 0;
+  let unconverted = 0;
+
+  for (const order of subscriptions) {
+    const start = Date.parse(orderPaidAt(order));
+    const canceled = order.canceled_at ? Date.parse(order.canceled_at) : null;
+
+    if (LIVE_SUBSCRIPTION_STATUSES.includes(order.subscription_status)) {
+      active += 1;
+      for (const item of order.items || []) {
+        if (item?.type !== "subscription") continue;
+        // Promo discounts that last past the first period lower MRR
+        const amount = convert(
+          itemAmountCents(item) - (item.recurring_discount_cents || 0),
+          item.currency || currencyOf(order),
+          currency
+        );
+        if (amount === null) {
+          unconverted += 1;
+          continue;
+        }
+        mrr += amount * (MONTHLY_FACTOR[item.interval] ?? 1);
+      }
+    }
+
+    if (start < from && (canceled === null || canceled >= from)) {
+      liveAtStart += 1;
+    }
+    if (start >= from && start <= to) started += 1;
+    if (canceled !== null && canceled >= from && canceled <= to) churned += 1;
+  }
+
+  return {
+    mrr_cents: Math.round(mrr),
+    active_subscriptions: active,
+    subscriptions_at_start: liveAtStart,
+    new_subscriptions: started,
+    churned,
+    churn_rate: liveAtStart
+      ? Math.round((churned / liveAtStart) * 10000) / 10000
+      : null,
+    unconverted_items: unconverted
+  };
+}
+
+/**
+ * Best-selling catalog items across paid orders, by revenue. A SKU sold
+ * in two currencies is listed once per currency; rows are ranked by
+ * revenue converted with `rank(amount, currency)` (default: as is).
+ * Returns [{ app, sku, label, currency, quantity, order_count,
+ * revenue_cents }].
+ */
+export function topSkus(orders, limit = 10, rank = amount => amount) {
+  const skus = new Map();
+
+  for (const order of orders) {
+    if (!REVENUE_STATUSES.includes(order.status)) continue;
+    for (const item of order.items || []) {
+      if (!item) continue;
+      const sku = item.sku || item.label || "unknown";
+      const currency = item.currency || currencyOf(order);
+      const key = `${order.app}:${sku}:${currency}`;
+      const entry = skus.get(key) || {
+        app: order.app,
+        sku,
+        label: item.label || sku,
+        currency,
+        quantity: 0,
+        order_count: 0,
+        revenue_cents: 0
+      };
+      entry.quantity += item.quantity || 1;
+      entry.order_count += 1;
+      entry.revenue_cents += itemAmountCents(item) - (item.discount_cents || 0);
+      skus.set(key, entry);
+    }
+  }
+
+  const rankOf = entry => rank(entry.revenue_cents, entry.currency) ?? 0;
+  return [...skus.values()]
+    .sort((a, b) => rankOf(b) - rankOf(a) || b.quantity - a.quantity)
+    .slice(0, limit);
+}
+
+/**
+ * createStatsCache({ ttlMs }) → { get(key, compute), clear() }
+ *
+ * get() returns the cached value for `key` while it is fresher than
+ * ttlMs, otherwise runs compute() once (concurrent callers share it).
+ */
+export function createStatsCache({ ttlMs }) {
+  const entries = new Map();
+
+  return {
+    get(key, compute) {
+      const now = Date.now();
+      const hit = entries.get(key);
+      if (hit && hit.expiresAt > now) return hit.value;
+
+      const value = Promise.resolve()
+        .then(compute)
+        .catch(err => {
+          entries.delete(key);
+          throw err;
+        });
+      entries.set(key, { value, expiresAt: now + ttlMs });
+
+      // Don't let stale keys pile up
+      if (entries.size > 500) {
+        for (const [k, e] of entries) {
+          if (e.expiresAt <= now) entries.delete(k);
+        }
+      }
+      return value;
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
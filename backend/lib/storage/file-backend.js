@@ -0,0 +1,227 @@
+// -----------------------------------------------
+// File backend — registry.json with atomic, serialized writes
+// -----------------------------------------------
+//
+// The whole registry stays one JSON document (same layout as before), but:
+//   - every write goes through a single queue, so two requests can never
+//     interleave their read-modify-write cycles;
+//   - a write lands in a temp file that is fsync'd and renamed over
+//     registry.json, so a crash leaves either the old or the new file;
+//   - an unreadable file is reported, never silently reset to empty.
+//
+// In memory each collection is a Map keyed by id (insertion order is the
+// file's order), so lookups by id don't scan. A transaction keeps its
+// writes in an overlay and copies only the records it reads or returns;
+// committed records are never handed out or edited in place. Each commit
+// still rewrites the file, so large registries belong in SQLite (see
+// README) and the log-style collections are pruned (lib/retention.js).
+
+import fs from "fs";
+import path from "path";
+import { StorageError, assertSync } from "./repository.js";
+
+function fileStamp(file) {
+  try {
+    const stat = fs.statSync(file);
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+const copy = record => structuredClone(record);
+
+// Parsed registry.json → { maps: name → Map(id → record), rest }
+function indexDocument(doc, collections) {
+  const maps = new Map();
+  for (const [name, key] of Object.entries(collections)) {
+    const records = Array.isArray(doc[name]) ? doc[name] : [];
+    maps.set(name, new Map(records.map(r => [String(r[key]), r])));
+  }
+  const rest = {};
+  for (const [name, value] of Object.entries(doc)) {
+    if (!maps.has(name)) rest[name] = value;
+  }
+  return { maps, rest };
+}
+
+// Records of `committed` with `overlay` (id → record, or null for
+// removed) applied, in order
+function* mergedRecords(committed, overlay) {
+  for (const [id, record] of committed) {
+    if (!overlay?.has(id)) yield [record, false];
+    else if (overlay.get(id) !== null) yield [overlay.get(id), true];
+  }
+  if (!overlay) return;
+  for (const [id, record] of overlay) {
+    if (record !== null && !committed.has(id)) yield [record, true];
+  }
+}
+
+// Reads over committed state: every record returned is a copy
+function readOnlyOps(state) {
+  return {
+    all(name) {
+      return [...state.maps.get(name).values()].map(copy);
+    },
+    list(name, predicate) {
+      const out = [];
+      for (const record of state.maps.get(name).values()) {
+        if (predicate(record)) out.push(copy(record));
+      }
+      return out;
+    },
+    find(name, predicate) {
+      for (const record of state.maps.get(name).values()) {
+        if (predicate(record)) return copy(record);
+      }
+      return null;
+    },
+    get(name, id) {
+      const record = state.maps.get(name).get(id);
+      return record ? copy(record) : null;
+    }
+  };
+}
+
+// Transaction ops: writes go to `overlay`; records the transaction wrote
+// are its own, committed ones are copied on the way out
+function transactionOps(state, overlay) {
+  const written = name => overlay.get(name);
+  const out = ([record, own]) => (own ? record : copy(record));
+
+  return {
+    dirty: false,
+    all(name) {
+      return [...mergedRecords(state.maps.get(name), written(name))].map(out);
+    },
+    list(name, predicate) {
+      const result = [];
+      for (const entry of mergedRecords(state.maps.get(name), written(name))) {
+        if (predicate(entry[0])) result.push(out(entry));
+      }
+      return result;
+    },
+    find(name, predicate) {
+      for (const entry of mergedRecords(state.maps.get(name), written(name))) {
+        if (predicate(entry[0])) return out(entry);
+      }
+      return null;
+    },
+    get(name, id) {
+      const own = written(name);
+      if (own?.has(id)) return own.get(id);
+      const record = state.maps.get(name).get(id);
+      return record ? copy(record) : null;
+    },
+    put(name, id, record) {
+      if (!overlay.has(name)) overlay.set(name, new Map());
+      overlay.get(name).set(id, record);
+      this.dirty = true;
+    },
+    remove(name, id) {
+      if (this.get(name, id) === null) return false;
+      if (!overlay.has(name)) overlay.set(name, new Map());
+      overlay.get(name).set(id, null);
+      this.dirty = true;
+      return true;
+    }
+  };
+}
+
+export function createFileBackend(file, collections) {
+  let state = null;
+  let stamp = null;
+  let queue = Promise.resolve();
+  let tmpCounter = 0;
+
+  // Re-read only when the file changed underneath us (e.g. a CLI script).
+  function load() {
+    const current = fileStamp(file);
+    if (state && current === stamp) return state;
+
+    if (current === null) {
+      state = indexDocument({}, collections);
+      stamp = null;
+      return state;
+    }
+
+    const raw = fs.readFileSync(file, "utf8");
+    let parsed;
+    try {
+      parsed = JSON.parse(raw || "{}");
+    } catch {
+      throw new StorageError(
+        `${path.basename(file)} is not valid JSON. Restore it from a backup before restarting.`
+      );
+    }
+
+    state = indexDocument(parsed, collections);
+    stamp = current;
+    return state;
+  }
+
+  // The registry.json document for `current` with `overlay` applied
+  function documentOf(current, overlay = new Map()) {
+    const doc = { ...current.rest };
+    for (const [name, committed] of current.maps) {
+      doc[name] = [...mergedRecords(committed, overlay.get(name))].map(
+        ([record]) => record
+      );
+    }
+    return doc;
+  }
+
+  function persist(current, overlay) {
+    const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(documentOf(current, overlay), null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+
+    // Only now that the file is written does memory change. Written
+    // records are copied so callers can't edit committed state.
+    for (const [name, records] of overlay) {
+      const committed = current.maps.get(name);
+      for (const [id, record] of records) {
+        if (record === null) committed.delete(id);
+        else committed.set(id, copy(record));
+      }
+    }
+    stamp = fileStamp(file);
+  }
+
+  return {
+    readOps() {
+      return readOnlyOps(load());
+    },
+
+    transaction(fn) {
+      const run = queue.then(() => {
+        const current = load();
+        const overlay = new Map();
+        const ops = transactionOps(current, overlay);
+        const result = assertSync(fn(ops));
+        if (ops.dirty || stamp === null) persist(current, overlay);
+        return result;
+      });
+      // Keep the queue alive after a failed transaction
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // Raw document, used by the importer and migrations
+    snapshot() {
+      return structuredClone(documentOf(load()));
+    },
+
+    close() {
+      return queue;
+    }
+  };
+}
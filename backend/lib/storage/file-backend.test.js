@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStorage } from "./index.js";
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  file = path.join(dir, "registry.json");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readFile = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("keeps records in insertion order across updates and removals", async () => {
+  const storage = await openStorage({ backend: "file", file });
+  await storage.transaction(tx => {
+    for (const id of ["a", "b", "c"]) tx.donations.insert({ id, amount: 1 });
+  });
+  await storage.donations.update("a", { amount: 5 });
+  await storage.donations.remove("b");
+  await storage.donations.insert({ id: "d", amount: 2 });
+
+  const ids = (await storage.donations.list()).map(d => d.id);
+  assert.deepEqual(ids, ["a", "c", "d"]);
+  assert.deepEqual(
+    readFile().donations.map(d => [d.id, d.amount]),
+    [
+      ["a", 5],
+      ["c", 1],
+      ["d", 2]
+    ]
+  );
+});
+
+test("returns copies, so callers can't change stored records", async () => {
+  const storage = await openStorage({ backend: "file", file });
+  const inserted = await storage.orders.insert({
+    order_id: "o1",
+    status: "paid"
+  });
+  inserted.status = "changed";
+
+  const read = await storage.orders.get("o1");
+  read.status = "changed";
+  (await storage.orders.list(o => o.order_id === "o1"))[0].status = "changed";
+  (await storage.orders.find(() => true)).status = "changed";
+
+  assert.equal((await storage.orders.get("o1")).status, "paid");
+});
+
+test("a failed transaction changes neither memory nor the file", async () => {
+  const storage = await openStorage({ backend: "file", file });
+  await storage.orders.insert({ order_id: "o1", status: "paid" });
+  const before = fs.readFileSync(file, "utf8");
+
+  await assert.rejects(
+    storage.transaction(tx => {
+      tx.orders.update("o1", { status: "refunded" });
+      tx.orders.insert({ order_id: "o2", status: "paid" });
+      tx.orders.remove("o1");
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+  assert.deepEqual(
+    (await storage.orders.list()).map(o => [o.order_id, o.status]),
+    [["o1", "paid"]]
+  );
+});
+
+test("transactions see their own writes", async () => {
+  const storage = await openStorage({ backend: "file", file });
+  await storage.orders.insert({ order_id: "o1", status: "paid" });
+
+  const seen = await storage.transaction(tx => {
+    tx.orders.update("o1", { status: "refunded" });
+    tx.orders.insert({ order_id: "o2", status: "paid" });
+    tx.orders.remove("o1");
+    return {
+      o1: tx.orders.get("o1"),
+      paid: tx.orders.list(o => o.status === "paid").map(o => o.order_id),
+      first: tx.orders.find(() => true)?.order_id
+    };
+  });
+
+  assert.deepEqual(seen, { o1: null, paid: ["o2"], first: "o2" });
+});
+
+test("commit hooks get each written record before and after", async () => {
+  const seen = [];
+  const storage = await openStorage({
+    backend: "file",
+    file,
+    commitHooks: [(tx, changes) => seen.push(...changes)]
+  });
+  await storage.orders.insert({ order_id: "o1", status: "pending_payment" });
+  seen.length = 0;
+
+  await storage.transaction(tx => {
+    tx.orders.update("o1", o => {
+      o.status = "paid";
+    });
+  });
+
+  assert.deepEqual(seen, [
+    {
+      collection: "orders",
+      id: "o1",
+      before: { order_id: "o1", status: "pending_payment" },
+      after: { order_id: "o1", status: "paid" }
+    }
+  ]);
+});
+
+test("picks up a file changed by another process", async () => {
+  const storage = await openStorage({ backend: "file", file });
+  await storage.donations.insert({ id: "a", amount: 1 });
+
+  const doc = readFile();
+  doc.donations.push({ id: "b", amount: 2 });
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+
+  assert.deepEqual(
+    (await storage.donations.list()).map(d => d.id),
+    ["a", "b"]
+  );
+});
+
+test("keeps top-level keys that aren't collections", async () => {
+  fs.writeFileSync(file, JSON.stringify({ donations: [], legacy: { x: 1 } }));
+  const storage = await openStorage({ backend: "file", file });
+  await storage.donations.insert({ id: "a" });
+
+  assert.deepEqual(readFile().legacy, { x: 1 });
+});
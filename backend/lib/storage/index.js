@@ -0,0 +1,155 @@
+// -----------------------------------------------
+// Storage — donations, identities, orders, …
+// -----------------------------------------------
+//
+//   const storage = await openStorage();
+//
+//   await storage.orders.get("ord-...");
+//   await storage.donations.list(d => d.email === email);
+//   await storage.orders.update(orderId, { status: "paid" });
+//
+//   // Several records, all-or-nothing. The callback must be synchronous.
+//   await storage.transaction(tx => {
+//     const order = tx.orders.get(orderId);
+//     tx.donations.insert({ ... });
+//     tx.orders.update(orderId, { status: "paid" });
+//   });
+//
+// openStorage({ commitHooks }) runs each hook(tx, changes) at the end of
+// every transaction, inside it, with the records the transaction wrote:
+// [{ collection, id, before, after }] (before/after null for inserts and
+// removals). Hooks must be synchronous; what they write commits (or rolls
+// back) with the rest. lib/ledger.js uses this.
+//
+// STORAGE_BACKEND picks the backend:
+//   file   (default) registry.json, atomic + serialized writes
+//   sqlite           embedded SQLite database (SQLITE_FILE)
+
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  StorageError,
+  createRepository,
+  createAsyncRepository
+} from "./repository.js";
+import { createFileBackend } from "./file-backend.js";
+import { createSqliteBackend } from "./sqlite-backend.js";
+
+export { StorageError };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const backendDir = path.join(__dirname, "..", "..");
+
+export const DEFAULT_REGISTRY_FILE = path.join(backendDir, "registry.json");
+export const DEFAULT_SQLITE_FILE = path.join(backendDir, "registry.sqlite");
+
+// Collection name → primary key field
+export const COLLECTIONS = {
+  donations: "id",
+  identities: "identity_id",
+  orders: "order_id",
+  processed_events: "event_id",
+  catalog: "catalog_id",
+  login_challenges: "challenge_id",
+  sessions: "session_id",
+  campaigns: "campaign_id",
+  counters: "counter_id",
+  audit_log: "audit_id",
+  notifications: "notification_id",
+  idempotency_keys: "idempotency_id",
+  soulmark_claims: "claim_id",
+  recurring_donations: "recurring_id",
+  promotions: "code",
+  apps: "app",
+  app_webhooks: "delivery_id",
+  ledger: "seq",
+  ledger_checkpoints: "checkpoint_id"
+};
+
+function bindRepositories(ops) {
+  const repos = {};
+  for (const [name, key] of Object.entries(COLLECTIONS)) {
+    repos[name] = createRepository(name, key, ops);
+  }
+  return repos;
+}
+
+// Wrap backend ops to remember which records a transaction writes. The
+// "before" copy comes from committed data (`committed`), since the file
+// backend edits records in place during a transaction.
+function trackWrites(ops, committed) {
+  const written = new Map();
+  const note = (name, id) => {
+    const key = `${name}\u0000${id}`;
+    if (!written.has(key)) {
+      written.set(key, { collection: name, id, before: committed.get(name, id) });
+    }
+  };
+
+  return {
+    ops: {
+      ...ops,
+      put(name, id, record) {
+        note(name, id);
+        return ops.put(name, id, record);
+      },
+      remove(name, id) {
+        note(name, id);
+        return ops.remove(name, id);
+      }
+    },
+    changes() {
+      return [...written.values()].map(change => ({
+        ...change,
+        after: ops.get(change.collection, change.id)
+      }));
+    }
+  };
+}
+
+export async function openStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || "file";
+
+  let engine;
+  if (backend === "file") {
+    const file =
+      options.file || process.env.REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+    engine = createFileBackend(file, COLLECTIONS);
+  } else if (backend === "sqlite") {
+    const file =
+      options.file || process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE;
+    engine = await createSqliteBackend(file, COLLECTIONS);
+  } else {
+    throw new StorageError(
+      `Unknown STORAGE_BACKEND "${backend}" (expected "file" or "sqlite").`
+    );
+  }
+
+  const commitHooks = options.commitHooks || [];
+
+  const transaction = fn =>
+    engine.transaction(ops => {
+      if (!commitHooks.length) return fn(bindRepositories(ops));
+
+      const tracked = trackWrites(ops, engine.readOps());
+      const tx = bindRepositories(tracked.ops);
+      const result = fn(tx);
+      const changes = tracked.changes();
+      for (const hook of commitHooks) hook(tx, changes);
+      return result;
+    });
+
+  const storage = {
+    backend,
+    transaction,
+    snapshot: () => engine.snapshot(),
+    close: () => engine.close()
+  };
+
+  for (const [name, key] of Object.entries(COLLECTIONS)) {
+    const readRepo = () => createRepository(name, key, engine.readOps());
+    storage[name] = createAsyncRepository(name, readRepo, transaction);
+  }
+
+  return storage;
+}
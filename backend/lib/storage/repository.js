@@ -0,0 +1,131 @@
+// -----------------------------------------------
+// Repository — record access for one collection
+// -----------------------------------------------
+//
+// Backends only implement six synchronous primitives over a collection:
+//
+//   all(name)              → every record, in insertion order
+//   list(name, predicate)  → the records that match, in order
+//   find(name, predicate)  → the first match or null
+//   get(name, id)          → one record or null
+//   put(name, id, rec)     → insert or replace
+//   remove(name, id)       → true if something was deleted
+//
+// Records they return are the caller's to change: backends hand out
+// copies, so only put() changes what's stored.
+//
+// Everything callers use (find, insert, update, …) is built on top of those
+// here, so the file and SQLite backends behave identically.
+
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageError";
+  }
+}
+
+/**
+ * Synchronous repository, used inside storage.transaction() callbacks.
+ */
+export function createRepository(name, key, ops) {
+  return {
+    get(id) {
+      if (id === undefined || id === null) return null;
+      return ops.get(name, String(id));
+    },
+
+    list(predicate) {
+      return predicate ? ops.list(name, predicate) : ops.all(name);
+    },
+
+    find(predicate) {
+      return ops.find(name, predicate);
+    },
+
+    insert(record) {
+      const id = record?.[key];
+      if (!id) {
+        throw new StorageError(`${name}: record is missing "${key}".`);
+      }
+      if (ops.get(name, String(id))) {
+        throw new StorageError(`${name}: duplicate ${key} "${id}".`);
+      }
+      ops.put(name, String(id), record);
+      return record;
+    },
+
+    /**
+     * `change` is either a patch object merged into the record, or a
+     * function that receives the record and mutates or replaces it.
+     * Returns the updated record, or null when it does not exist.
+     */
+    update(id, change) {
+      const current = this.get(id);
+      if (!current) return null;
+
+      const next =
+        typeof change === "function"
+          ? change(current) || current
+          : { ...current, ...change };
+
+      ops.put(name, String(id), next);
+      return next;
+    },
+
+    upsert(record) {
+      const id = record?.[key];
+      if (!id) {
+        throw new StorageError(`${name}: record is missing "${key}".`);
+      }
+      ops.put(name, String(id), record);
+      return record;
+    },
+
+    remove(id) {
+      if (id === undefined || id === null) return false;
+      return ops.remove(name, String(id));
+    }
+  };
+}
+
+/**
+ * Async repository, the shape route handlers use (`storage.orders`).
+ * Reads go straight to the backend (`readRepo()` returns a fresh sync
+ * repository over committed data); every write is its own transaction.
+ */
+export function createAsyncRepository(name, readRepo, transaction) {
+  return {
+    async get(id) {
+      return readRepo().get(id);
+    },
+    async list(predicate) {
+      return readRepo().list(predicate);
+    },
+    async find(predicate) {
+      return readRepo().find(predicate);
+    },
+    insert(record) {
+      return transaction(tx => tx[name].insert(record));
+    },
+    update(id, change) {
+      return transaction(tx => tx[name].update(id, change));
+    },
+    upsert(record) {
+      return transaction(tx => tx[name].upsert(record));
+    },
+    remove(id) {
+      return transaction(tx => tx[name].remove(id));
+    }
+  };
+}
+
+// Transactions must not await: the file backend holds its write queue and
+// SQLite holds a write lock for the whole callback.
+export function assertSync(result) {
+  if (result && typeof result.then === "function") {
+    throw new StorageError(
+      "storage.transaction() callbacks must be synchronous; do async work before or after."
+    );
+  }
+  return result;
+}
@@ -0,0 +1,86 @@
+// -----------------------------------------------
+// SQLite backend — embedded database via better-sqlite3
+// -----------------------------------------------
+//
+// One table per collection: (id TEXT PRIMARY KEY, doc TEXT) holding the
+// record as JSON, so records keep exactly the shape they have in
+// registry.json. rowid preserves insertion order for list().
+
+import { StorageError, assertSync } from "./repository.js";
+
+export async function createSqliteBackend(file, collections) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new StorageError(
+      'STORAGE_BACKEND=sqlite needs the "better-sqlite3" package (npm install better-sqlite3).'
+    );
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  for (const name of Object.keys(collections)) {
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, doc TEXT NOT NULL)`
+    );
+  }
+
+  const statements = new Map();
+  function stmt(sql) {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  }
+
+  const ops = {
+    all(name) {
+      return stmt(`SELECT doc FROM "${name}" ORDER BY rowid`)
+        .all()
+        .map(row => JSON.parse(row.doc));
+    },
+    list(name, predicate) {
+      return ops.all(name).filter(predicate);
+    },
+    find(name, predicate) {
+      return ops.all(name).find(predicate) || null;
+    },
+    get(name, id) {
+      const row = stmt(`SELECT doc FROM "${name}" WHERE id = ?`).get(id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+    put(name, id, record) {
+      stmt(
+        `INSERT INTO "${name}" (id, doc) VALUES (?, ?)
+         ON CONFLICT(id) DO UPDATE SET doc = excluded.doc`
+      ).run(id, JSON.stringify(record));
+    },
+    remove(name, id) {
+      return stmt(`DELETE FROM "${name}" WHERE id = ?`).run(id).changes > 0;
+    }
+  };
+
+  return {
+    readOps() {
+      return ops;
+    },
+
+    transaction(fn) {
+      // better-sqlite3 is synchronous, so transactions never interleave.
+      const run = db.transaction(() => assertSync(fn(ops)));
+      return Promise.resolve().then(() => run.immediate());
+    },
+
+    snapshot() {
+      const doc = {};
+      for (const name of Object.keys(collections)) doc[name] = ops.all(name);
+      return doc;
+    },
+
+    close() {
+      db.close();
+      return Promise.resolve();
+    }
+  };
+}
@@ -0,0 +1,172 @@
+// -----------------------------------------------
+// Request validation — small schemas for JSON bodies
+// -----------------------------------------------
+//
+//   const body = validate(req.body, {
+//     email: { type: "email", required: true },
+//     amount: { type: "money", required: true, min: 1, max: 10000 },
+//     items: {
+//       type: "array", required: true, minItems: 1, maxItems: 50,
+//       items: { type: "object", fields: { sku: { type: "string", required: true } } }
+//     }
+//   });
+//
+// Returns a cleaned copy holding only the fields in the schema, or throws
+// a ValidationError listing every problem as { field, message }. Routes
+// send it as { success: false, message, errors }.
+//
+// Types: string, email, integer, number, boolean, enum (values), money
+// (a decimal amount with at most `digits` places, default 2, returned in
+// minor units: cents, or whole yen with digits 0), array (items), object
+// (fields). A rule's `coerce(value)` runs first.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(e => e.message).join(" "));
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+function checkLength(value, rule) {
+  if (rule.min !== undefined && value.length < rule.min) {
+    return `must be at least ${rule.min} characters.`;
+  }
+  if (rule.max !== undefined && value.length > rule.max) {
+    return `must be at most ${rule.max} characters.`;
+  }
+  return null;
+}
+
+function checkRange(value, rule, format = String) {
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${format(rule.min)}.`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${format(rule.max)}.`;
+  }
+  return null;
+}
+
+// Validate one value; pushes problems onto `errors` and returns the
+// cleaned value
+function checkValue(value, rule, field, errors) {
+  const fail = message => {
+    errors.push({ field, message: `${field} ${message}` });
+    return undefined;
+  };
+  if (rule.coerce) value = rule.coerce(value);
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string.");
+      const trimmed = rule.trim === false ? value : value.trim();
+      if (rule.required && !trimmed) return fail("is required.");
+      const problem = checkLength(trimmed, rule);
+      if (problem) return fail(problem);
+      if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return fail(rule.patternMessage || "has an invalid format.");
+      }
+      return trimmed;
+    }
+    case "email": {
+      if (typeof value !== "string") return fail("must be a string.");
+      const email = value.trim().toLowerCase();
+      if (email.length > 254 || !EMAIL_PATTERN.test(email)) {
+        return fail("must be a valid email address.");
+      }
+      return email;
+    }
+    case "integer": {
+      if (!Number.isInteger(value)) return fail("must be an integer.");
+      const problem = checkRange(value, rule);
+      return problem ? fail(problem) : value;
+    }
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number.");
+      }
+      const problem = checkRange(value, rule);
+      return problem ? fail(problem) : value;
+    }
+    case "money": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number.");
+      }
+      const digits = rule.digits ?? 2;
+      const scale = 10 ** digits;
+      const minor = Math.round(value * scale);
+      if (Math.abs(minor - value * scale) > 1e-6) {
+        return fail(
+          digits
+            ? `can't have more than ${digits} decimal places.`
+            : "must be a whole number."
+        );
+      }
+      const problem = checkRange(value, rule, n => n.toFixed(digits));
+      return problem ? fail(problem) : minor;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? value : fail("must be true or false.");
+    case "enum":
+      return rule.values.includes(value)
+        ? value
+        : fail(`must be one of ${rule.values.join(", ")}.`);
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array.");
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(`must have at least ${rule.minItems} item(s).`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} items.`);
+      }
+      return value.map((item, i) =>
+        checkValue(item, rule.items, `${field}[${i}]`, errors)
+      );
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return fail("must be an object.");
+      }
+      return checkFields(value, rule.fields, errors, `${field}.`);
+    }
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${field}.`);
+  }
+}
+
+function checkFields(input, fields, errors, prefix = "") {
+  const out = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = input[name];
+    const field = prefix + name;
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) {
+        errors.push({ field, message: `${field} is required.` });
+      } else if (rule.default !== undefined) {
+        out[name] = rule.default;
+      }
+      continue;
+    }
+
+    const cleaned = checkValue(value, rule, field, errors);
+    if (cleaned !== undefined) out[name] = cleaned;
+  }
+  return out;
+}
+
+/**
+ * Validate `input` (a request body) against `schema`. Returns the cleaned
+ * values; throws ValidationError with every problem found.
+ */
+export function validate(input, schema) {
+  const errors = [];
+  const body =
+    input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const out = checkFields(body, schema, errors);
+  if (errors.length) throw new ValidationError(errors);
+  return out;
+}
@@ -0,0 +1,177 @@
+// -----------------------------------------------
+// Donor visibility — the "7-state" model
+// -----------------------------------------------
+//
+// Each donation may carry
+//
+//   visibility: { showName, showUsername, showAmount }
+//
+// Name and username can each be shown or hidden; hiding both makes the
+// donor Anonymous, and an anonymous donor always shows the amount (the
+// rule migration 003-donation-visibility enforces). That leaves 7 valid
+// states:
+//
+//   name+username ± amount, name only ± amount, username only ± amount,
+//   anonymous + amount
+//
+// Donations without a visibility object are legacy entries (until
+// migrated) and show the best available label.
+
+export const DEFAULT_VISIBILITY = Object.freeze({
+  showName: true,
+  showUsername: true,
+  showAmount: true
+});
+
+const VISIBILITY_FLAGS = Object.keys(DEFAULT_VISIBILITY);
+
+export class VisibilityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "VisibilityError";
+  }
+}
+
+function donorUsername(donation) {
+  return donation.username || donation.identity_username || null;
+}
+
+/**
+ * Fill in missing flags and apply the anonymous rule. Returns null for
+ * legacy donations that never stored visibility.
+ */
+export function normalizeVisibility(visibility) {
+  if (!visibility) return null;
+
+  const normalized = {
+    showName:
+      typeof visibility.showName === "boolean" ? visibility.showName : true,
+    showUsername:
+      typeof visibility.showUsername === "boolean"
+        ? visibility.showUsername
+        : true,
+    showAmount:
+      typeof visibility.showAmount === "boolean" ? visibility.showAmount : true
+  };
+
+  if (!normalized.showName && !normalized.showUsername) {
+    normalized.showAmount = true; // forced
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a visibility change from a donor. `base` is the current
+ * setting; flags left out keep their value. Unlike normalizeVisibility()
+ * (which repairs stored data), explicit contradictions are rejected.
+ */
+export function validateVisibility(input, base = DEFAULT_VISIBILITY) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new VisibilityError(
+      "visibility must be an object with showName, showUsername and showAmount."
+    );
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!VISIBILITY_FLAGS.includes(key)) {
+      throw new VisibilityError(`Unknown visibility flag "${key}".`);
+    }
+    if (typeof input[key] !== "boolean") {
+      throw new VisibilityError(`${key} must be true or false.`);
+    }
+  }
+
+  const merged = { ...normalizeVisibility(base || DEFAULT_VISIBILITY), ...input };
+
+  if (!merged.showName && !merged.showUsername) {
+    if (input.showAmount === false) {
+      throw new VisibilityError(
+        "Anonymous donations always show the amount; showAmount can't be false when name and username are hidden."
+      );
+    }
+    merged.showAmount = true; // forced
+  }
+
+  return merged;
+}
+
+/**
+ * An identity's default visibility for new donations. Identities created
+ * before default_visibility existed only have the /register preferences
+ * displayIdentity ("username" | "name" | "both" | "anonymous") and
+ * showDonationAmount.
+ */
+export function identityDefaultVisibility(identity) {
+  if (!identity) return { ...DEFAULT_VISIBILITY };
+  if (identity.default_visibility) {
+    return normalizeVisibility(identity.default_visibility);
+  }
+
+  const display = identity.displayIdentity || "username";
+  return normalizeVisibility({
+    showName: display === "name" || display === "both",
+    showUsername: display === "username" || display === "both",
+    showAmount: !!identity.showDonationAmount
+  });
+}
+
+// The /register-era fields, kept in sync with default_visibility
+export function legacyDisplayPrefs(visibility) {
+  let displayIdentity = "anonymous";
+  if (visibility.showName && visibility.showUsername) displayIdentity = "both";
+  else if (visibility.showName) displayIdentity = "name";
+  else if (visibility.showUsername) displayIdentity = "username";
+
+  return { displayIdentity, showDonationAmount: visibility.showAmount };
+}
+
+export function isAnonymous(visibility) {
+  return !!visibility && !visibility.showName && !visibility.showUsername;
+}
+
+export function donorDisplayName(donation) {
+  const visibility = normalizeVisibility(donation.visibility);
+  const username = donorUsername(donation);
+
+  // Legacy entries (no visibility stored) → show best available
+  if (!visibility) {
+    return username || donation.name || "Donor";
+  }
+
+  if (isAnonymous(visibility)) return "Anonymous";
+  if (visibility.showUsername && username) return username;
+  if (visibility.showName && donation.name) return donation.name;
+  // Unlike the old client-side fallback, never reveal a hidden field just
+  // because the allowed one is missing.
+  return "Donor";
+}
+
+// "8f1b3e2d…b37f10" — enough to recognise a SoulMarkⓈ, not to claim it
+export function soulmarkHint(soulmark) {
+  if (!soulmark) return null;
+  if (soulmark.length <= 14) return soulmark;
+  return soulmark.substring(0, 8) + "…" + soulmark.substring(soulmark.length - 6);
+}
+
+/**
+ * What the public feed may show about a donation. Never includes email,
+ * full SoulMarkⓈ, Stripe IDs or a hidden amount.
+ */
+export function publicDonation(donation, { app = null } = {}) {
+  const visibility = normalizeVisibility(donation.visibility);
+  const showAmount = !visibility || visibility.showAmount;
+
+  return {
+    display_name: donorDisplayName(donation),
+    anonymous: isAnonymous(visibility),
+    amount: showAmount ? donation.amount || 0 : null,
+    amount_hidden: !showAmount,
+    currency: donation.currency || "usd",
+    timestamp: donation.timestamp,
+    app: app || "FundTrackerAI",
+    campaign_id: donation.campaign_id || null,
+    soulmark_hint: soulmarkHint(donation.soulmark),
+    refunded: donation.refund_status === "refunded"
+  };
+}
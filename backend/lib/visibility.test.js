@@ -0,0 +1,191 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  VisibilityError,
+  identityDefaultVisibility,
+  legacyDisplayPrefs,
+  normalizeVisibility,
+  publicDonation,
+  validateVisibility
+} from "./visibility.js";
+
+const donation = (visibility, fields = {}) => ({
+  id: "cs_1",
+  name: "Ada Lovelace",
+  username: "ada",
+  email: "ada@example.com",
+  amount: 25,
+  currency: "usd",
+  timestamp: "2025-01-01T00:00:00.000Z",
+  soulmark: "8f1b3e2d5c4a69f0e7d1b37f10",
+  stripe_session_id: "cs_1",
+  visibility,
+  ...fields
+});
+
+const shown = visibility => {
+  const view = publicDonation(donation(visibility));
+  return [view.display_name, view.amount];
+};
+
+test("each of the 7 states shows exactly what it allows", () => {
+  const cases = [
+    [{ showName: true, showUsername: true, showAmount: true }, ["ada", 25]],
+    [{ showName: true, showUsername: true, showAmount: false }, ["ada", null]],
+    [
+      { showName: true, showUsername: false, showAmount: true },
+      ["Ada Lovelace", 25]
+    ],
+    [
+      { showName: true, showUsername: false, showAmount: false },
+      ["Ada Lovelace", null]
+    ],
+    [{ showName: false, showUsername: true, showAmount: true }, ["ada", 25]],
+    [{ showName: false, showUsername: true, showAmount: false }, ["ada", null]],
+    [
+      { showName: false, showUsername: false, showAmount: true },
+      ["Anonymous", 25]
+    ]
+  ];
+  for (const [visibility, expected] of cases) {
+    assert.deepEqual(shown(visibility), expected, JSON.stringify(visibility));
+  }
+});
+
+test("anonymous donations always show the amount", () => {
+  const hidden = { showName: false, showUsername: false, showAmount: false };
+
+  // Stored data is repaired…
+  assert.deepEqual(normalizeVisibility(hidden), {
+    ...hidden,
+    showAmount: true
+  });
+  assert.deepEqual(shown(hidden), ["Anonymous", 25]);
+
+  // …but a donor asking for it outright is refused
+  assert.throws(() => validateVisibility(hidden), VisibilityError);
+  assert.throws(
+    () =>
+      validateVisibility(
+        { showAmount: false },
+        { showName: false, showUsername: false, showAmount: true }
+      ),
+    VisibilityError
+  );
+
+  // Hiding the last name field turns the amount back on
+  assert.deepEqual(
+    validateVisibility(
+      { showName: false },
+      { showName: true, showUsername: false, showAmount: false }
+    ),
+    { showName: false, showUsername: false, showAmount: true }
+  );
+});
+
+test("validateVisibility keeps omitted flags and rejects bad input", () => {
+  assert.deepEqual(
+    validateVisibility(
+      { showAmount: false },
+      { showName: false, showUsername: true, showAmount: true }
+    ),
+    { showName: false, showUsername: true, showAmount: false }
+  );
+
+  for (const input of [
+    null,
+    [],
+    "hidden",
+    { showEmail: true },
+    { showName: 1 }
+  ]) {
+    assert.throws(() => validateVisibility(input), VisibilityError);
+  }
+});
+
+test("never falls back to a hidden field", () => {
+  const usernameOnly = {
+    showName: false,
+    showUsername: true,
+    showAmount: true
+  };
+  const view = publicDonation(donation(usernameOnly, { username: null }));
+  assert.equal(view.display_name, "Donor");
+
+  const nameOnly = { showName: true, showUsername: false, showAmount: true };
+  assert.equal(
+    publicDonation(donation(nameOnly, { name: null })).display_name,
+    "Donor"
+  );
+});
+
+test("legacy donations without visibility show the best label", () => {
+  assert.deepEqual(shown(undefined), ["ada", 25]);
+  assert.equal(
+    publicDonation(donation(undefined, { username: null })).display_name,
+    "Ada Lovelace"
+  );
+  assert.equal(
+    publicDonation(donation(undefined, { username: null, name: null }))
+      .display_name,
+    "Donor"
+  );
+});
+
+test("publicDonation leaves out private fields", () => {
+  const view = publicDonation(
+    donation({ showName: true, showUsername: true, showAmount: false }),
+    { app: "LawAidAI" }
+  );
+
+  assert.deepEqual(Object.keys(view).sort(), [
+    "amount",
+    "amount_hidden",
+    "anonymous",
+    "app",
+    "campaign_id",
+    "currency",
+    "display_name",
+    "refunded",
+    "soulmark_hint",
+    "timestamp"
+  ]);
+  assert.equal(view.amount_hidden, true);
+  assert.equal(view.app, "LawAidAI");
+  assert.equal(view.soulmark_hint, "8f1b3e2d…b37f10");
+  const text = JSON.stringify(view);
+  for (const secret of [
+    "ada@example.com",
+    "cs_1",
+    "8f1b3e2d5c4a69f0e7d1b37f10"
+  ]) {
+    assert.ok(!text.includes(secret), secret);
+  }
+});
+
+test("identity defaults come from the /register-era preferences", () => {
+  assert.deepEqual(
+    identityDefaultVisibility({
+      displayIdentity: "anonymous",
+      showDonationAmount: false
+    }),
+    { showName: false, showUsername: false, showAmount: true }
+  );
+  assert.deepEqual(
+    identityDefaultVisibility({
+      displayIdentity: "name",
+      showDonationAmount: false
+    }),
+    { showName: true, showUsername: false, showAmount: false }
+  );
+
+  const visibility = { showName: true, showUsername: true, showAmount: false };
+  assert.deepEqual(
+    identityDefaultVisibility({ default_visibility: visibility }),
+    visibility
+  );
+  assert.deepEqual(legacyDisplayPrefs(visibility), {
+    displayIdentity: "both",
+    showDonationAmount: false
+  });
+});
@@ -0,0 +1,81 @@
+// -----------------------------------------------
+// One-shot import: registry.json → SQLite
+// -----------------------------------------------
+//
+// Usage:
+//   node scripts/import-registry.js [path/to/registry.json] [--force]
+//
+// Copies every collection from a registry.json file into the SQLite
+// database (SQLITE_FILE, default backend/registry.sqlite). Refuses to run
+// against a database that already holds data unless --force is given, in
+// which case records are upserted by primary key.
+//
+// Afterwards start the server with STORAGE_BACKEND=sqlite.
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import {
+  COLLECTIONS,
+  DEFAULT_REGISTRY_FILE,
+  openStorage
+} from "../lib/storage/index.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+const source = path.resolve(
+  args.find(a => !a.startsWith("--")) || DEFAULT_REGISTRY_FILE
+);
+
+if (!fs.existsSync(source)) {
+  console.error(`❌ ${source} not found.`);
+  process.exit(1);
+}
+
+let registry;
+try {
+  registry = JSON.parse(fs.readFileSync(source, "utf8"));
+} catch (err) {
+  console.error(`❌ ${source} is not valid JSON: ${err.message}`);
+  process.exit(1);
+}
+
+const storage = await openStorage({ backend: "sqlite" });
+
+const existing = storage.snapshot();
+const hasData = Object.values(existing).some(records => records.length > 0);
+if (hasData && !force) {
+  console.error(
+    "❌ The SQLite database already contains data. Re-run with --force to upsert into it."
+  );
+  await storage.close();
+  process.exit(1);
+}
+
+const counts = await storage.transaction(tx => {
+  const result = {};
+  for (const [name, key] of Object.entries(COLLECTIONS)) {
+    const records = Array.isArray(registry[name]) ? registry[name] : [];
+    result[name] = { imported: 0, skipped: 0 };
+
+    for (const record of records) {
+      if (!record || !record[key]) {
+        result[name].skipped++;
+        continue;
+      }
+      tx[name].upsert(record);
+      result[name].imported++;
+    }
+  }
+  return result;
+});
+
+await storage.close();
+
+console.log(`✅ Imported ${path.basename(source)} into SQLite:`);
+for (const [name, { imported, skipped }] of Object.entries(counts)) {
+  const note = skipped ? ` (${skipped} skipped: missing ${COLLECTIONS[name]})` : "";
+  console.log(`   ${name}: ${imported}${note}`);
+}
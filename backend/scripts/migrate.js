@@ -0,0 +1,86 @@
+// -----------------------------------------------
+// Registry schema migrations
+// -----------------------------------------------
+//
+// Usage:
+//   npm run migrate                      apply pending migrations
+//   npm run migrate -- --dry-run         show what would change, change nothing
+//   npm run migrate -- --status          current version + pending migrations
+//   npm run migrate -- --to=2            stop at schema version 2
+//   npm run migrate -- --no-backup       skip the snapshot in MIGRATION_BACKUP_DIR
+//
+// Works on whichever STORAGE_BACKEND the server uses. The server also runs
+// pending migrations at startup unless MIGRATE_ON_START=false.
+
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { openStorage } from "../lib/storage/index.js";
+import { recordLedgerChanges } from "../lib/ledger.js";
+import {
+  LATEST_SCHEMA_VERSION,
+  MigrationError,
+  formatDiff,
+  pendingMigrations,
+  runMigrations,
+  schemaVersion
+} from "../lib/migrations/index.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const toArg = args.find(a => a.startsWith("--to="));
+const to = toArg ? Number(toArg.split("=")[1]) : LATEST_SCHEMA_VERSION;
+
+const backupDir = args.includes("--no-backup")
+  ? null
+  : process.env.MIGRATION_BACKUP_DIR ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "backups");
+
+// Migrated records are logged to the ledger like any other change
+const storage = await openStorage({ commitHooks: [recordLedgerChanges] });
+
+if (args.includes("--status")) {
+  const version = await schemaVersion(storage);
+  const pending = await pendingMigrations(storage);
+  console.log(
+    `Schema version ${version} of ${LATEST_SCHEMA_VERSION} (${storage.backend} backend)`
+  );
+  for (const m of pending) {
+    console.log(`  pending ${m.version} ${m.name} — ${m.description}`);
+  }
+  await storage.close();
+  process.exit(0);
+}
+
+let result;
+try {
+  result = await runMigrations(storage, { dryRun, to, backupDir });
+} catch (err) {
+  await storage.close();
+  if (err instanceof MigrationError) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  throw err;
+}
+await storage.close();
+
+if (!result.applied.length) {
+  console.log(`✅ Registry is at schema version ${result.from}; nothing to do.`);
+  process.exit(0);
+}
+
+if (result.backup) console.log(`💾 Backup: ${result.backup}`);
+for (const migration of result.applied) {
+  console.log(
+    `${dryRun ? "Would apply" : "Applied"} ${migration.version} ${migration.name}: ${migration.changes.length} record(s)`
+  );
+  if (migration.changes.length) console.log(formatDiff(migration.changes));
+}
+console.log(
+  dryRun
+    ? `Dry run: schema version would go from ${result.from} to ${result.to}. Nothing was written.`
+    : `✅ Schema version ${result.from} → ${result.to}.`
+);
@@ -0,0 +1,75 @@
+// -----------------------------------------------
+// Run a Stripe reconciliation pass on the running backend
+// -----------------------------------------------
+//
+// Usage:
+//   npm run reconcile -- [--dry-run] [--lookback-hours=72] [--stale-hours=24]
+//
+// Calls POST /admin/reconcile on BACKEND_URL (default
+// http://localhost:${PORT || 10000}) with ADMIN_API_KEY, so the repair
+// happens inside the server process that owns the registry. Prints the
+// discrepancy report; the server also saves it to RECONCILE_REPORT_DIR.
+// Exits 1 if any discrepancy could not be repaired.
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const flag = name => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? Number(arg.split("=")[1]) : undefined;
+};
+
+const backendUrl =
+  process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 10000}`;
+const adminKey = process.env.ADMIN_API_KEY;
+
+if (!adminKey) {
+  console.error("❌ ADMIN_API_KEY is required.");
+  process.exit(1);
+}
+
+let res;
+try {
+  res = await fetch(`${backendUrl}/admin/reconcile`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${adminKey}`
+    },
+    body: JSON.stringify({
+      dry_run: args.includes("--dry-run"),
+      lookback_hours: flag("lookback-hours"),
+      stale_hours: flag("stale-hours")
+    })
+  });
+} catch (err) {
+  console.error(`❌ Could not reach ${backendUrl}: ${err.message}`);
+  process.exit(1);
+}
+
+const data = await res.json().catch(() => ({}));
+if (!res.ok || !data.success) {
+  console.error(`❌ Reconciliation failed: ${data.message || res.status}`);
+  process.exit(1);
+}
+
+const { report } = data;
+console.log(
+  `Checked ${report.checked.orders} unpaid orders and ${report.checked.sessions} Checkout sessions` +
+    (report.dry_run ? " (dry run)" : "")
+);
+for (const d of report.discrepancies) {
+  console.log(
+    `  ${d.type.padEnd(22)} ${d.order_id || d.session_id || ""}  → ${d.action}${d.detail ? ` (${d.detail})` : ""}`
+  );
+}
+console.log(
+  `✅ ${report.discrepancies.length} discrepancies, ${report.repaired} repaired. Report: ${data.report_file}`
+);
+
+const unresolved = report.discrepancies.filter(
+  d => d.action === "none" || d.type === "error"
+);
+process.exit(unresolved.length ? 1 : 0);
@@ -0,0 +1,291 @@
+// -----------------------------------------------
+// Local Stripe mock — just enough API for checkout, refunds and
+// reconciliation testing
+// -----------------------------------------------
+//
+// Usage:
+//   node scripts/stripe-mock.js [--port=12111] [--fixtures=file.json]
+//   STRIPE_API_BASE=http://localhost:12111 npm start
+//
+// State is in memory. The optional fixtures file seeds it:
+//   { "checkout_sessions": [...], "subscriptions": [...] }
+//
+// Stripe API routes (form-encoded, like the real one):
+//   POST /v1/checkout/sessions              create (status "open")
+//   GET  /v1/checkout/sessions              list (created[gte], limit, starting_after)
+//   GET  /v1/checkout/sessions/:id          retrieve (expand[]=subscription)
+//   POST /v1/checkout/sessions/:id/expire
+//   GET  /v1/subscriptions/:id
+//   POST /v1/subscriptions/:id              update (pause_collection, cancel_at_period_end)
+//   DELETE /v1/subscriptions/:id            cancel
+//   POST /v1/refunds
+//   POST /v1/coupons                        amount_off / percent_off
+//
+// Test controls (JSON):
+//   POST /__mock/checkout_sessions/:id/pay  mark a session paid (subscription
+//                                           sessions get a subscription)
+//   PUT  /__mock/checkout_sessions/:id      create/replace a session as-is
+//   GET  /__mock/state                      everything in memory
+
+import fs from "fs";
+import crypto from "crypto";
+import express from "express";
+
+const args = process.argv.slice(2);
+const option = name =>
+  args.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+
+const port = Number(option("port") || process.env.STRIPE_MOCK_PORT || 12111);
+const fixtures = option("fixtures")
+  ? JSON.parse(fs.readFileSync(option("fixtures"), "utf8"))
+  : {};
+
+const sessions = new Map(
+  (fixtures.checkout_sessions || []).map(s => [s.id, s])
+);
+const subscriptions = new Map(
+  (fixtures.subscriptions || []).map(s => [s.id, s])
+);
+const refunds = [];
+const coupons = new Map();
+
+const mockId = prefix =>
+  `${prefix}_mock_${crypto.randomBytes(8).toString("hex")}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+function notFound(res, id) {
+  res.status(404).json({
+    error: {
+      type: "invalid_request_error",
+      code: "resource_missing",
+      message: `No such object: '${id}'`
+    }
+  });
+}
+
+function expanded(session, expand = []) {
+  const list = [].concat(expand);
+  if (
+    list.includes("subscription") &&
+    subscriptions.has(session.subscription)
+  ) {
+    return {
+      ...session,
+      subscription: subscriptions.get(session.subscription)
+    };
+  }
+  return session;
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+app.post("/v1/checkout/sessions", (req, res) => {
+  const body = req.body;
+  const lineItems = Object.values(body.line_items || {});
+  const subtotal = lineItems.reduce(
+    (sum, li) =>
+      sum + Number(li.price_data?.unit_amount || 0) * Number(li.quantity || 1),
+    0
+  );
+  const coupon = coupons.get(Object.values(body.discounts || {})[0]?.coupon);
+  const discount = !coupon
+    ? 0
+    : coupon.amount_off
+      ? Math.min(coupon.amount_off, subtotal)
+      : Math.round((subtotal * coupon.percent_off) / 100);
+  const amountTotal = subtotal - discount;
+
+  const id = mockId("cs");
+  const session = {
+    id,
+    object: "checkout.session",
+    mode: body.mode || "payment",
+    status: "open",
+    payment_status: "unpaid",
+    amount_total: amountTotal,
+    currency: lineItems[0]?.price_data?.currency || "usd",
+    customer_email: body.customer_email || null,
+    customer_details: body.customer_email
+      ? { email: body.customer_email }
+      : null,
+    metadata: body.metadata || {},
+    subscription_data: body.subscription_data || null,
+    total_details: { amount_discount: discount },
+    success_url: body.success_url || null,
+    cancel_url: body.cancel_url || null,
+    payment_intent: null,
+    subscription: null,
+    created: now(),
+    url: `http://localhost:${port}/pay/${id}`
+  };
+  sessions.set(id, session);
+  res.json(session);
+});
+
+app.get("/v1/checkout/sessions", (req, res) => {
+  const gte = Number(req.query.created?.gte || 0);
+  const limit = Math.min(Number(req.query.limit || 10), 100);
+
+  // Newest first, like Stripe
+  let list = [...sessions.values()]
+    .filter(s => s.created >= gte)
+    .sort((a, b) => b.created - a.created);
+  if (req.query.starting_after) {
+    const index = list.findIndex(s => s.id === req.query.starting_after);
+    list = list.slice(index + 1);
+  }
+
+  res.json({
+    object: "list",
+    url: "/v1/checkout/sessions",
+    has_more: list.length > limit,
+    data: list.slice(0, limit)
+  });
+});
+
+app.get("/v1/checkout/sessions/:id", (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return notFound(res, req.params.id);
+  res.json(expanded(session, req.query.expand));
+});
+
+app.post("/v1/checkout/sessions/:id/expire", (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return notFound(res, req.params.id);
+  if (session.status !== "open") {
+    return res.status(400).json({
+      error: {
+        type: "invalid_request_error",
+        message: `Only open sessions can be expired (status: ${session.status}).`
+      }
+    });
+  }
+  session.status = "expired";
+  res.json(session);
+});
+
+app.get("/v1/subscriptions/:id", (req, res) => {
+  const subscription = subscriptions.get(req.params.id);
+  if (!subscription) return notFound(res, req.params.id);
+  res.json(subscription);
+});
+
+app.post("/v1/subscriptions/:id", (req, res) => {
+  const subscription = subscriptions.get(req.params.id);
+  if (!subscription) return notFound(res, req.params.id);
+  const { pause_collection, cancel_at_period_end, metadata } = req.body;
+  if (pause_collection !== undefined) {
+    // "" unsets it, as in Stripe
+    subscription.pause_collection = pause_collection
+      ? {
+          behavior: pause_collection.behavior,
+          resumes_at: Number(pause_collection.resumes_at) || null
+        }
+      : null;
+  }
+  if (cancel_at_period_end !== undefined) {
+    subscription.cancel_at_period_end = cancel_at_period_end === "true";
+  }
+  if (metadata) Object.assign(subscription.metadata, metadata);
+  res.json(subscription);
+});
+
+app.delete("/v1/subscriptions/:id", (req, res) => {
+  const subscription = subscriptions.get(req.params.id);
+  if (!subscription) return notFound(res, req.params.id);
+  Object.assign(subscription, { status: "canceled", canceled_at: now() });
+  res.json(subscription);
+});
+
+app.post("/v1/refunds", (req, res) => {
+  const refund = {
+    id: mockId("re"),
+    object: "refund",
+    amount: Number(req.body.amount),
+    payment_intent: req.body.payment_intent,
+    reason: req.body.reason || null,
+    metadata: req.body.metadata || {},
+    status: "succeeded",
+    created: now()
+  };
+  refunds.push(refund);
+  res.json(refund);
+});
+
+app.post("/v1/coupons", (req, res) => {
+  const body = req.body;
+  const coupon = {
+    id: mockId("coupon"),
+    object: "coupon",
+    amount_off: body.amount_off ? Number(body.amount_off) : null,
+    percent_off: body.percent_off ? Number(body.percent_off) : null,
+    currency: body.currency || null,
+    duration: body.duration || "once",
+    max_redemptions: body.max_redemptions ? Number(body.max_redemptions) : null,
+    name: body.name || null,
+    metadata: body.metadata || {},
+    created: now()
+  };
+  coupons.set(coupon.id, coupon);
+  res.json(coupon);
+});
+
+app.post("/__mock/checkout_sessions/:id/pay", (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return notFound(res, req.params.id);
+  if (session.mode === "subscription") {
+    if (!session.subscription) {
+      const subscription = {
+        id: mockId("sub"),
+        object: "subscription",
+        status: "active",
+        metadata: session.subscription_data?.metadata || {},
+        current_period_start: now(),
+        current_period_end: now() + 30 * 24 * 60 * 60,
+        cancel_at_period_end: false,
+        pause_collection: null,
+        canceled_at: null
+      };
+      subscriptions.set(subscription.id, subscription);
+      session.subscription = subscription.id;
+    }
+    Object.assign(session, { status: "complete", payment_status: "paid" });
+    return res.json(session);
+  }
+  Object.assign(session, {
+    status: "complete",
+    payment_status: "paid",
+    payment_intent: session.payment_intent || mockId("pi")
+  });
+  res.json(session);
+});
+
+app.put("/__mock/checkout_sessions/:id", (req, res) => {
+  const session = { created: now(), ...req.body, id: req.params.id };
+  sessions.set(session.id, session);
+  res.json(session);
+});
+
+app.get("/__mock/state", (req, res) => {
+  res.json({
+    checkout_sessions: [...sessions.values()],
+    subscriptions: [...subscriptions.values()],
+    coupons: [...coupons.values()],
+    refunds
+  });
+});
+
+app.use((req, res) => {
+  res.status(404).json({
+    error: {
+      type: "invalid_request_error",
+      message: `stripe-mock: ${req.method} ${req.path} is not implemented`
+    }
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Stripe mock listening on http://localhost:${port}`);
+});
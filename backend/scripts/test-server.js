@@ -0,0 +1,270 @@
+// -----------------------------------------------
+// Test harness — server.js + the Stripe mock on free ports
+// -----------------------------------------------
+//
+// Used by test/*.test.js (npm test). Each call starts its own backend on
+// a scratch registry, with the Stripe mock (scripts/stripe-mock.js),
+// file mail transport and a throwaway signing key:
+//
+//   const server = await startTestServer({ ADMIN_API_KEY: "adm" });
+//   const { status, body } = await server.request("/donations");
+//   await server.stripeEvent({ id: "evt_1", type: "...", data: { object } });
+//   await server.register({ email: "donor@example.com", username: "donor" });
+//   const token = await server.signIn("donor@example.com");
+//   await server.stop();
+//
+// Nothing here is loaded by the backend itself.
+
+import { spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import Stripe from "stripe";
+
+const BACKEND_DIR = fileURLToPath(new URL("..", import.meta.url));
+const START_TIMEOUT_MS = 15 * 1000;
+
+export const TEST_WEBHOOK_SECRET = "whsec_test_harness";
+export const TEST_SESSION_SECRET = "test-session-secret-0123456789abcdef";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the child prints `ready`; rejects if it exits first
+function spawnUntil(args, env, ready) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, {
+      cwd: BACKEND_DIR,
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"]
+    });
+    let output = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${args[0]} didn't start:\n${output}`));
+    }, START_TIMEOUT_MS);
+
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes(ready)) {
+        clearTimeout(timer);
+        resolve({ child, output: () => output });
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", chunk => (output += chunk));
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`${args[0]} exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+function stopChild(child) {
+  if (child.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once("exit", resolve);
+    child.kill();
+  });
+}
+
+/**
+ * Start a backend. `env` is added to (and overrides) the defaults.
+ * Resolves to the helpers above plus { url, mockUrl, dir, registryFile }.
+ */
+export async function startTestServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fundtracker-test-"));
+  const [port, mockPort] = await Promise.all([freePort(), freePort()]);
+  const url = `http://127.0.0.1:${port}`;
+  const mockUrl = `http://127.0.0.1:${mockPort}`;
+
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  const serverEnv = {
+    PORT: String(port),
+    STRIPE_SECRET_KEY: "sk_test_harness",
+    STRIPE_WEBHOOK_SECRET: TEST_WEBHOOK_SECRET,
+    STRIPE_API_BASE: mockUrl,
+    FRONTEND_URL: "http://localhost:5500",
+    SESSION_SECRET: TEST_SESSION_SECRET,
+    SOULMARK_SIGNING_KEY: privateKey.export({ format: "pem", type: "pkcs8" }),
+    STORAGE_BACKEND: "file",
+    LEDGER_HEAD_FILE: path.join(dir, "ledger-head.json"),
+    // Every test request comes from 127.0.0.1; rate limit tests turn
+    // these back on
+    RATE_LIMIT_AUTH: "off",
+    RATE_LIMIT_AUTH_ADDRESS: "off",
+    REGISTRY_FILE: path.join(dir, "registry.json"),
+    MIGRATION_BACKUP_DIR: path.join(dir, "backups"),
+    RECONCILE_REPORT_DIR: path.join(dir, "reports"),
+    MAILER_TRANSPORT: "file",
+    MAIL_OUTBOX_DIR: path.join(dir, "outbox"),
+    ...env
+  };
+
+  const mock = await spawnUntil(
+    ["scripts/stripe-mock.js", `--port=${mockPort}`],
+    {},
+    "listening"
+  );
+  let server;
+  try {
+    server = await spawnUntil(["server.js"], serverEnv, "Backend running");
+  } catch (err) {
+    await stopChild(mock.child);
+    throw err;
+  }
+
+  const stripe = new Stripe("sk_test_harness");
+
+  async function request(route, { method, body, headers = {} } = {}) {
+    const response = await fetch(url + route, {
+      method: method || (body === undefined ? "GET" : "POST"),
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...headers
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON (HTML receipts, PDFs); leave it as text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  // POST a Stripe event to /stripe-webhook with a valid signature
+  function stripeEvent(event, { secret = TEST_WEBHOOK_SECRET } = {}) {
+    const payload = JSON.stringify(event);
+    return request("/stripe-webhook", {
+      body: payload,
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret
+        })
+      }
+    });
+  }
+
+  async function stripeMock(route, options = {}) {
+    const response = await fetch(mockUrl + route, {
+      method: options.method || "GET",
+      headers: { authorization: "Bearer sk_test_harness" }
+    });
+    return response.json();
+  }
+
+  // [file, message] for each email the file transport wrote, oldest
+  // first. A file still being written is skipped until it parses.
+  function outboxEntries() {
+    const outboxDir = serverEnv.MAIL_OUTBOX_DIR;
+    if (!fs.existsSync(outboxDir)) return [];
+    return fs
+      .readdirSync(outboxDir)
+      .sort()
+      .flatMap(f => {
+        try {
+          return [
+            [f, JSON.parse(fs.readFileSync(path.join(outboxDir, f), "utf8"))]
+          ];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  function outbox() {
+    return outboxEntries().map(([, message]) => message);
+  }
+
+  const codeMailTo = email => message =>
+    message.to.toLowerCase() === email.toLowerCase() &&
+    /code is \d{6}/.test(message.text);
+
+  // The latest 6-digit code emailed to `email`
+  async function loginCode(email) {
+    for (let i = 0; i < 50; i += 1) {
+      const mail = outbox().reverse().find(codeMailTo(email));
+      if (mail) return mail.text.match(/code is (\d{6})/)[1];
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`No sign-in code was emailed to ${email}.`);
+  }
+
+  // POST /auth/request-code and wait for the code it emails
+  async function requestCode(email) {
+    const seen = new Set(outboxEntries().map(([file]) => file));
+    await request("/auth/request-code", { body: { email } });
+    for (let i = 0; i < 50; i += 1) {
+      const mail = outboxEntries()
+        .filter(([file]) => !seen.has(file))
+        .map(([, message]) => message)
+        .find(codeMailTo(email));
+      if (mail) return mail.text.match(/code is (\d{6})/)[1];
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`No code was emailed to ${email}.`);
+  }
+
+  // Request + verify a sign-in code; resolves to the session token
+  async function signIn(email) {
+    const code = await requestCode(email);
+    const { body } = await request("/auth/verify", { body: { email, code } });
+    if (!body.token) throw new Error(`Sign-in failed: ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  // POST /register with a signup code for fields.email
+  async function register(fields) {
+    const code = await requestCode(fields.email);
+    return request("/register", { body: { ...fields, code } });
+  }
+
+  function registry() {
+    return JSON.parse(fs.readFileSync(serverEnv.REGISTRY_FILE, "utf8"));
+  }
+
+  // SIGTERM both; `keepFiles` leaves the scratch dir for a look at what
+  // the server wrote on the way out (remove it with fs.rmSync(dir))
+  async function stop({ keepFiles = false } = {}) {
+    await Promise.all([stopChild(server.child), stopChild(mock.child)]);
+    if (!keepFiles) fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return {
+    url,
+    mockUrl,
+    dir,
+    registryFile: serverEnv.REGISTRY_FILE,
+    request,
+    stripeEvent,
+    stripeMock,
+    outbox,
+    loginCode,
+    requestCode,
+    signIn,
+    register,
+    registry,
+    logs: server.output,
+    stop
+  };
+}
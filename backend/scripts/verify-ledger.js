@@ -0,0 +1,117 @@
+// -----------------------------------------------
+// SoulRegistry ledger check
+// -----------------------------------------------
+//
+// Usage:
+//   npm run verify-ledger
+//   npm run verify-ledger -- --public-key=soulmark.pem   check signatures
+//                                                       with a published key
+//   npm run verify-ledger -- --json                      full report as JSON
+//
+// Recomputes the hash chain in the registry (either STORAGE_BACKEND),
+// checks the signed checkpoints and compares every donation, order and
+// identity with its latest ledger entry. Reports the first broken link and
+// exits 1 if anything doesn't match. Without --public-key the key comes
+// from SOULMARK_SIGNING_KEY or backend/keys/soulmark-ed25519.pem. The
+// exported head is read from LEDGER_HEAD_FILE (default
+// backend/ledger-head.json).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { openStorage } from "../lib/storage/index.js";
+import { readExportedHead, verifySnapshot } from "../lib/ledger.js";
+import { keyIdFor } from "../lib/soulmark.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const asJson = args.includes("--json");
+const keyArg = args.find(a => a.startsWith("--public-key="));
+const backendDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+const keyFile = path.join(backendDir, "keys", "soulmark-ed25519.pem");
+const headFile =
+  process.env.LEDGER_HEAD_FILE || path.join(backendDir, "ledger-head.json");
+
+// { publicKey, keyId } or null when no key is available
+function loadPublicKey() {
+  let publicKey = null;
+  if (keyArg) {
+    publicKey = crypto.createPublicKey(
+      fs.readFileSync(keyArg.split("=")[1], "utf8")
+    );
+  } else if (process.env.SOULMARK_SIGNING_KEY) {
+    publicKey = crypto.createPublicKey(
+      process.env.SOULMARK_SIGNING_KEY.replace(/\\n/g, "\n")
+    );
+  } else if (fs.existsSync(keyFile)) {
+    publicKey = crypto.createPublicKey(fs.readFileSync(keyFile, "utf8"));
+  }
+  return publicKey && { publicKey, keyId: keyIdFor(publicKey) };
+}
+
+const keys = loadPublicKey();
+const storage = await openStorage();
+const report = verifySnapshot(
+  storage.snapshot(),
+  keys,
+  readExportedHead(headFile)
+);
+await storage.close();
+
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.valid ? 0 : 1);
+}
+
+console.log(
+  `Ledger: ${report.entries} entries, head ${report.head.seq} ${report.head.hash.slice(0, 16)}…`
+);
+
+if (report.first_broken) {
+  const { seq, reason, expected, actual } = report.first_broken;
+  console.log(`❌ First broken link at entry ${seq}: ${reason}`);
+  console.log(`     expected ${JSON.stringify(expected)}`);
+  console.log(`     found    ${JSON.stringify(actual)}`);
+} else {
+  console.log("✅ Hash chain intact");
+}
+
+const { checkpoints, records } = report;
+if (!keys) {
+  console.log("⚠️ No public key found; checkpoint signatures not checked.");
+}
+console.log(
+  `Checkpoints: ${checkpoints.count}` +
+    (checkpoints.latest ? `, latest at entry ${checkpoints.latest.seq}` : "")
+);
+for (const issue of checkpoints.issues) {
+  console.log(`  ❌ ${issue.checkpoint_id} (entry ${issue.seq}): ${issue.reason}`);
+}
+
+const exported = report.exported_head;
+if (!exported) {
+  console.log(
+    `⚠️ No exported head at ${headFile}; rollbacks can't be detected.`
+  );
+} else if (exported.issue) {
+  console.log(`  ❌ Exported head (entry ${exported.seq}): ${exported.issue}`);
+} else {
+  console.log(`Exported head: entry ${exported.seq} ✅`);
+}
+
+console.log(`Records: ${records.checked} checked`);
+for (const issue of records.issues) {
+  console.log(
+    `  ❌ ${issue.collection} ${issue.id}: ${issue.reason}` +
+      (issue.seq ? ` (last entry ${issue.seq})` : "")
+  );
+}
+
+console.log(report.valid ? "✅ Ledger verified." : "❌ Ledger verification failed.");
+process.exit(report.valid ? 0 : 1);
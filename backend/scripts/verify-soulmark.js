@@ -0,0 +1,38 @@
+// -----------------------------------------------
+// Offline SoulMarkⓈ verification
+// -----------------------------------------------
+//
+// Usage:
+//   node scripts/verify-soulmark.js <certificate.json> <public-key.pem>
+//
+// certificate.json is what GET /soulmark/:id/verify returns to the donor
+// or an admin (or just its { soulmark, certificate } part). The public key comes from
+// GET /.well-known/soulmark-public-key (the "pem" field). Needs no network
+// access and no server secrets.
+
+import fs from "fs";
+import { verifyCertificate } from "../lib/soulmark.js";
+
+const [certFile, keyFile] = process.argv.slice(2);
+
+if (!certFile || !keyFile) {
+  console.error(
+    "Usage: node scripts/verify-soulmark.js <certificate.json> <public-key.pem>"
+  );
+  process.exit(1);
+}
+
+const doc = JSON.parse(fs.readFileSync(certFile, "utf8"));
+const publicKey = fs.readFileSync(keyFile, "utf8");
+
+const result = verifyCertificate(publicKey, doc.soulmark, doc.certificate);
+
+if (result.valid) {
+  const p = doc.certificate.payload;
+  console.log("✅ Valid SoulMarkⓈ issued by", p.issuer);
+  console.log(`   donation ${p.donation_id}, ${p.amount} ${p.currency}, ${p.issued_at}`);
+  process.exit(0);
+}
+
+console.error(`❌ Not valid: ${result.reason}`);
+process.exit(2);
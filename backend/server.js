@@ -4,24 +4,258 @@
 
 import express from "express";
 import Stripe from "stripe";
-import fs from "fs";
-import path from "path";
 import cors from "cors";
 import dotenv from "dotenv";
 import crypto from "crypto";
+import fs from "fs";
+import path from "path";
 import { fileURLToPath } from "url";
+import { openStorage } from "./lib/storage/index.js";
+import {
+  LATEST_SCHEMA_VERSION,
+  runMigrations,
+  schemaVersion
+} from "./lib/migrations/index.js";
+import {
+  CatalogError,
+  MAX_QUANTITY,
+  SUBSCRIPTION_INTERVALS,
+  catalogId,
+  normalizeCatalogItem,
+  priceOrderItems,
+  syncCatalogItemToStripe
+} from "./lib/catalog.js";
+import {
+  bearerToken,
+  generateLinkSecret,
+  generateLoginCode,
+  hashSecret,
+  signToken,
+  verifyToken
+} from "./lib/auth.js";
+import { createMailer } from "./lib/mailer.js";
+import { createNotifier, enqueueNotification } from "./lib/notifications.js";
+import { createRateLimiter, parseRateLimit } from "./lib/rate-limit.js";
+import { ValidationError, validate } from "./lib/validation.js";
+import { createIdempotency } from "./lib/idempotency.js";
+import { parseRetentionDays, pruneExpired } from "./lib/retention.js";
+import { isAdminRole, parseAdminKeys, roleAllows } from "./lib/admin.js";
+import {
+  identityForPayment,
+  linkDonation,
+  linkDonationsByEmail,
+  resolveIdentity,
+  verifiedEmails
+} from "./lib/identity-links.js";
+import { reconcileStripe } from "./lib/reconcile.js";
+import {
+  CurrencyError,
+  DEFAULT_CURRENCY,
+  amountLimits,
+  createCurrencyConverter,
+  formatMoney,
+  isKnownCurrency,
+  minorUnits,
+  normalizeCurrency,
+  parseCurrencyRates,
+  parseSupportedCurrencies
+} from "./lib/currency.js";
+import {
+  DONATION_FREQUENCIES,
+  FREQUENCY_INTERVALS,
+  LIVE_RECURRING_STATUSES,
+  createRecurringId,
+  frequencyOf,
+  nextLineage,
+  recordRecurringGift,
+  recurringStatus,
+  recurringView
+} from "./lib/recurring.js";
+import {
+  LEDGER_COLLECTIONS,
+  createCheckpoint,
+  exportHead,
+  headCheckpoint,
+  readExportedHead,
+  recordLedgerChanges,
+  verifySnapshot
+} from "./lib/ledger.js";
+import {
+  STATS_INTERVALS,
+  StatsError,
+  createStatsCache,
+  currencyOf,
+  donationTimeSeries,
+  donationsInCurrency,
+  donorRetention,
+  groupDonations,
+  orderPaidAt,
+  subscriptionMetrics,
+  summarizeDonations,
+  topSkus
+} from "./lib/stats.js";
+import {
+  assignReceiptNumber,
+  donationReceipt,
+  givingStatement,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  renderStatementHtml,
+  renderStatementPdf
+} from "./lib/receipts.js";
+import {
+  issueCertificate,
+  loadSigningKey,
+  publicKeyInfo,
+  verifyCertificate
+} from "./lib/soulmark.js";
+import {
+  OrderStateError,
+  PAYABLE_STATUSES,
+  REFUNDABLE_STATUSES,
+  canTransition,
+  transitionOrder,
+  tryTransitionOrder
+} from "./lib/orders.js";
+import {
+  PromotionError,
+  applyPromotion,
+  checkPromotion,
+  normalizePromoCode,
+  normalizePromotion,
+  promotionUsage
+} from "./lib/promotions.js";
+import {
+  CampaignError,
+  campaignClosedReason,
+  campaignProgress,
+  normalizeCampaign,
+  publicCampaign
+} from "./lib/campaigns.js";
+import {
+  VisibilityError,
+  identityDefaultVisibility,
+  legacyDisplayPrefs,
+  publicDonation,
+  validateVisibility
+} from "./lib/visibility.js";
+import {
+  AppRegistryError,
+  checkoutUrls,
+  createApiKey,
+  createWebhookSecret,
+  hashApiKey,
+  normalizeAppRecord,
+  originAllowed,
+  publicApp
+} from "./lib/apps.js";
+import {
+  APP_WEBHOOK_STATUSES,
+  createAppWebhookSender,
+  enqueueAppWebhook
+} from "./lib/app-webhooks.js";
+import {
+  computeEntitlements,
+  identityOrders,
+  recordEntitlementChanges
+} from "./lib/entitlements.js";
 
 dotenv.config();
 
 // ---------- 0. APP + ENV SETUP ----------
 const app = express();
-app.use(express.json());
-app.use(cors());
+// Keep the raw body around: Stripe webhook signatures are computed over it.
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
+// Malformed JSON gets the usual error body instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ success: false, message: "Request body is not valid JSON." });
+  }
+  if (err.type === "entity.too.large") {
+    return res
+      .status(413)
+      .json({ success: false, message: "Request body is too large." });
+  }
+  next(err);
+});
+// Browsers may call from FRONTEND_URL, CORS_ORIGINS and registered apps'
+// allowed_origins (corsOrigin below)
+app.use(cors({ origin: corsOrigin }));
+// Behind Render's proxy req.ip is only the client's when this is set
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 0);
 
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 const FRONTEND_URL = process.env.FRONTEND_URL; // e.g. https://fundtrackerai.vercel.app
-const SOULMARK_SECRET =
-  process.env.SOULMARK_SECRET || "CHANGE_ME_SOULMARK_SECRET";
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+// Extra browser origins, comma-separated; "*" allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map(origin => origin.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+const ADMIN_KEYS = parseAdminKeys(
+  process.env.ADMIN_API_KEYS,
+  process.env.ADMIN_API_KEY
+);
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24;
+// Per-IP limit on the order + checkout routes, "<requests>/<seconds>"
+const PAYMENT_RATE_LIMIT = parseRateLimit(
+  process.env.RATE_LIMIT_PAYMENTS,
+  "20/60",
+  "RATE_LIMIT_PAYMENTS"
+);
+// Per-IP limit on sign-up and sign-in (/register, /login,
+// /auth/request-code), and per email or username on the same routes
+const AUTH_RATE_LIMIT = parseRateLimit(
+  process.env.RATE_LIMIT_AUTH,
+  "10/60",
+  "RATE_LIMIT_AUTH"
+);
+const AUTH_ADDRESS_RATE_LIMIT = parseRateLimit(
+  process.env.RATE_LIMIT_AUTH_ADDRESS,
+  "5/600",
+  "RATE_LIMIT_AUTH_ADDRESS"
+);
+// The latest signed ledger checkpoint is exported here, away from the
+// registry (section 24)
+const LEDGER_HEAD_FILE =
+  process.env.LEDGER_HEAD_FILE ||
+  fileURLToPath(new URL("./ledger-head.json", import.meta.url));
+// Seconds between a ledger append and signing the new head
+const LEDGER_CHECKPOINT_DELAY_SECONDS = Number(
+  process.env.LEDGER_CHECKPOINT_DELAY_SECONDS ?? 5
+);
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// Days the log-style collections are kept (lib/retention.js)
+const RETENTION_DAYS = parseRetentionDays(process.env.RETENTION_DAYS);
+// Currencies payments and the catalog may use, and the rate table stats
+// convert with (lib/currency.js)
+const SUPPORTED_CURRENCIES = parseSupportedCurrencies(
+  process.env.SUPPORTED_CURRENCIES
+);
+const CHECKOUT_CURRENCY = SUPPORTED_CURRENCIES.includes(DEFAULT_CURRENCY)
+  ? DEFAULT_CURRENCY
+  : SUPPORTED_CURRENCIES[0];
+const REPORTING_CURRENCY =
+  normalizeCurrency(process.env.REPORTING_CURRENCY) || DEFAULT_CURRENCY;
+if (!isKnownCurrency(REPORTING_CURRENCY)) {
+  throw new CurrencyError(
+    `REPORTING_CURRENCY "${REPORTING_CURRENCY}" is not a known currency.`
+  );
+}
+const currencies = createCurrencyConverter({
+  base: REPORTING_CURRENCY,
+  rates: parseCurrencyRates(process.env.CURRENCY_RATES)
+});
 
 if (!STRIPE_SECRET_KEY || !FRONTEND_URL) {
   console.warn(
@@ -29,73 +263,92 @@ if (!STRIPE_SECRET_KEY || !FRONTEND_URL) {
   );
 }
 
-const stripe = new Stripe(STRIPE_SECRET_KEY);
-
-// Resolve __dirname in ES module
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+if (!process.env.SESSION_SECRET) {
+  console.warn(
+    "⚠️ Missing SESSION_SECRET. Using a random one; sign-ins won't survive a restart."
+  );
+}
 
-// registry.json lives beside server.js
-const registryFile = path.join(__dirname, "registry.json");
+// STRIPE_API_BASE points the client at a local mock (scripts/stripe-mock.js
+// or stripe/stripe-mock) instead of api.stripe.com.
+const stripe = new Stripe(STRIPE_SECRET_KEY, stripeApiOptions());
+const mailer = createMailer();
 
-function ensureRegistry() {
-  try {
-    if (!fs.existsSync(registryFile)) {
-      console.log("🆕 Creating registry.json");
-      const initial = { donations: [], identities: [], orders: [] };
-      fs.writeFileSync(registryFile, JSON.stringify(initial, null, 2), "utf8");
-      return;
-    }
+// Ed25519 key that signs SoulMarkⓈ certificates (see lib/soulmark.js)
+const soulmarkKeys = loadSigningKey({
+  pem: process.env.SOULMARK_SIGNING_KEY,
+  keyFile: fileURLToPath(new URL("./keys/soulmark-ed25519.pem", import.meta.url))
+});
 
-    const raw = fs.readFileSync(registryFile, "utf8") || "{}";
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      console.warn("⚠️ registry.json invalid JSON, backing up and resetting.");
-      fs.writeFileSync(registryFile + ".backup-" + Date.now(), raw, "utf8");
-      const reset = { donations: [], identities: [], orders: [] };
-      fs.writeFileSync(registryFile, JSON.stringify(reset, null, 2), "utf8");
-      return;
-    }
+// Storage commit hook: sign the ledger head LEDGER_CHECKPOINT_DELAY_SECONDS
+// after a batch of appends (section 24). A steady stream of writes still
+// gets a checkpoint every delay; a rolled-back transaction leaves the head
+// where it was, so its checkpoint is skipped.
+let checkpointTimer = null;
+function checkpointSoon(tx, changes) {
+  if (checkpointTimer) return;
+  if (!changes.some(c => LEDGER_COLLECTIONS.includes(c.collection))) return;
 
-    let changed = false;
-    if (!Array.isArray(parsed.donations)) {
-      parsed.donations = [];
-      changed = true;
-    }
-    if (!Array.isArray(parsed.identities)) {
-      parsed.identities = [];
-      changed = true;
-    }
-    if (!Array.isArray(parsed.orders)) {
-      parsed.orders = [];
-      changed = true;
-    }
-    if (changed) {
-      fs.writeFileSync(registryFile, JSON.stringify(parsed, null, 2), "utf8");
-    }
-  } catch (err) {
-    console.error("ensureRegistry error:", err);
-  }
+  checkpointTimer = setTimeout(() => {
+    checkpointTimer = null;
+    writeCheckpoint().catch(err =>
+      console.error("LEDGER CHECKPOINT ERROR:", err)
+    );
+  }, LEDGER_CHECKPOINT_DELAY_SECONDS * 1000);
+  checkpointTimer.unref();
 }
 
-function readRegistry() {
-  ensureRegistry();
-  try {
-    const raw = fs.readFileSync(registryFile, "utf8");
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error("READ registry error:", err);
-    return { donations: [], identities: [], orders: [] };
-  }
-}
+// Donations, identities and orders live behind the storage layer
+// (registry.json by default, SQLite with STORAGE_BACKEND=sqlite). Every
+// change to them is appended to the hash-chained ledger (section 24), and
+// order changes that grant or revoke entitlements notify the app
+// (section 28).
+const storage = await openStorage({
+  commitHooks: [recordLedgerChanges, recordEntitlementChanges, checkpointSoon]
+});
+console.log(`🗄️  Storage backend: ${storage.backend}`);
 
-function writeRegistry(data) {
-  try {
-    fs.writeFileSync(registryFile, JSON.stringify(data, null, 2), "utf8");
-  } catch (err) {
-    console.error("WRITE registry error:", err);
+// Idempotency-Key replay for the order + checkout routes (lib/idempotency.js)
+const idempotency = createIdempotency({
+  storage,
+  ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000
+});
+setInterval(() => {
+  idempotency.sweep().catch(err => console.error("IDEMPOTENCY SWEEP ERROR:", err));
+}, 60 * 60 * 1000).unref();
+
+// Prune old sessions, deliveries, processed events and audit entries
+setInterval(() => {
+  storage
+    .transaction(tx => pruneExpired(tx, { days: RETENTION_DAYS }))
+    .then(removed => {
+      if (Object.keys(removed).length) {
+        console.log("🧹 Pruned old records:", removed);
+      }
+    })
+    .catch(err => console.error("RETENTION ERROR:", err));
+}, 60 * 60 * 1000).unref();
+
+// Bring the registry up to the current schema (lib/migrations), with a
+// snapshot in MIGRATION_BACKUP_DIR first. MIGRATE_ON_START=false leaves
+// it to `npm run migrate`.
+if (process.env.MIGRATE_ON_START === "false") {
+  const version = await schemaVersion(storage);
+  if (version < LATEST_SCHEMA_VERSION) {
+    console.warn(
+      `⚠️ Registry is at schema version ${version} of ${LATEST_SCHEMA_VERSION}. Run npm run migrate.`
+    );
+  }
+} else {
+  const migrated = await runMigrations(storage, {
+    backupDir:
+      process.env.MIGRATION_BACKUP_DIR ||
+      fileURLToPath(new URL("./backups", import.meta.url))
+  });
+  if (migrated.applied.length) {
+    console.log(
+      `🧬 Schema version ${migrated.from} → ${migrated.to} (backup: ${migrated.backup})`
+    );
   }
 }
 
@@ -104,518 +357,5712 @@ function createOrderId() {
   return "ord-" + crypto.randomUUID();
 }
 
-// ---------- 1. ROOT PING ----------
-app.get("/", (req, res) => {
-  res.send("FundTrackerAI backend is running.");
-});
+// Order items carry amount_cents (older orders may have amount in dollars)
+function itemAmountCents(item) {
+  if (!item) return 0;
+  if (typeof item.amount_cents === "number") {
+    return item.amount_cents;
+  }
+  if (typeof item.amount === "number") {
+    return Math.round(item.amount * 100);
+  }
+  return 0;
+}
 
-// --------------------------------------------------
-// 2. DONATION CHECKOUT (EXISTING FLOW — UNCHANGED)
-// --------------------------------------------------
-app.post("/create-checkout-session", async (req, res) => {
-  try {
-    const { name, email, amount } = req.body;
+// Stripe timestamps are unix seconds
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
 
-    if (!email || !amount || amount < 1) {
-      return res
-        .status(400)
-        .json({ error: "Missing or invalid amount/email." });
-    }
-
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      payment_method_types: ["card"],
-      customer_email: email,
-      line_items: [
-        {
-          price_data: {
-            currency: "usd",
-            product_data: {
-              name: "FundTrackerAI Donation",
-              metadata: { donorName: name || "" }
-            },
-            unit_amount: amount * 100
-          },
-          quantity: 1
-        }
-      ],
-      success_url: `${FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${FRONTEND_URL}/index.html`,
-      metadata: {
-        donorName: name || ""
-      }
-    });
+function stripeApiOptions() {
+  if (!process.env.STRIPE_API_BASE) return {};
+  const base = new URL(process.env.STRIPE_API_BASE);
+  return {
+    host: base.hostname,
+    port: base.port || (base.protocol === "http:" ? 80 : 443),
+    protocol: base.protocol.replace(":", "")
+  };
+}
 
-    res.json({ url: session.url });
-  } catch (err) {
-    console.error("SESSION ERROR:", err);
-    res.status(500).json({ error: "Session creation failed" });
-  }
-});
+// Stripe fields like session.subscription are an ID or an expanded object
+function stripeId(value) {
+  if (!value) return null;
+  return typeof value === "string" ? value : value.id;
+}
 
-// --------------------------------------------------
-// 3. UNIVERSAL ORDER ENGINE (NEW)
-// --------------------------------------------------
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
 
 /**
- * POST /create-order
- * Create an internal order FIRST (our cart), before Stripe.
- *
- * Body:
- * {
- *   "app": "LawAidAI" | "TravelFlowAI" | ...,
- *   "email": "user@example.com",
- *   "items": [
- *     {
- *       "sku": "lawaid_basic_monthly",
- *       "label": "LawAidAI Basic",
- *       "type": "subscription" | "one_time",
- *       "interval": "month" | "year" | null,
- *       "amount_cents": 999
- *     }
- *   ],
- *   "billing_mode": "one_time" | "subscription"
- * }
+ * Who is making an admin request: an API key from ADMIN_API_KEYS /
+ * ADMIN_API_KEY ("Authorization: Bearer <key>" or "x-admin-key: <key>"),
+ * or a signed-in identity with an admin_role. Resolves to
+ * { type, name, role, identity_id? } or null.
  */
-app.post("/create-order", (req, res) => {
-  try {
-    const { app: appName, email, items, billing_mode } = req.body || {};
+async function adminActor(req) {
+  const provided = req.headers["x-admin-key"] || bearerToken(req);
+  if (!provided) return null;
 
-    if (!email || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing email or items for order."
-      });
-    }
+  const key = ADMIN_KEYS.find(k => safeEqual(provided, k.key));
+  if (key) return { type: "api_key", name: key.name, role: key.role };
 
-    const billingMode = billing_mode || "one_time";
+  const signedIn = await sessionIdentity(provided);
+  if (!signedIn || !isAdminRole(signedIn.identity.admin_role)) return null;
+  return {
+    type: "identity",
+    name: signedIn.identity.username,
+    role: signedIn.identity.admin_role,
+    identity_id: signedIn.identity.identity_id
+  };
+}
 
-    // Compute total in cents (allow amount_cents or amount in dollars)
-    const totalAmountCents = items.reduce((sum, item) => {
-      if (!item) return sum;
-      if (typeof item.amount_cents === "number") {
-        return sum + item.amount_cents;
-      }
-      if (typeof item.amount === "number") {
-        return sum + Math.round(item.amount * 100);
-      }
-      return sum;
-    }, 0);
+/**
+ * Middleware for admin routes needing at least `role` (lib/admin.js).
+ * Sets req.admin and writes an audit_log entry once the response is sent;
+ * handlers add specifics with noteAudit(req, {...}).
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    let actor;
+    try {
+      actor = await adminActor(req);
+    } catch (err) {
+      console.error("ADMIN AUTH ERROR:", err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Authentication failed." });
+    }
 
-    if (totalAmountCents <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Order total must be greater than zero."
-      });
+    if (!actor) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Admin API key required." });
+    }
+    if (!roleAllows(actor.role, role)) {
+      return res
+        .status(403)
+        .json({ success: false, message: `Requires the ${role} role.` });
     }
 
-    const registry = readRegistry();
-    const orders = registry.orders || [];
+    req.admin = actor;
+    req.auditDetails = [];
+    res.on("finish", () => writeAudit(req, res));
+    next();
+  };
+}
 
-    const order_id = createOrderId();
-    const now = new Date().toISOString();
+// Full admin access: catalog, campaigns, refunds, identity management
+const requireAdmin = requireRole("admin");
 
-    const order = {
-      order_id,
-      app: appName || "generic",
-      email,
-      items,
-      billing_mode: billingMode,
-      total_amount_cents: totalAmountCents,
-      status: "pending_payment",
-      created_at: now,
-      stripe_session_id: null,
-      stripe_subscription_id: null,
-      soulmark: null
-    };
+// Validation failures: { success: false, message, errors: [{ field, message }] }
+function sendValidationError(res, err) {
+  return res
+    .status(400)
+    .json({ success: false, message: err.message, errors: err.errors });
+}
 
-    orders.push(order);
-    registry.orders = orders;
-    writeRegistry(registry);
+/**
+ * Middleware: at most `limit.max` requests per `keyOf(req)` per window
+ * (parseRateLimit); 429 with Retry-After once over. `limit` null
+ * disables it; requests without a key aren't counted.
+ */
+function rateLimit(name, limit, keyOf) {
+  if (!limit) return (req, res, next) => next();
+  const limiter = createRateLimiter(limit);
 
-    return res.json({
-      success: true,
-      order: {
-        order_id: order.order_id,
-        app: order.app,
-        email: order.email,
-        items: order.items,
-        billing_mode: order.billing_mode,
-        total_amount_cents: order.total_amount_cents,
-        status: order.status
-      }
-    });
-  } catch (err) {
-    console.error("CREATE ORDER ERROR:", err);
-    return res.status(500).json({
+  return (req, res, next) => {
+    const value = keyOf(req);
+    if (!value) return next();
+    const key = `${name}:${value}`;
+    if (limiter.hit(key)) return next();
+    res.set("Retry-After", String(limiter.retryAfter(key)));
+    res.status(429).json({
       success: false,
-      message: "Failed to create order."
+      message: "Too many requests. Please try again later."
     });
-  }
-});
+  };
+}
 
-/**
- * POST /create-checkout-session-from-order
- * Turn an internal order into a Stripe Checkout session.
- *
- * Body:
- * { "order_id": "ord-..." }
- */
-app.post("/create-checkout-session-from-order", async (req, res) => {
-  try {
-    const { order_id } = req.body || {};
-    if (!order_id) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing order_id." });
-    }
+// Per client IP
+function rateLimitByIp(name, limit) {
+  return rateLimit(name, limit, req => req.ip);
+}
 
-    const registry = readRegistry();
-    const orders = registry.orders || [];
-    const order = orders.find(o => o.order_id === order_id);
+// The lower-cased string `field` of the JSON body, or null
+function bodyKey(req, field) {
+  const value = req.body?.[field];
+  return typeof value === "string" ? value.trim().toLowerCase() || null : null;
+}
 
-    if (!order) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Order not found." });
-    }
+const paymentRateLimit = rateLimitByIp("payments", PAYMENT_RATE_LIMIT);
+// Shared by the sign-up and sign-in routes, so switching between them
+// doesn't reset the count
+const authRateLimit = rateLimitByIp("auth", AUTH_RATE_LIMIT);
+const authEmailRateLimit = rateLimit(
+  "auth-email",
+  AUTH_ADDRESS_RATE_LIMIT,
+  req => bodyKey(req, "email")
+);
+const authUsernameRateLimit = rateLimit(
+  "auth-username",
+  AUTH_ADDRESS_RATE_LIMIT,
+  req => {
+    const username = bodyKey(req, "username");
+    return username && canonicalHandle(username);
+  }
+);
 
-    if (order.status === "paid") {
-      return res.status(400).json({
-        success: false,
-        message: "Order is already paid."
-      });
-    }
+function frontendOrigin() {
+  try {
+    return new URL(FRONTEND_URL).origin;
+  } catch {
+    return null;
+  }
+}
 
-    const amountCents = order.total_amount_cents || 0;
-    if (amountCents <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Order total is invalid."
-      });
-    }
-
-    // Phase 1: treat everything as a one_time payment.
-    // Later we can branch on order.billing_mode for true subscriptions.
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      payment_method_types: ["card"],
-      customer_email: order.email,
-      line_items: [
-        {
-          price_data: {
-            currency: "usd",
-            product_data: {
-              name: `${order.app} Order`,
-              metadata: {
-                order_id: order.order_id
-              }
-            },
-            unit_amount: amountCents
-          },
-          quantity: 1
-        }
-      ],
-      success_url: `${FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${FRONTEND_URL}/index.html`,
-      metadata: {
-        order_id: order.order_id,
-        app: order.app
-      }
-    });
+// cors() origin callback: allow the origin (true) or send no CORS headers
+function corsOrigin(origin, callback) {
+  if (
+    !origin ||
+    CORS_ORIGINS.includes("*") ||
+    CORS_ORIGINS.includes(origin) ||
+    origin === frontendOrigin()
+  ) {
+    return callback(null, true);
+  }
+  storage.apps
+    .find(a => a.active && originAllowed(a, origin))
+    .then(record => callback(null, !!record), callback);
+}
 
-    // Store the Stripe session ID so we can link it on verification
-    order.stripe_session_id = session.id;
-    registry.orders = orders;
-    writeRegistry(registry);
+/**
+ * Middleware for the order routes: the caller's app, from its API key in
+ * X-App-Key (section 27). Browsers must call from one of the app's
+ * allowed_origins. Sets req.tenant to the app record.
+ */
+async function requireAppKey(req, res, next) {
+  const key = req.get("X-App-Key");
+  if (!key) {
+    return res
+      .status(401)
+      .json({ success: false, message: "App API key required (X-App-Key)." });
+  }
 
-    return res.json({ success: true, url: session.url });
+  let record;
+  try {
+    const hash = hashApiKey(key);
+    record = await storage.apps.find(a => a.api_key_hash === hash);
   } catch (err) {
-    console.error("CHECKOUT FROM ORDER ERROR:", err);
+    console.error("APP KEY ERROR:", err);
     return res
       .status(500)
-      .json({ success: false, message: "Failed to create checkout session." });
+      .json({ success: false, message: "Authentication failed." });
   }
-});
 
-// --------------------------------------------------
-// 4. VERIFY PAYMENT + MINT SOULMARKⓈ
-// --------------------------------------------------
-app.get("/verify-donation/:id", async (req, res) => {
-  const id = req.params.id;
+  if (!record || !record.active) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid app API key." });
+  }
 
-  try {
-    ensureRegistry();
-    const session = await stripe.checkout.sessions.retrieve(id);
+  const origin = req.get("Origin");
+  if (origin && !originAllowed(record, origin)) {
+    return res.status(403).json({
+      success: false,
+      message: `Origin ${origin} is not allowed for ${record.app}.`
+    });
+  }
 
-    if (!session || session.payment_status !== "paid") {
-      return res.json({ verified: false, reason: "unpaid_or_missing" });
-    }
+  req.tenant = record;
+  next();
+}
+
+// Idempotency keys are per app on the order routes
+const appIdempotencyScope = route => req => `${route}:${req.tenant.app}`;
 
-    const email =
-      session.customer_details?.email ||
-      session.customer_email ||
-      "unknown@example.com";
+function noteAudit(req, details) {
+  req.auditDetails?.push(details);
+}
 
-    const donorName =
-      session.customer_details?.name ||
-      session.metadata?.donorName ||
-      "";
+function writeAudit(req, res) {
+  storage.audit_log
+    .insert({
+      audit_id: "aud-" + crypto.randomUUID(),
+      at: new Date().toISOString(),
+      actor: req.admin,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      ip: req.ip,
+      details: req.auditDetails
+    })
+    .catch(err => console.error("AUDIT WRITE ERROR:", err));
+}
 
-    const amount = session.amount_total || 0;
-    const now = new Date().toISOString();
+// Issue the SoulMarkⓈ certificate for a donation record (mutates it)
+function mintSoulmark(donation) {
+  const { soulmark, certificate } = issueCertificate(soulmarkKeys, donation);
+  donation.soulmark = soulmark;
+  donation.soulmark_certificate = certificate;
+  return donation;
+}
+
+/**
+ * Record a paid Checkout session: mint (or backfill) the donation +
+ * SoulMarkⓈ and mark any linked order as paid.
+ *
+ * Shared by GET /verify-donation/:id and the Stripe webhook so both paths
+ * produce exactly the same registry entries. Safe to call repeatedly for
+ * the same session.
+ *
+ * Resolves to { donation, order_id }.
+ */
+function recordPaidSession(session) {
+  const email =
+    session.customer_details?.email ||
+    session.customer_email ||
+    "unknown@example.com";
+
+  const donorName =
+    session.customer_details?.name || session.metadata?.donorName || "";
 
-    const registry = readRegistry();
-    const donations = registry.donations || [];
-    const orders = registry.orders || [];
+  const amount = session.amount_total || 0;
+  const currency = session.currency || "usd";
+  const paymentIntent = session.payment_intent || null;
+  const now = new Date().toISOString();
 
-    let donation = donations.find(d => d.id === session.id);
+  // Try to see if this session was linked to an order
+  const linkedOrderId = session.metadata?.order_id || null;
+  // …or started a recurring donation (section 25)
+  const recurringId = session.metadata?.recurring_id || null;
 
-    // Try to see if this session was linked to an order
-    const linkedOrderId = session.metadata?.order_id || null;
-    let linkedOrder = null;
-    if (linkedOrderId) {
-      linkedOrder = orders.find(o => o.order_id === linkedOrderId);
-    }
+  return storage.transaction(tx => {
+    let donation = tx.donations.get(session.id);
+    const plan = tx.recurring_donations.get(recurringId);
+    const campaignId =
+      session.metadata?.campaign_id ||
+      tx.orders.get(linkedOrderId)?.campaign_id ||
+      null;
+
+    // The donor's identity: whoever was signed in at checkout, else a
+    // verified email match (lib/identity-links.js). Donors with an
+    // identity get their default visibility on every gift.
+    const identity =
+      resolveIdentity(tx, donation?.identity_id) ||
+      identityForPayment(tx, {
+        identityId:
+          session.metadata?.identity_id ||
+          tx.orders.get(linkedOrderId)?.identity_id,
+        email
+      });
+    const visibility = identityDefaultVisibility(identity);
 
     if (!donation) {
       // Mint new SoulMarkⓈ
-      const nonce = crypto.randomUUID();
-      const soulmark = crypto
-        .createHash("sha256")
-        .update(email + now + SOULMARK_SECRET + nonce)
-        .digest("hex");
-
-      donation = {
+      const record = mintSoulmark({
         id: session.id,
         name: donorName || "Donor",
         email,
         amount,
+        currency,
         timestamp: now,
-        soulmark,
+        identity_id: identity?.identity_id || null,
+        soulmark: null,
         username_created: false,
         identity_username: null,
-        order_id: linkedOrderId || null
-      };
+        order_id: linkedOrderId || null,
+        campaign_id: campaignId,
+        payment_intent: paymentIntent,
+        visibility,
+        ...(plan && { lineage: nextLineage(plan) })
+      });
+      donation = tx.donations.insert(assignReceiptNumber(tx, record));
+      if (identity) donation = linkDonation(tx, donation.id, identity);
 
-      donations.push(donation);
-      registry.donations = donations;
+      // Purchases get an order confirmation below instead
+      if (!linkedOrderId) {
+        enqueueNotification(tx, {
+          key: `donation_thank_you:${donation.id}`,
+          template: "donation_thank_you",
+          to: email,
+          data: {
+            name: donation.name,
+            amount,
+            currency,
+            soulmark: donation.soulmark,
+            receipt_number: donation.receipt_number,
+            has_identity: !!identity,
+            frequency: plan ? frequencyOf(plan.interval) : "one_time"
+          }
+        });
+      }
     } else {
       // Backfill any missing fields on older entries
-      donation.name = donation.name || donorName || "Donor";
-      donation.email = donation.email || email;
-      donation.amount = donation.amount || amount;
-      donation.timestamp = donation.timestamp || now;
-      if (!donation.soulmark) {
-        const nonce = crypto.randomUUID();
-        donation.soulmark = crypto
-          .createHash("sha256")
-          .update(email + now + SOULMARK_SECRET + nonce)
-          .digest("hex");
-      }
-      if (linkedOrderId && !donation.order_id) {
-        donation.order_id = linkedOrderId;
-      }
-      registry.donations = donations;
+      donation = tx.donations.update(session.id, d => {
+        d.name = d.name || donorName || "Donor";
+        d.email = d.email || email;
+        d.amount = d.amount || amount;
+        d.currency = d.currency || currency;
+        d.timestamp = d.timestamp || now;
+        if (!d.soulmark) {
+          mintSoulmark(d);
+        }
+        assignReceiptNumber(tx, d);
+        if (linkedOrderId && !d.order_id) {
+          d.order_id = linkedOrderId;
+        }
+        if (paymentIntent && !d.payment_intent) {
+          d.payment_intent = paymentIntent;
+        }
+        if (campaignId && !d.campaign_id) {
+          d.campaign_id = campaignId;
+        }
+        if (!d.visibility) {
+          d.visibility = visibility;
+        }
+      });
+      if (identity) donation = linkDonation(tx, donation.id, identity);
+    }
+
+    if (plan && donation.lineage) {
+      recordRecurringGift(tx, donation, {
+        subscriptionId: stripeId(session.subscription),
+        periodEnd: fromUnix(session.subscription?.current_period_end)
+      });
     }
 
     // If there is a linked order, mark it paid and attach the SoulMarkⓈ
-    if (linkedOrder) {
-      linkedOrder.status = "paid";
-      linkedOrder.soulmark = linkedOrder.soulmark || donation.soulmark;
-      linkedOrder.updated_at = now;
-      registry.orders = orders;
+    let newlyPaid = false;
+    const order = tx.orders.update(linkedOrderId, order => {
+      newlyPaid = order.status !== "paid";
+      tryTransitionOrder(order, "paid", { reason: "checkout_completed" });
+      newlyPaid = newlyPaid && order.status === "paid";
+      order.soulmark = order.soulmark || donation.soulmark;
+      if (session.subscription) {
+        order.stripe_subscription_id = stripeId(session.subscription);
+        order.subscription_status = order.subscription_status || "active";
+      }
+    });
+
+    if (newlyPaid) {
+      enqueueNotification(tx, {
+        key: `order_paid:${order.order_id}`,
+        template: "order_paid",
+        to: order.email || email,
+        data: {
+          app: order.app,
+          order_id: order.order_id,
+          items: order.items,
+          amount,
+          currency,
+          soulmark: order.soulmark
+        }
+      });
+      enqueueAppWebhook(tx, {
+        app: order.app,
+        key: `order.paid:${order.order_id}`,
+        type: "order.paid",
+        data: { order: appOrderView(order), soulmark: order.soulmark }
+      });
     }
 
-    writeRegistry(registry);
+    return { donation, order_id: linkedOrderId };
+  }).finally(() => {
+    notifier.kick();
+    appWebhooks.kick();
+  });
+}
 
-    res.json({
-      verified: true,
-      entry: donation,
-      order_id: linkedOrderId || null
-    });
-  } catch (err) {
-    console.error("VERIFY ERROR:", err);
-    res.status(500).json({ error: "Verification failed" });
-  }
+// ---------- 1. ROOT PING ----------
+app.get("/", (req, res) => {
+  res.send("FundTrackerAI backend is running.");
 });
 
 // --------------------------------------------------
-// 5. PUBLIC DONATIONS VIEW
+// 2. DONATION CHECKOUT (EXISTING FLOW — UNCHANGED)
 // --------------------------------------------------
-app.get("/donations", (req, res) => {
-  try {
-    const registry = readRegistry();
-    res.json({ donations: registry.donations || [] });
-  } catch (err) {
-    console.error("DONATIONS READ ERROR:", err);
-    res.status(500).json({ error: "Failed to read registry" });
-  }
-});
+const CURRENCY_RULE = {
+  type: "enum",
+  values: SUPPORTED_CURRENCIES,
+  default: CHECKOUT_CURRENCY,
+  coerce: normalizeCurrency
+};
 
-// --------------------------------------------------
-// 6. USERNAME AVAILABILITY
-// --------------------------------------------------
-app.get("/check-username/:username", (req, res) => {
-  const rawUsername = req.params.username;
+// The amount rule depends on the currency, so that is validated first
+function donationSchema(currency) {
+  return {
+    name: { type: "string", max: 100 },
+    email: { type: "email", required: true },
+    // In major units (dollars and cents, whole yen), within one unit and
+    // Stripe's limits for the currency
+    amount: {
+      type: "money",
+      required: true,
+      digits: minorUnits(currency),
+      ...amountLimits(currency)
+    },
+    currency: CURRENCY_RULE,
+    campaign_id: { type: "string", max: 100 },
+    // monthly / yearly start a recurring donation (section 25)
+    frequency: {
+      type: "enum",
+      values: DONATION_FREQUENCIES,
+      default: "one_time"
+    }
+  };
+}
 
-  if (!rawUsername) {
-    return res.status(400).json({
-      available: false,
-      message: "Username cannot be empty."
-    });
-  }
+const DONATION_PRODUCT_NAMES = {
+  one_time: "FundTrackerAI Donation",
+  monthly: "FundTrackerAI Monthly Donation",
+  yearly: "FundTrackerAI Yearly Donation"
+};
 
-  const username = rawUsername.toLowerCase();
-  const registry = readRegistry();
+app.post(
+  "/create-checkout-session",
+  paymentRateLimit,
+  idempotency.middleware("create-checkout-session"),
+  async (req, res) => {
+    try {
+      const { currency } = validate(req.body, { currency: CURRENCY_RULE });
+      const {
+        name,
+        email,
+        amount: amountCents,
+        campaign_id,
+        frequency
+      } = validate(req.body, donationSchema(currency));
 
-  const taken = (registry.identities || []).some(
-    i => (i.username || "").toLowerCase() === username
-  );
+      const campaign = campaign_id ? await openCampaign(campaign_id) : null;
+      const donor = await optionalIdentity(req);
 
-  res.json({ available: !taken });
-});
+      const interval = FREQUENCY_INTERVALS[frequency] || null;
+      const recurringId = interval ? createRecurringId() : null;
+      const metadata = {
+        donorName: name || "",
+        ...(campaign && { campaign_id: campaign.campaign_id }),
+        ...(donor && { identity_id: donor.identity_id }),
+        ...(recurringId && { recurring_id: recurringId })
+      };
 
-// --------------------------------------------------
-// UPDATED ENDPOINT: /register
-// Supports BOTH donor and non-donor signups
-// --------------------------------------------------
-app.post("/register", (req, res) => {
-  const {
-    name,
+      const session = await stripe.checkout.sessions.create({
+        mode: interval ? "subscription" : "payment",
+        payment_method_types: ["card"],
+        customer_email: email,
+        line_items: [
+          {
+            price_data: {
+              currency,
+              product_data: {
+                name: DONATION_PRODUCT_NAMES[frequency],
+                metadata: { donorName: name || "" }
+              },
+              unit_amount: amountCents,
+              ...(interval && { recurring: { interval } })
+            },
+            quantity: 1
+          }
+        ],
+        success_url: `${FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${FRONTEND_URL}/index.html`,
+        metadata,
+        // Renewal invoices carry the subscription's metadata
+        ...(interval && { subscription_data: { metadata } })
+      });
+
+      if (recurringId) {
+        const now = new Date().toISOString();
+        await storage.recurring_donations.insert({
+          recurring_id: recurringId,
+          email,
+          name: name || "",
+          identity_id: donor?.identity_id || null,
+          amount: amountCents,
+          currency,
+          interval,
+          campaign_id: campaign?.campaign_id || null,
+          status: "pending",
+          stripe_checkout_session_id: session.id,
+          stripe_subscription_id: null,
+          gift_count: 0,
+          root_soulmark: null,
+          last_soulmark: null,
+          current_period_end: null,
+          skip_until: null,
+          created_at: now,
+          updated_at: now,
+          canceled_at: null
+        });
+      }
+
+      res.json({ success: true, url: session.url });
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return sendValidationError(res, err);
+      }
+      if (err instanceof CampaignError) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      console.error("SESSION ERROR:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Session creation failed" });
+    }
+  }
+);
+
+// --------------------------------------------------
+// 3. UNIVERSAL ORDER ENGINE (NEW)
+// --------------------------------------------------
+
+/**
+ * POST /create-order
+ * Create an internal order FIRST (our cart), before Stripe.
+ *
+ * Body:
+ * {
+ *   "app": "LawAidAI",                  // optional; must match the API key
+ *   "email": "user@example.com",
+ *   "items": [
+ *     { "sku": "lawaid_basic_monthly", "quantity": 1 }
+ *   ],
+ *   "billing_mode": "one_time" | "subscription",
+ *   "campaign_id": "cmp-...",           // optional, see section 15
+ *   "promo_code": "LAUNCH50"            // optional, see section 26
+ * }
+ *
+ * Label, type, interval and price come from the catalog (section 11);
+ * any client-supplied amounts are ignored. Unknown SKUs are rejected.
+ * With an iAscendAI session token the order is tied to that identity.
+ * The app comes from the X-App-Key header (section 27).
+ * A promo code is applied here: the order stores subtotal_cents,
+ * discount_cents and total_amount_cents (what the first payment costs).
+ */
+const MAX_ORDER_ITEMS = 50;
+
+// What the owning app sees of an order: here and in its webhooks
+function appOrderView(order) {
+  return {
+    order_id: order.order_id,
+    app: order.app,
+    email: order.email,
+    items: order.items,
+    billing_mode: order.billing_mode,
+    currency: order.currency,
+    subtotal_cents: order.subtotal_cents,
+    discount_cents: order.discount_cents,
+    total_amount_cents: order.total_amount_cents,
+    promotion: order.promotion,
+    campaign_id: order.campaign_id,
+    status: order.status
+  };
+}
+
+const ORDER_SCHEMA = {
+  app: { type: "string", max: 64 },
+  email: { type: "email", required: true },
+  items: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    maxItems: MAX_ORDER_ITEMS,
+    items: {
+      type: "object",
+      // A bare SKU string is shorthand for { sku }
+      coerce: item => (typeof item === "string" ? { sku: item } : item),
+      fields: {
+        sku: { type: "string", required: true, max: 100 },
+        quantity: { type: "integer", min: 1, max: MAX_QUANTITY }
+      }
+    }
+  },
+  billing_mode: {
+    type: "enum",
+    values: ["one_time", "subscription"],
+    default: "one_time"
+  },
+  campaign_id: { type: "string", max: 100 },
+  promo_code: { type: "string", max: 64 }
+};
+
+app.post(
+  "/create-order",
+  paymentRateLimit,
+  requireAppKey,
+  idempotency.middleware(appIdempotencyScope("create-order")),
+  async (req, res) => {
+    try {
+      const {
+        app: requestedApp,
+        email,
+        items,
+        billing_mode: billingMode,
+        campaign_id,
+        promo_code
+      } = validate(req.body, ORDER_SCHEMA);
+
+      const orderApp = req.tenant.app;
+      if (requestedApp && requestedApp !== orderApp) {
+        return res.status(400).json({
+          success: false,
+          message: `app must be ${orderApp} for this API key.`
+        });
+      }
+
+      let campaign = null;
+      if (campaign_id) {
+        try {
+          campaign = await openCampaign(campaign_id, orderApp);
+        } catch (err) {
+          if (err instanceof CampaignError) {
+            return res
+              .status(400)
+              .json({ success: false, message: err.message });
+          }
+          throw err;
+        }
+      }
+
+      const products = await storage.catalog.list(p => p.app === orderApp);
+      let priced;
+      try {
+        priced = priceOrderItems(orderApp, items, billingMode, (app, sku) =>
+          products.find(p => p.catalog_id === catalogId(app, sku))
+        );
+      } catch (err) {
+        if (err instanceof CatalogError) {
+          return res.status(400).json({ success: false, message: err.message });
+        }
+        throw err;
+      }
+
+      if (priced.total_amount_cents <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Order total must be greater than zero."
+        });
+      }
+
+      const buyer = await optionalIdentity(req);
+
+      // The promo code is checked and redeemed in the same transaction
+      // that stores the order, so usage limits hold under concurrency.
+      const order = await storage.transaction(tx => {
+        let promotion = null;
+        if (promo_code) {
+          promotion = tx.promotions.get(normalizePromoCode(promo_code));
+          checkPromotion(promotion, {
+            app: orderApp,
+            usage: promotionUsage(tx.orders.list(), promotion?.code, email)
+          });
+        }
+        const discounted = applyPromotion(priced, promotion, { billingMode });
+        const now = new Date().toISOString();
+
+        return tx.orders.insert({
+          order_id: createOrderId(),
+          app: orderApp,
+          email,
+          items: discounted.items,
+          billing_mode: billingMode,
+          currency: priced.currency,
+          subtotal_cents: discounted.subtotal_cents,
+          discount_cents: discounted.discount_cents,
+          total_amount_cents: discounted.total_amount_cents,
+          promotion: discounted.promotion,
+          campaign_id: campaign?.campaign_id || null,
+          identity_id: buyer?.identity_id || null,
+          status: "pending_payment",
+          status_history: [
+            {
+              from: null,
+              to: "pending_payment",
+              at: now,
+              reason: "created",
+              actor: "customer"
+            }
+          ],
+          created_at: now,
+          stripe_session_id: null,
+          stripe_subscription_id: null,
+          soulmark: null
+        });
+      });
+
+      return res.json({ success: true, order: appOrderView(order) });
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return sendValidationError(res, err);
+      }
+      if (err instanceof PromotionError) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      console.error("CREATE ORDER ERROR:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create order."
+      });
+    }
+  }
+);
+
+class OrderItemsError extends Error {}
+
+/**
+ * Build Stripe line items for a subscription order: items with
+ * type "subscription" become recurring prices on their own interval,
+ * anything else is charged once on the first invoice. Items synced to
+ * Stripe use their catalog Price ID. A one-time item's promo discount is
+ * taken off its line; subscription items are discounted by the order's
+ * coupon (promotionCoupon()). Inline products are named after `brand`,
+ * the app's product_name.
+ */
+function subscriptionLineItems(order, brand = order.app) {
+  const lineItems = (order.items || []).map(item => {
+    if (item?.type !== "subscription" && item?.discount_cents > 0) {
+      const quantity = item.quantity || 1;
+      return {
+        price_data: {
+          currency: item.currency || order.currency || "usd",
+          product_data: {
+            name: `${brand} — ${item.label || item.sku} × ${quantity}`,
+            metadata: { order_id: order.order_id, sku: item.sku || "" }
+          },
+          unit_amount: itemAmountCents(item) - item.discount_cents
+        },
+        quantity: 1,
+        recurring: false
+      };
+    }
+
+    if (item?.stripe_price_id) {
+      return {
+        price: item.stripe_price_id,
+        quantity: item.quantity || 1,
+        recurring: item.type === "subscription"
+      };
+    }
+
+    const amountCents = item?.unit_amount_cents || itemAmountCents(item);
+    if (amountCents <= 0) {
+      throw new OrderItemsError(`Item ${item?.sku || ""} has no amount.`);
+    }
+
+    const priceData = {
+      currency: item.currency || order.currency || "usd",
+      product_data: {
+        name: `${brand} — ${item.label || item.sku || "Item"}`,
+        metadata: {
+          order_id: order.order_id,
+          sku: item.sku || ""
+        }
+      },
+      unit_amount: amountCents
+    };
+
+    if (item.type === "subscription") {
+      if (!SUBSCRIPTION_INTERVALS.includes(item.interval)) {
+        throw new OrderItemsError(
+          `Item ${item.sku || ""} needs an interval of ${SUBSCRIPTION_INTERVALS.join(", ")}.`
+        );
+      }
+      priceData.recurring = { interval: item.interval };
+    }
+
+    return {
+      price_data: priceData,
+      quantity: item.quantity || 1,
+      recurring: !!priceData.recurring
+    };
+  });
+
+  if (!lineItems.some(li => li.recurring)) {
+    throw new OrderItemsError(
+      "Subscription orders need at least one subscription item."
+    );
+  }
+
+  // `recurring` is only our bookkeeping; Stripe doesn't accept it
+  return lineItems.map(({ recurring, ...lineItem }) => lineItem);
+}
+
+// Stripe metadata values must be strings, so omit campaign_id when unset
+function orderMetadata(order) {
+  return {
+    order_id: order.order_id,
+    app: order.app,
+    ...(order.campaign_id && { campaign_id: order.campaign_id }),
+    ...(order.promotion && {
+      promo_code: order.promotion.code,
+      subtotal_cents: String(order.subtotal_cents),
+      discount_cents: String(order.discount_cents)
+    })
+  };
+}
+
+// "Subtotal $20.00, LAUNCH50 −$10.00" for the Checkout page
+function discountDescription(order) {
+  return `Subtotal ${formatMoney(order.subtotal_cents, order.currency)}, ${
+    order.promotion.code
+  } −${formatMoney(order.discount_cents, order.currency)}`;
+}
+
+/**
+ * A single-use Stripe coupon for the promo discount on a subscription
+ * order's recurring items: once for first-period-only codes, otherwise on
+ * every invoice. Created on first checkout and reused after that. Resolves
+ * to the coupon ID, or null when those items aren't discounted.
+ */
+async function promotionCoupon(order) {
+  if (order.stripe_coupon_id) return order.stripe_coupon_id;
+
+  const amountOff = (order.items || [])
+    .filter(i => i?.type === "subscription")
+    .reduce((sum, i) => sum + (i.discount_cents || 0), 0);
+  if (!order.promotion || amountOff <= 0) return null;
+
+  const coupon = await stripe.coupons.create({
+    amount_off: amountOff,
+    currency: order.currency || "usd",
+    duration: order.promotion.first_period_only ? "once" : "forever",
+    max_redemptions: 1,
+    name: order.promotion.code,
+    metadata: { order_id: order.order_id, promo_code: order.promotion.code }
+  });
+  await storage.orders.update(order.order_id, { stripe_coupon_id: coupon.id });
+  return coupon.id;
+}
+
+// The app's product_name and return URLs (section 27), else FundTrackerAI's
+function orderCheckoutOptions(order, tenant, successPage) {
+  return {
+    brand: tenant?.product_name || order.app,
+    ...checkoutUrls(tenant, {
+      success_url: `${FRONTEND_URL}/${successPage}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${FRONTEND_URL}/index.html`
+    })
+  };
+}
+
+function createOneTimeOrderSession(order, amountCents, tenant) {
+  const { brand, success_url, cancel_url } = orderCheckoutOptions(
+    order,
+    tenant,
+    "success.html"
+  );
+
+  return stripe.checkout.sessions.create({
+    mode: "payment",
+    payment_method_types: ["card"],
+    customer_email: order.email,
+    line_items: [
+      {
+        price_data: {
+          currency: order.currency || "usd",
+          product_data: {
+            name: `${brand} Order`,
+            ...(order.discount_cents > 0 && {
+              description: discountDescription(order)
+            }),
+            metadata: {
+              order_id: order.order_id
+            }
+          },
+          unit_amount: amountCents
+        },
+        quantity: 1
+      }
+    ],
+    success_url,
+    cancel_url,
+    metadata: orderMetadata(order)
+  });
+}
+
+async function createSubscriptionSession(order, tenant) {
+  const { brand, success_url, cancel_url } = orderCheckoutOptions(
+    order,
+    tenant,
+    "subscription-success.html"
+  );
+  const metadata = orderMetadata(order);
+  const lineItems = subscriptionLineItems(order, brand);
+  const couponId = await promotionCoupon(order);
+
+  return stripe.checkout.sessions.create({
+    mode: "subscription",
+    payment_method_types: ["card"],
+    customer_email: order.email,
+    line_items: lineItems,
+    ...(couponId && { discounts: [{ coupon: couponId }] }),
+    success_url,
+    cancel_url,
+    metadata,
+    // Copied onto the subscription so renewal/cancel events find the order
+    subscription_data: { metadata }
+  });
+}
+
+/**
+ * POST /create-checkout-session-from-order
+ * Turn an internal order into a Stripe Checkout session.
+ *
+ * Body:
+ * { "order_id": "ord-..." }
+ *
+ * Needs the X-App-Key of the app that created the order. Donors return
+ * to that app's success_url / cancel_url.
+ */
+app.post(
+  "/create-checkout-session-from-order",
+  paymentRateLimit,
+  requireAppKey,
+  idempotency.middleware(
+    appIdempotencyScope("create-checkout-session-from-order")
+  ),
+  async (req, res) => {
+    try {
+      const { order_id } = validate(req.body, {
+        order_id: { type: "string", required: true, max: 100 }
+      });
+
+      const order = await storage.orders.get(order_id);
+
+      // Other apps' orders are reported as missing
+      if (!order || order.app !== req.tenant.app) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found." });
+      }
+
+      if (!PAYABLE_STATUSES.includes(order.status)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            order.status === "paid"
+              ? "Order is already paid."
+              : `Order is ${order.status} and can't be paid.`
+        });
+      }
+
+      // A subscription's first period may be free with a promo code
+      const amountCents = order.total_amount_cents || 0;
+      const chargedCents =
+        order.billing_mode === "subscription"
+          ? order.subtotal_cents ?? amountCents
+          : amountCents;
+      if (chargedCents <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Order total is invalid."
+        });
+      }
+
+      const session =
+        order.billing_mode === "subscription"
+          ? await createSubscriptionSession(order, req.tenant)
+          : await createOneTimeOrderSession(order, amountCents, req.tenant);
+
+      // Store the Stripe session ID so we can link it on verification
+      await storage.orders.update(order.order_id, {
+        stripe_session_id: session.id
+      });
+
+      return res.json({ success: true, url: session.url });
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return sendValidationError(res, err);
+      }
+      if (err instanceof OrderItemsError) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      console.error("CHECKOUT FROM ORDER ERROR:", err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Failed to create checkout session." });
+    }
+  }
+);
+
+// --------------------------------------------------
+// 4. VERIFY PAYMENT + MINT SOULMARKⓈ
+// --------------------------------------------------
+app.get("/verify-donation/:id", async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(id);
+
+    if (!session || session.payment_status !== "paid") {
+      return res.json({ verified: false, reason: "unpaid_or_missing" });
+    }
+
+    const { donation, order_id: linkedOrderId } =
+      await recordPaidSession(session);
+
+    res.json({
+      verified: true,
+      entry: donation,
+      order_id: linkedOrderId || null
+    });
+  } catch (err) {
+    console.error("VERIFY ERROR:", err);
+    res.status(500).json({ success: false, message: "Verification failed" });
+  }
+});
+
+// --------------------------------------------------
+// 5. PUBLIC DONATIONS VIEW
+// --------------------------------------------------
+// The public feed only ever returns publicDonation() projections (see
+// lib/visibility.js): the donor's visibility choices are applied here, not
+// in the browser. Owners read their full records from GET /me/donations;
+// admins from GET /admin/donations.
+//
+// Query (all optional):
+//   page=1  limit=50 (max 200)
+//   from=2025-01-01  to=2025-12-31   (ISO dates, inclusive)
+//   app=LawAidAI                      (order app; plain donations are "FundTrackerAI")
+//   campaign=cmp-...                  (donations attributed to a campaign)
+//   sort=newest | oldest | amount_desc | amount_asc
+//
+// Amount sorts and the summary total compare gifts in REPORTING_CURRENCY
+// (converted with CURRENCY_RATES); summary.by_currency has the totals in
+// each original currency.
+
+// A donation's amount in the reporting currency, as is when there's no rate
+function reportingAmount(d) {
+  const amount = d.amount || 0;
+  return (
+    currencies.convert(amount, currencyOf(d), REPORTING_CURRENCY) ?? amount
+  );
+}
+
+const DONATION_SORTS = {
+  newest: (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp),
+  oldest: (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp),
+  amount_desc: (a, b) => reportingAmount(b) - reportingAmount(a),
+  amount_asc: (a, b) => reportingAmount(a) - reportingAmount(b)
+};
+const MAX_PAGE_SIZE = 200;
+
+class QueryError extends Error {}
+
+function parseDate(value, name, endOfDay) {
+  if (value === undefined || value === "") return null;
+  // Bare dates cover the whole day
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`
+    : value;
+  const time = Date.parse(iso);
+  if (Number.isNaN(time)) {
+    throw new QueryError(`${name} must be an ISO date.`);
+  }
+  return time;
+}
+
+function parseListQuery(query, sorts, defaultSort) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const sort = query.sort || defaultSort;
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError("page must be a positive integer.");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new QueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  if (!sorts[sort]) {
+    throw new QueryError(`sort must be one of ${Object.keys(sorts).join(", ")}.`);
+  }
+
+  return {
+    page,
+    limit,
+    sort,
+    from: parseDate(query.from, "from", false),
+    to: parseDate(query.to, "to", true),
+    app: query.app || null,
+    campaign: query.campaign || null
+  };
+}
+
+function inDateRange(timestamp, q) {
+  const time = Date.parse(timestamp);
+  return (q.from === null || time >= q.from) && (q.to === null || time <= q.to);
+}
+
+function paginate(records, q) {
+  const start = (q.page - 1) * q.limit;
+  return {
+    page: q.page,
+    limit: q.limit,
+    total: records.length,
+    pages: Math.max(1, Math.ceil(records.length / q.limit)),
+    items: records.slice(start, start + q.limit)
+  };
+}
+
+function donationApp(donation, ordersById) {
+  return ordersById.get(donation.order_id)?.app || "FundTrackerAI";
+}
+
+/**
+ * Filter + sort donations for a feed. Resolves to
+ * { page, limit, total, pages, items, matching, total_amount, ordersById }
+ * where `items` is the requested page of `matching`.
+ */
+async function queryDonations(q, extraFilter = () => true) {
+  const orders = await storage.orders.list();
+  const ordersById = new Map(orders.map(o => [o.order_id, o]));
+
+  const matching = (
+    await storage.donations.list(
+      d =>
+        extraFilter(d) &&
+        inDateRange(d.timestamp, q) &&
+        (!q.app || donationApp(d, ordersById) === q.app) &&
+        (!q.campaign || d.campaign_id === q.campaign)
+    )
+  ).sort(DONATION_SORTS[q.sort]);
+
+  return {
+    ...paginate(matching, q),
+    matching,
+    total_amount: matching.reduce((sum, d) => sum + (d.amount || 0), 0),
+    ordersById
+  };
+}
+
+// [{ currency, total_amount, count }] over the amounts shown
+function currencyTotals(donations) {
+  const totals = new Map();
+  for (const d of donations) {
+    if (d.amount === null || d.amount === undefined) continue;
+    const entry = totals.get(currencyOf(d)) || {
+      currency: currencyOf(d),
+      total_amount: 0,
+      count: 0
+    };
+    entry.total_amount += d.amount;
+    entry.count += 1;
+    totals.set(entry.currency, entry);
+  }
+  return [...totals.values()];
+}
+
+app.get("/donations", async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, DONATION_SORTS, "newest");
+    const result = await queryDonations(q);
+
+    // Totals only include amounts donors chose to show; otherwise a
+    // narrow filter could reveal a hidden amount.
+    const project = d =>
+      publicDonation(d, { app: donationApp(d, result.ordersById) });
+    const visible = result.matching.map(project);
+    const reported = donationsInCurrency(
+      visible.filter(d => d.amount !== null && d.amount !== undefined),
+      REPORTING_CURRENCY,
+      currencies.convert
+    );
+
+    res.json({
+      donations: result.items.map(project),
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      pages: result.pages,
+      summary: {
+        count: result.total,
+        currency: REPORTING_CURRENCY,
+        total_amount: reported.donations.reduce((sum, d) => sum + d.amount, 0),
+        by_currency: currencyTotals(visible),
+        unconverted: reported.unconverted,
+        hidden_amount_count: visible.filter(d => d.amount_hidden).length
+      }
+    });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("DONATIONS READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read registry" });
+  }
+});
+
+// Look up one donation by its full SoulMarkⓈ (SoulRegistry page).
+// Knowing the full SoulMarkⓈ is required; the result is still the public
+// projection.
+app.get("/donations/soulmark/:soulmark", async (req, res) => {
+  try {
+    const donation = await storage.donations.find(
+      d => d.soulmark === req.params.soulmark
+    );
+    if (!donation) {
+      return res
+        .status(404)
+        .json({ success: false, message: "No record for this SoulMarkⓈ." });
+    }
+
+    const order = donation.order_id
+      ? await storage.orders.get(donation.order_id)
+      : null;
+
+    res.json({
+      donation: {
+        ...publicDonation(donation, { app: order?.app }),
+        soulmark: donation.soulmark,
+        claimed: !!donation.username_created
+      }
+    });
+  } catch (err) {
+    console.error("SOULMARK LOOKUP ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read registry" });
+  }
+});
+
+/**
+ * GET /admin/donations
+ * Full donation records, same filters/pagination as GET /donations plus
+ * email=.
+ */
+app.get("/admin/donations", requireRole("viewer"), async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, DONATION_SORTS, "newest");
+    const email = (req.query.email || "").toLowerCase();
+    const result = await queryDonations(
+      q,
+      d => !email || (d.email || "").toLowerCase() === email
+    );
+
+    res.json({
+      success: true,
+      donations: result.items,
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      pages: result.pages,
+      summary: { count: result.total, total_amount: result.total_amount }
+    });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN DONATIONS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read donations." });
+  }
+});
+
+// --------------------------------------------------
+// 6. USERNAME AVAILABILITY
+// --------------------------------------------------
+app.get("/check-username/:username", async (req, res) => {
+  const rawUsername = req.params.username;
+
+  if (!rawUsername) {
+    return res.status(400).json({
+      available: false,
+      message: "Username cannot be empty."
+    });
+  }
+
+  const username = rawUsername.toLowerCase();
+
+  try {
+    const taken = await storage.identities.find(
+      i => (i.username || "").toLowerCase() === username
+    );
+
+    res.json({ available: !taken });
+  } catch (err) {
+    console.error("CHECK USERNAME ERROR:", err);
+    res.status(500).json({ available: false, message: "Lookup failed." });
+  }
+});
+
+// --------------------------------------------------
+// UPDATED ENDPOINT: /register
+// Supports BOTH donor and non-donor signups
+// --------------------------------------------------
+// The email must be proven first: POST /auth/request-code emails a signup
+// code to an address with no identity, and /register takes it as `code`.
+// Registering doesn't claim donations. They are linked when the identity
+// first signs in (completeLogin) or through POST /me/soulmarks/claim.
+const REGISTER_SCHEMA = {
+  name: { type: "string", max: 100 },
+  email: { type: "email", required: true },
+  username: {
+    type: "string",
+    required: true,
+    min: 3,
+    max: 64,
+    pattern: /^[a-z0-9._-]+(@iascendai)?$/i,
+    patternMessage:
+      "may only use letters, numbers, dots, dashes and underscores."
+  },
+  code: { type: "string", required: true, max: 12 },
+  soulmark: { type: "string", max: 200 },
+  displayIdentity: {
+    type: "enum",
+    values: ["username", "name", "both", "anonymous"]
+  },
+  showDonationAmount: { type: "boolean" },
+  visibility: {
+    type: "object",
+    fields: {
+      showName: { type: "boolean" },
+      showUsername: { type: "boolean" },
+      showAmount: { type: "boolean" }
+    }
+  }
+};
+
+app.post("/register", authRateLimit, authEmailRateLimit, async (req, res) => {
+  let body;
+  try {
+    body = validate(req.body, REGISTER_SCHEMA);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    throw err;
+  }
+  const {
+    email: canonicalEmail,
+    username,
+    code,
+    soulmark,
+    displayIdentity,
+    showDonationAmount,
+    visibility
+  } = body;
+
+  const isDonorSignup = !!soulmark && soulmark !== "null";
+
+  const canonicalUsername = username.toLowerCase();
+
+  const now = new Date().toISOString();
+
+  // Create new identity
+  const newIdentity = {
+    identity_id: "ias-" + crypto.randomUUID(),
+    username: canonicalUsername,
+    email: canonicalEmail,
+    soulmarks: [],
+    registered_since: now,
+    displayIdentity: displayIdentity || "username",
+    showDonationAmount: !!showDonationAmount
+  };
+
+  // Default visibility for this identity's donations: an explicit
+  // `visibility` object wins over the older displayIdentity flags.
+  try {
+    newIdentity.default_visibility = visibility
+      ? validateVisibility(visibility)
+      : identityDefaultVisibility(newIdentity);
+  } catch (err) {
+    if (err instanceof VisibilityError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    throw err;
+  }
+  Object.assign(newIdentity, legacyDisplayPrefs(newIdentity.default_visibility));
+
+  // Conflict checks, the code and the insert in one transaction so two
+  // signups can't both claim the same username or email. A wrong code
+  // still counts as an attempt, so it returns instead of throwing.
+  let result;
+  try {
+    result = await storage.transaction(tx => {
+      const usernameTaken = tx.identities.find(
+        i => (i.username || "").toLowerCase() === canonicalUsername
+      );
+      if (usernameTaken) return { conflict: "Username already taken." };
+
+      const emailTaken = tx.identities.find(
+        i =>
+          !i.merged_into &&
+          ((i.email || "").toLowerCase() === canonicalEmail ||
+            (i.alternate_emails || []).includes(canonicalEmail))
+      );
+      if (emailTaken) {
+        return {
+          conflict: "An identity already uses this email. Sign in instead."
+        };
+      }
+
+      if (!useSignupCode(tx, canonicalEmail, code, Date.parse(now))) {
+        return { invalidCode: true };
+      }
+
+      tx.identities.insert(newIdentity);
+      enqueueNotification(tx, {
+        key: `registration_welcome:${newIdentity.identity_id}`,
+        template: "registration_welcome",
+        to: canonicalEmail,
+        data: { username: canonicalUsername, donor: !!isDonorSignup }
+      });
+
+      return { created: true };
+    });
+  } catch (err) {
+    console.error("REGISTER ERROR:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Registration failed."
+    });
+  }
+
+  if (result.conflict) {
+    return res.status(409).json({ success: false, message: result.conflict });
+  }
+  if (result.invalidCode) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid or expired code." });
+  }
+  notifier.kick();
+
+  return res.json({
+    success: true,
+    identity: {
+      username: canonicalUsername,
+      email: canonicalEmail,
+      soulmarks: newIdentity.soulmarks,
+      identity_id: newIdentity.identity_id,
+      donor: isDonorSignup
+    }
+  });
+});
+
+// --------------------------------------------------
+// 8. START SERVER
+// --------------------------------------------------
+const PORT = process.env.PORT || 10000;
+app.listen(PORT, () => {
+  console.log(`Backend running on port ${PORT}`);
+});
+
+// --------------------------------------------------
+// LOGIN — send a sign-in code for a username
+// --------------------------------------------------
+// Same as POST /auth/request-code, keyed by username. The response never
+// says whether the identity exists; the code goes to its email on file.
+const LOGIN_SCHEMA = {
+  username: { type: "string", required: true, max: 64 }
+};
+
+app.post("/login", authRateLimit, authUsernameRateLimit, async (req, res) => {
+  let username;
+  try {
+    ({ username } = validate(req.body, LOGIN_SCHEMA));
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    throw err;
+  }
+
+  const canonical = canonicalHandle(username);
+
+  let identity;
+  try {
+    identity = await findIdentityByUsername(canonical);
+  } catch (err) {
+    console.error("LOGIN ERROR:", err);
+    return res.status(500).json({ success: false, message: "Login failed." });
+  }
+
+  // Not awaited: response timing shouldn't reveal whether it exists
+  if (identity) {
+    startLogin(identity);
+  }
+
+  return res.json({ success: true, message: LOGIN_SENT_MESSAGE });
+});
+
+// --------------------------------------------------
+// 9. STRIPE WEBHOOK — record payments server-side
+// --------------------------------------------------
+// Stripe calls this for every payment, so donations and orders are recorded
+// even when the donor never makes it back to success.html.
+//
+// Events are deduplicated by event.id in the processed_events collection,
+// so Stripe redeliveries are acknowledged without being applied twice.
+
+// Claim an event before handling it; false means it was already seen.
+function claimEvent(event) {
+  return storage.transaction(tx => {
+    if (tx.processed_events.get(event.id)) return false;
+    tx.processed_events.insert({
+      event_id: event.id,
+      type: event.type,
+      processed_at: new Date().toISOString()
+    });
+    return true;
+  });
+}
+
+// Failed (async_payment_failed) and expired Checkout sessions
+async function markOrderUnpaid(session, status) {
+  const orderId = session.metadata?.order_id;
+  if (!orderId) return;
+
+  await storage.transaction(tx => {
+    tx.orders.update(orderId, order => {
+      tryTransitionOrder(order, status, { reason: `checkout_${status}` });
+    });
+  });
+}
+
+function findDonationByPaymentIntent(tx, paymentIntent) {
+  const id = stripeId(paymentIntent);
+  return id ? tx.donations.find(d => d.payment_intent === id) : null;
+}
+
+/**
+ * Record that `amountRefunded` (cumulative, in cents) of a donation has
+ * been refunded, and move its order along. A full refund revokes the
+ * SoulMarkⓈ: the certificate still verifies, but GET /soulmark/:id/verify
+ * reports it as refunded. Called from both the webhook and the admin
+ * refund route, in either order. The donor is emailed about each new
+ * refund unless `notify` is false (lost disputes).
+ */
+function applyDonationRefund(
+  tx,
+  donation,
+  { amountRefunded, fully },
+  meta,
+  { notify = true } = {}
+) {
+  const now = new Date().toISOString();
+  const refundStatus = fully ? "refunded" : "partially_refunded";
+
+  const previous = donation.amount_refunded || 0;
+  if (amountRefunded < previous) return;
+
+  // Keyed by the new total, so the refund route and the charge.refunded
+  // webhook for the same refund produce one email
+  if (notify && amountRefunded > previous) {
+    enqueueNotification(tx, {
+      key: `refund_issued:${donation.id}:${amountRefunded}`,
+      template: "refund_issued",
+      to: donation.email,
+      data: {
+        amount: amountRefunded - previous,
+        total_refunded: amountRefunded,
+        currency: donation.currency || "usd",
+        fully,
+        order_id: donation.order_id || null,
+        soulmark: donation.soulmark
+      }
+    });
+  }
+
+  tx.donations.update(donation.id, d => {
+    d.amount_refunded = amountRefunded;
+    d.refund_status = refundStatus;
+    d.refunded_at = now;
+    if (fully) {
+      d.soulmark_revoked_at = d.soulmark_revoked_at || now;
+    }
+  });
+
+  tx.orders.update(donation.order_id, order => {
+    if (amountRefunded === (order.amount_refunded_cents || 0) && !fully) {
+      return;
+    }
+    order.amount_refunded_cents = amountRefunded;
+    tryTransitionOrder(order, refundStatus, meta);
+  });
+}
+
+async function recordChargeRefund(charge) {
+  if (!charge.payment_intent) return;
+
+  await storage.transaction(tx => {
+    const donation = findDonationByPaymentIntent(tx, charge.payment_intent);
+    if (!donation) {
+      console.warn("Refund for unknown payment_intent:", charge.payment_intent);
+      return;
+    }
+
+    applyDonationRefund(
+      tx,
+      donation,
+      {
+        amountRefunded: charge.amount_refunded,
+        fully: charge.refunded || charge.amount_refunded >= charge.amount
+      },
+      { reason: "charge_refunded", actor: "stripe" }
+    );
+  });
+}
+
+/**
+ * charge.dispute.* events. A won dispute puts the
+ * order back where it was; a lost one is treated as a full refund.
+ */
+async function recordDispute(dispute) {
+  await storage.transaction(tx => {
+    const donation = findDonationByPaymentIntent(tx, dispute.payment_intent);
+    if (!donation) {
+      console.warn("Dispute for unknown payment_intent:", dispute.payment_intent);
+      return;
+    }
+
+    const meta = { reason: `dispute_${dispute.status}`, actor: "stripe" };
+    // warning_closed: an inquiry that never became a chargeback
+    const resolved =
+      dispute.status === "won" || dispute.status === "warning_closed";
+
+    tx.donations.update(donation.id, { dispute_status: dispute.status });
+
+    if (dispute.status === "lost") {
+      applyDonationRefund(
+        tx,
+        donation,
+        { amountRefunded: donation.amount || 0, fully: true },
+        meta,
+        { notify: false }
+      );
+      return;
+    }
+
+    tx.orders.update(donation.order_id, order => {
+      if (resolved) {
+        if (order.status === "disputed") {
+          tryTransitionOrder(order, order.pre_dispute_status || "paid", meta);
+        }
+      } else if (canTransition(order.status, "disputed")) {
+        order.pre_dispute_status = order.status;
+        transitionOrder(order, "disputed", meta);
+      }
+    });
+  });
+}
+
+async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case "checkout.session.completed":
+      // Delayed payment methods complete the session before the money
+      // arrives; those are recorded on async_payment_succeeded instead.
+      if (object.payment_status === "paid") {
+        await recordPaidSession(object);
+      }
+      break;
+    case "checkout.session.async_payment_succeeded":
+      await recordPaidSession(object);
+      break;
+    case "checkout.session.async_payment_failed":
+      await markOrderUnpaid(object, "payment_failed");
+      break;
+    case "checkout.session.expired":
+      await markOrderUnpaid(object, "expired");
+      await expireRecurringDonation(object);
+      break;
+    case "charge.refunded":
+      await recordChargeRefund(object);
+      break;
+    case "charge.dispute.created":
+    case "charge.dispute.updated":
+    case "charge.dispute.closed":
+      await recordDispute(object);
+      break;
+    case "invoice.paid":
+      await recordSubscriptionRenewal(object);
+      break;
+    case "invoice.payment_failed":
+      await markSubscriptionPastDue(object);
+      break;
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+      await applySubscriptionState(object);
+      break;
+    default:
+      // Not an event we act on; acknowledge so Stripe stops retrying.
+      break;
+  }
+}
+
+app.post("/stripe-webhook", async (req, res) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    return res
+      .status(500)
+      .json({ success: false, message: "Webhook secret not configured" });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers["stripe-signature"],
+      STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    console.warn("WEBHOOK SIGNATURE ERROR:", err.message);
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid signature" });
+  }
+
+  try {
+    if (!(await claimEvent(event))) {
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (err) {
+    console.error("WEBHOOK ERROR:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Webhook handling failed" });
+  }
+
+  try {
+    await handleStripeEvent(event);
+    notifier.kick();
+    appWebhooks.kick();
+    res.json({ received: true });
+  } catch (err) {
+    // Release the claim; a non-2xx response makes Stripe retry later.
+    console.error("WEBHOOK ERROR:", err);
+    await storage.processed_events.remove(event.id).catch(() => {});
+    res
+      .status(500)
+      .json({ success: false, message: "Webhook handling failed" });
+  }
+});
+
+// --------------------------------------------------
+// 10. SUBSCRIPTIONS — verify + lifecycle
+// --------------------------------------------------
+// Orders with billing_mode "subscription" are paid through recurring
+// Checkout sessions. The order keeps stripe_subscription_id plus a
+// subscription_status mirrored from Stripe:
+//   active → (renewed) → active
+//   active → past_due → active | canceled
+//   active → canceled
+//
+// Recurring donations (section 25) use the same events; they are matched
+// by stripe_subscription_id or metadata.recurring_id before orders.
+
+function findSubscriptionOrder(tx, subscriptionId, metadata) {
+  return (
+    (subscriptionId
+      ? tx.orders.find(o => o.stripe_subscription_id === subscriptionId)
+      : null) ||
+    tx.orders.get(metadata?.order_id) ||
+    null
+  );
+}
+
+// First subscription item's label is what we show as the plan "tier"
+function subscriptionTier(order) {
+  const item =
+    (order.items || []).find(i => i && i.type === "subscription") ||
+    (order.items || [])[0];
+  return item ? item.label || item.sku || null : null;
+}
+
+function applySubscriptionState(subscription) {
+  return storage.transaction(tx => {
+    const plan = findRecurringDonation(
+      tx,
+      subscription.id,
+      subscription.metadata
+    );
+    if (plan) {
+      applyRecurringState(tx, plan, subscription);
+      return null;
+    }
+
+    const order = findSubscriptionOrder(
+      tx,
+      subscription.id,
+      subscription.metadata
+    );
+    if (!order) {
+      console.warn("Subscription event for unknown order:", subscription.id);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    return tx.orders.update(order.order_id, o => {
+      o.stripe_subscription_id = subscription.id;
+      o.subscription_status = subscription.status;
+      o.current_period_end = fromUnix(subscription.current_period_end);
+      o.cancel_at_period_end = !!subscription.cancel_at_period_end;
+      if (subscription.status === "canceled") {
+        o.canceled_at =
+          o.canceled_at || fromUnix(subscription.canceled_at) || now;
+      }
+      o.updated_at = now;
+    });
+  });
+}
+
+async function recordSubscriptionRenewal(invoice) {
+  // The first invoice is covered by checkout.session.completed
+  if (!invoice.subscription || invoice.billing_reason !== "subscription_cycle") {
+    return;
+  }
+
+  const subscriptionId = stripeId(invoice.subscription);
+
+  await storage.transaction(tx => {
+    const plan = findRecurringDonation(
+      tx,
+      subscriptionId,
+      invoice.subscription_details?.metadata
+    );
+    if (plan) {
+      recordRecurringRenewal(tx, plan, invoice);
+      return;
+    }
+
+    const order = findSubscriptionOrder(
+      tx,
+      subscriptionId,
+      invoice.subscription_details?.metadata
+    );
+    if (!order) {
+      console.warn("Renewal for unknown subscription:", subscriptionId);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+
+    const renewed = tx.orders.update(order.order_id, o => {
+      o.subscription_status = "active";
+      o.renewal_count = (o.renewal_count || 0) + 1;
+      o.last_renewed_at = now;
+      if (periodEnd) {
+        o.current_period_end = fromUnix(periodEnd);
+      }
+      o.updated_at = now;
+    });
+
+    enqueueNotification(tx, {
+      key: `subscription_renewed:${invoice.id}`,
+      template: "subscription_renewed",
+      to: renewed.email || invoice.customer_email,
+      data: {
+        app: renewed.app,
+        tier: subscriptionTier(renewed),
+        order_id: renewed.order_id,
+        amount: invoice.amount_paid,
+        currency: invoice.currency,
+        current_period_end: renewed.current_period_end || null
+      }
+    });
+  });
+}
+
+async function markSubscriptionPastDue(invoice) {
+  if (!invoice.subscription) return;
+
+  const subscriptionId = stripeId(invoice.subscription);
+
+  await storage.transaction(tx => {
+    const plan = findRecurringDonation(
+      tx,
+      subscriptionId,
+      invoice.subscription_details?.metadata
+    );
+    if (plan) {
+      tx.recurring_donations.update(plan.recurring_id, {
+        status: "past_due",
+        updated_at: new Date().toISOString()
+      });
+      return;
+    }
+
+    const order = findSubscriptionOrder(
+      tx,
+      subscriptionId,
+      invoice.subscription_details?.metadata
+    );
+    if (!order) return;
+
+    tx.orders.update(order.order_id, {
+      subscription_status: "past_due",
+      updated_at: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * GET /verify-subscription/:id
+ * Called by subscription-success.html with the Checkout session ID.
+ *
+ * Response:
+ * {
+ *   "verified": true,
+ *   "order_id": "ord-...",
+ *   "subscription": { "id", "app", "tier", "status", "current_period_end" }
+ * }
+ */
+app.get("/verify-subscription/:id", async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(id, {
+      expand: ["subscription"]
+    });
+
+    const paid =
+      session &&
+      (session.payment_status === "paid" ||
+        session.payment_status === "no_payment_required");
+
+    if (!paid || session.mode !== "subscription" || !session.subscription) {
+      return res.json({ verified: false, reason: "unpaid_or_missing" });
+    }
+
+    const { order_id } = await recordPaidSession(session);
+    const order = order_id
+      ? await applySubscriptionState(session.subscription)
+      : null;
+
+    res.json({
+      verified: true,
+      order_id,
+      subscription: {
+        id: session.subscription.id,
+        app: order?.app || session.metadata?.app || null,
+        tier: order ? subscriptionTier(order) : null,
+        status: session.subscription.status,
+        current_period_end: fromUnix(session.subscription.current_period_end)
+      }
+    });
+  } catch (err) {
+    console.error("VERIFY SUBSCRIPTION ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Subscription verification failed" });
+  }
+});
+
+// --------------------------------------------------
+// 11. PRODUCT CATALOG — SKUs + prices for the order engine
+// --------------------------------------------------
+// /create-order prices every item from here (see lib/catalog.js).
+// Admin routes need ADMIN_API_KEY; GET /catalog/:app is public so apps can
+// render their pricing pages.
+
+function publicCatalogItem(item) {
+  return {
+    app: item.app,
+    sku: item.sku,
+    label: item.label,
+    type: item.type,
+    interval: item.interval,
+    currency: item.currency,
+    price_cents: item.price_cents
+  };
+}
+
+app.get("/catalog/:app", async (req, res) => {
+  try {
+    const items = await storage.catalog.list(
+      i => i.app === req.params.app && i.active
+    );
+    res.json({ success: true, items: items.map(publicCatalogItem) });
+  } catch (err) {
+    console.error("CATALOG READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read catalog." });
+  }
+});
+
+app.get("/admin/catalog", requireAdmin, async (req, res) => {
+  try {
+    const { app: appName } = req.query;
+    const items = await storage.catalog.list(
+      i => !appName || i.app === appName
+    );
+    res.json({ success: true, items });
+  } catch (err) {
+    console.error("ADMIN CATALOG LIST ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read catalog." });
+  }
+});
+
+app.get("/admin/catalog/:app/:sku", requireAdmin, async (req, res) => {
+  try {
+    const item = await storage.catalog.get(
+      catalogId(req.params.app, req.params.sku)
+    );
+    if (!item) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Catalog item not found." });
+    }
+    res.json({ success: true, item });
+  } catch (err) {
+    console.error("ADMIN CATALOG READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read catalog." });
+  }
+});
+
+/**
+ * POST /admin/catalog
+ * Body: { app, sku, label, type, interval, currency, price_cents, active }
+ */
+app.post("/admin/catalog", requireAdmin, async (req, res) => {
+  try {
+    const item = normalizeCatalogItem(req.body, null, {
+      currencies: SUPPORTED_CURRENCIES
+    });
+
+    const created = await storage.transaction(tx => {
+      if (tx.catalog.get(item.catalog_id)) return null;
+      return tx.catalog.insert(item);
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `SKU ${item.sku} already exists for ${item.app}.`
+      });
+    }
+
+    res.status(201).json({ success: true, item: created });
+  } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN CATALOG CREATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create catalog item." });
+  }
+});
+
+/**
+ * PUT /admin/catalog/:app/:sku
+ * Body: any of { label, type, interval, currency, price_cents, active }.
+ * A changed price takes effect for new orders immediately; run the Stripe
+ * sync again to create the matching Stripe Price.
+ */
+app.put("/admin/catalog/:app/:sku", requireAdmin, async (req, res) => {
+  try {
+    const id = catalogId(req.params.app, req.params.sku);
+
+    const updated = await storage.transaction(tx => {
+      const existing = tx.catalog.get(id);
+      if (!existing) return null;
+      return tx.catalog.upsert(
+        normalizeCatalogItem(req.body, existing, {
+          currencies: SUPPORTED_CURRENCIES
+        })
+      );
+    });
+
+    if (!updated) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Catalog item not found." });
+    }
+
+    res.json({ success: true, item: updated });
+  } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN CATALOG UPDATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update catalog item." });
+  }
+});
+
+/**
+ * DELETE /admin/catalog/:app/:sku
+ * Items already used by orders are deactivated instead of deleted, so
+ * order history keeps pointing at a real catalog entry.
+ */
+app.delete("/admin/catalog/:app/:sku", requireAdmin, async (req, res) => {
+  try {
+    const { app: appName, sku } = req.params;
+    const id = catalogId(appName, sku);
+
+    const result = await storage.transaction(tx => {
+      if (!tx.catalog.get(id)) return null;
+
+      const used = tx.orders.find(
+        o => o.app === appName && (o.items || []).some(i => i?.sku === sku)
+      );
+      if (used) {
+        tx.catalog.update(id, {
+          active: false,
+          updated_at: new Date().toISOString()
+        });
+        return "deactivated";
+      }
+
+      tx.catalog.remove(id);
+      return "deleted";
+    });
+
+    if (!result) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Catalog item not found." });
+    }
+
+    res.json({ success: true, result });
+  } catch (err) {
+    console.error("ADMIN CATALOG DELETE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to delete catalog item." });
+  }
+});
+
+async function syncCatalogItem(item) {
+  const tenant = await storage.apps.get(item.app);
+  const fields = await syncCatalogItemToStripe(stripe, item, {
+    brand: tenant?.product_name
+  });
+  return storage.catalog.update(item.catalog_id, fields);
+}
+
+/**
+ * POST /admin/catalog/sync-stripe
+ * Create/update Stripe Products and Prices for every catalog item
+ * (or only ?app=...). Subscriptions then check out with real Price IDs.
+ */
+app.post("/admin/catalog/sync-stripe", requireAdmin, async (req, res) => {
+  try {
+    const { app: appName } = req.query;
+    const items = await storage.catalog.list(
+      i => !appName || i.app === appName
+    );
+
+    const synced = [];
+    const failed = [];
+    // One at a time to stay well inside Stripe rate limits
+    for (const item of items) {
+      try {
+        const updated = await syncCatalogItem(item);
+        synced.push({
+          catalog_id: item.catalog_id,
+          stripe_product_id: updated.stripe_product_id,
+          stripe_price_id: updated.stripe_price_id
+        });
+      } catch (err) {
+        console.error("CATALOG SYNC ERROR:", item.catalog_id, err.message);
+        failed.push({ catalog_id: item.catalog_id, error: err.message });
+      }
+    }
+
+    res.status(failed.length ? 207 : 200).json({
+      success: failed.length === 0,
+      synced,
+      failed
+    });
+  } catch (err) {
+    console.error("ADMIN CATALOG SYNC ERROR:", err);
+    res.status(500).json({ success: false, message: "Catalog sync failed." });
+  }
+});
+
+app.post("/admin/catalog/:app/:sku/sync-stripe", requireAdmin, async (req, res) => {
+  try {
+    const item = await storage.catalog.get(
+      catalogId(req.params.app, req.params.sku)
+    );
+    if (!item) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Catalog item not found." });
+    }
+
+    res.json({ success: true, item: await syncCatalogItem(item) });
+  } catch (err) {
+    console.error("ADMIN CATALOG SYNC ERROR:", err);
+    res.status(502).json({ success: false, message: "Stripe sync failed." });
+  }
+});
+
+// --------------------------------------------------
+// 12. AUTH — passwordless sign-in + sessions
+// --------------------------------------------------
+// 1. POST /auth/request-code { email } (or /login { username }) emails a
+//    6-digit code and a magic link. Responses never reveal whether an
+//    identity exists. An email with no identity gets a signup code
+//    instead, which POST /register requires.
+// 2. POST /auth/verify { email, code } or { token } (from the magic link)
+//    returns a signed session token (see lib/auth.js).
+// 3. Send it as "Authorization: Bearer <token>" to routes guarded by
+//    requireIdentity. POST /auth/logout revokes it.
+
+const LOGIN_CODE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+// Codes an identity may request per LOGIN_CODE_TTL_MS window
+const LOGIN_MAX_CODES = 5;
+const LOGIN_SENT_MESSAGE =
+  "If that account exists, we've emailed it a sign-in code.";
+
+// We store the full handle, e.g. "adriantrufit@iascendai"
+function canonicalHandle(username) {
+  let canonical = username.trim().toLowerCase();
+  if (!canonical.endsWith("@iascendai")) {
+    canonical = `${canonical}@iascendai`;
+  }
+  return canonical;
+}
+
+function findIdentityByUsername(canonical) {
+  return storage.identities.find(
+    i => (i.username || "").toLowerCase() === canonical
+  );
+}
+
+// Emails folded in by an admin merge (section 19) also sign in
+function findIdentityByEmail(email) {
+  const canonical = String(email).trim().toLowerCase();
+  return storage.identities.find(
+    i =>
+      !i.merged_into &&
+      ((i.email || "").toLowerCase() === canonical ||
+        (i.alternate_emails || []).includes(canonical))
+  );
+}
+
+function identityView(identity) {
+  return {
+    username: identity.username,
+    email: identity.email,
+    email_verified: !!identity.email_verified_at,
+    alternate_emails: identity.alternate_emails || [],
+    soulmarks: identity.soulmarks || [],
+    identity_id: identity.identity_id,
+    registered_since: identity.registered_since,
+    displayIdentity: identity.displayIdentity,
+    showDonationAmount: !!identity.showDonationAmount,
+    default_visibility: identityDefaultVisibility(identity)
+  };
+}
+
+/**
+ * Store a challenge for `email`: a sign-in for `identityId`, or a signup
+ * when it is null. Resolves to { challenge, code, linkSecret }, or null
+ * once LOGIN_MAX_CODES have been sent this window.
+ */
+async function createChallenge(identityId, email) {
+  const code = generateLoginCode();
+  const linkSecret = generateLinkSecret();
+  const now = Date.now();
+
+  const challenge = {
+    challenge_id: "lc-" + crypto.randomUUID(),
+    identity_id: identityId,
     email,
-    username,
+    code_hash: hashSecret(code),
+    // Signup codes are typed into the registration form: no magic link
+    link_hash: identityId ? hashSecret(linkSecret) : null,
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + LOGIN_CODE_TTL_MS).toISOString(),
+    used_at: null
+  };
+
+  const created = await storage.transaction(tx => {
+    // Drop challenges that expired more than a day ago
+    tx.login_challenges
+      .list(c => Date.parse(c.expires_at) < now - 24 * 60 * 60 * 1000)
+      .forEach(c => tx.login_challenges.remove(c.challenge_id));
+
+    const recent = tx.login_challenges.list(
+      c =>
+        c.identity_id === identityId &&
+        c.email === email &&
+        Date.parse(c.created_at) > now - LOGIN_CODE_TTL_MS
+    );
+    if (recent.length >= LOGIN_MAX_CODES) return false;
+
+    tx.login_challenges.insert(challenge);
+    return true;
+  });
+
+  return created ? { challenge, code, linkSecret } : null;
+}
+
+/**
+ * Create a login challenge for an identity and email it. Failures are
+ * logged, not thrown: callers always answer with LOGIN_SENT_MESSAGE.
+ */
+async function startLogin(identity) {
+  if (identity.disabled) return;
+
+  try {
+    const created = await createChallenge(
+      identity.identity_id,
+      identity.email
+    );
+    if (!created) {
+      console.warn("Login code rate limit hit for", identity.identity_id);
+      return;
+    }
+
+    const { challenge, code, linkSecret } = created;
+    const link = `${FRONTEND_URL}/iascendai-login.html?login_token=${challenge.challenge_id}.${linkSecret}`;
+
+    await mailer.send({
+      to: identity.email,
+      subject: "Your iAscendAI sign-in code",
+      text:
+        `Your sign-in code is ${code}\n\n` +
+        `Or open this link to sign in:\n${link}\n\n` +
+        `The code expires in ${LOGIN_CODE_TTL_MS / 60000} minutes. ` +
+        "If you didn't ask to sign in, you can ignore this email."
+    });
+  } catch (err) {
+    console.error("START LOGIN ERROR:", err);
+  }
+}
+
+/**
+ * Email a signup code to an address no identity uses yet. POST /register
+ * needs it, so only the owner of an address can register it. Failures are
+ * logged, not thrown, as in startLogin.
+ */
+async function startSignup(email) {
+  try {
+    const created = await createChallenge(null, email);
+    if (!created) {
+      console.warn("Signup code rate limit hit for", email);
+      return;
+    }
+
+    await mailer.send({
+      to: email,
+      subject: "Your iAscendAI signup code",
+      text:
+        `Your code is ${created.code}\n\n` +
+        "Enter it on the signup form to create your iAscendAI identity. " +
+        `The code expires in ${LOGIN_CODE_TTL_MS / 60000} minutes. ` +
+        "If you didn't ask to sign up, you can ignore this email."
+    });
+  } catch (err) {
+    console.error("START SIGNUP ERROR:", err);
+  }
+}
+
+/**
+ * Use the signup code emailed to `email` (startSignup). Runs inside a
+ * storage transaction; false for a wrong, used or expired code, which
+ * counts as an attempt.
+ */
+function useSignupCode(tx, email, code, now) {
+  const challenge = tx.login_challenges
+    .list(c => c.email === email && !c.identity_id && !c.used_at)
+    .pop();
+  if (!challenge) return false;
+
+  const usable =
+    Date.parse(challenge.expires_at) > now &&
+    challenge.attempts < LOGIN_MAX_ATTEMPTS;
+  const ok = safeEqual(hashSecret(String(code).trim()), challenge.code_hash);
+  if (!usable || !ok) {
+    tx.login_challenges.update(challenge.challenge_id, {
+      attempts: challenge.attempts + 1
+    });
+    return false;
+  }
+
+  tx.login_challenges.update(challenge.challenge_id, {
+    used_at: new Date(now).toISOString()
+  });
+  return true;
+}
+
+/**
+ * Check a code (by email) or magic-link token and open a session.
+ * Resolves to { session, identity } or null.
+ */
+function completeLogin({ email, code, token }) {
+  const now = Date.now();
+
+  return storage.transaction(tx => {
+    let challenge = null;
+    let ok = false;
+
+    if (token) {
+      const [challengeId, secret] = String(token).split(".");
+      challenge = tx.login_challenges.get(challengeId);
+      ok = !!challenge && safeEqual(hashSecret(secret), challenge.link_hash);
+    } else if (email && code) {
+      const canonicalEmail = String(email).trim().toLowerCase();
+      challenge =
+        tx.login_challenges
+          .list(
+            c => c.email === canonicalEmail && c.identity_id && !c.used_at
+          )
+          .pop() || null;
+      ok =
+        !!challenge && safeEqual(hashSecret(String(code).trim()), challenge.code_hash);
+    }
+
+    if (!challenge) return null;
+
+    const usable =
+      !challenge.used_at &&
+      Date.parse(challenge.expires_at) > now &&
+      challenge.attempts < LOGIN_MAX_ATTEMPTS;
+
+    if (!ok || !usable) {
+      tx.login_challenges.update(challenge.challenge_id, {
+        attempts: challenge.attempts + 1
+      });
+      return null;
+    }
+
+    let identity = tx.identities.get(challenge.identity_id);
+    if (!identity || identity.disabled) return null;
+
+    tx.login_challenges.update(challenge.challenge_id, {
+      used_at: new Date(now).toISOString()
+    });
+
+    // Using a code or link proves the identity owns its email: donations
+    // made with it before now are linked too (lib/identity-links.js)
+    if (!identity.email_verified_at) {
+      identity = tx.identities.update(identity.identity_id, {
+        email_verified_at: new Date(now).toISOString()
+      });
+      linkDonationsByEmail(tx, identity, identity.email);
+      identity = tx.identities.get(identity.identity_id);
+    }
+
+    const session = tx.sessions.insert({
+      session_id: "ses-" + crypto.randomUUID(),
+      identity_id: identity.identity_id,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + SESSION_TTL_HOURS * 3600 * 1000).toISOString(),
+      revoked_at: null
+    });
+
+    return { session, identity };
+  });
+}
+
+/**
+ * Resolve a session token to { session, identity }, or null if the token,
+ * session or identity is no longer good.
+ */
+async function sessionIdentity(token) {
+  const claims = verifyToken(token, SESSION_SECRET);
+  if (!claims) return null;
+
+  const session = await storage.sessions.get(claims.sid);
+  const valid =
+    session &&
+    !session.revoked_at &&
+    session.identity_id === claims.sub &&
+    Date.parse(session.expires_at) > Date.now();
+
+  const identity = valid ? await storage.identities.get(claims.sub) : null;
+  if (!identity || identity.disabled) return null;
+  return { session, identity };
+}
+
+// The signed-in identity for routes where signing in is optional; a
+// missing or stale token just means "anonymous"
+async function optionalIdentity(req) {
+  const token = bearerToken(req);
+  if (!verifyToken(token, SESSION_SECRET)) return null;
+  return (await sessionIdentity(token))?.identity || null;
+}
+
+/**
+ * Middleware: require a valid session token. Sets req.identity and
+ * req.session for the handler.
+ */
+async function requireIdentity(req, res, next) {
+  const token = bearerToken(req);
+  if (!verifyToken(token, SESSION_SECRET)) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Sign-in required." });
+  }
+
+  try {
+    const signedIn = await sessionIdentity(token);
+    if (!signedIn) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Session expired. Sign in again." });
+    }
+
+    req.identity = signedIn.identity;
+    req.session = signedIn.session;
+    next();
+  } catch (err) {
+    console.error("AUTH ERROR:", err);
+    res.status(500).json({ success: false, message: "Authentication failed." });
+  }
+}
+
+// Does this donation/order belong to the signed-in identity?
+function ownsRecord(identity, record) {
+  const emails = [identity.email, ...(identity.alternate_emails || [])].map(
+    e => (e || "").toLowerCase()
+  );
+  return (
+    record.identity_id === identity.identity_id ||
+    emails.includes((record.email || "").toLowerCase()) ||
+    (!!record.soulmark && (identity.soulmarks || []).includes(record.soulmark))
+  );
+}
+
+const REQUEST_CODE_SCHEMA = {
+  email: { type: "email", required: true }
+};
+
+/**
+ * POST /auth/request-code
+ * Body: { "email": "user@example.com" }
+ */
+app.post(
+  "/auth/request-code",
+  authRateLimit,
+  authEmailRateLimit,
+  async (req, res) => {
+    try {
+      const { email } = validate(req.body, REQUEST_CODE_SCHEMA);
+      const identity = await findIdentityByEmail(email);
+      // Not awaited: response timing shouldn't reveal whether it exists.
+      // A new address gets a signup code for POST /register instead.
+      if (identity) {
+        startLogin(identity);
+      } else {
+        startSignup(email);
+      }
+      res.json({ success: true, message: LOGIN_SENT_MESSAGE });
+    } catch (err) {
+      if (err instanceof ValidationError) return sendValidationError(res, err);
+      console.error("REQUEST CODE ERROR:", err);
+      res.status(500).json({ success: false, message: "Sign-in failed." });
+    }
+  }
+);
+
+/**
+ * POST /auth/verify
+ * Body: { "email", "code" } or { "token" } (magic link login_token)
+ *
+ * Response: { success, token, expires_at, identity }
+ */
+app.post("/auth/verify", async (req, res) => {
+  const { email, code, token } = req.body || {};
+  if (!token && !(email && code)) {
+    return res.status(400).json({
+      success: false,
+      message: "Provide email and code, or a sign-in link token."
+    });
+  }
+
+  try {
+    const result = await completeLogin({ email, code, token });
+    if (!result) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired code." });
+    }
+
+    const { session, identity } = result;
+    const sessionToken = signToken(
+      {
+        sub: identity.identity_id,
+        sid: session.session_id,
+        iat: Math.floor(Date.parse(session.created_at) / 1000),
+        exp: Math.floor(Date.parse(session.expires_at) / 1000)
+      },
+      SESSION_SECRET
+    );
+
+    res.json({
+      success: true,
+      token: sessionToken,
+      expires_at: session.expires_at,
+      identity: identityView(identity)
+    });
+  } catch (err) {
+    console.error("VERIFY CODE ERROR:", err);
+    res.status(500).json({ success: false, message: "Sign-in failed." });
+  }
+});
+
+app.post("/auth/logout", requireIdentity, async (req, res) => {
+  try {
+    await storage.sessions.update(req.session.session_id, {
+      revoked_at: new Date().toISOString()
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("LOGOUT ERROR:", err);
+    res.status(500).json({ success: false, message: "Logout failed." });
+  }
+});
+
+app.get("/auth/me", requireIdentity, (req, res) => {
+  res.json({ success: true, identity: identityView(req.identity) });
+});
+
+// Donations (receipts) belonging to the signed-in identity
+app.get("/me/donations", requireIdentity, async (req, res) => {
+  try {
+    const donations = await storage.donations.list(d =>
+      ownsRecord(req.identity, d)
+    );
+    res.json({ success: true, donations });
+  } catch (err) {
+    console.error("MY DONATIONS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read donations." });
+  }
+});
+
+app.get("/me/orders", requireIdentity, async (req, res) => {
+  try {
+    const orders = await storage.orders.list(o => ownsRecord(req.identity, o));
+    res.json({ success: true, orders });
+  } catch (err) {
+    console.error("MY ORDERS ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read orders." });
+  }
+});
+
+app.get("/orders/:id", requireIdentity, async (req, res) => {
+  try {
+    const order = await storage.orders.get(req.params.id);
+    // 404 rather than 403 so order IDs can't be probed
+    if (!order || !ownsRecord(req.identity, order)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found." });
+    }
+    res.json({ success: true, order });
+  } catch (err) {
+    console.error("ORDER READ ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read order." });
+  }
+});
+
+// --------------------------------------------------
+// 13. DONOR VISIBILITY PREFERENCES
+// --------------------------------------------------
+// Donors choose what the public feed shows: per donation, and as an
+// identity-wide default applied to every new donation. Body for all PUTs:
+//
+//   { "showName": bool, "showUsername": bool, "showAmount": bool }
+//
+// Flags may be sent individually. Hiding both name and username makes the
+// donation anonymous, which always shows the amount (lib/visibility.js).
+
+app.get("/me/visibility", requireIdentity, (req, res) => {
+  res.json({
+    success: true,
+    default_visibility: identityDefaultVisibility(req.identity)
+  });
+});
+
+/**
+ * PUT /me/visibility
+ * Set the identity-wide default. Add "apply_to_existing": true to also
+ * overwrite the visibility of every donation the identity already owns.
+ */
+app.put("/me/visibility", requireIdentity, async (req, res) => {
+  try {
+    const { apply_to_existing, ...flags } = req.body || {};
+    const visibility = validateVisibility(
+      flags,
+      identityDefaultVisibility(req.identity)
+    );
+
+    const updatedDonations = await storage.transaction(tx => {
+      tx.identities.update(req.identity.identity_id, {
+        default_visibility: visibility,
+        ...legacyDisplayPrefs(visibility)
+      });
+
+      if (apply_to_existing !== true) return 0;
+
+      const owned = tx.donations.list(d => ownsRecord(req.identity, d));
+      owned.forEach(d => tx.donations.update(d.id, { visibility }));
+      return owned.length;
+    });
+
+    res.json({
+      success: true,
+      default_visibility: visibility,
+      updated_donations: updatedDonations
+    });
+  } catch (err) {
+    if (err instanceof VisibilityError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("VISIBILITY UPDATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update visibility." });
+  }
+});
+
+// PUT /me/donations/:id/visibility — one donation (by donation id)
+app.put("/me/donations/:id/visibility", requireIdentity, async (req, res) => {
+  try {
+    const donation = await storage.transaction(tx => {
+      const current = tx.donations.get(req.params.id);
+      if (!current || !ownsRecord(req.identity, current)) return null;
+
+      const base = current.visibility || identityDefaultVisibility(req.identity);
+      return tx.donations.update(current.id, {
+        visibility: validateVisibility(req.body, base)
+      });
+    });
+
+    if (!donation) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Donation not found." });
+    }
+
+    res.json({
+      success: true,
+      visibility: donation.visibility,
+      public: publicDonation(donation)
+    });
+  } catch (err) {
+    if (err instanceof VisibilityError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("DONATION VISIBILITY ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update visibility." });
+  }
+});
+
+// --------------------------------------------------
+// 14. SOULMARKⓈ VERIFICATION
+// --------------------------------------------------
+// SoulMarkⓈ IDs are hashes of Ed25519-signed certificates (lib/soulmark.js).
+// The public key is published so anyone can verify offline with
+// scripts/verify-soulmark.js. Donations minted before certificates existed
+// report status "legacy_unsigned".
+
+app.get("/.well-known/soulmark-public-key", (req, res) => {
+  res.json(publicKeyInfo(soulmarkKeys));
+});
+
+/**
+ * GET /soulmark/:id/verify
+ *
+ * Response:
+ * {
+ *   "soulmark": "...",
+ *   "valid": true,
+ *   "status": "valid" | "invalid" | "legacy_unsigned" | "refunded" | "disputed",
+ *   "reason": null | "soulmark_mismatch" | "bad_signature" | ...,
+ *   "revoked": false,                  // true once fully refunded / charged back
+ *   "refund_status": null | "partially_refunded" | "refunded",
+ *   "amount_refunded": 0,
+ *   "issuer", "issued_at", "key_id",
+ *   "donation": { public projection },
+ *   "certificate": { payload, signature, alg, key_id } | null
+ * }
+ *
+ * The certificate payload holds the amount and an identity hash, so it is
+ * only returned to the donor (signed in) or an admin.
+ */
+function disputeOpen(donation) {
+  return (
+    !!donation.dispute_status &&
+    !["won", "lost", "warning_closed"].includes(donation.dispute_status)
+  );
+}
+
+app.get("/soulmark/:id/verify", async (req, res) => {
+  try {
+    const soulmark = req.params.id;
+    const donation = await storage.donations.find(d => d.soulmark === soulmark);
+
+    if (!donation) {
+      return res
+        .status(404)
+        .json({ soulmark, valid: false, status: "not_found" });
+    }
+
+    const order = donation.order_id
+      ? await storage.orders.get(donation.order_id)
+      : null;
+    const view = publicDonation(donation, { app: order?.app });
+    const certificate = donation.soulmark_certificate || null;
+    const viewer = await optionalIdentity(req);
+    const showCertificate =
+      (!!viewer && ownsRecord(viewer, donation)) || !!(await adminActor(req));
+
+    let status;
+    let result = { valid: false, reason: null };
+    if (!certificate) {
+      status = "legacy_unsigned";
+    } else {
+      result = verifyCertificate(soulmarkKeys.publicKey, soulmark, certificate);
+      status = result.valid ? "valid" : "invalid";
+      if (result.valid && donation.refund_status === "refunded") {
+        status = "refunded";
+      } else if (result.valid && disputeOpen(donation)) {
+        status = "disputed";
+      }
+    }
+
+    res.json({
+      soulmark,
+      valid: result.valid,
+      status,
+      reason: result.reason,
+      revoked: donation.refund_status === "refunded",
+      refund_status: donation.refund_status || null,
+      amount_refunded: view.amount_hidden ? null : donation.amount_refunded || 0,
+      issuer: certificate?.payload.issuer || null,
+      issued_at: certificate?.payload.issued_at || donation.timestamp,
+      key_id: certificate?.key_id || null,
+      donation: view,
+      certificate: showCertificate ? certificate : null
+    });
+  } catch (err) {
+    console.error("SOULMARK VERIFY ERROR:", err);
+    res.status(500).json({ success: false, message: "Verification failed" });
+  }
+});
+
+// --------------------------------------------------
+// 15. CAMPAIGNS — goals, attribution + progress
+// --------------------------------------------------
+// POST /create-checkout-session and POST /create-order accept an optional
+// campaign_id. It travels through Stripe metadata and lands on the
+// donation (and order), so progress is computed from the donations
+// themselves. Public routes take a campaign_id or a slug.
+
+const RECENT_DONORS_LIMIT = 10;
+
+// Campaign by id or slug
+function findCampaign(repo, idOrSlug) {
+  return idOrSlug.startsWith("cmp-")
+    ? repo.get(idOrSlug)
+    : repo.find(c => c.slug === idOrSlug);
+}
+
+/**
+ * Resolve a campaign a new donation/order is attributed to. Throws a
+ * CampaignError if it doesn't exist, isn't accepting donations right now
+ * or (for orders) belongs to another app.
+ */
+async function openCampaign(campaignId, orderApp = null) {
+  const campaign = await storage.campaigns.get(String(campaignId));
+  const reason = campaignClosedReason(campaign);
+  if (reason) throw new CampaignError(reason);
+  if (orderApp && campaign.app !== orderApp) {
+    throw new CampaignError(`Campaign does not belong to ${orderApp}.`);
+  }
+  return campaign;
+}
+
+function slugTaken(tx, campaign) {
+  return (
+    campaign.slug &&
+    tx.campaigns.find(
+      c => c.slug === campaign.slug && c.campaign_id !== campaign.campaign_id
+    )
+  );
+}
+
+/**
+ * GET /campaigns
+ * Query: app=, status= (default: everything but drafts)
+ */
+app.get("/campaigns", async (req, res) => {
+  try {
+    const { app: appName, status } = req.query;
+    const campaigns = await storage.campaigns.list(
+      c =>
+        (!appName || c.app === appName) &&
+        (status ? c.status === status : c.status !== "draft")
+    );
+
+    campaigns.sort((a, b) => Date.parse(b.start_date) - Date.parse(a.start_date));
+
+    res.json({ success: true, campaigns: campaigns.map(publicCampaign) });
+  } catch (err) {
+    console.error("CAMPAIGNS READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read campaigns." });
+  }
+});
+
+app.get("/campaigns/:id", async (req, res) => {
+  try {
+    const campaign = await findCampaign(storage.campaigns, req.params.id);
+    if (!campaign || campaign.status === "draft") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Campaign not found." });
+    }
+    res.json({ success: true, campaign: publicCampaign(campaign) });
+  } catch (err) {
+    console.error("CAMPAIGN READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read campaign." });
+  }
+});
+
+/**
+ * GET /campaigns/:id/progress
+ * {
+ *   success, campaign,
+ *   progress: { raised_cents, goal_cents, percent_of_goal, donor_count,
+ *               donation_count, days_left, ... },
+ *   recent_donors: [publicDonation, ...]
+ * }
+ *
+ * raised_cents counts only the amounts publicDonation() shows, as the
+ * /donations summary and public /stats do; gifts whose donors hid the
+ * amount are counted in hidden_amount_count, so no total gives them away.
+ */
+app.get("/campaigns/:id/progress", async (req, res) => {
+  try {
+    const campaign = await findCampaign(storage.campaigns, req.params.id);
+    if (!campaign || campaign.status === "draft") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Campaign not found." });
+    }
+
+    const donations = await storage.donations.list(
+      d => d.campaign_id === campaign.campaign_id
+    );
+    const orders = await storage.orders.list(
+      o => o.campaign_id === campaign.campaign_id
+    );
+    const ordersById = new Map(orders.map(o => [o.order_id, o]));
+
+    const recent = donations
+      .filter(d => d.refund_status !== "refunded")
+      .sort(DONATION_SORTS.newest)
+      .slice(0, RECENT_DONORS_LIMIT)
+      .map(d => publicDonation(d, { app: donationApp(d, ordersById) }));
+
+    res.json({
+      success: true,
+      campaign: publicCampaign(campaign),
+      progress: campaignProgress(campaign, donations, {
+        amountOf: d => publicDonation(d).amount,
+        convert: currencies.convert
+      }),
+      recent_donors: recent
+    });
+  } catch (err) {
+    console.error("CAMPAIGN PROGRESS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read campaign progress." });
+  }
+});
+
+app.get("/admin/campaigns", requireAdmin, async (req, res) => {
+  try {
+    const { app: appName } = req.query;
+    const campaigns = await storage.campaigns.list(
+      c => !appName || c.app === appName
+    );
+    res.json({ success: true, campaigns });
+  } catch (err) {
+    console.error("ADMIN CAMPAIGNS LIST ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read campaigns." });
+  }
+});
+
+/**
+ * POST /admin/campaigns
+ * Body: { title, description, slug, app, goal_cents, currency,
+ *         start_date, end_date, status }
+ */
+app.post("/admin/campaigns", requireAdmin, async (req, res) => {
+  try {
+    const campaign = normalizeCampaign(req.body);
+
+    const created = await storage.transaction(tx => {
+      if (slugTaken(tx, campaign)) return null;
+      return tx.campaigns.insert(campaign);
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug ${campaign.slug} is already in use.`
+      });
+    }
+
+    res.status(201).json({ success: true, campaign: created });
+  } catch (err) {
+    if (err instanceof CampaignError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN CAMPAIGN CREATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create campaign." });
+  }
+});
+
+/**
+ * PUT /admin/campaigns/:id
+ * Body: any of the POST fields. Set status "ended" to close a campaign
+ * early; donations already attributed to it are kept.
+ */
+app.put("/admin/campaigns/:id", requireAdmin, async (req, res) => {
+  try {
+    const result = await storage.transaction(tx => {
+      const existing = tx.campaigns.get(req.params.id);
+      if (!existing) return { status: 404, message: "Campaign not found." };
+
+      const campaign = normalizeCampaign(req.body, existing);
+      if (slugTaken(tx, campaign)) {
+        return {
+          status: 409,
+          message: `Slug ${campaign.slug} is already in use.`
+        };
+      }
+      return { campaign: tx.campaigns.upsert(campaign) };
+    });
+
+    if (!result.campaign) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, campaign: result.campaign });
+  } catch (err) {
+    if (err instanceof CampaignError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN CAMPAIGN UPDATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update campaign." });
+  }
+});
+
+// --------------------------------------------------
+// 16. ORDER REFUNDS + CANCELLATION (admin)
+// --------------------------------------------------
+// Status changes follow the state machine in lib/orders.js; each order
+// keeps its status_history. Refunds issued here and refunds made in the
+// Stripe dashboard both end up in applyDonationRefund() (section 9).
+
+const STRIPE_REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+// A refund in flight blocks another for this long (covers crashes mid-call)
+const REFUND_LOCK_MS = 2 * 60 * 1000;
+
+class RefundError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Subscription checkouts have no payment_intent of their own; the first
+// invoice carries it.
+async function paymentIntentFor(donation) {
+  if (donation.payment_intent) return donation.payment_intent;
+
+  const session = await stripe.checkout.sessions.retrieve(donation.id, {
+    expand: ["invoice"]
+  });
+  return (
+    stripeId(session.payment_intent) ||
+    stripeId(session.invoice?.payment_intent)
+  );
+}
+
+/**
+ * POST /orders/:id/refund
+ * Body (optional): {
+ *   "amount_cents": 500,                  // default: everything not yet refunded
+ *   "reason": "requested_by_customer",    // duplicate | fraudulent | requested_by_customer
+ *   "note": "free text kept in the order history"
+ * }
+ *
+ * Only paid / partially refunded orders can be refunded, never for more
+ * than is left, and only one refund per order runs at a time.
+ */
+app.post("/orders/:id/refund", requireAdmin, async (req, res) => {
+  const orderId = req.params.id;
+  const { amount_cents, reason, note } = req.body || {};
+
+  if (
+    amount_cents !== undefined &&
+    (!Number.isInteger(amount_cents) || amount_cents <= 0)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "amount_cents must be a positive integer."
+    });
+  }
+  if (reason !== undefined && !STRIPE_REFUND_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be one of ${STRIPE_REFUND_REASONS.join(", ")}.`
+    });
+  }
+
+  let locked = false;
+  try {
+    // Claim the order so two admins (or a double click) can't both refund
+    const claim = await storage.transaction(tx => {
+      const order = tx.orders.get(orderId);
+      if (!order) throw new RefundError(404, "Order not found.");
+      if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new RefundError(
+          409,
+          `Order is ${order.status} and can't be refunded.`
+        );
+      }
+      if (
+        order.refund_locked_at &&
+        Date.now() - Date.parse(order.refund_locked_at) < REFUND_LOCK_MS
+      ) {
+        throw new RefundError(
+          409,
+          "A refund for this order is already in progress."
+        );
+      }
+
+      const donation = tx.donations.find(d => d.order_id === orderId);
+      if (!donation) {
+        throw new RefundError(409, "Order has no recorded payment to refund.");
+      }
+
+      const refundable =
+        (donation.amount || 0) - (donation.amount_refunded || 0);
+      const amount = amount_cents ?? refundable;
+      if (refundable <= 0) {
+        throw new RefundError(409, "Order is already fully refunded.");
+      }
+      if (amount > refundable) {
+        throw new RefundError(
+          400,
+          `amount_cents exceeds the refundable amount (${refundable}).`
+        );
+      }
+
+      tx.orders.update(orderId, { refund_locked_at: new Date().toISOString() });
+      return { donation, amount };
+    });
+    locked = true;
+
+    const { donation, amount } = claim;
+    const paymentIntent = await paymentIntentFor(donation);
+    if (!paymentIntent) {
+      throw new RefundError(409, "No Stripe payment found for this order.");
+    }
+
+    const alreadyRefunded = donation.amount_refunded || 0;
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntent,
+        amount,
+        ...(reason && { reason }),
+        metadata: { order_id: orderId }
+      },
+      // Same order + same starting point = same refund, even on retry
+      { idempotencyKey: `refund-${orderId}-${alreadyRefunded}-${amount}` }
+    );
+
+    // The charge.refunded webhook for this refund may land before or after
+    // this; both record the same cumulative amount.
+    const refunded = alreadyRefunded + refund.amount;
+    const order = await storage.transaction(tx => {
+      const current = tx.donations.update(donation.id, d => {
+        d.payment_intent = d.payment_intent || paymentIntent;
+      });
+      applyDonationRefund(
+        tx,
+        current,
+        { amountRefunded: refunded, fully: refunded >= (current.amount || 0) },
+        { reason: note || reason || "admin_refund", actor: "admin" }
+      );
+
+      return tx.orders.update(orderId, o => {
+        o.refunds = [
+          ...(o.refunds || []),
+          {
+            refund_id: refund.id,
+            amount_cents: refund.amount,
+            reason: reason || null,
+            note: note || null,
+            status: refund.status,
+            created_at: new Date().toISOString()
+          }
+        ];
+        delete o.refund_locked_at;
+      });
+    });
+    locked = false;
+    notifier.kick();
+    appWebhooks.kick();
+
+    res.json({
+      success: true,
+      refund: {
+        id: refund.id,
+        amount_cents: refund.amount,
+        status: refund.status
+      },
+      order
+    });
+  } catch (err) {
+    if (locked) {
+      await storage.orders
+        .update(orderId, o => {
+          delete o.refund_locked_at;
+        })
+        .catch(e => console.error("REFUND UNLOCK ERROR:", e));
+    }
+    if (err instanceof RefundError) {
+      return res
+        .status(err.status)
+        .json({ success: false, message: err.message });
+    }
+    console.error("ORDER REFUND ERROR:", err);
+    res.status(502).json({ success: false, message: "Refund failed." });
+  }
+});
+
+/**
+ * POST /orders/:id/cancel
+ * Body (optional): { "note": "..." }
+ * Cancels an order that hasn't been paid, expiring its open Checkout
+ * session so it can't be paid afterwards.
+ */
+app.post("/orders/:id/cancel", requireAdmin, async (req, res) => {
+  try {
+    const order = await storage.orders.get(req.params.id);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found." });
+    }
+    if (!canTransition(order.status, "canceled")) {
+      return res.status(409).json({
+        success: false,
+        message: `Order is ${order.status} and can't be canceled.`
+      });
+    }
+
+    if (order.stripe_session_id) {
+      const session = await stripe.checkout.sessions.retrieve(
+        order.stripe_session_id
+      );
+      if (session.status === "complete") {
+        return res.status(409).json({
+          success: false,
+          message: "Order was paid in Stripe; wait for it to be recorded."
+        });
+      }
+      if (session.status === "open") {
+        await stripe.checkout.sessions.expire(session.id);
+      }
+    }
+
+    const updated = await storage.orders.update(order.order_id, o => {
+      transitionOrder(o, "canceled", {
+        reason: req.body?.note || "admin_cancel",
+        actor: "admin"
+      });
+    });
+
+    res.json({ success: true, order: updated });
+  } catch (err) {
+    if (err instanceof OrderStateError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    console.error("ORDER CANCEL ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to cancel order." });
+  }
+});
+
+// --------------------------------------------------
+// 17. USERNAME RECOVERY
+// --------------------------------------------------
+// POST /recover-username { email, soulmark? } emails the username(s) tied
+// to that address. The response is the same whether or not anything
+// matched, so the route can't be used to probe for accounts.
+
+const RECOVERY_SENT_MESSAGE =
+  "If that email belongs to an iAscendAI identity, we've sent its username there.";
+const RECOVERY_WINDOW_MS = 60 * 60 * 1000;
+// Emails sent to one address / requests from one IP per hour
+const recoveryEmailLimiter = createRateLimiter({
+  windowMs: RECOVERY_WINDOW_MS,
+  max: 3
+});
+const recoveryIpLimiter = createRateLimiter({
+  windowMs: RECOVERY_WINDOW_MS,
+  max: 10
+});
+// Shorter fragments would match almost any SoulMarkⓈ
+const MIN_SOULMARK_FRAGMENT = 6;
+
+/**
+ * Identities reachable from an email: registered with it, or owning a
+ * donation made with it. `fragment` (optional) narrows to identities
+ * holding a SoulMarkⓈ that contains it.
+ */
+function identitiesForRecovery(tx, email, fragment) {
+  const donations = tx.donations.list(
+    d => (d.email || "").toLowerCase() === email
+  );
+  const donationIdentityIds = new Set(
+    donations.map(d => d.identity_id).filter(Boolean)
+  );
+  const donationSoulmarks = new Set(
+    donations.map(d => d.soulmark).filter(Boolean)
+  );
+
+  return tx.identities.list(
+    i =>
+      ((i.email || "").toLowerCase() === email ||
+        donationIdentityIds.has(i.identity_id) ||
+        (i.soulmarks || []).some(sm => donationSoulmarks.has(sm))) &&
+      (!fragment ||
+        (i.soulmarks || []).some(sm => sm.toLowerCase().includes(fragment)))
+  );
+}
+
+async function sendRecoveryEmail(email, fragment) {
+  try {
+    const identities = await storage.transaction(tx =>
+      identitiesForRecovery(tx, email, fragment)
+    );
+    if (!identities.length) return;
+
+    const usernames = identities.map(i => i.username).filter(Boolean);
+    if (!usernames.length) return;
+
+    await mailer.send({
+      to: email,
+      subject: "Your iAscendAI username",
+      text:
+        (usernames.length === 1
+          ? `Your iAscendAI username is ${usernames[0]}\n\n`
+          : `Your iAscendAI usernames are:\n${usernames.join("\n")}\n\n`) +
+        `Sign in at ${FRONTEND_URL}/iascendai-login.html\n\n` +
+        "If you didn't ask for this, you can ignore this email."
+    });
+  } catch (err) {
+    console.error("RECOVER USERNAME MAIL ERROR:", err);
+  }
+}
+
+/**
+ * POST /recover-username
+ * Body: { "email": "you@example.com", "soulmark": "optional fragment" }
+ */
+app.post("/recover-username", async (req, res) => {
+  const { email, soulmark } = req.body || {};
+
+  if (!email || typeof email !== "string" || !email.includes("@")) {
+    return res
+      .status(400)
+      .json({ success: false, message: "A valid email is required." });
+  }
+
+  const fragment =
+    typeof soulmark === "string" ? soulmark.trim().toLowerCase() : "";
+  if (fragment && fragment.length < MIN_SOULMARK_FRAGMENT) {
+    return res.status(400).json({
+      success: false,
+      message: `SoulMarkⓈ fragment must be at least ${MIN_SOULMARK_FRAGMENT} characters.`
+    });
+  }
+
+  if (!recoveryIpLimiter.hit(req.ip)) {
+    return res.status(429).json({
+      success: false,
+      message: "Too many recovery requests. Try again later."
+    });
+  }
+
+  const canonicalEmail = email.trim().toLowerCase();
+
+  // Over the per-email limit we answer as usual but send nothing, so the
+  // limit doesn't reveal anything either. Not awaited: response timing
+  // must not depend on whether an identity matched.
+  if (recoveryEmailLimiter.hit(canonicalEmail)) {
+    sendRecoveryEmail(canonicalEmail, fragment);
+  } else {
+    console.warn("Username recovery rate limit hit for", canonicalEmail);
+  }
+
+  res.json({ success: true, message: RECOVERY_SENT_MESSAGE });
+});
+
+// --------------------------------------------------
+// 18. RECEIPTS + GIVING STATEMENTS
+// --------------------------------------------------
+// Rendered by lib/receipts.js. Add ?format=pdf for a PDF; the default is
+// HTML. Donors fetch their own with a session token; admins any receipt.
+
+const DOCUMENT_FORMATS = ["html", "pdf"];
+
+function sendDocument(res, format, { filename, html, pdf }) {
+  if (format === "pdf") {
+    res
+      .type("application/pdf")
+      .set("Content-Disposition", `inline; filename="${filename}.pdf"`)
+      .send(pdf());
+  } else {
+    res.type("html").send(html());
+  }
+}
+
+function documentFormat(req, res) {
+  const format = req.query.format || "html";
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    res.status(400).json({
+      success: false,
+      message: `format must be one of ${DOCUMENT_FORMATS.join(", ")}.`
+    });
+    return null;
+  }
+  return format;
+}
+
+// Donations recorded before receipt numbers existed get one on first use
+function withReceiptNumber(donation) {
+  if (donation.receipt_number) return donation;
+  return storage.transaction(tx =>
+    tx.donations.update(donation.id, d => assignReceiptNumber(tx, d))
+  );
+}
+
+async function receiptFor(donation) {
+  const numbered = await withReceiptNumber(donation);
+  const order = numbered.order_id
+    ? await storage.orders.get(numbered.order_id)
+    : null;
+  return donationReceipt(numbered, { app: order?.app });
+}
+
+function sendReceipt(res, format, receipt) {
+  sendDocument(res, format, {
+    filename: `receipt-${receipt.receipt_number}`,
+    html: () => renderReceiptHtml(receipt),
+    pdf: () => renderReceiptPdf(receipt)
+  });
+}
+
+app.get("/me/donations/:id/receipt", requireIdentity, async (req, res) => {
+  const format = documentFormat(req, res);
+  if (!format) return;
+
+  try {
+    const donation = await storage.donations.get(req.params.id);
+    if (!donation || !ownsRecord(req.identity, donation)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Donation not found." });
+    }
+    sendReceipt(res, format, await receiptFor(donation));
+  } catch (err) {
+    console.error("RECEIPT ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to build receipt." });
+  }
+});
+
+app.get("/admin/donations/:id/receipt", requireRole("viewer"), async (req, res) => {
+  const format = documentFormat(req, res);
+  if (!format) return;
+
+  try {
+    const donation = await storage.donations.get(req.params.id);
+    if (!donation) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Donation not found." });
+    }
+    sendReceipt(res, format, await receiptFor(donation));
+  } catch (err) {
+    console.error("ADMIN RECEIPT ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to build receipt." });
+  }
+});
+
+/**
+ * GET /me/statements/:year
+ * The signed-in identity's gifts for a tax year (UTC), net of refunds.
+ * Payments for app orders are not gifts and are left out.
+ */
+app.get("/me/statements/:year", requireIdentity, async (req, res) => {
+  const format = documentFormat(req, res);
+  if (!format) return;
+
+  const year = Number(req.params.year);
+  if (!Number.isInteger(year) || year < 2000 || year > 9999) {
+    return res
+      .status(400)
+      .json({ success: false, message: "year must be a four-digit year." });
+  }
+
+  try {
+    const donations = await storage.donations.list(d =>
+      ownsRecord(req.identity, d)
+    );
+    const numbered = [];
+    for (const donation of donations) {
+      numbered.push(await withReceiptNumber(donation));
+    }
+
+    const statement = givingStatement(req.identity, numbered, year);
+    sendDocument(res, format, {
+      filename: `giving-statement-${year}`,
+      html: () => renderStatementHtml(statement),
+      pdf: () => renderStatementPdf(statement)
+    });
+  } catch (err) {
+    console.error("STATEMENT ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to build statement." });
+  }
+});
+
+// --------------------------------------------------
+// 19. ADMIN API — search, corrections, identity management
+// --------------------------------------------------
+// Every route here (and every other requireRole/requireAdmin route) is
+// written to the audit_log collection: who, what, when, result. Roles are
+// described in lib/admin.js. List routes share the paging/date query of
+// GET /donations (section 5).
+
+const ORDER_SORTS = {
+  newest: (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at),
+  oldest: (a, b) => Date.parse(a.created_at) - Date.parse(b.created_at),
+  amount_desc: (a, b) =>
+    (b.total_amount_cents || 0) - (a.total_amount_cents || 0),
+  amount_asc: (a, b) =>
+    (a.total_amount_cents || 0) - (b.total_amount_cents || 0)
+};
+
+const IDENTITY_SORTS = {
+  newest: (a, b) =>
+    Date.parse(b.registered_since) - Date.parse(a.registered_since),
+  oldest: (a, b) =>
+    Date.parse(a.registered_since) - Date.parse(b.registered_since)
+};
+
+const AUDIT_SORTS = {
+  newest: (a, b) => Date.parse(b.at) - Date.parse(a.at),
+  oldest: (a, b) => Date.parse(a.at) - Date.parse(b.at)
+};
+
+function identityStatus(identity) {
+  if (identity.merged_into) return "merged";
+  return identity.disabled ? "disabled" : "active";
+}
+
+function sendListError(res, err, label) {
+  if (err instanceof QueryError) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  console.error(`${label} ERROR:`, err);
+  res.status(500).json({ success: false, message: "Failed to read records." });
+}
+
+function revokeIdentitySessions(tx, identityId, now) {
+  tx.sessions
+    .list(s => s.identity_id === identityId && !s.revoked_at)
+    .forEach(s => tx.sessions.update(s.session_id, { revoked_at: now }));
+}
+
+/**
+ * GET /admin/orders
+ * Query: app=, status=, email=, campaign=, from=, to=, page=, limit=,
+ * sort=newest | oldest | amount_desc | amount_asc
+ */
+app.get("/admin/orders", requireRole("viewer"), async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, ORDER_SORTS, "newest");
+    const { status } = req.query;
+    const email = (req.query.email || "").toLowerCase();
+
+    const orders = (
+      await storage.orders.list(
+        o =>
+          inDateRange(o.created_at, q) &&
+          (!q.app || o.app === q.app) &&
+          (!q.campaign || o.campaign_id === q.campaign) &&
+          (!status || o.status === status) &&
+          (!email || (o.email || "").toLowerCase() === email)
+      )
+    ).sort(ORDER_SORTS[q.sort]);
+
+    const page = paginate(orders, q);
+    res.json({
+      success: true,
+      orders: page.items,
+      page: page.page,
+      limit: page.limit,
+      total: page.total,
+      pages: page.pages
+    });
+  } catch (err) {
+    sendListError(res, err, "ADMIN ORDERS");
+  }
+});
+
+app.get("/admin/orders/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const order = await storage.orders.get(req.params.id);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found." });
+    }
+    const donations = await storage.donations.list(
+      d => d.order_id === order.order_id
+    );
+    res.json({ success: true, order, donations });
+  } catch (err) {
+    console.error("ADMIN ORDER READ ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read order." });
+  }
+});
+
+/**
+ * PATCH /admin/orders/:id/status
+ * Body: { "status": "paid", "reason": "why", "force": false }
+ *
+ * Moves must follow the order state machine (lib/orders.js). "force"
+ * (admin role only) allows any status, for cleaning up records Stripe
+ * events got wrong; the history entry is marked forced.
+ */
+app.patch(
+  "/admin/orders/:id/status",
+  requireRole("support"),
+  async (req, res) => {
+    const { status, reason, force } = req.body || {};
+
+    if (!status || !reason || typeof reason !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, message: "status and reason are required." });
+    }
+    if (force && !roleAllows(req.admin.role, "admin")) {
+      return res
+        .status(403)
+        .json({ success: false, message: "force requires the admin role." });
+    }
+
+    try {
+      let from = null;
+      const order = await storage.orders.update(req.params.id, o => {
+        from = o.status;
+        transitionOrder(o, status, {
+          reason,
+          actor: `admin:${req.admin.name}`,
+          force: !!force
+        });
+      });
+
+      if (!order) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found." });
+      }
+
+      noteAudit(req, {
+        order_id: order.order_id,
+        from,
+        to: status,
+        reason,
+        force: !!force
+      });
+      res.json({ success: true, order });
+    } catch (err) {
+      if (err instanceof OrderStateError) {
+        return res.status(409).json({ success: false, message: err.message });
+      }
+      console.error("ADMIN ORDER STATUS ERROR:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to update order." });
+    }
+  }
+);
+
+app.get("/admin/donations/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const donation = await storage.donations.get(req.params.id);
+    if (!donation) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Donation not found." });
+    }
+    res.json({ success: true, donation });
+  } catch (err) {
+    console.error("ADMIN DONATION READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read donation." });
+  }
+});
+
+/**
+ * GET /admin/identities
+ * Query: q= (matches username or email), status=active | disabled | merged,
+ * role=viewer | support | admin, from=, to= (registration date), page=,
+ * limit=, sort=newest | oldest
+ */
+app.get("/admin/identities", requireRole("viewer"), async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, IDENTITY_SORTS, "newest");
+    const search = (req.query.q || "").toLowerCase();
+    const { status, role } = req.query;
+
+    const identities = (
+      await storage.identities.list(
+        i =>
+          inDateRange(i.registered_since, q) &&
+          (!status || identityStatus(i) === status) &&
+          (!role || i.admin_role === role) &&
+          (!search ||
+            (i.username || "").toLowerCase().includes(search) ||
+            [i.email, ...(i.alternate_emails || [])].some(e =>
+              (e || "").toLowerCase().includes(search)
+            ))
+      )
+    ).sort(IDENTITY_SORTS[q.sort]);
+
+    const page = paginate(identities, q);
+    res.json({
+      success: true,
+      identities: page.items.map(i => ({ ...i, status: identityStatus(i) })),
+      page: page.page,
+      limit: page.limit,
+      total: page.total,
+      pages: page.pages
+    });
+  } catch (err) {
+    sendListError(res, err, "ADMIN IDENTITIES");
+  }
+});
+
+app.get("/admin/identities/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const identity = await storage.identities.get(req.params.id);
+    if (!identity) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Identity not found." });
+    }
+
+    const donations = await storage.donations.list(d =>
+      ownsRecord(identity, d)
+    );
+    const orders = await storage.orders.list(o => ownsRecord(identity, o));
+
+    res.json({
+      success: true,
+      identity: { ...identity, status: identityStatus(identity) },
+      donations,
+      orders
+    });
+  } catch (err) {
+    console.error("ADMIN IDENTITY READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read identity." });
+  }
+});
+
+/**
+ * POST /admin/identities/:id/disable  { "reason": "..." }
+ * POST /admin/identities/:id/enable
+ * A disabled identity can't sign in and its sessions are revoked.
+ */
+app.post("/admin/identities/:id/disable", requireAdmin, async (req, res) => {
+  const reason = req.body?.reason;
+  if (!reason || typeof reason !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, message: "reason is required." });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const identity = await storage.transaction(tx => {
+      const updated = tx.identities.update(req.params.id, {
+        disabled: true,
+        disabled_at: now,
+        disabled_reason: reason
+      });
+      if (updated) revokeIdentitySessions(tx, updated.identity_id, now);
+      return updated;
+    });
+
+    if (!identity) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Identity not found." });
+    }
+
+    noteAudit(req, { identity_id: identity.identity_id, reason });
+    res.json({ success: true, identity });
+  } catch (err) {
+    console.error("ADMIN IDENTITY DISABLE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to disable identity." });
+  }
+});
+
+app.post("/admin/identities/:id/enable", requireAdmin, async (req, res) => {
+  try {
+    const existing = await storage.identities.get(req.params.id);
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Identity not found." });
+    }
+    if (existing.merged_into) {
+      return res.status(409).json({
+        success: false,
+        message: `Identity was merged into ${existing.merged_into}.`
+      });
+    }
+
+    const identity = await storage.identities.update(
+      existing.identity_id,
+      i => {
+        i.disabled = false;
+        delete i.disabled_at;
+        delete i.disabled_reason;
+      }
+    );
+
+    noteAudit(req, { identity_id: identity.identity_id });
+    res.json({ success: true, identity });
+  } catch (err) {
+    console.error("ADMIN IDENTITY ENABLE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to enable identity." });
+  }
+});
+
+/**
+ * Fold identity `sourceId` into `targetId` (inside a transaction). The
+ * target gains the source's SoulMarksⓈ and emails, and the source's
+ * donations and orders are reassigned to it; the source is disabled and
+ * points at the target. Returns the updated target, or an
+ * { error, status } object.
+ */
+function mergeIdentities(tx, sourceId, targetId, now) {
+  const source = tx.identities.get(sourceId);
+  const target = tx.identities.get(targetId);
+
+  if (!source || !target) {
+    return { status: 404, error: "Identity not found." };
+  }
+  if (source.identity_id === target.identity_id) {
+    return { status: 400, error: "Can't merge an identity into itself." };
+  }
+  if (source.merged_into || target.merged_into) {
+    return { status: 409, error: "Identity has already been merged." };
+  }
+
+  const emails = new Set(
+    [
+      ...(target.alternate_emails || []),
+      source.email,
+      ...(source.alternate_emails || [])
+    ]
+      .filter(Boolean)
+      .map(e => e.toLowerCase())
+  );
+  emails.delete((target.email || "").toLowerCase());
+
+  const merged = tx.identities.update(target.identity_id, t => {
+    t.soulmarks = [
+      ...new Set([...(t.soulmarks || []), ...(source.soulmarks || [])])
+    ];
+    t.alternate_emails = [...emails];
+    t.merged_from = [...(t.merged_from || []), source.identity_id];
+  });
+
+  tx.donations
+    .list(d => d.identity_id === source.identity_id)
+    .forEach(d =>
+      tx.donations.update(d.id, {
+        identity_id: target.identity_id,
+        identity_username: d.identity_username && target.username
+      })
+    );
+  tx.orders
+    .list(o => o.identity_id === source.identity_id)
+    .forEach(o =>
+      tx.orders.update(o.order_id, { identity_id: target.identity_id })
+    );
+  // The source's emails are now the target's: pick up their loose gifts
+  for (const email of emails) linkDonationsByEmail(tx, merged, email);
+
+  tx.identities.update(source.identity_id, {
+    disabled: true,
+    disabled_at: now,
+    disabled_reason: "merged",
+    merged_into: target.identity_id,
+    merged_at: now
+  });
+  revokeIdentitySessions(tx, source.identity_id, now);
+
+  return { identity: tx.identities.get(target.identity_id) };
+}
+
+/**
+ * POST /admin/identities/:id/merge
+ * Body: { "into": "ias-..." } — merge :id into that identity.
+ */
+app.post("/admin/identities/:id/merge", requireAdmin, async (req, res) => {
+  const into = req.body?.into;
+  if (!into) {
+    return res
+      .status(400)
+      .json({ success: false, message: "into (identity_id) is required." });
+  }
+
+  try {
+    const result = await storage.transaction(tx =>
+      mergeIdentities(tx, req.params.id, into, new Date().toISOString())
+    );
+
+    if (result.error) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.error });
+    }
+
+    noteAudit(req, { source: req.params.id, target: into });
+    appWebhooks.kick();
+    res.json({ success: true, identity: result.identity });
+  } catch (err) {
+    console.error("ADMIN IDENTITY MERGE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to merge identities." });
+  }
+});
+
+/**
+ * PUT /admin/identities/:id/role
+ * Body: { "role": "viewer" | "support" | "admin" | null }
+ * Lets the identity use its session token on admin routes.
+ */
+app.put("/admin/identities/:id/role", requireAdmin, async (req, res) => {
+  const role = req.body?.role ?? null;
+  if (role !== null && !isAdminRole(role)) {
+    return res.status(400).json({
+      success: false,
+      message: "role must be viewer, support, admin or null."
+    });
+  }
+
+  try {
+    let from = null;
+    const identity = await storage.identities.update(req.params.id, i => {
+      from = i.admin_role || null;
+      if (role) {
+        i.admin_role = role;
+      } else {
+        delete i.admin_role;
+      }
+    });
+
+    if (!identity) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Identity not found." });
+    }
+
+    noteAudit(req, { identity_id: identity.identity_id, from, to: role });
+    res.json({ success: true, identity });
+  } catch (err) {
+    console.error("ADMIN IDENTITY ROLE ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to update role." });
+  }
+});
+
+/**
+ * GET /admin/audit
+ * Query: actor= (key or username), method=, path= (prefix), from=, to=,
+ * page=, limit=, sort=newest | oldest
+ */
+app.get("/admin/audit", requireAdmin, async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, AUDIT_SORTS, "newest");
+    const { actor, method, path } = req.query;
+
+    const entries = (
+      await storage.audit_log.list(
+        e =>
+          inDateRange(e.at, q) &&
+          (!actor || e.actor?.name === actor) &&
+          (!method || e.method === method.toUpperCase()) &&
+          (!path || e.path.startsWith(path))
+      )
+    ).sort(AUDIT_SORTS[q.sort]);
+
+    const page = paginate(entries, q);
+    res.json({
+      success: true,
+      entries: page.items,
+      page: page.page,
+      limit: page.limit,
+      total: page.total,
+      pages: page.pages
+    });
+  } catch (err) {
+    sendListError(res, err, "ADMIN AUDIT");
+  }
+});
+
+// --------------------------------------------------
+// 20. STRIPE RECONCILIATION
+// --------------------------------------------------
+// lib/reconcile.js compares unpaid orders and recent Checkout sessions
+// with Stripe, records missed payments, expires stale orders and returns
+// a discrepancy report. Each report is also written to
+// RECONCILE_REPORT_DIR. It runs:
+//   - every RECONCILE_INTERVAL_MINUTES, if set
+//   - on POST /admin/reconcile (what `npm run reconcile` calls)
+
+const RECONCILE_REPORT_DIR =
+  process.env.RECONCILE_REPORT_DIR ||
+  fileURLToPath(new URL("./reports", import.meta.url));
+const RECONCILE_INTERVAL_MINUTES = Number(
+  process.env.RECONCILE_INTERVAL_MINUTES || 0
+);
+
+let reconcileRunning = null;
+
+/**
+ * Run one reconciliation pass (never two at once) and save its report.
+ * Resolves to { report, file }.
+ */
+function runReconciliation(options) {
+  if (reconcileRunning) return reconcileRunning;
+
+  reconcileRunning = (async () => {
+    const report = await reconcileStripe(
+      { storage, stripe, recordPaidSession, applySubscriptionState },
+      {
+        lookbackHours: Number(process.env.RECONCILE_LOOKBACK_HOURS) || 72,
+        staleHours: Number(process.env.STALE_ORDER_HOURS) || 24,
+        ...options
+      }
+    );
+
+    await fs.promises.mkdir(RECONCILE_REPORT_DIR, { recursive: true });
+    const file = path.join(
+      RECONCILE_REPORT_DIR,
+      `reconcile-${report.started_at.replace(/[:.]/g, "-")}.json`
+    );
+    await fs.promises.writeFile(file, JSON.stringify(report, null, 2));
+
+    console.log(
+      `🔁 Reconciliation: ${report.discrepancies.length} discrepancies, ${report.repaired} repaired → ${file}`
+    );
+    return { report, file };
+  })().finally(() => {
+    reconcileRunning = null;
+  });
+
+  return reconcileRunning;
+}
+
+/**
+ * POST /admin/reconcile
+ * Body (optional): { "dry_run": true, "lookback_hours": 72, "stale_hours": 24 }
+ */
+app.post("/admin/reconcile", requireAdmin, async (req, res) => {
+  const { dry_run, lookback_hours, stale_hours } = req.body || {};
+  const options = { dryRun: !!dry_run };
+
+  for (const [name, value, key] of [
+    ["lookback_hours", lookback_hours, "lookbackHours"],
+    ["stale_hours", stale_hours, "staleHours"]
+  ]) {
+    if (value === undefined) continue;
+    if (typeof value !== "number" || !(value > 0)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `${name} must be a positive number.` });
+    }
+    options[key] = value;
+  }
+
+  try {
+    const { report, file } = await runReconciliation(options);
+    noteAudit(req, {
+      dry_run: report.dry_run,
+      discrepancies: report.discrepancies.length,
+      repaired: report.repaired
+    });
+    res.json({ success: true, report, report_file: path.basename(file) });
+  } catch (err) {
+    console.error("RECONCILE ERROR:", err);
+    res.status(500).json({ success: false, message: "Reconciliation failed." });
+  }
+});
+
+if (RECONCILE_INTERVAL_MINUTES > 0) {
+  setInterval(() => {
+    runReconciliation().catch(err =>
+      console.error("SCHEDULED RECONCILE ERROR:", err)
+    );
+  }, RECONCILE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+// --------------------------------------------------
+// 21. NOTIFICATIONS — outbound email outbox
+// --------------------------------------------------
+// Donation thank-yous, order confirmations, welcome emails, subscription
+// renewals and refund notices are queued in the notifications collection
+// by the code that records the event (see lib/notifications.js) and sent
+// from here through the mailer, with retries. success.html no longer
+// emails the donor from the browser.
+
+const notifier = createNotifier({
+  storage,
+  mailer,
+  frontendUrl: FRONTEND_URL,
+  maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 8,
+  pollMs: (Number(process.env.NOTIFY_POLL_SECONDS) || 30) * 1000
+});
+notifier.start();
+
+const NOTIFICATION_SORTS = {
+  newest: (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at),
+  oldest: (a, b) => Date.parse(a.created_at) - Date.parse(b.created_at)
+};
+
+/**
+ * GET /admin/notifications
+ * Query: status=, template=, email= (recipient), from=, to=, page=,
+ * limit=, sort=newest | oldest
+ */
+app.get("/admin/notifications", requireRole("viewer"), async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, NOTIFICATION_SORTS, "newest");
+    const { status, template } = req.query;
+    const email = (req.query.email || "").toLowerCase();
+
+    const notifications = (
+      await storage.notifications.list(
+        n =>
+          inDateRange(n.created_at, q) &&
+          (!status || n.status === status) &&
+          (!template || n.template === template) &&
+          (!email || (n.to || "").toLowerCase() === email)
+      )
+    ).sort(NOTIFICATION_SORTS[q.sort]);
+
+    const page = paginate(notifications, q);
+    res.json({
+      success: true,
+      notifications: page.items,
+      page: page.page,
+      limit: page.limit,
+      total: page.total,
+      pages: page.pages
+    });
+  } catch (err) {
+    sendListError(res, err, "ADMIN NOTIFICATIONS");
+  }
+});
+
+app.get("/admin/notifications/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const notification = await storage.notifications.get(req.params.id);
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found." });
+    }
+    res.json({ success: true, notification });
+  } catch (err) {
+    console.error("ADMIN NOTIFICATION ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read record." });
+  }
+});
+
+/**
+ * POST /admin/notifications/:id/retry
+ * Send a failed (or waiting) notification again now, with a fresh set of
+ * attempts.
+ */
+app.post(
+  "/admin/notifications/:id/retry",
+  requireRole("support"),
+  async (req, res) => {
+    try {
+      const result = await storage.transaction(tx => {
+        const current = tx.notifications.get(req.params.id);
+        if (!current) return { status: 404, message: "Notification not found." };
+        if (current.status !== "failed" && current.status !== "pending") {
+          return {
+            status: 409,
+            message: `Notification is ${current.status}; only failed or pending notifications can be retried.`
+          };
+        }
+        return {
+          notification: tx.notifications.update(current.notification_id, {
+            status: "pending",
+            attempts: 0,
+            next_attempt_at: new Date().toISOString()
+          })
+        };
+      });
+
+      if (!result.notification) {
+        return res
+          .status(result.status)
+          .json({ success: false, message: result.message });
+      }
+
+      noteAudit(req, { notification_id: req.params.id });
+      notifier.kick();
+      res.json({ success: true, notification: result.notification });
+    } catch (err) {
+      console.error("NOTIFICATION RETRY ERROR:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to retry notification." });
+    }
+  }
+);
+
+// --------------------------------------------------
+// 22. FUNDRAISING STATS — aggregates for the dashboards
+// --------------------------------------------------
+// Totals are computed here (lib/stats.js) so dashboards no longer download
+// the donation feed to add it up. Every route takes from= / to= (ISO
+// dates, as on GET /donations); donation routes also take app= and
+// campaign=.
+//
+// Public callers get totals over the amounts donors chose to show, like
+// the GET /donations summary. Requests with a viewer (or higher) admin
+// key or session count every amount. Subscription and SKU figures are
+// admin-only. Results are cached for STATS_CACHE_SECONDS (default 60).
+//
+// Amounts are reported in currency= (default REPORTING_CURRENCY),
+// converted with the CURRENCY_RATES table. Gifts in a currency without a
+// rate are left out and listed under `unconverted`; GET /stats/summary
+// also breaks the totals down per original currency.
+
+const statsCache = createStatsCache({
+  ttlMs: (Number(process.env.STATS_CACHE_SECONDS) || 60) * 1000
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseStatsQuery(query) {
+  const from = parseDate(query.from, "from", false);
+  const to = parseDate(query.to, "to", true);
+  if (from !== null && to !== null && from > to) {
+    throw new QueryError("from must be before to.");
+  }
+  const currency = normalizeCurrency(query.currency) || REPORTING_CURRENCY;
+  if (!isKnownCurrency(currency)) {
+    throw new QueryError("currency must be a supported ISO currency code.");
+  }
+  return {
+    from,
+    to,
+    app: query.app || null,
+    campaign: query.campaign || null,
+    currency
+  };
+}
+
+// "all" for viewer+ admin callers, otherwise "public"
+async function statsScope(req) {
+  const actor = await adminActor(req).catch(() => null);
+  return actor && roleAllows(actor.role, "viewer") ? "all" : "public";
+}
+
+function statsAmountOf(scope) {
+  return scope === "all"
+    ? d => d.amount || 0
+    : d => publicDonation(d).amount;
+}
+
+/**
+ * Run `compute(q, scope)` for a stats route through the cache, keyed by
+ * route, scope and query, and send { success, scope, ...result }.
+ */
+async function sendStats(req, res, label, compute) {
+  try {
+    const q = parseStatsQuery(req.query);
+    const scope = req.admin ? "all" : await statsScope(req);
+    const key = JSON.stringify([
+      req.path,
+      scope,
+      Object.entries(req.query).sort()
+    ]);
+
+    const result = await statsCache.get(key, () => compute(q, scope));
+    res.json({
+      success: true,
+      scope,
+      from: q.from === null ? null : new Date(q.from).toISOString(),
+      to: q.to === null ? null : new Date(q.to).toISOString(),
+      currency: q.currency,
+      ...result
+    });
+  } catch (err) {
+    if (err instanceof StatsError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    sendListError(res, err, label);
+  }
+}
+
+/**
+ * Donations in the query's range/app/campaign, plus every donation (for
+ * new vs returning donors) and the orders they belong to.
+ */
+async function statsDonations(q) {
+  const [all, orders] = await Promise.all([
+    storage.donations.list(),
+    storage.orders.list()
+  ]);
+  const ordersById = new Map(orders.map(o => [o.order_id, o]));
+  const matching = all.filter(
+    d =>
+      inDateRange(d.timestamp, q) &&
+      (!q.app || donationApp(d, ordersById) === q.app) &&
+      (!q.campaign || d.campaign_id === q.campaign)
+  );
+  return { all, matching, ordersById };
+}
+
+// `donations` in the query's currency: { donations, unconverted }
+function statsInCurrency(donations, q) {
+  return donationsInCurrency(donations, q.currency, currencies.convert);
+}
+
+/**
+ * GET /stats/summary
+ * Totals, average gift and new vs returning donors, plus the totals per
+ * original currency (by_currency, unconverted).
+ */
+app.get("/stats/summary", (req, res) =>
+  sendStats(req, res, "STATS SUMMARY", async (q, scope) => {
+    const { all, matching } = await statsDonations(q);
+    const amountOf = statsAmountOf(scope);
+    const { donations, unconverted } = statsInCurrency(matching, q);
+    return {
+      totals: summarizeDonations(donations, amountOf),
+      by_currency: groupDonations(matching, currencyOf, amountOf).map(
+        ({ key, ...totals }) => ({ currency: key, ...totals })
+      ),
+      unconverted,
+      donors: donorRetention(all, matching, q.from)
+    };
+  })
+);
+
+/**
+ * GET /stats/timeseries?interval=day | week | month
+ * Totals per bucket (UTC). Weeks start on Monday and are labelled by
+ * that date.
+ */
+app.get("/stats/timeseries", (req, res) => {
+  const interval = req.query.interval || "day";
+  if (!STATS_INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      message: `interval must be one of ${STATS_INTERVALS.join(", ")}.`
+    });
+  }
+
+  sendStats(req, res, "STATS TIMESERIES", async (q, scope) => {
+    const { matching } = await statsDonations(q);
+    const { donations, unconverted } = statsInCurrency(matching, q);
+    return {
+      interval,
+      unconverted,
+      series: donationTimeSeries(donations, {
+        interval,
+        from: q.from,
+        to: q.to,
+        amountOf: statsAmountOf(scope)
+      })
+    };
+  });
+});
+
+// GET /stats/apps — totals per app (order.app; plain gifts are FundTrackerAI)
+app.get("/stats/apps", (req, res) =>
+  sendStats(req, res, "STATS APPS", async (q, scope) => {
+    const { matching, ordersById } = await statsDonations(q);
+    const { donations, unconverted } = statsInCurrency(matching, q);
+    return {
+      unconverted,
+      apps: groupDonations(
+        donations,
+        d => donationApp(d, ordersById),
+        statsAmountOf(scope)
+      ).map(({ key, ...totals }) => ({ app: key, ...totals }))
+    };
+  })
+);
+
+// GET /stats/campaigns — totals per campaign; public callers don't see
+// draft campaigns
+app.get("/stats/campaigns", (req, res) =>
+  sendStats(req, res, "STATS CAMPAIGNS", async (q, scope) => {
+    const { matching } = await statsDonations(q);
+    const campaigns = new Map(
+      (await storage.campaigns.list()).map(c => [c.campaign_id, c])
+    );
+
+    const { donations, unconverted } = statsInCurrency(
+      matching.filter(d => d.campaign_id),
+      q
+    );
+
+    const rows = groupDonations(
+      donations,
+      d => d.campaign_id,
+      statsAmountOf(scope)
+    )
+      .filter(({ key }) => {
+        const campaign = campaigns.get(key);
+        return scope === "all" || (campaign && campaign.status !== "draft");
+      })
+      .map(({ key, ...totals }) => {
+        const campaign = campaigns.get(key);
+        return {
+          campaign_id: key,
+          slug: campaign?.slug || null,
+          title: campaign?.title || null,
+          goal_cents: campaign?.goal_cents || null,
+          goal_currency: campaign?.currency || null,
+          ...totals
+        };
+      });
+
+    return { unconverted, campaigns: rows };
+  })
+);
+
+/**
+ * GET /stats/subscriptions (viewer)
+ * MRR and active subscriptions now; new and churned subscriptions in
+ * [from, to] (default: the last 30 days). app= narrows to one app.
+ */
+app.get("/stats/subscriptions", requireRole("viewer"), (req, res) =>
+  sendStats(req, res, "STATS SUBSCRIPTIONS", async q => {
+    const to = q.to ?? Date.now();
+    const from = q.from ?? to - 30 * DAY_MS;
+    const orders = await storage.orders.list(
+      o => !q.app || o.app === q.app
+    );
+    return {
+      period: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString()
+      },
+      subscriptions: subscriptionMetrics(orders, {
+        from,
+        to,
+        currency: q.currency,
+        convert: currencies.convert
+      })
+    };
+  })
+);
+
+/**
+ * GET /stats/skus?limit=10 (viewer)
+ * Best-selling catalog items by revenue, over orders paid in the range.
+ */
+app.get("/stats/skus", requireRole("viewer"), (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `limit must be between 1 and ${MAX_PAGE_SIZE}.`
+    });
+  }
+
+  sendStats(req, res, "STATS SKUS", async q => {
+    const orders = await storage.orders.list(
+      o =>
+        (!q.app || o.app === q.app) &&
+        (!q.campaign || o.campaign_id === q.campaign) &&
+        inDateRange(orderPaidAt(o), q)
+    );
+    return {
+      skus: topSkus(orders, limit, (amount, currency) =>
+        currencies.convert(amount, currency, q.currency)
+      )
+    };
+  });
+});
+
+// --------------------------------------------------
+// 23. SOULMARKⓈ CLAIMS — link gifts made with another email
+// --------------------------------------------------
+// Paid donations are linked to an identity automatically when the donor
+// was signed in at checkout or gave with a verified email
+// (lib/identity-links.js). For a gift made with some other address:
+//
+// 1. POST /me/soulmarks/claim { soulmark } emails a 6-digit code to the
+//    address the donation was made with.
+// 2. POST /me/soulmarks/claim/verify { claim_id, code } links it. The
+//    address becomes one of the identity's alternate_emails, so its other
+//    gifts, and later ones, are linked too.
+//
+// A SoulMarkⓈ linked to another identity can't be claimed; an admin
+// merges the two identities instead (section 19).
+
+const CLAIM_CODE_TTL_MS = 15 * 60 * 1000;
+const CLAIM_MAX_ATTEMPTS = 5;
+// Claims an identity may start per hour
+const CLAIM_MAX_PER_HOUR = 5;
+
+const CLAIM_SCHEMA = {
+  soulmark: { type: "string", required: true, max: 200 }
+};
+
+const CLAIM_VERIFY_SCHEMA = {
+  claim_id: { type: "string", required: true, max: 100 },
+  code: { type: "string", required: true, max: 20 }
+};
+
+// "j•••@example.com": enough for donors to recognise their address
+function maskEmail(email) {
+  const [local, domain] = String(email).split("@");
+  return `${local.slice(0, 1)}•••@${domain || ""}`;
+}
+
+/**
+ * Start a claim inside a transaction. Resolves to one of
+ *   { status: "linked", donation }         linked right away
+ *   { status: "pending", claim, code }     code to email to claim.email
+ *   { error, httpStatus }
+ */
+function startClaim(tx, identityId, soulmark, now) {
+  const identity = tx.identities.get(identityId);
+  const donation = tx.donations.find(d => d.soulmark === soulmark);
+  if (!donation) {
+    return { httpStatus: 404, error: "No record for this SoulMarkⓈ." };
+  }
+
+  const owner = resolveIdentity(tx, donation.identity_id);
+  if (owner?.identity_id === identity.identity_id) {
+    return { status: "linked", donation };
+  }
+  if (owner) {
+    return {
+      httpStatus: 409,
+      error: "This SoulMarkⓈ is already linked to another identity."
+    };
+  }
+
+  // Already proved this address: no code needed
+  if (verifiedEmails(identity).includes((donation.email || "").toLowerCase())) {
+    return {
+      status: "linked",
+      donation: linkDonation(tx, donation.id, identity)
+    };
+  }
+
+  const recent = tx.soulmark_claims.list(
+    c =>
+      c.identity_id === identity.identity_id &&
+      Date.parse(c.created_at) > now - 60 * 60 * 1000
+  );
+  if (recent.length >= CLAIM_MAX_PER_HOUR) {
+    return { httpStatus: 429, error: "Too many claims. Try again later." };
+  }
+
+  const code = generateLoginCode();
+  const claim = tx.soulmark_claims.insert({
+    claim_id: "clm-" + crypto.randomUUID(),
+    identity_id: identity.identity_id,
+    donation_id: donation.id,
     soulmark,
-    displayIdentity,
-    showDonationAmount
-  } = req.body;
+    email: (donation.email || "").toLowerCase(),
+    code_hash: hashSecret(code),
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + CLAIM_CODE_TTL_MS).toISOString(),
+    used_at: null
+  });
+  return { status: "pending", claim, code };
+}
+
+/**
+ * POST /me/soulmarks/claim  (signed in)
+ * Body: { "soulmark": "..." }
+ * → { status: "linked", donation } or
+ *   { status: "pending", claim_id, email (masked), expires_at }
+ */
+app.post("/me/soulmarks/claim", requireIdentity, async (req, res) => {
+  try {
+    const { soulmark } = validate(req.body, CLAIM_SCHEMA);
+    const result = await storage.transaction(tx =>
+      startClaim(tx, req.identity.identity_id, soulmark, Date.now())
+    );
+
+    if (result.error) {
+      return res
+        .status(result.httpStatus)
+        .json({ success: false, message: result.error });
+    }
+    if (result.status === "linked") {
+      return res.json({
+        success: true,
+        status: "linked",
+        donation: result.donation
+      });
+    }
+
+    const { claim, code } = result;
+    await mailer.send({
+      to: claim.email,
+      subject: "Confirm your SoulMarkⓈ claim",
+      text:
+        `${req.identity.username} asked to link the SoulMarkⓈ ${claim.soulmark} ` +
+        `to their iAscendAI identity.\n\nYour code is ${code}\n\n` +
+        `The code expires in ${CLAIM_CODE_TTL_MS / 60000} minutes. ` +
+        "If this wasn't you, you can ignore this email."
+    });
+
+    res.json({
+      success: true,
+      status: "pending",
+      claim_id: claim.claim_id,
+      email: maskEmail(claim.email),
+      expires_at: claim.expires_at
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("SOULMARK CLAIM ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to start claim." });
+  }
+});
+
+/**
+ * POST /me/soulmarks/claim/verify  (signed in)
+ * Body: { "claim_id": "clm-...", "code": "123456" }
+ * → { identity, linked: [donation, ...] }
+ */
+app.post("/me/soulmarks/claim/verify", requireIdentity, async (req, res) => {
+  try {
+    const { claim_id, code } = validate(req.body, CLAIM_VERIFY_SCHEMA);
+    const identityId = req.identity.identity_id;
+    const now = Date.now();
+
+    const result = await storage.transaction(tx => {
+      const claim = tx.soulmark_claims.get(claim_id);
+      if (!claim || claim.identity_id !== identityId) return null;
+
+      const usable =
+        !claim.used_at &&
+        Date.parse(claim.expires_at) > now &&
+        claim.attempts < CLAIM_MAX_ATTEMPTS;
+      if (!usable || !safeEqual(hashSecret(code), claim.code_hash)) {
+        tx.soulmark_claims.update(claim_id, { attempts: claim.attempts + 1 });
+        return null;
+      }
+
+      // Someone else may have linked it since the code was sent
+      const donation = tx.donations.get(claim.donation_id);
+      const owner = resolveIdentity(tx, donation?.identity_id);
+      if (!donation || (owner && owner.identity_id !== identityId)) {
+        return { conflict: true };
+      }
+
+      tx.soulmark_claims.update(claim_id, {
+        used_at: new Date(now).toISOString()
+      });
+      const identity = tx.identities.update(identityId, i => {
+        const known = [i.email, ...(i.alternate_emails || [])].map(e =>
+          (e || "").toLowerCase()
+        );
+        if (!known.includes(claim.email)) {
+          i.alternate_emails = [...(i.alternate_emails || []), claim.email];
+        }
+      });
+
+      const linked = [
+        linkDonation(tx, donation.id, identity),
+        ...linkDonationsByEmail(tx, identity, claim.email)
+      ];
+      return { identity: tx.identities.get(identityId), linked };
+    });
+
+    if (!result) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired code." });
+    }
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: "This SoulMarkⓈ is already linked to another identity."
+      });
+    }
+
+    res.json({
+      success: true,
+      identity: identityView(result.identity),
+      linked: result.linked
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("SOULMARK CLAIM VERIFY ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to verify claim." });
+  }
+});
+
+// --------------------------------------------------
+// 24. SOULREGISTRY LEDGER — hash chain + signed checkpoints
+// --------------------------------------------------
+// lib/ledger.js appends an entry for every change to donations, orders
+// and identities: a storage commit hook, installed where storage is
+// opened. The head of the chain is signed with the SoulMarkⓈ key at
+// startup, a few seconds after each batch of appends (checkpointSoon),
+// every LEDGER_CHECKPOINT_MINUTES and on shutdown. The latest checkpoint
+// is exported to LEDGER_HEAD_FILE, outside the registry. GET
+// /ledger/verify recomputes everything; `npm run verify-ledger` does the
+// same offline.
+
+const LEDGER_CHECKPOINT_MINUTES = Number(
+  process.env.LEDGER_CHECKPOINT_MINUTES ?? 60
+);
+
+// Verifying reads the whole registry
+const ledgerVerifyLimit = rateLimitByIp("ledger-verify", {
+  max: 10,
+  windowMs: 60 * 1000
+});
+
+// Sign the head if it moved, and export the head's checkpoint. Resolves
+// to the new checkpoint, or null if there was nothing new to sign.
+async function writeCheckpoint() {
+  const { created, head } = await storage.transaction(tx => {
+    const checkpoint = createCheckpoint(tx, soulmarkKeys);
+    return { created: checkpoint, head: checkpoint || headCheckpoint(tx) };
+  });
+  if (head) exportHead(LEDGER_HEAD_FILE, head);
+  if (created) {
+    console.log(`🔏 Ledger checkpoint at entry ${created.seq}`);
+  }
+  return created;
+}
+
+function verifyRegistryLedger() {
+  return verifySnapshot(
+    storage.snapshot(),
+    soulmarkKeys,
+    readExportedHead(LEDGER_HEAD_FILE)
+  );
+}
+
+// Not awaited: the server is already listening (section 8), and the
+// routes and workers below must be set up before it handles requests.
+// A failure stops the server instead of leaving the head unsigned.
+writeCheckpoint().catch(err => {
+  console.error("LEDGER CHECKPOINT ERROR: startup checkpoint failed.", err);
+  process.exit(1);
+});
+if (LEDGER_CHECKPOINT_MINUTES > 0) {
+  setInterval(() => {
+    writeCheckpoint().catch(err =>
+      console.error("LEDGER CHECKPOINT ERROR:", err)
+    );
+  }, LEDGER_CHECKPOINT_MINUTES * 60 * 1000).unref();
+}
+
+// Sign whatever was appended since the last checkpoint before exiting
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    writeCheckpoint()
+      .catch(err => console.error("LEDGER CHECKPOINT ERROR:", err))
+      .finally(() => process.exit(0));
+  });
+}
+
+/**
+ * GET /ledger/verify
+ * Public summary: { valid, entries, head, first_broken, checkpoints,
+ * records: { checked, issues (count) } }. Admins get the full report
+ * from GET /admin/ledger/verify.
+ */
+app.get("/ledger/verify", ledgerVerifyLimit, (req, res) => {
+  try {
+    const report = verifyRegistryLedger();
+    res.json({
+      success: true,
+      ...report,
+      checkpoints: {
+        ...report.checkpoints,
+        issues: report.checkpoints.issues.length
+      },
+      records: {
+        checked: report.records.checked,
+        issues: report.records.issues.length
+      }
+    });
+  } catch (err) {
+    console.error("LEDGER VERIFY ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to verify ledger." });
+  }
+});
+
+// Signed checkpoints, newest first, for anyone who wants to keep copies
+app.get("/ledger/checkpoints", async (req, res) => {
+  try {
+    const checkpoints = await storage.ledger_checkpoints.list();
+    checkpoints.sort((a, b) => b.seq - a.seq);
+    res.json({
+      success: true,
+      key_id: soulmarkKeys.keyId,
+      checkpoints
+    });
+  } catch (err) {
+    console.error("LEDGER CHECKPOINTS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read checkpoints." });
+  }
+});
+
+app.get("/admin/ledger/verify", requireRole("viewer"), (req, res) => {
+  try {
+    res.json({ success: true, ...verifyRegistryLedger() });
+  } catch (err) {
+    console.error("ADMIN LEDGER VERIFY ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to verify ledger." });
+  }
+});
+
+// Sign the current head now instead of waiting for the schedule
+app.post("/admin/ledger/checkpoint", requireAdmin, async (req, res) => {
+  try {
+    const checkpoint = await writeCheckpoint();
+    if (checkpoint) noteAudit(req, { seq: checkpoint.seq });
+    res.json({ success: true, checkpoint });
+  } catch (err) {
+    console.error("LEDGER CHECKPOINT ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to write checkpoint." });
+  }
+});
+
+// --------------------------------------------------
+// 25. RECURRING DONATIONS — monthly / yearly gifts
+// --------------------------------------------------
+// POST /create-checkout-session with frequency "monthly" or "yearly" opens
+// a subscription-mode Checkout session and a pending recurring_donations
+// record (lib/recurring.js). The first gift is recorded like any other
+// donation; each renewal invoice (invoice.paid) becomes a new donation with
+// its own SoulMarkⓈ, chained to the previous one through donation.lineage.
+//
+// Donors manage their plans once signed in:
+//   GET  /me/recurring-donations
+//   POST /me/recurring-donations/:id/skip     skip the next gift
+//   POST /me/recurring-donations/:id/cancel   stop giving
+
+// A skip pauses collection until just after the skipped invoice is due
+const SKIP_RESUME_DELAY_SECONDS = 24 * 60 * 60;
+
+function findRecurringDonation(tx, subscriptionId, metadata) {
+  return (
+    (subscriptionId
+      ? tx.recurring_donations.find(
+          r => r.stripe_subscription_id === subscriptionId
+        )
+      : null) ||
+    tx.recurring_donations.get(metadata?.recurring_id) ||
+    null
+  );
+}
+
+/**
+ * A paid renewal invoice: mint the next donation in the plan's lineage.
+ * Keyed by invoice id, so redeliveries don't mint twice.
+ */
+function recordRecurringRenewal(tx, plan, invoice) {
+  if (tx.donations.get(invoice.id) || !invoice.amount_paid) return;
+
+  const identity =
+    resolveIdentity(tx, plan.identity_id) ||
+    identityForPayment(tx, { email: plan.email });
+  const periodEnd = invoice.lines?.data?.[0]?.period?.end;
 
-  if (!email || !username) {
-    return res.status(400).json({
-      success: false,
-      message: "Email and username are required."
+  const record = mintSoulmark({
+    id: invoice.id,
+    name: plan.name || "Donor",
+    email: plan.email,
+    amount: invoice.amount_paid,
+    currency: invoice.currency || plan.currency,
+    timestamp: new Date().toISOString(),
+    identity_id: identity?.identity_id || null,
+    soulmark: null,
+    username_created: false,
+    identity_username: null,
+    order_id: null,
+    campaign_id: plan.campaign_id || null,
+    payment_intent: stripeId(invoice.payment_intent),
+    visibility: identityDefaultVisibility(identity),
+    lineage: nextLineage(plan)
+  });
+  let donation = tx.donations.insert(assignReceiptNumber(tx, record));
+  if (identity) donation = linkDonation(tx, donation.id, identity);
+
+  recordRecurringGift(tx, donation, {
+    subscriptionId: stripeId(invoice.subscription),
+    periodEnd: fromUnix(periodEnd)
+  });
+
+  enqueueNotification(tx, {
+    key: `donation_thank_you:${donation.id}`,
+    template: "donation_thank_you",
+    to: plan.email,
+    data: {
+      name: donation.name,
+      amount: donation.amount,
+      currency: donation.currency,
+      soulmark: donation.soulmark,
+      receipt_number: donation.receipt_number,
+      has_identity: !!identity,
+      frequency: frequencyOf(plan.interval),
+      sequence: donation.lineage.sequence
+    }
+  });
+}
+
+// customer.subscription.updated / deleted, and the cancel + skip routes
+function applyRecurringState(tx, plan, subscription) {
+  const now = new Date().toISOString();
+  return tx.recurring_donations.update(plan.recurring_id, p => {
+    p.stripe_subscription_id = subscription.id;
+    p.status = recurringStatus(subscription.status) || p.status;
+    p.current_period_end =
+      fromUnix(subscription.current_period_end) || p.current_period_end;
+    p.skip_until = fromUnix(subscription.pause_collection?.resumes_at);
+    if (p.status === "canceled") {
+      p.canceled_at =
+        p.canceled_at || fromUnix(subscription.canceled_at) || now;
+      p.skip_until = null;
+    }
+    p.updated_at = now;
+  });
+}
+
+// Checkout abandoned before the first gift
+async function expireRecurringDonation(session) {
+  const recurringId = session.metadata?.recurring_id;
+  if (!recurringId) return;
+
+  await storage.transaction(tx => {
+    tx.recurring_donations.update(recurringId, plan => {
+      if (plan.status !== "pending") return;
+      plan.status = "expired";
+      plan.updated_at = new Date().toISOString();
     });
+  });
+}
+
+// The signed-in donor's plan, or null (404, so IDs can't be probed)
+async function ownedRecurringDonation(req) {
+  const plan = await storage.recurring_donations.get(req.params.id);
+  return plan && ownsRecord(req.identity, plan) ? plan : null;
+}
+
+function sendRecurringNotFound(res) {
+  res
+    .status(404)
+    .json({ success: false, message: "Recurring donation not found." });
+}
+
+/**
+ * GET /me/recurring-donations  (signed in)
+ * → { recurring_donations: [{ ...plan, gifts: [{ id, soulmark, amount,
+ *     currency, timestamp, sequence }] }] }
+ */
+app.get("/me/recurring-donations", requireIdentity, async (req, res) => {
+  try {
+    const plans = await storage.recurring_donations.list(
+      r => r.status !== "pending" && ownsRecord(req.identity, r)
+    );
+    const ids = new Set(plans.map(p => p.recurring_id));
+    const gifts = await storage.donations.list(d =>
+      ids.has(d.lineage?.recurring_id)
+    );
+
+    const recurring = plans
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(plan => ({
+        ...recurringView(plan),
+        gifts: gifts
+          .filter(d => d.lineage.recurring_id === plan.recurring_id)
+          .sort((a, b) => a.lineage.sequence - b.lineage.sequence)
+          .map(d => ({
+            id: d.id,
+            soulmark: d.soulmark,
+            amount: d.amount,
+            currency: d.currency,
+            timestamp: d.timestamp,
+            sequence: d.lineage.sequence
+          }))
+      }));
+
+    res.json({ success: true, recurring_donations: recurring });
+  } catch (err) {
+    console.error("MY RECURRING DONATIONS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read recurring donations." });
   }
+});
+
+/**
+ * POST /me/recurring-donations/:id/skip  (signed in)
+ * Skips the next gift: Stripe voids the invoice due at current_period_end
+ * and billing resumes the period after.
+ * → { recurring_donation }
+ */
+app.post(
+  "/me/recurring-donations/:id/skip",
+  requireIdentity,
+  async (req, res) => {
+    try {
+      const plan = await ownedRecurringDonation(req);
+      if (!plan) return sendRecurringNotFound(res);
+      if (plan.status !== "active" || !plan.stripe_subscription_id) {
+        return res.status(409).json({
+          success: false,
+          message: `Recurring donation is ${plan.status} and can't be skipped.`
+        });
+      }
+      if (plan.skip_until && Date.parse(plan.skip_until) > Date.now()) {
+        return res.status(409).json({
+          success: false,
+          message: "The next gift is already skipped."
+        });
+      }
 
-  const isDonorSignup = soulmark && soulmark !== "null" && soulmark !== null;
+      const subscription = await stripe.subscriptions.retrieve(
+        plan.stripe_subscription_id
+      );
+      const updated = await stripe.subscriptions.update(subscription.id, {
+        pause_collection: {
+          behavior: "void",
+          resumes_at:
+            subscription.current_period_end + SKIP_RESUME_DELAY_SECONDS
+        }
+      });
 
-  const registry = readRegistry();
-  const identities = registry.identities || [];
+      const saved = await storage.transaction(tx =>
+        applyRecurringState(tx, plan, updated)
+      );
+      res.json({ success: true, recurring_donation: recurringView(saved) });
+    } catch (err) {
+      console.error("RECURRING SKIP ERROR:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to skip the next gift." });
+    }
+  }
+);
 
-  const canonicalUsername = username.toLowerCase();
-  const canonicalEmail = email.toLowerCase();
+/**
+ * POST /me/recurring-donations/:id/cancel  (signed in)
+ * Cancels the Stripe subscription now; gifts already made are unaffected.
+ * → { recurring_donation }
+ */
+app.post(
+  "/me/recurring-donations/:id/cancel",
+  requireIdentity,
+  async (req, res) => {
+    try {
+      const plan = await ownedRecurringDonation(req);
+      if (!plan) return sendRecurringNotFound(res);
+      if (
+        !LIVE_RECURRING_STATUSES.includes(plan.status) ||
+        !plan.stripe_subscription_id
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: `Recurring donation is ${plan.status} and can't be canceled.`
+        });
+      }
 
-  // Username conflict check
-  const conflict = identities.find(
-    i => (i.username || "").toLowerCase() === canonicalUsername
-  );
+      const subscription = await stripe.subscriptions.cancel(
+        plan.stripe_subscription_id
+      );
 
-  if (conflict) {
-    return res.status(409).json({
-      success: false,
-      message: "Username already taken."
-    });
+      const saved = await storage.transaction(tx => {
+        const canceled = applyRecurringState(tx, plan, subscription);
+        enqueueNotification(tx, {
+          key: `recurring_donation_canceled:${plan.recurring_id}`,
+          template: "recurring_donation_canceled",
+          to: plan.email,
+          data: {
+            amount: plan.amount,
+            currency: plan.currency,
+            frequency: frequencyOf(plan.interval),
+            gift_count: canceled.gift_count || 0
+          }
+        });
+        return canceled;
+      });
+      notifier.kick();
+
+      res.json({ success: true, recurring_donation: recurringView(saved) });
+    } catch (err) {
+      console.error("RECURRING CANCEL ERROR:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel recurring donation."
+      });
+    }
   }
+);
 
-  const now = new Date().toISOString();
+// --------------------------------------------------
+// 26. PROMOTIONS — promo codes for /create-order
+// --------------------------------------------------
+// Codes are managed here and applied when an order is created (section 3,
+// lib/promotions.js). Admin routes list each code with its redemptions:
+// orders that used it and weren't canceled or expired.
 
-  // Create new identity
-  const newIdentity = {
-    identity_id: "ias-" + crypto.randomUUID(),
-    username: canonicalUsername,
-    email: canonicalEmail,
-    soulmarks: [],
-    registered_since: now,
-    displayIdentity: displayIdentity || "username",
-    showDonationAmount: !!showDonationAmount
+function promotionWithUsage(promotion, orders) {
+  return {
+    ...promotion,
+    redemptions: promotionUsage(orders, promotion.code).total
   };
+}
+
+function sendPromotionNotFound(res) {
+  return res
+    .status(404)
+    .json({ success: false, message: "Promotion not found." });
+}
 
-  // If donor signup, attach SoulMark
-  if (isDonorSignup) {
-    newIdentity.soulmarks.push(soulmark);
+app.get("/admin/promotions", requireRole("viewer"), async (req, res) => {
+  try {
+    const { app: appName } = req.query;
+    const [promotions, orders] = await Promise.all([
+      storage.promotions.list(
+        p => !appName || !p.apps.length || p.apps.includes(appName)
+      ),
+      storage.orders.list(o => o.promotion)
+    ]);
+    res.json({
+      success: true,
+      promotions: promotions.map(p => promotionWithUsage(p, orders))
+    });
+  } catch (err) {
+    console.error("ADMIN PROMOTIONS LIST ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read promotions." });
   }
+});
 
-  identities.push(newIdentity);
-  registry.identities = identities;
+app.get("/admin/promotions/:code", requireRole("viewer"), async (req, res) => {
+  try {
+    const promotion = await storage.promotions.get(
+      normalizePromoCode(req.params.code)
+    );
+    if (!promotion) return sendPromotionNotFound(res);
 
-  // If donor signup, update donations table too
-  if (isDonorSignup) {
-    const donations = registry.donations || [];
-    donations.forEach(d => {
-      if (d.email && d.email.toLowerCase() === canonicalEmail) {
-        d.username_created = true;
-        d.identity_username = canonicalUsername;
-      }
+    const orders = await storage.orders.list(
+      o => o.promotion?.code === promotion.code
+    );
+    res.json({
+      success: true,
+      promotion: promotionWithUsage(promotion, orders)
     });
-    registry.donations = donations;
+  } catch (err) {
+    console.error("ADMIN PROMOTION READ ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read promotion." });
   }
+});
 
-  writeRegistry(registry);
+/**
+ * POST /admin/promotions
+ * Body: { code, description, type, percent_off | amount_off_cents +
+ * currency, apps, skus, first_period_only, starts_at, expires_at,
+ * max_redemptions, max_per_email, active }
+ */
+app.post("/admin/promotions", requireAdmin, async (req, res) => {
+  try {
+    const promotion = normalizePromotion(req.body, null, {
+      currencies: SUPPORTED_CURRENCIES
+    });
 
-  return res.json({
-    success: true,
-    identity: {
-      username: canonicalUsername,
-      email: canonicalEmail,
-      soulmarks: newIdentity.soulmarks,
-      identity_id: newIdentity.identity_id,
-      donor: isDonorSignup
+    const created = await storage.transaction(tx => {
+      if (tx.promotions.get(promotion.code)) return null;
+      return tx.promotions.insert(promotion);
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `Promo code ${promotion.code} already exists.`
+      });
     }
-  });
-  });
 
-// --------------------------------------------------
-// 8. START SERVER
-// --------------------------------------------------
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log(`Backend running on port ${PORT}`);
+    res.status(201).json({ success: true, promotion: created });
+  } catch (err) {
+    if (err instanceof PromotionError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN PROMOTION CREATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create promotion." });
+  }
+});
+
+/**
+ * PUT /admin/promotions/:code
+ * Body: any field except `code`. Orders already placed keep the discount
+ * they were given.
+ */
+app.put("/admin/promotions/:code", requireAdmin, async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+
+    const updated = await storage.transaction(tx => {
+      const existing = tx.promotions.get(code);
+      if (!existing) return null;
+      return tx.promotions.upsert(
+        normalizePromotion(req.body, existing, {
+          currencies: SUPPORTED_CURRENCIES
+        })
+      );
+    });
+
+    if (!updated) return sendPromotionNotFound(res);
+    res.json({ success: true, promotion: updated });
+  } catch (err) {
+    if (err instanceof PromotionError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN PROMOTION UPDATE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update promotion." });
+  }
+});
+
+/**
+ * DELETE /admin/promotions/:code
+ * Codes orders already used are deactivated instead of deleted.
+ */
+app.delete("/admin/promotions/:code", requireAdmin, async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+
+    const result = await storage.transaction(tx => {
+      if (!tx.promotions.get(code)) return null;
+
+      if (tx.orders.find(o => o.promotion?.code === code)) {
+        tx.promotions.update(code, {
+          active: false,
+          updated_at: new Date().toISOString()
+        });
+        return "deactivated";
+      }
+
+      tx.promotions.remove(code);
+      return "deleted";
+    });
+
+    if (!result) return sendPromotionNotFound(res);
+    res.json({ success: true, result });
+  } catch (err) {
+    console.error("ADMIN PROMOTION DELETE ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to delete promotion." });
+  }
 });
 
 // --------------------------------------------------
-// LOGIN — lookup identity by username
+// 27. APP REGISTRY — tenants, API keys, CORS, app webhooks
 // --------------------------------------------------
-app.post("/login", (req, res) => {
-  const { username } = req.body || {};
+// Each app that sells through the order engine is registered here
+// (lib/apps.js). Its API key opens /create-order and
+// /create-checkout-session-from-order for that app only (requireAppKey,
+// section 0); allowed_origins feed CORS; success/cancel URLs and
+// product_name shape its Checkout sessions; paid orders are POSTed to its
+// webhook_url (lib/app-webhooks.js).
 
-  if (!username || !username.trim()) {
-    return res.status(400).json({
-      success: false,
-      message: "Username is required."
+const appWebhooks = createAppWebhookSender({
+  storage,
+  maxAttempts: Number(process.env.APP_WEBHOOK_MAX_ATTEMPTS) || 8,
+  pollMs: (Number(process.env.NOTIFY_POLL_SECONDS) || 30) * 1000
+});
+appWebhooks.start();
+
+function sendAppNotFound(res) {
+  return res.status(404).json({ success: false, message: "App not found." });
+}
+
+app.get("/admin/apps", requireRole("viewer"), async (req, res) => {
+  try {
+    const apps = await storage.apps.list();
+    res.json({ success: true, apps: apps.map(publicApp) });
+  } catch (err) {
+    console.error("ADMIN APPS LIST ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read apps." });
+  }
+});
+
+app.get("/admin/apps/:app", requireRole("viewer"), async (req, res) => {
+  try {
+    const record = await storage.apps.get(req.params.app);
+    if (!record) return sendAppNotFound(res);
+    res.json({ success: true, app: publicApp(record) });
+  } catch (err) {
+    console.error("ADMIN APP READ ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to read app." });
+  }
+});
+
+/**
+ * POST /admin/apps
+ * Body: { app, product_name, allowed_origins, success_url, cancel_url,
+ * webhook_url, active }
+ *
+ * The response carries the app's api_key and webhook_secret. The key is
+ * never shown again; issue a new one if it is lost.
+ */
+app.post("/admin/apps", requireAdmin, async (req, res) => {
+  try {
+    const apiKey = createApiKey();
+    const record = {
+      ...normalizeAppRecord(req.body),
+      api_key_hash: apiKey.hash,
+      api_key_prefix: apiKey.prefix,
+      api_key_created_at: new Date().toISOString()
+    };
+
+    const created = await storage.transaction(tx => {
+      if (tx.apps.get(record.app)) return null;
+      return tx.apps.insert(record);
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `App ${record.app} is already registered.`
+      });
+    }
+
+    noteAudit(req, { app: created.app, api_key_prefix: apiKey.prefix });
+    res.status(201).json({
+      success: true,
+      app: publicApp(created),
+      api_key: apiKey.key,
+      webhook_secret: created.webhook_secret
     });
+  } catch (err) {
+    if (err instanceof AppRegistryError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN APP CREATE ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to create app." });
   }
+});
 
-  // Canonicalize to how we store it in registry.identities
-  // (we stored the full handle, e.g. "adriantrufit@iascendai")
-  let canonical = username.trim().toLowerCase();
-  if (!canonical.endsWith("@iascendai")) {
-    canonical = `${canonical}@iascendai`;
+/**
+ * PUT /admin/apps/:app
+ * Body: any field except `app`. Keys and secrets have their own routes.
+ */
+app.put("/admin/apps/:app", requireAdmin, async (req, res) => {
+  try {
+    const updated = await storage.transaction(tx => {
+      const existing = tx.apps.get(req.params.app);
+      if (!existing) return null;
+      return tx.apps.upsert(normalizeAppRecord(req.body, existing));
+    });
+
+    if (!updated) return sendAppNotFound(res);
+    res.json({ success: true, app: publicApp(updated) });
+  } catch (err) {
+    if (err instanceof AppRegistryError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("ADMIN APP UPDATE ERROR:", err);
+    res.status(500).json({ success: false, message: "Failed to update app." });
   }
+});
 
-  const registry = readRegistry();
-  const identities = registry.identities || [];
+/**
+ * POST /admin/apps/:app/api-key
+ * Issue a new API key. The old one stops working immediately.
+ */
+app.post("/admin/apps/:app/api-key", requireAdmin, async (req, res) => {
+  try {
+    const apiKey = createApiKey();
+    const updated = await storage.apps.update(req.params.app, {
+      api_key_hash: apiKey.hash,
+      api_key_prefix: apiKey.prefix,
+      api_key_created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (!updated) return sendAppNotFound(res);
 
-  const identity = identities.find(
-    i => (i.username || "").toLowerCase() === canonical
-  );
+    noteAudit(req, { app: updated.app, api_key_prefix: apiKey.prefix });
+    res.json({ success: true, app: publicApp(updated), api_key: apiKey.key });
+  } catch (err) {
+    console.error("ADMIN APP KEY ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to issue API key." });
+  }
+});
 
-  if (!identity) {
-    return res.status(404).json({
-      success: false,
-      message: "Identity not found."
+/**
+ * POST /admin/apps/:app/webhook-secret
+ * Replace the webhook signing secret. Queued deliveries are signed with
+ * the new one.
+ */
+app.post("/admin/apps/:app/webhook-secret", requireAdmin, async (req, res) => {
+  try {
+    const updated = await storage.apps.update(req.params.app, {
+      webhook_secret: createWebhookSecret(),
+      updated_at: new Date().toISOString()
+    });
+    if (!updated) return sendAppNotFound(res);
+
+    noteAudit(req, { app: updated.app });
+    res.json({
+      success: true,
+      app: publicApp(updated),
+      webhook_secret: updated.webhook_secret
     });
+  } catch (err) {
+    console.error("ADMIN APP SECRET ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to replace webhook secret." });
   }
+});
 
-  return res.json({
-    success: true,
-    identity: {
-      username: identity.username,
-      email: identity.email,
-      soulmarks: identity.soulmarks || [],
-      identity_id: identity.identity_id,
-      registered_since: identity.registered_since,
-      displayIdentity: identity.displayIdentity,
-      showDonationAmount: !!identity.showDonationAmount
+/**
+ * GET /admin/apps/:app/webhooks
+ * Query: status=, from=, to=, page=, limit=, sort=newest | oldest
+ */
+app.get("/admin/apps/:app/webhooks", requireRole("viewer"), async (req, res) => {
+  try {
+    const q = parseListQuery(req.query, NOTIFICATION_SORTS, "newest");
+    const { status } = req.query;
+    if (status && !APP_WEBHOOK_STATUSES.includes(status)) {
+      throw new QueryError(
+        `status must be one of ${APP_WEBHOOK_STATUSES.join(", ")}.`
+      );
+    }
+
+    const deliveries = (
+      await storage.app_webhooks.list(
+        d =>
+          d.app === req.params.app &&
+          inDateRange(d.created_at, q) &&
+          (!status || d.status === status)
+      )
+    ).sort(NOTIFICATION_SORTS[q.sort]);
+
+    const page = paginate(deliveries, q);
+    res.json({
+      success: true,
+      deliveries: page.items,
+      page: page.page,
+      limit: page.limit,
+      total: page.total,
+      pages: page.pages
+    });
+  } catch (err) {
+    sendListError(res, err, "ADMIN APP WEBHOOKS");
+  }
+});
+
+/**
+ * POST /admin/apps/:app/webhooks/:id/retry
+ * Deliver a failed (or waiting) event again now, with a fresh set of
+ * attempts.
+ */
+app.post(
+  "/admin/apps/:app/webhooks/:id/retry",
+  requireRole("support"),
+  async (req, res) => {
+    try {
+      const result = await storage.transaction(tx => {
+        const current = tx.app_webhooks.get(req.params.id);
+        if (!current || current.app !== req.params.app) {
+          return { status: 404, message: "Webhook delivery not found." };
+        }
+        if (current.status !== "failed" && current.status !== "pending") {
+          return {
+            status: 409,
+            message: `Delivery is ${current.status}; only failed or pending deliveries can be retried.`
+          };
+        }
+        return {
+          delivery: tx.app_webhooks.update(current.delivery_id, {
+            status: "pending",
+            attempts: 0,
+            next_attempt_at: new Date().toISOString()
+          })
+        };
+      });
+
+      if (!result.delivery) {
+        return res
+          .status(result.status)
+          .json({ success: false, message: result.message });
+      }
+
+      noteAudit(req, { app: req.params.app, delivery_id: req.params.id });
+      appWebhooks.kick();
+      res.json({ success: true, delivery: result.delivery });
+    } catch (err) {
+      console.error("APP WEBHOOK RETRY ERROR:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to retry webhook." });
     }
+  }
+);
+
+// --------------------------------------------------
+// 28. ENTITLEMENTS — what an identity has, per app
+// --------------------------------------------------
+// Computed from the identity's paid orders and subscription status
+// (lib/entitlements.js): one-time purchases don't expire, subscriptions
+// run to current_period_end. Apps ask with their API key for their own
+// entitlements only; signed-in users see all of theirs. Every change is
+// also POSTed to the app as a signed "entitlement.updated" webhook
+// (section 27), so apps can cache the list instead of polling.
+
+function entitlementsFor(identityId, app) {
+  return storage.transaction(tx => {
+    const identity = resolveIdentity(tx, identityId);
+    if (!identity) return null;
+
+    const orders = identityOrders(tx, identity).filter(
+      o => !app || o.app === app
+    );
+    return {
+      identity_id: identity.identity_id,
+      entitlements: computeEntitlements(orders),
+      as_of: new Date().toISOString()
+    };
   });
+}
+
+/**
+ * GET /entitlements/:identity_id  (X-App-Key)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "identity_id": "ias-...",   // merged identities answer for the merged one
+ *   "app": "LawAidAI",
+ *   "entitlements": [{ "sku", "label", "type", "expires_at", ... }],
+ *   "as_of": ISO
+ * }
+ */
+app.get("/entitlements/:identity_id", requireAppKey, async (req, res) => {
+  try {
+    const result = await entitlementsFor(
+      req.params.identity_id,
+      req.tenant.app
+    );
+    if (!result) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Identity not found." });
+    }
+    res.json({ success: true, app: req.tenant.app, ...result });
+  } catch (err) {
+    console.error("ENTITLEMENTS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read entitlements." });
+  }
+});
+
+// GET /me/entitlements?app=LawAidAI — the signed-in identity's, all apps
+// unless ?app is given
+app.get("/me/entitlements", requireIdentity, async (req, res) => {
+  const appName = typeof req.query.app === "string" ? req.query.app : null;
+
+  try {
+    const result = await entitlementsFor(req.identity.identity_id, appName);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("MY ENTITLEMENTS ERROR:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to read entitlements." });
+  }
 });
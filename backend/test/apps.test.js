@@ -0,0 +1,110 @@
+// App registry: webhook URL checks and X-App-Key auth on the order routes
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+const ADMIN = { "x-admin-key": "adm" };
+
+let server;
+let lawaid;
+let travel;
+
+function createApp(body) {
+  return server.request("/admin/apps", { body, headers: ADMIN });
+}
+
+function createOrder(apiKey, headers = {}) {
+  return server.request("/create-order", {
+    body: { email: "buyer@example.com", items: [{ sku: "pro" }] },
+    headers: { ...(apiKey && { "x-app-key": apiKey }), ...headers }
+  });
+}
+
+before(async () => {
+  server = await startTestServer({ ADMIN_API_KEY: "adm" });
+  ({ body: lawaid } = await createApp({
+    app: "LawAidAI",
+    allowed_origins: ["https://lawaid.ai"],
+    webhook_url: "https://hooks.lawaid.ai/fundtracker"
+  }));
+  ({ body: travel } = await createApp({ app: "TravelFlowAI" }));
+  await server.request("/admin/catalog", {
+    body: { app: "LawAidAI", sku: "pro", label: "Pro", price_cents: 900 },
+    headers: ADMIN
+  });
+});
+
+after(() => server?.stop());
+
+test("rejects webhook URLs on private, loopback or link-local hosts", async () => {
+  for (const webhook_url of [
+    "http://hooks.example.com/x",
+    "https://localhost/hook",
+    "https://api.localhost/hook",
+    "https://127.0.0.1/hook",
+    "https://10.1.2.3/hook",
+    "https://172.20.0.1/hook",
+    "https://192.168.1.10/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://0.0.0.0/hook",
+    "https://[::1]/hook",
+    "https://[fd00::1]/hook",
+    "https://[fe80::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://2130706433/hook"
+  ]) {
+    const { status, body } = await createApp({ app: "Probe", webhook_url });
+    assert.equal(status, 400, webhook_url);
+    assert.match(body.message, /webhook_url/);
+  }
+
+  const update = await server.request("/admin/apps/LawAidAI", {
+    method: "PUT",
+    body: { webhook_url: "https://127.0.0.1:8080/hook" },
+    headers: ADMIN
+  });
+  assert.equal(update.status, 400);
+  assert.equal(
+    server.registry().apps.find(a => a.app === "LawAidAI").webhook_url,
+    "https://hooks.lawaid.ai/fundtracker"
+  );
+});
+
+test("the order routes need a valid X-App-Key", async () => {
+  assert.equal(lawaid.success, true);
+
+  const missing = await createOrder();
+  assert.equal(missing.status, 401);
+
+  const wrong = await createOrder("ftk_not-a-key");
+  assert.equal(wrong.status, 401);
+
+  const { status, body } = await createOrder(lawaid.api_key);
+  assert.equal(status, 200);
+  assert.equal(body.order.app, "LawAidAI");
+});
+
+test("browsers may only use a key from the app's allowed origins", async () => {
+  const other = await createOrder(lawaid.api_key, {
+    origin: "https://evil.example"
+  });
+  assert.equal(other.status, 403);
+
+  const allowed = await createOrder(lawaid.api_key, {
+    origin: "https://lawaid.ai"
+  });
+  assert.equal(allowed.status, 200);
+});
+
+test("an app can't check out another app's orders", async () => {
+  const { body } = await createOrder(lawaid.api_key);
+  const checkout = apiKey =>
+    server.request("/create-checkout-session-from-order", {
+      body: { order_id: body.order.order_id },
+      headers: { "x-app-key": apiKey }
+    });
+
+  assert.equal((await checkout(travel.api_key)).status, 404);
+  assert.equal((await checkout(lawaid.api_key)).status, 200);
+});
@@ -0,0 +1,51 @@
+// Validation and rate limits on /register, /login and /auth/request-code
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    RATE_LIMIT_AUTH: "6/60",
+    RATE_LIMIT_AUTH_ADDRESS: "2/60"
+  });
+});
+
+after(() => server?.stop());
+
+test("rejects malformed bodies with field errors", async () => {
+  const register = await server.request("/register", {
+    body: { email: "not-an-email", username: "a b", code: "123456" }
+  });
+  assert.equal(register.status, 400);
+  assert.deepEqual(
+    register.body.errors.map(e => e.field),
+    ["email", "username"]
+  );
+
+  const requestCode = await server.request("/auth/request-code", {
+    body: { email: ["x@example.com"] }
+  });
+  assert.equal(requestCode.status, 400);
+
+  const login = await server.request("/login", { body: { username: 42 } });
+  assert.equal(login.status, 400);
+  assert.equal(login.body.errors[0].field, "username");
+});
+
+test("limits requests per email, then per IP", async () => {
+  const ask = email =>
+    server.request("/auth/request-code", { body: { email } });
+
+  assert.equal((await ask("limit@example.com")).status, 200);
+  assert.equal((await ask("LIMIT@example.com")).status, 200);
+  const third = await ask("limit@example.com");
+  assert.equal(third.status, 429);
+  assert.ok(Number(third.headers.get("retry-after")) > 0);
+
+  // The IP allowance (6, three used by the test above and three here)
+  // runs out across addresses
+  assert.equal((await ask("other@example.com")).status, 429);
+});
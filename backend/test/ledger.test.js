@@ -0,0 +1,79 @@
+// Ledger checkpoints: after appends, exported outside the registry, and
+// on shutdown
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startTestServer } from "../scripts/test-server.js";
+
+function paidEvent(id) {
+  return {
+    id: `evt_${id}`,
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id,
+        object: "checkout.session",
+        mode: "payment",
+        payment_status: "paid",
+        amount_total: 500,
+        currency: "usd",
+        customer_details: { email: `${id}@example.com`, name: "Ledger" },
+        payment_intent: `pi_${id}`,
+        metadata: {}
+      }
+    }
+  };
+}
+
+const headSeq = registry =>
+  registry.counters.find(c => c.counter_id === "ledger_head").value;
+
+async function waitFor(check) {
+  for (let i = 0; i < 50; i += 1) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.fail("timed out");
+}
+
+test("signs and exports the head after appends", async t => {
+  const server = await startTestServer({
+    LEDGER_CHECKPOINT_DELAY_SECONDS: "0"
+  });
+  t.after(() => server.stop());
+  const headFile = path.join(server.dir, "ledger-head.json");
+
+  await server.stripeEvent(paidEvent("cs_ledger_1"));
+  await waitFor(() => {
+    const registry = server.registry();
+    return registry.ledger_checkpoints.some(c => c.seq === headSeq(registry));
+  });
+  await waitFor(() => fs.existsSync(headFile));
+
+  const exported = JSON.parse(fs.readFileSync(headFile, "utf8"));
+  assert.equal(exported.seq, headSeq(server.registry()));
+
+  const { body } = await server.request("/ledger/verify");
+  assert.equal(body.valid, true);
+  assert.equal(body.exported_head.issue, null);
+});
+
+test("signs the head on shutdown", async () => {
+  const server = await startTestServer({
+    LEDGER_CHECKPOINT_DELAY_SECONDS: "3600"
+  });
+  await server.stripeEvent(paidEvent("cs_ledger_2"));
+  const seq = headSeq(server.registry());
+  assert.ok(!server.registry().ledger_checkpoints.some(c => c.seq === seq));
+
+  await server.stop({ keepFiles: true });
+  try {
+    assert.ok(server.registry().ledger_checkpoints.some(c => c.seq === seq));
+    const headFile = path.join(server.dir, "ledger-head.json");
+    assert.equal(JSON.parse(fs.readFileSync(headFile, "utf8")).seq, seq);
+  } finally {
+    fs.rmSync(server.dir, { recursive: true, force: true });
+  }
+});
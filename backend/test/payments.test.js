@@ -0,0 +1,116 @@
+// Stripe webhook: signature check, paid sessions, redelivery, refunds
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ ADMIN_API_KEY: "adm" });
+});
+
+after(() => server?.stop());
+
+function paidSession(id, overrides = {}) {
+  return {
+    id,
+    object: "checkout.session",
+    mode: "payment",
+    payment_status: "paid",
+    amount_total: 2500,
+    currency: "usd",
+    customer_details: { email: `${id}@example.com`, name: "Test Donor" },
+    payment_intent: `pi_${id}`,
+    metadata: {},
+    ...overrides
+  };
+}
+
+function donation(id) {
+  return server.registry().donations.find(d => d.id === id) || null;
+}
+
+test("rejects events with a bad signature", async () => {
+  const event = {
+    id: "evt_forged",
+    type: "checkout.session.completed",
+    data: { object: paidSession("cs_forged") }
+  };
+
+  const res = await server.stripeEvent(event, { secret: "whsec_wrong" });
+
+  assert.equal(res.status, 400);
+  assert.equal(donation("cs_forged"), null);
+});
+
+test("records a paid session once, even when Stripe redelivers", async () => {
+  const event = {
+    id: "evt_paid",
+    type: "checkout.session.completed",
+    data: { object: paidSession("cs_paid") }
+  };
+
+  const first = await server.stripeEvent(event);
+  const again = await server.stripeEvent(event);
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(again.body, { received: true, duplicate: true });
+  const recorded = donation("cs_paid");
+  assert.equal(recorded.amount, 2500);
+  assert.equal(recorded.email, "cs_paid@example.com");
+  assert.ok(recorded.soulmark);
+  assert.equal(
+    server.registry().donations.filter(d => d.id === "cs_paid").length,
+    1
+  );
+});
+
+test("ignores sessions that haven't been paid yet", async () => {
+  await server.stripeEvent({
+    id: "evt_unpaid",
+    type: "checkout.session.completed",
+    data: { object: paidSession("cs_unpaid", { payment_status: "unpaid" }) }
+  });
+
+  assert.equal(donation("cs_unpaid"), null);
+});
+
+test("charge.refunded records partial, then full refunds", async () => {
+  await server.stripeEvent({
+    id: "evt_refundable",
+    type: "checkout.session.completed",
+    data: { object: paidSession("cs_refund") }
+  });
+
+  const charge = {
+    id: "ch_refund",
+    object: "charge",
+    payment_intent: "pi_cs_refund",
+    amount: 2500
+  };
+  await server.stripeEvent({
+    id: "evt_refund_1",
+    type: "charge.refunded",
+    data: { object: { ...charge, amount_refunded: 1000, refunded: false } }
+  });
+  assert.equal(donation("cs_refund").refund_status, "partially_refunded");
+  assert.equal(donation("cs_refund").amount_refunded, 1000);
+
+  await server.stripeEvent({
+    id: "evt_refund_2",
+    type: "charge.refunded",
+    data: { object: { ...charge, amount_refunded: 2500, refunded: true } }
+  });
+  const refunded = donation("cs_refund");
+  assert.equal(refunded.refund_status, "refunded");
+  assert.ok(refunded.soulmark_revoked_at);
+});
+
+test("the public feed marks refunded gifts and never shows emails", async () => {
+  const { status, body } = await server.request("/donations");
+
+  assert.equal(status, 200);
+  assert.ok(body.donations.some(d => d.refunded === true));
+  assert.ok(body.donations.every(d => !("email" in d)));
+});
@@ -0,0 +1,80 @@
+// Promo codes at /create-order
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+const ADMIN = { "x-admin-key": "adm" };
+
+let server;
+let apiKey;
+
+before(async () => {
+  server = await startTestServer({ ADMIN_API_KEY: "adm" });
+  ({
+    body: { api_key: apiKey }
+  } = await server.request("/admin/apps", {
+    body: { app: "LawAidAI" },
+    headers: ADMIN
+  }));
+  await server.request("/admin/catalog", {
+    body: { app: "LawAidAI", sku: "guide", label: "Guide", price_cents: 2000 },
+    headers: ADMIN
+  });
+});
+
+after(() => server?.stop());
+
+function createPromotion(body) {
+  return server.request("/admin/promotions", { body, headers: ADMIN });
+}
+
+function order(email, promo_code) {
+  return server.request("/create-order", {
+    body: { email, items: ["guide"], promo_code },
+    headers: { "x-app-key": apiKey }
+  });
+}
+
+test("stores the discount on the order", async () => {
+  await createPromotion({ code: "quarter", percent_off: 25 });
+
+  const { status, body } = await order("buyer@example.com", "Quarter");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    [
+      body.order.subtotal_cents,
+      body.order.discount_cents,
+      body.order.total_amount_cents,
+      body.order.promotion.code
+    ],
+    [2000, 500, 1500, "QUARTER"]
+  );
+
+  const unknown = await order("buyer@example.com", "NOPE99");
+  assert.equal(unknown.status, 400);
+});
+
+test("the last redemption goes to one of two racing orders", async () => {
+  await createPromotion({ code: "ONCE", percent_off: 10, max_redemptions: 1 });
+
+  const results = await Promise.all([
+    order("first@example.com", "ONCE"),
+    order("second@example.com", "ONCE")
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 400]);
+  assert.match(
+    results.find(r => r.status === 400).body.message,
+    /fully redeemed/
+  );
+});
+
+test("max_per_email counts the address case-insensitively", async () => {
+  await createPromotion({ code: "WELCOME", percent_off: 10, max_per_email: 1 });
+
+  assert.equal((await order("new@example.com", "WELCOME")).status, 200);
+  const again = await order("NEW@Example.com", "WELCOME");
+  assert.equal(again.status, 400);
+  assert.match(again.body.message, /already been used/);
+  assert.equal((await order("other@example.com", "WELCOME")).status, 200);
+});
@@ -0,0 +1,122 @@
+// POST /register: signup codes, duplicate usernames and emails
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server?.stop());
+
+test("requires the signup code emailed to the address", async () => {
+  const missing = await server.request("/register", {
+    body: { email: "nocode@example.com", username: "nocode@iascendai" }
+  });
+  assert.equal(missing.status, 400);
+
+  await server.requestCode("wrong@example.com");
+  const wrong = await server.request("/register", {
+    body: {
+      email: "wrong@example.com",
+      username: "wrong@iascendai",
+      code: "not-it"
+    }
+  });
+  assert.equal(wrong.status, 401);
+  assert.ok(
+    !server.registry().identities.some(i => i.username === "wrong@iascendai")
+  );
+});
+
+test("registers with the code", async () => {
+  const res = await server.register({
+    email: "New@Example.com",
+    username: "newbie@iascendai"
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.identity.email, "new@example.com");
+  assert.ok(
+    server.registry().identities.some(i => i.username === "newbie@iascendai")
+  );
+
+  // The code is used up
+  const again = await server.request("/register", {
+    body: {
+      email: "new@example.com",
+      username: "other@iascendai",
+      code: await server.loginCode("new@example.com")
+    }
+  });
+  assert.equal(again.status, 409);
+});
+
+test("rejects a taken username or email with 409", async () => {
+  await server.register({
+    email: "taken@example.com",
+    username: "taken@iascendai"
+  });
+
+  const sameUsername = await server.register({
+    email: "someone@example.com",
+    username: "taken@iascendai"
+  });
+  assert.equal(sameUsername.status, 409);
+
+  const code = await server.requestCode("someone@example.com");
+  const sameEmail = await server.request("/register", {
+    body: { email: "TAKEN@example.com", username: "fresh@iascendai", code }
+  });
+  assert.equal(sameEmail.status, 409);
+  assert.equal(
+    server.registry().identities.filter(i => i.email === "taken@example.com")
+      .length,
+    1
+  );
+});
+
+test("an existing address gets a sign-in code, not a signup code", async () => {
+  const code = await server.requestCode("taken@example.com");
+  const { body } = await server.request("/auth/verify", {
+    body: { email: "taken@example.com", code }
+  });
+  assert.ok(body.token);
+});
+
+test("links earlier donations at the first sign-in, not at signup", async () => {
+  await server.stripeEvent({
+    id: "evt_before_signup",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_before_signup",
+        object: "checkout.session",
+        mode: "payment",
+        payment_status: "paid",
+        amount_total: 1000,
+        currency: "usd",
+        customer_details: { email: "giver@example.com", name: "Giver" },
+        payment_intent: "pi_before_signup",
+        metadata: {}
+      }
+    }
+  });
+  const donation = () =>
+    server.registry().donations.find(d => d.id === "cs_before_signup");
+
+  const res = await server.register({
+    email: "giver@example.com",
+    username: "giver@iascendai",
+    soulmark: donation().soulmark
+  });
+
+  assert.deepEqual(res.body.identity.soulmarks, []);
+  assert.equal(donation().identity_id, null);
+
+  await server.signIn("giver@example.com");
+  assert.equal(donation().identity_id, res.body.identity.identity_id);
+});
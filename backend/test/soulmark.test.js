@@ -0,0 +1,61 @@
+// GET /soulmark/:id/verify: who gets the certificate
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "../scripts/test-server.js";
+
+let server;
+let soulmark;
+
+before(async () => {
+  server = await startTestServer({ ADMIN_API_KEY: "adm" });
+  await server.stripeEvent({
+    id: "evt_cert",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_cert",
+        object: "checkout.session",
+        mode: "payment",
+        payment_status: "paid",
+        amount_total: 1500,
+        currency: "usd",
+        customer_details: { email: "cert@example.com", name: "Cert Donor" },
+        payment_intent: "pi_cert",
+        metadata: {}
+      }
+    }
+  });
+  ({ soulmark } = server.registry().donations.find(d => d.id === "cs_cert"));
+  await server.register({ email: "cert@example.com", username: "cert" });
+  await server.register({ email: "else@example.com", username: "else" });
+});
+
+after(() => server?.stop());
+
+const verify = headers =>
+  server.request(`/soulmark/${soulmark}/verify`, { headers });
+
+test("the public sees the status but not the certificate", async () => {
+  const { status, body } = await verify();
+
+  assert.equal(status, 200);
+  assert.equal(body.valid, true);
+  assert.equal(body.status, "valid");
+  assert.equal(body.certificate, null);
+  assert.ok(!JSON.stringify(body).includes("identity_hash"));
+
+  const stranger = await server.signIn("else@example.com");
+  const other = await verify({ authorization: `Bearer ${stranger}` });
+  assert.equal(other.body.certificate, null);
+});
+
+test("the donor and admins get the full certificate", async () => {
+  const token = await server.signIn("cert@example.com");
+  const own = await verify({ authorization: `Bearer ${token}` });
+  assert.equal(own.body.certificate.payload.donation_id, "cs_cert");
+  assert.ok(!("identity_id" in own.body.certificate.payload));
+
+  const admin = await verify({ "x-admin-key": "adm" });
+  assert.ok(admin.body.certificate.signature);
+});
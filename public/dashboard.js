@@ -1,24 +1,32 @@
-// Fetch all donations from backend
-fetch("https://fundtrackerai.onrender.com/donations")
-  .then(res => res.json())
-  .then(data => {
+// Load money.js first (formatMoney)
+const BACKEND_URL = "https://fundtrackerai.onrender.com";
+
+// Totals come from the stats API; the feed only supplies the latest rows
+// (visibility rules applied server-side)
+Promise.all([
+  fetch(`${BACKEND_URL}/stats/summary`).then(res => res.json()),
+  fetch(`${BACKEND_URL}/donations?limit=50`).then(res => res.json())
+])
+  .then(([stats, data]) => {
 
     const donations = data.donations || [];
 
+    const totals = stats.totals || {};
+
     // ---- TOTAL AMOUNT ----
-    const totalAmount = donations.reduce((sum, d) => sum + d.amount, 0);
+    const totalAmount = totals.net_cents || 0;
     document.getElementById("total-amount").textContent =
-      "$" + (totalAmount / 100).toFixed(2);
+      formatMoney(totalAmount, stats.currency);
 
     // ---- TOTAL DONATION COUNT ----
     document.getElementById("total-donations").textContent =
-      donations.length.toString();
+      String(totals.donation_count || 0);
 
     // ---- TABLE ROWS ----
     const rows = donations.map(d => `
       <tr>
-        <td>${d.email}</td>
-        <td>$${(d.amount / 100).toFixed(2)}</td>
+        <td>${d.display_name}</td>
+        <td>${d.amount === null ? "Private" : formatMoney(d.amount, d.currency)}</td>
         <td>${new Date(d.timestamp).toLocaleString()}</td>
       </tr>
     `).join("");
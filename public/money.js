@@ -0,0 +1,32 @@
+// Amounts from the backend are whole numbers in the currency's minor unit:
+// cents for USD or EUR, whole yen for JPY. Intl knows how many decimal
+// places each currency uses.
+
+function currencyFormat(currency) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: (currency || "usd").toUpperCase()
+  });
+}
+
+// formatMoney(2500, "usd") → "$25.00"; formatMoney(5000, "jpy") → "¥5,000"
+function formatMoney(amount, currency) {
+  const format = currencyFormat(currency);
+  const digits = format.resolvedOptions().maximumFractionDigits;
+  return format.format((amount || 0) / 10 ** digits);
+}
+
+// Totals per currency, e.g. "$25.00 + ¥5,000"; records need amount + currency
+function formatTotals(records) {
+  const totals = {};
+  for (const r of records) {
+    if (r.amount === null || r.amount === undefined) continue;
+    const currency = r.currency || "usd";
+    totals[currency] = (totals[currency] || 0) + r.amount;
+  }
+
+  const parts = Object.entries(totals).map(([currency, amount]) =>
+    formatMoney(amount, currency)
+  );
+  return parts.length ? parts.join(" + ") : formatMoney(0, "usd");
+}